@@ -1,6 +1,7 @@
 describe('DronCakes E2E Tests', () => {
   beforeEach(() => {
-    // Visit the homepage before each test
+    // The dashboard and the API need a session; log in, then visit the homepage
+    cy.login()
     cy.visit('/')
   })
 
@@ -8,11 +8,38 @@
 // https://on.cypress.io/custom-commands
 // ***********************************************
 
+// Same key the dashboard uses (public/auth.js) to keep the session
+const SESSION_KEY = 'droncakes.session'
+
+// Authorization header for the stored session, if any
+const authHeaders = () => {
+  const session = JSON.parse(window.localStorage.getItem(SESSION_KEY))
+  return session ? { Authorization: `Bearer ${session.token}` } : {}
+}
+
+// Custom command to log in through the API and store the session like the
+// login page does. Defaults to the admin user: set CYPRESS_adminPassword to
+// the server's ADMIN_PASSWORD
+Cypress.Commands.add('login', (
+  email = Cypress.env('adminEmail') || 'admin@droncakes.local',
+  password = Cypress.env('adminPassword')
+) => {
+  cy.request({
+    method: 'POST',
+    url: `${Cypress.env('apiUrl')}/auth/login`,
+    body: { email, password }
+  }).then((response) => {
+    expect(response.status).to.eq(200)
+    window.localStorage.setItem(SESSION_KEY, JSON.stringify(response.body))
+  })
+})
+
 // Custom command to create an order via API
 Cypress.Commands.add('createOrder', (orderData) => {
   cy.request({
     method: 'POST',
     url: `${Cypress.env('apiUrl')}/orders`,
+    headers: authHeaders(),
     body: orderData
   }).then((response) => {
     expect(response.status).to.eq(201)
@@ -24,7 +51,8 @@ Cypress.Commands.add('createOrder', (orderData) => {
 Cypress.Commands.add('getDrones', () => {
   cy.request({
     method: 'GET',
-    url: `${Cypress.env('apiUrl')}/drones`
+    url: `${Cypress.env('apiUrl')}/drones`,
+    headers: authHeaders()
   }).then((response) => {
     expect(response.status).to.eq(200)
     return cy.wrap(response.body)
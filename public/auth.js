@@ -0,0 +1,103 @@
+// Sesión compartida por las páginas del panel: guarda el token, lo añade a cada
+// llamada a la API y lleva a la página de acceso cuando falta o caduca
+const AUTH_STORAGE_KEY = 'droncakes.session';
+const AUTH_ENDPOINT = `${window.location.origin}/api/auth`;
+
+const ROLE_LABELS = {
+    cliente: 'Cliente',
+    cocina: 'Cocina',
+    despachador: 'Despacho',
+    admin: 'Administrador'
+};
+
+function getSession() {
+    try {
+        return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveSession(session) {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+}
+
+// El administrador tiene todos los permisos
+function hasRole(...roles) {
+    const session = getSession();
+    return Boolean(session) && (session.user.role === 'admin' || roles.includes(session.user.role));
+}
+
+// fetch con el token de la sesión; un 401 significa que hay que volver a entrar
+async function apiFetch(url, options = {}) {
+    const session = getSession();
+    // Los cambios hechos desde el panel quedan en la auditoría como manuales
+    const headers = { 'X-DronCakes-Client': 'panel', ...(options.headers || {}) };
+    if (session) headers.Authorization = `Bearer ${session.token}`;
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        clearSession();
+        redirectToLogin();
+    }
+    return response;
+}
+
+// Texto para el usuario a partir de { error: { code, message, details } }
+function getErrorMessage(result, fallback) {
+    const error = result && result.error;
+    if (!error) return fallback;
+    if (typeof error === 'string') return error;
+
+    const details = (error.details || []).map(detail => detail.field ? `${detail.field}: ${detail.message}` : detail.message);
+    return [error.message || fallback, ...details].join('\n');
+}
+
+// EventSource no permite cabeceras, así que el token va en la URL
+function withAccessToken(url) {
+    const session = getSession();
+    if (!session) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(session.token)}`;
+}
+
+// Devuelve la sesión activa o lleva a la página de acceso
+function requireSession() {
+    const session = getSession();
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+        clearSession();
+        redirectToLogin();
+        return null;
+    }
+
+    renderSessionInfo(session);
+    return session;
+}
+
+function renderSessionInfo(session) {
+    const nav = document.querySelector('.header-nav');
+    if (!nav) return;
+
+    const info = document.createElement('span');
+    info.className = 'session-info';
+    info.innerHTML = `
+        👤 ${session.user.name} · ${ROLE_LABELS[session.user.role] || session.user.role}
+        <button type="button" class="btn-secondary btn-small">Salir</button>
+    `;
+    info.querySelector('button').addEventListener('click', endSession);
+    nav.appendChild(info);
+}
+
+async function endSession() {
+    await apiFetch(`${AUTH_ENDPOINT}/logout`, { method: 'POST' });
+    clearSession();
+    redirectToLogin();
+}
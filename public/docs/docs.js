@@ -0,0 +1,176 @@
+// Documentación interactiva generada a partir de /api/openapi.json: lista las
+// operaciones por grupo y permite probarlas con la sesión del panel
+const SPEC_URL = `${window.location.origin}/api/openapi.json`;
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Elementos del DOM
+const operationsContainer = document.getElementById('operationsContainer');
+const docsFilter = document.getElementById('docsFilter');
+const docsSession = document.getElementById('docsSession');
+const apiDescription = document.getElementById('apiDescription');
+
+document.addEventListener('DOMContentLoaded', function() {
+    renderDocsSession();
+    docsFilter.addEventListener('input', filterOperations);
+    loadSpec();
+});
+
+function renderDocsSession() {
+    const session = getSession();
+    docsSession.innerHTML = session
+        ? `👤 Las pruebas usan la sesión de ${session.user.name} · ${ROLE_LABELS[session.user.role] || session.user.role}`
+        : `Sin sesión: <a href="/login.html?next=${encodeURIComponent('/api/docs/')}">inicia sesión</a> para probar las rutas protegidas`;
+}
+
+async function loadSpec() {
+    try {
+        const response = await fetch(SPEC_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        renderSpec(await response.json());
+    } catch (error) {
+        operationsContainer.innerHTML = `<div class="error-message">No se pudo cargar la especificación: ${error.message}</div>`;
+    }
+}
+
+function renderSpec(spec) {
+    apiDescription.textContent = `${spec.info.description} (OpenAPI ${spec.openapi}, versión ${spec.info.version})`;
+
+    const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+        HTTP_METHODS.filter(method => methods[method]).map(method => ({ path, method, ...methods[method] }))
+    );
+    const groups = operations.reduce((acc, operation) => {
+        const tag = operation.tags[0];
+        acc[tag] = [...(acc[tag] || []), operation];
+        return acc;
+    }, {});
+
+    operationsContainer.innerHTML = Object.entries(groups).map(([tag, list]) => `
+        <section class="docs-group">
+            <h2>${tag}</h2>
+            ${list.map(renderOperation).join('')}
+        </section>
+    `).join('');
+
+    operationsContainer.querySelectorAll('form.docs-try').forEach(form => {
+        form.addEventListener('submit', tryOperation);
+    });
+}
+
+function renderOperation(operation) {
+    const search = `${operation.method} ${operation.path} ${operation.summary}`.toLowerCase();
+    const body = operation.requestBody && operation.requestBody.content['application/json'].schema;
+    // Un flujo de eventos no termina nunca, así que no se puede probar desde aquí
+    const streams = Object.values(operation.responses).some(response => response.content && response.content['text/event-stream']);
+
+    return `
+        <details class="docs-operation" data-search="${search}">
+            <summary>
+                <span class="docs-method docs-method-${operation.method}">${operation.method.toUpperCase()}</span>
+                <code>${operation.path}</code>
+                <span class="docs-summary">${operation.summary}</span>
+            </summary>
+            ${operation.description ? `<p>🔒 ${operation.description}</p>` : ''}
+            ${renderParameters(operation.parameters)}
+            ${body ? `<h4>Cuerpo</h4>${renderSchema(body)}` : ''}
+            <h4>Respuestas</h4>
+            <ul class="docs-responses">
+                ${Object.entries(operation.responses).map(([status, response]) => `
+                    <li>
+                        <strong>${status}</strong> ${response.description}
+                        ${status < 400 && response.content['application/json'] ? renderSchema(response.content['application/json'].schema) : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${streams ? '' : `<form class="docs-try" data-method="${operation.method}" data-path="${operation.path}">
+                <h4>Probar</h4>
+                ${operation.parameters.map(parameter => `
+                    <label>${parameter.name} (${parameter.in})
+                        <input name="${parameter.in}:${parameter.name}" ${parameter.required ? 'required' : ''}>
+                    </label>
+                `).join('')}
+                ${body ? `<textarea name="body" rows="6">${JSON.stringify(exampleFor(body), null, 2)}</textarea>` : ''}
+                <button type="submit" class="btn-secondary btn-small">Enviar</button>
+                <pre class="docs-result" hidden></pre>
+            </form>`}
+        </details>
+    `;
+}
+
+function renderParameters(parameters) {
+    if (parameters.length === 0) return '';
+    return `
+        <h4>Parámetros</h4>
+        <ul>
+            ${parameters.map(parameter => `
+                <li><code>${parameter.name}</code> en ${parameter.in}${parameter.required ? ' (obligatorio)' : ''}: ${describeType(parameter.schema)}</li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function renderSchema(schema) {
+    return `<details class="docs-schema"><summary>Esquema</summary><pre>${JSON.stringify(schema, null, 2)}</pre></details>`;
+}
+
+function describeType(schema) {
+    const type = [].concat(schema.type || 'any').join(' | ');
+    return schema.enum ? `${type} (${schema.enum.join(', ')})` : type;
+}
+
+// Cuerpo de ejemplo con los campos obligatorios del esquema
+function exampleFor(schema) {
+    const type = [].concat(schema.type)[0];
+    if (schema.enum) return schema.enum[0];
+    if (type === 'object') {
+        return Object.fromEntries((schema.required || []).map(key => [key, exampleFor(schema.properties[key])]));
+    }
+    if (type === 'array') return schema.items ? [exampleFor(schema.items)] : [];
+    const examples = { string: '', integer: 1, number: 0, boolean: true };
+    return examples[type] ?? null;
+}
+
+async function tryOperation(e) {
+    e.preventDefault();
+    const form = e.target;
+    const result = form.querySelector('.docs-result');
+    const formData = new FormData(form);
+
+    let path = form.dataset.path;
+    const query = new URLSearchParams();
+    for (const [name, value] of formData.entries()) {
+        const [location, key] = name.split(':');
+        if (location === 'path') path = path.replace(`{${key}}`, encodeURIComponent(value));
+        if (location === 'query' && value !== '') query.append(key, value);
+    }
+
+    const session = getSession();
+    const headers = { 'Content-Type': 'application/json' };
+    if (session) headers.Authorization = `Bearer ${session.token}`;
+
+    result.hidden = false;
+    result.textContent = 'Enviando...';
+    try {
+        const response = await fetch(`${window.location.origin}${path}${query.toString() ? `?${query}` : ''}`, {
+            method: form.dataset.method.toUpperCase(),
+            headers,
+            ...(formData.has('body') && { body: formData.get('body') })
+        });
+        const text = await response.text();
+        let content = text;
+        try {
+            content = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Respuesta que no es JSON: se muestra tal cual
+        }
+        result.textContent = `HTTP ${response.status}\n${content}`;
+    } catch (error) {
+        result.textContent = `Error de red: ${error.message}`;
+    }
+}
+
+function filterOperations() {
+    const term = docsFilter.value.trim().toLowerCase();
+    document.querySelectorAll('.docs-operation').forEach(operation => {
+        operation.hidden = term !== '' && !operation.dataset.search.includes(term);
+    });
+}
@@ -0,0 +1,250 @@
+// Configuración de la API
+const API_BASE = window.location.origin;
+const API_ENDPOINTS = {
+    kitchen: `${API_BASE}/api/kitchen`,
+    events: `${API_BASE}/api/events`
+};
+
+// Sin conexión en vivo se vuelve a consultar la API cada 30 segundos
+const POLLING_INTERVAL_MS = 30000;
+
+// Estado de la vista
+let kitchen = null;
+let pollingTimer = null;
+let reloadTimer = null;
+
+// Elementos del DOM
+const stationsContainer = document.getElementById('stationsContainer');
+const prepQueueContainer = document.getElementById('prepQueueContainer');
+const readyContainer = document.getElementById('readyContainer');
+const kitchenMode = document.getElementById('kitchenMode');
+const liveStatus = document.getElementById('liveStatus');
+const modal = document.getElementById('modal');
+const modalMessage = document.getElementById('modalMessage');
+const closeModal = document.querySelector('.close');
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (!requireSession()) return;
+
+    closeModal.addEventListener('click', hideModal);
+    window.addEventListener('click', function(e) {
+        if (e.target === modal) hideModal();
+    });
+
+    loadKitchen();
+    startLiveUpdates();
+});
+
+// Cualquier cambio de una orden o de un dron puede mover la cocina
+function startLiveUpdates() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    const source = new EventSource(withAccessToken(API_ENDPOINTS.events));
+
+    source.addEventListener('open', () => {
+        stopPolling();
+        setLiveStatus('live', '🟢 En vivo');
+        loadKitchen();
+    });
+
+    source.addEventListener('error', () => startPolling());
+
+    ['order.created', 'order.updated', 'order.deleted', 'order.status_changed', 'drone.updated']
+        .forEach(type => source.addEventListener(type, scheduleReload));
+}
+
+function scheduleReload() {
+    if (reloadTimer) return;
+    reloadTimer = setTimeout(() => {
+        reloadTimer = null;
+        loadKitchen();
+    }, 250);
+}
+
+function startPolling() {
+    setLiveStatus('polling', '🟠 Sin conexión en vivo: actualizando cada 30 s');
+    if (pollingTimer) return;
+    pollingTimer = setInterval(loadKitchen, POLLING_INTERVAL_MS);
+}
+
+function stopPolling() {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+}
+
+function setLiveStatus(state, text) {
+    liveStatus.className = `live-status ${state}`;
+    liveStatus.textContent = text;
+}
+
+async function loadKitchen() {
+    try {
+        const response = await apiFetch(API_ENDPOINTS.kitchen);
+        if (!response.ok) throw new Error('Error al cargar la cocina');
+
+        kitchen = await response.json();
+        renderKitchen();
+    } catch (error) {
+        console.error('Error al cargar la cocina:', error);
+        stationsContainer.innerHTML = '<div class="empty-state">❌ Error al cargar la cocina</div>';
+    }
+}
+
+function renderKitchen() {
+    kitchenMode.textContent = kitchen.mode === 'manual' ? '· modo manual' : '· modo automático';
+    renderStations();
+    renderPrepQueue();
+    renderReady();
+}
+
+function renderStations() {
+    stationsContainer.innerHTML = kitchen.stations.map(station => `
+        <div class="station ${station.order ? 'station-busy' : 'station-free'}">
+            <div class="order-header">
+                <div class="order-id">Estación ${station.id}</div>
+                <div class="order-status ${station.order ? 'status-preparing' : 'status-delivered'}">${station.status}</div>
+            </div>
+            ${station.order ? `
+                <div class="order-details">
+                    <strong>Orden #${station.order.id}</strong> · ${station.order.customer}<br>
+                    ${renderItems(station.order)}
+                    <strong>Empezó:</strong> ${formatDate(station.order.kitchen.startedAt)}<br>
+                    <strong>Listo hacia:</strong> ${formatDate(station.order.kitchen.estimatedReadyAt)}
+                </div>
+                <div class="order-controls">
+                    <button class="btn-primary btn-small" onclick="finishOrder(${station.order.id})">✅ Terminado</button>
+                </div>
+            ` : '<div class="empty-state">Libre</div>'}
+        </div>
+    `).join('');
+}
+
+function renderPrepQueue() {
+    if (kitchen.queue.length === 0) {
+        prepQueueContainer.innerHTML = '<div class="empty-state">🎉 No hay pedidos esperando</div>';
+        return;
+    }
+
+    const freeStations = kitchen.stations.filter(station => !station.order);
+
+    prepQueueContainer.innerHTML = kitchen.queue.map(order => `
+        <div class="order-item">
+            <div class="order-header">
+                <div class="order-id">#${order.queuePosition} · Orden #${order.id}</div>
+                <div class="order-status status-pending">${order.priority === 'express' ? '⚡ express' : order.status}</div>
+            </div>
+            <div class="order-details">
+                <strong>Cliente:</strong> ${order.customer}<br>
+                ${renderItems(order)}
+                <strong>Preparación:</strong> ${formatDuration(order.kitchen.prepTimeMs)}<br>
+                <strong>Inicio estimado:</strong> ${formatDate(order.estimatedStart)}
+            </div>
+            <div class="order-controls">
+                ${freeStations.map(station => `
+                    <button class="btn-secondary btn-small" onclick="startOrder(${order.id}, ${station.id})">
+                        🔥 Empezar en estación ${station.id}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderReady() {
+    if (kitchen.ready.length === 0) {
+        readyContainer.innerHTML = '<div class="empty-state">Ningún pastel esperando dron</div>';
+        return;
+    }
+
+    readyContainer.innerHTML = kitchen.ready.map(order => `
+        <div class="order-item">
+            <div class="order-header">
+                <div class="order-id">Orden #${order.id}</div>
+                <div class="order-status status-ready">📦 ${order.status}</div>
+            </div>
+            <div class="order-details">
+                <strong>Cliente:</strong> ${order.customer}<br>
+                ${renderItems(order)}
+                <strong>Posición en cola de drones:</strong> ${order.queuePosition}<br>
+                ${order.estimatedStart ? `<strong>Despegue estimado:</strong> ${formatDate(order.estimatedStart)}` : '<strong>Sin drones disponibles</strong>'}
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderItems(order) {
+    if (!order.items) return `<strong>Sabor:</strong> ${order.flavor}<br>`;
+
+    return `
+        <ul class="order-lines">
+            ${order.items.map(item => `<li>${item.quantity} × ${item.name} (${item.size})${item.inscription ? ` · "${item.inscription}"` : ''}</li>`).join('')}
+        </ul>
+    `;
+}
+
+window.startOrder = async function(orderId, stationId) {
+    await kitchenAction(`${API_ENDPOINTS.kitchen}/orders/${orderId}/start`, { stationId });
+}
+
+window.finishOrder = async function(orderId) {
+    await kitchenAction(`${API_ENDPOINTS.kitchen}/orders/${orderId}/finish`, {});
+}
+
+async function kitchenAction(url, body) {
+    try {
+        const response = await apiFetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showModal('✅ Cocina', result.message, 'success');
+            await loadKitchen();
+        } else {
+            throw new Error(getErrorMessage(result, 'Error en la cocina'));
+        }
+    } catch (error) {
+        console.error('Error en la cocina:', error);
+        showModal('❌ Error', error.message, 'error');
+    }
+}
+
+function showModal(title, message, type = 'info') {
+    const iconMap = {
+        success: '✅',
+        error: '❌',
+        info: 'ℹ️'
+    };
+
+    modalMessage.innerHTML = `
+        <h3>${iconMap[type] || iconMap.info} ${title}</h3>
+        <p>${message}</p>
+    `;
+
+    modal.style.display = 'block';
+
+    if (type === 'success') {
+        setTimeout(hideModal, 3000);
+    }
+}
+
+function hideModal() {
+    modal.style.display = 'none';
+}
+
+// Utilidades
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleString('es-ES');
+}
+
+function formatDuration(ms) {
+    return `${Math.round(ms / 1000)} s`;
+}
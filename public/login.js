@@ -0,0 +1,55 @@
+// Página de acceso: inicia sesión o crea una cuenta de cliente y vuelve a la
+// página desde la que se llegó
+const loginForm = document.getElementById('loginForm');
+const registerForm = document.getElementById('registerForm');
+const authError = document.getElementById('authError');
+
+loginForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(loginForm);
+    submitAuth('login', {
+        email: formData.get('email').trim(),
+        password: formData.get('password')
+    });
+});
+
+registerForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(registerForm);
+    const phone = formData.get('phone').trim();
+    submitAuth('register', {
+        name: formData.get('name').trim(),
+        email: formData.get('email').trim(),
+        password: formData.get('password'),
+        ...(phone && { phone })
+    });
+});
+
+async function submitAuth(action, body) {
+    authError.hidden = true;
+
+    try {
+        const response = await fetch(`${AUTH_ENDPOINT}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(getErrorMessage(result, 'No se pudo iniciar sesión'));
+
+        saveSession(result);
+        window.location.href = getNextPage(result.user);
+    } catch (error) {
+        authError.textContent = `❌ ${error.message}`;
+        authError.hidden = false;
+    }
+}
+
+// Sólo se vuelve a páginas del propio panel; la cocina entra directa a su vista
+function getNextPage(user) {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (next && next.startsWith('/') && !next.startsWith('//')) return next;
+    return user.role === 'cocina' ? 'kitchen.html' : 'index.html';
+}
@@ -0,0 +1,299 @@
+// Mapa en vivo de la flota: SVG sobre una cuadrícula local (sin servicios de
+// mapas en línea) con la base, los destinos de las entregas en curso, la
+// posición de cada dron, su ruta y las zonas restringidas del espacio aéreo.
+// Seleccionar un dron o una orden, en el mapa o en los listados, resalta
+// también su pareja en los demás sitios
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 400;
+const MAP_PADDING = 40;
+const KM_PER_DEGREE = 111.32;
+// Extensión mínima (en grados) para que un único punto no llene todo el mapa
+const MIN_MAP_SPAN = 0.01;
+const SCALE_STEPS_KM = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50];
+// Separación en píxeles entre drones que comparten posición (p. ej. en la base)
+const DRONE_SPACING = 26;
+// Avisos de geovalla que se muestran bajo el mapa
+const MAX_GEOFENCE_ALERTS = 5;
+
+let mapOrders = [];
+let mapZones = [];
+let mapSelection = null;
+let geofenceAlerts = [];
+
+// Órdenes en curso con dirección de entrega, independientes de los filtros del listado
+async function loadMapOrders() {
+    try {
+        const response = await apiFetch(`${API_ENDPOINTS.orders}?scope=active&limit=100`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(getErrorMessage(result, 'Error al cargar el mapa'));
+
+        mapOrders = result.orders.filter(order => order.deliveryAddress);
+        renderFleetMap();
+    } catch (error) {
+        console.error('Error al cargar el mapa:', error);
+    }
+}
+
+// Zonas de exclusión y de altitud limitada; no cuentan para encuadrar el mapa
+// (un aeropuerto lejano lo alejaría demasiado) y se recortan en sus bordes
+async function loadMapZones() {
+    try {
+        const response = await apiFetch(API_ENDPOINTS.airspaceZones);
+        const result = await response.json();
+        if (!response.ok) throw new Error(getErrorMessage(result, 'Error al cargar las zonas'));
+
+        mapZones = result.filter(zone => zone.active);
+        renderFleetMap();
+    } catch (error) {
+        console.error('Error al cargar las zonas del espacio aéreo:', error);
+    }
+}
+
+// Proyección equirectangular centrada en los puntos, con la misma escala en ambos ejes
+function createProjection(points) {
+    const lats = points.map(point => point.lat);
+    const lngs = points.map(point => point.lng);
+    const center = {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    };
+    const cosLat = Math.cos(center.lat * Math.PI / 180);
+    const spanX = Math.max((Math.max(...lngs) - Math.min(...lngs)) * cosLat, MIN_MAP_SPAN);
+    const spanY = Math.max(Math.max(...lats) - Math.min(...lats), MIN_MAP_SPAN);
+    const scale = Math.min((MAP_WIDTH - 2 * MAP_PADDING) / spanX, (MAP_HEIGHT - 2 * MAP_PADDING) / spanY);
+
+    return {
+        project: point => ({
+            x: Math.round((MAP_WIDTH / 2 + (point.lng - center.lng) * cosLat * scale) * 10) / 10,
+            y: Math.round((MAP_HEIGHT / 2 - (point.lat - center.lat) * scale) * 10) / 10
+        }),
+        pxPerKm: scale / KM_PER_DEGREE
+    };
+}
+
+// Cuadrícula y barra de escala con la mayor distancia redonda que cabe en un cuarto del mapa
+function renderMapBackdrop(pxPerKm) {
+    const stepKm = SCALE_STEPS_KM.filter(km => km * pxPerKm <= MAP_WIDTH / 4).pop() || SCALE_STEPS_KM[0];
+    const stepPx = Math.round(stepKm * pxPerKm * 10) / 10;
+    const lines = [];
+    for (let x = stepPx; x < MAP_WIDTH; x += stepPx) lines.push(`<line x1="${x}" y1="0" x2="${x}" y2="${MAP_HEIGHT}"/>`);
+    for (let y = stepPx; y < MAP_HEIGHT; y += stepPx) lines.push(`<line x1="0" y1="${y}" x2="${MAP_WIDTH}" y2="${y}"/>`);
+
+    return `
+        <rect class="map-backdrop" width="${MAP_WIDTH}" height="${MAP_HEIGHT}"/>
+        <g class="map-grid">${lines.join('')}</g>
+        <g class="map-scale" transform="translate(12, ${MAP_HEIGHT - 14})">
+            <line x1="0" y1="0" x2="${stepPx}" y2="0"/>
+            <text x="0" y="-5">${stepKm} km</text>
+        </g>
+        <text class="map-north" x="${MAP_WIDTH - 18}" y="22">N ↑</text>
+    `;
+}
+
+// Posición de un dron: la última telemetría o, sin ella, su base
+function getDronePosition(drone) {
+    return drone.position || drone.homeBase;
+}
+
+function getMapBases() {
+    const bases = currentDrones.map(drone => drone.homeBase).filter(Boolean);
+    return bases.filter((base, index) => bases.findIndex(other => other.lat === base.lat && other.lng === base.lng) === index);
+}
+
+// Polígono GeoJSON ([lng, lat]) como puntos del mapa
+function renderZone(zone, project) {
+    const points = zone.geometry.coordinates[0].map(([lng, lat]) => project({ lat, lng }));
+    const limit = zone.maxAltitudeM === null ? 'vuelo prohibido' : `máx. ${zone.maxAltitudeM} m`;
+    const center = points.slice(1).reduce((sum, point) => ({ x: sum.x + point.x / (points.length - 1), y: sum.y + point.y / (points.length - 1) }), { x: 0, y: 0 });
+    return `
+        <g class="map-zone ${zone.maxAltitudeM === null ? 'zone-no-fly' : 'zone-limited'}">
+            <title>${zone.name} (${zone.category}) · ${limit}</title>
+            <polygon points="${points.map(point => `${point.x},${point.y}`).join(' ')}"/>
+            <text x="${Math.round(center.x)}" y="${Math.round(center.y)}">${zone.maxAltitudeM === null ? '⛔' : `≤${zone.maxAltitudeM} m`}</text>
+        </g>
+    `;
+}
+
+// Distancia en píxeles de "point" al segmento from-to
+function distanceToSegment(point, from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared)) : 0;
+    return Math.hypot(point.x - from.x - t * dx, point.y - from.y - t * dy);
+}
+
+// Tramo ya volado: los vértices de la ruta anteriores al tramo en el que está el dron, y el dron
+function getFlownPoints(path, at) {
+    let closest = { distance: Infinity, index: 1 };
+    for (let index = 1; index < path.length; index++) {
+        const distance = distanceToSegment(at, path[index - 1], path[index]);
+        if (distance < closest.distance) closest = { distance, index };
+    }
+    return [...path.slice(0, closest.index), at];
+}
+
+const toPolylinePoints = points => points.map(point => `${point.x},${point.y}`).join(' ');
+
+function renderFleetMap() {
+    const bases = getMapBases();
+    const drones = currentDrones.filter(getDronePosition);
+    const points = [...bases, ...drones.map(getDronePosition), ...mapOrders.map(order => order.deliveryAddress)];
+    if (points.length === 0) {
+        fleetMap.innerHTML = `<text class="map-empty" x="${MAP_WIDTH / 2}" y="${MAP_HEIGHT / 2}">Sin drones ni entregas que mostrar</text>`;
+        return;
+    }
+
+    const { project, pxPerKm } = createProjection(points);
+    const dronesById = Object.fromEntries(currentDrones.map(drone => [drone.id, drone]));
+
+    // La ruta trazada rodea las zonas de exclusión; sin ella, la línea recta desde la base
+    const routes = mapOrders.filter(order => dronesById[order.droneId]).map(order => {
+        const drone = dronesById[order.droneId];
+        const path = (order.route ? order.route.path : [drone.homeBase, order.deliveryAddress]).map(project);
+        const at = project(getDronePosition(drone));
+        return `
+            <g class="map-route" data-order-id="${order.id}" data-drone-id="${drone.id}">
+                <polyline class="map-route-planned" points="${toPolylinePoints(path)}"/>
+                ${order.status === 'en vuelo' ? `<polyline class="map-route-flown" points="${toPolylinePoints(getFlownPoints(path, at))}"/>` : ''}
+            </g>
+        `;
+    }).join('');
+
+    const baseMarkers = bases.map(base => {
+        const { x, y } = project(base);
+        return `
+            <g class="map-base" transform="translate(${x}, ${y})">
+                <title>${base.name}</title>
+                <rect x="-9" y="-9" width="18" height="18" rx="3"/>
+                <text y="5">🏠</text>
+            </g>
+        `;
+    }).join('');
+
+    const destinationMarkers = mapOrders.map(order => {
+        const { x, y } = project(order.deliveryAddress);
+        return `
+            <g class="map-destination ${getStatusClass(order.status)}" data-order-id="${order.id}" transform="translate(${x}, ${y})">
+                <title>Orden #${order.id} · ${order.status} · ${order.deliveryAddress.street}</title>
+                <circle r="7"/>
+                <text y="-11">#${order.id}</text>
+            </g>
+        `;
+    }).join('');
+
+    // Los drones van encima de todo; la flecha apunta al rumbo de la telemetría
+    const droneMarkers = spreadDrones(drones, project).map(({ drone, x, y }) => {
+        const heading = drone.position && drone.position.heading;
+        return `
+            <g class="map-drone drone-${drone.status}" data-drone-id="${drone.id}" transform="translate(${x}, ${y})">
+                <title>${drone.name} · ${getDroneStatusLabel(drone)}${drone.position ? ` · ${drone.position.altitude ?? 0} m` : ''}</title>
+                <circle r="11"/>
+                ${heading !== undefined ? `<path class="map-heading" d="M0,-17 L4,-11 L-4,-11 Z" transform="rotate(${heading})"/>` : ''}
+                <text y="5">🚁</text>
+                <text class="map-label" y="25">${drone.name}</text>
+            </g>
+        `;
+    }).join('');
+
+    fleetMap.innerHTML = `
+        ${renderMapBackdrop(pxPerKm)}
+        ${mapZones.map(zone => renderZone(zone, project)).join('')}
+        ${routes}
+        ${baseMarkers}
+        ${destinationMarkers}
+        ${droneMarkers}
+    `;
+    applyMapSelection();
+}
+
+// Reparte en fila los drones que caen en el mismo punto para que no se tapen
+function spreadDrones(drones, project) {
+    const groups = {};
+    drones.forEach(drone => {
+        const point = project(getDronePosition(drone));
+        const key = `${point.x},${point.y}`;
+        groups[key] = [...(groups[key] || []), { drone, ...point }];
+    });
+    return Object.values(groups).flatMap(group => group.map((marker, index) => ({
+        ...marker,
+        x: marker.x + (index - (group.length - 1) / 2) * DRONE_SPACING
+    })));
+}
+
+// Completa la selección con su pareja: el dron de una orden o la entrega que lleva un dron
+function resolveMapSelection({ droneId, orderId }) {
+    if (orderId) {
+        const order = mapOrders.find(o => o.id === orderId) || currentOrders.find(o => o.id === orderId);
+        return { orderId, droneId: order && order.droneId && !isFinalStatus(order.status) ? order.droneId : null };
+    }
+    const order = mapOrders.find(o => o.droneId === droneId);
+    return { droneId, orderId: order ? order.id : null };
+}
+
+// Un segundo clic sobre lo ya seleccionado quita la selección
+function selectMapItem(item, { scroll = false } = {}) {
+    const selection = resolveMapSelection(item);
+    const same = mapSelection && mapSelection.droneId === selection.droneId && mapSelection.orderId === selection.orderId;
+    mapSelection = same ? null : selection;
+    applyMapSelection();
+
+    if (scroll && mapSelection) {
+        document.querySelectorAll('.drone-item.highlighted, .order-item.highlighted')
+            .forEach(element => element.scrollIntoView({ behavior: 'smooth', block: 'nearest' }));
+    }
+}
+
+// Se vuelve a aplicar tras cada repintado del mapa y de los listados
+function applyMapSelection() {
+    const matches = (element) => Boolean(mapSelection) && (
+        (mapSelection.droneId && Number(element.dataset.droneId) === mapSelection.droneId) ||
+        (mapSelection.orderId && Number(element.dataset.orderId) === mapSelection.orderId)
+    );
+
+    document.querySelectorAll('#fleetMap [data-drone-id], #fleetMap [data-order-id]').forEach(element => {
+        element.classList.toggle('highlighted', matches(element));
+        element.classList.toggle('dimmed', Boolean(mapSelection) && !matches(element));
+    });
+    document.querySelectorAll('.drone-item[data-drone-id], .order-item[data-order-id]').forEach(element => {
+        element.classList.toggle('highlighted', matches(element));
+    });
+}
+
+// Clic en un marcador del mapa o en una tarjeta de los listados (salvo en sus botones)
+function handleMapClick(e) {
+    const marker = e.target.closest('[data-drone-id], [data-order-id]');
+    if (!marker) {
+        mapSelection = null;
+        applyMapSelection();
+        return;
+    }
+    const isDrone = marker.classList.contains('map-drone');
+    selectMapItem(isDrone ? { droneId: Number(marker.dataset.droneId) } : { orderId: Number(marker.dataset.orderId) }, { scroll: true });
+}
+
+function handleListClick(e) {
+    if (e.target.closest('button, a, input, select, summary, details')) return;
+
+    const card = e.target.closest('.drone-item[data-drone-id], .order-item[data-order-id]');
+    if (!card) return;
+    selectMapItem(card.dataset.orderId ? { orderId: Number(card.dataset.orderId) } : { droneId: Number(card.dataset.droneId) });
+}
+
+// Aviso en vivo de un dron que entra en una zona prohibida; se guardan los últimos
+function addGeofenceAlert(event) {
+    geofenceAlerts = [event, ...geofenceAlerts].slice(0, MAX_GEOFENCE_ALERTS);
+    renderGeofenceAlerts();
+}
+
+function renderGeofenceAlerts() {
+    const list = document.getElementById('geofenceAlerts');
+    list.hidden = geofenceAlerts.length === 0;
+    list.innerHTML = geofenceAlerts.map(({ at, data }) => `
+        <li>
+            ⚠️ ${formatDate(at)} · ${data.drone} entró en <strong>${data.zone.name}</strong>
+            ${data.zone.maxAltitudeM === null ? '(vuelo prohibido)' : `a ${data.position.altitude ?? 0} m (máx. ${data.zone.maxAltitudeM} m)`}
+            ${data.orderId ? ` · orden #${data.orderId}` : ''}
+        </li>
+    `).join('');
+}
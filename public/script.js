@@ -2,28 +2,91 @@
 const API_BASE = window.location.origin;
 const API_ENDPOINTS = {
     orders: `${API_BASE}/api/orders`,
-    drones: `${API_BASE}/api/drones`
+    drones: `${API_BASE}/api/drones`,
+    products: `${API_BASE}/api/products`,
+    customers: `${API_BASE}/api/customers`,
+    slots: `${API_BASE}/api/schedule/slots`,
+    airspaceZones: `${API_BASE}/api/airspace/zones`,
+    weather: `${API_BASE}/api/weather`,
+    events: `${API_BASE}/api/events`
 };
 
+// Sin conexión en vivo se vuelve a consultar la API cada 30 segundos
+const POLLING_INTERVAL_MS = 30000;
+
 // Estado de la aplicación
 let currentOrders = [];
+let ordersPage = null;
+let orderScope = 'active';
+let currentPage = 1;
+let orderFilterTimer = null;
 let currentDrones = [];
+let currentProducts = [];
+let cart = [];
+let quoteTimer = null;
+let customerMatches = [];
+let selectedCustomer = null;
+let customerSearchTimer = null;
+let orderTransitions = {};
+let orderTimelines = {};
+let expandedTimelines = new Set();
+let pollingTimer = null;
+let pendingReloads = {};
 
 // Elementos del DOM
 const orderForm = document.getElementById('orderForm');
+const flavorSelect = document.getElementById('flavor');
+const sizeSelect = document.getElementById('size');
+const addItemBtn = document.getElementById('addItem');
+const cartItems = document.getElementById('cartItems');
+const orderQuote = document.getElementById('orderQuote');
+const customerInput = document.getElementById('customer');
+const customerIdInput = document.getElementById('customerId');
+const customerSuggestions = document.getElementById('customerSuggestions');
+const savedAddressGroup = document.getElementById('savedAddressGroup');
+const savedAddressSelect = document.getElementById('savedAddress');
+const scheduleDate = document.getElementById('scheduleDate');
+const scheduleSlot = document.getElementById('scheduleSlot');
 const dronesContainer = document.getElementById('dronesContainer');
 const ordersContainer = document.getElementById('ordersContainer');
 const refreshDronesBtn = document.getElementById('refreshDrones');
 const refreshOrdersBtn = document.getElementById('refreshOrders');
+const orderFilters = document.getElementById('orderFilters');
+const orderDroneFilter = document.getElementById('orderDroneFilter');
+const scopeTabs = document.querySelectorAll('.scope-tab');
+const ordersPrevBtn = document.getElementById('ordersPrev');
+const ordersNextBtn = document.getElementById('ordersNext');
+const ordersPageInfo = document.getElementById('ordersPageInfo');
 const modal = document.getElementById('modal');
 const modalMessage = document.getElementById('modalMessage');
 const closeModal = document.querySelector('.close');
+const liveStatus = document.getElementById('liveStatus');
+const fleetMap = document.getElementById('fleetMap');
+const weatherBanner = document.getElementById('weatherBanner');
 
 // Event Listeners
 document.addEventListener('DOMContentLoaded', initializeApp);
 orderForm.addEventListener('submit', handleOrderSubmit);
+flavorSelect.addEventListener('change', renderSizeOptions);
+addItemBtn.addEventListener('click', addCartItem);
+scheduleDate.addEventListener('change', loadSlots);
+customerInput.addEventListener('input', handleCustomerInput);
+savedAddressSelect.addEventListener('change', applySavedAddress);
+['size', 'quantity', 'discountCode', 'lat', 'lng'].forEach(id => {
+    document.getElementById(id).addEventListener('input', scheduleQuote);
+});
 refreshDronesBtn.addEventListener('click', loadDrones);
 refreshOrdersBtn.addEventListener('click', loadOrders);
+orderFilters.addEventListener('input', scheduleOrderFilter);
+orderFilters.addEventListener('submit', (e) => e.preventDefault());
+scopeTabs.forEach(tab => tab.addEventListener('click', () => selectOrderScope(tab.dataset.scope)));
+ordersPrevBtn.addEventListener('click', () => changeOrdersPage(-1));
+ordersNextBtn.addEventListener('click', () => changeOrdersPage(1));
+// "toggle" no burbujea: se escucha en captura para todos los historiales de las tarjetas
+ordersContainer.addEventListener('toggle', toggleOrderTimeline, true);
+fleetMap.addEventListener('click', handleMapClick);
+dronesContainer.addEventListener('click', handleListClick);
+ordersContainer.addEventListener('click', handleListClick);
 closeModal.addEventListener('click', hideModal);
 window.addEventListener('click', (e) => {
     if (e.target === modal) hideModal();
@@ -31,14 +94,95 @@ window.addEventListener('click', (e) => {
 
 // Inicialización de la aplicación
 async function initializeApp() {
+    if (!requireSession()) return;
+
     console.log('🚁 Iniciando DronCakes...');
-    await Promise.all([loadDrones(), loadOrders()]);
-    
-    // Auto-refresh cada 30 segundos
-    setInterval(() => {
+    await Promise.all([loadProducts(), loadDrones(), loadOrders(), loadMapOrders(), loadMapZones(), loadWeather(), loadSessionCustomer()]);
+    startLiveUpdates();
+}
+
+// Actualizaciones en vivo por Server-Sent Events; el polling queda como respaldo
+// Los eventos sólo se envían al personal; los clientes consultan periódicamente
+function startLiveUpdates() {
+    if (!window.EventSource || !hasRole('cocina', 'despachador')) {
+        startPolling();
+        return;
+    }
+
+    const source = new EventSource(withAccessToken(API_ENDPOINTS.events));
+
+    source.addEventListener('open', () => {
+        stopPolling();
+        setLiveStatus('live', '🟢 En vivo');
+        // Puede que se perdieran eventos mientras no había conexión
+        loadProducts();
         loadDrones();
         loadOrders();
-    }, 30000);
+        loadMapOrders();
+        loadMapZones();
+        loadWeather();
+    });
+
+    // El navegador reintenta solo; mientras tanto se consulta la API periódicamente
+    source.addEventListener('error', () => startPolling());
+
+    ['order.created', 'order.updated', 'order.deleted', 'order.status_changed']
+        .forEach(type => source.addEventListener(type, () => {
+            scheduleReload('orders', loadOrders);
+            scheduleReload('map', loadMapOrders);
+        }));
+
+    // El stock cambia con cada orden, así que el formulario se mantiene al día
+    ['product.created', 'product.updated', 'product.deleted']
+        .forEach(type => source.addEventListener(type, () => scheduleReload('products', loadProducts)));
+
+    // Los drones cambian cuando se les asigna una orden, así que también refrescan la cola
+    ['drone.created', 'drone.updated', 'drone.deleted']
+        .forEach(type => source.addEventListener(type, () => {
+            scheduleReload('drones', loadDrones);
+            scheduleReload('orders', loadOrders);
+            scheduleReload('map', loadMapOrders);
+        }));
+
+    ['zone.created', 'zone.updated', 'zone.deleted']
+        .forEach(type => source.addEventListener(type, () => scheduleReload('zones', loadMapZones)));
+
+    source.addEventListener('drone.geofence_violation', e => addGeofenceAlert(JSON.parse(e.data)));
+
+    // El evento ya trae el estado completo; las órdenes retenidas se actualizan solas
+    source.addEventListener('weather.updated', e => renderWeatherBanner(JSON.parse(e.data).data));
+}
+
+// Agrupa ráfagas de eventos (p. ej. la carga de batería) en una sola recarga
+function scheduleReload(key, load) {
+    if (pendingReloads[key]) return;
+    pendingReloads[key] = setTimeout(() => {
+        delete pendingReloads[key];
+        load();
+    }, 250);
+}
+
+function startPolling() {
+    setLiveStatus('polling', '🟠 Sin conexión en vivo: actualizando cada 30 s');
+    if (pollingTimer) return;
+    pollingTimer = setInterval(() => {
+        loadProducts();
+        loadDrones();
+        loadOrders();
+        loadMapOrders();
+        loadMapZones();
+        loadWeather();
+    }, POLLING_INTERVAL_MS);
+}
+
+function stopPolling() {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+}
+
+function setLiveStatus(state, text) {
+    liveStatus.className = `live-status ${state}`;
+    liveStatus.textContent = text;
 }
 
 // Manejo del formulario de órdenes
@@ -48,19 +192,28 @@ async function handleOrderSubmit(e) {
     const formData = new FormData(orderForm);
     const orderData = {
         customer: formData.get('customer').trim(),
-        flavor: formData.get('flavor')
+        customerId: formData.get('customerId') ? Number(formData.get('customerId')) : undefined,
+        // Sin prioridad cuando el cliente pide: se aplica la que le dio el personal
+        priority: document.getElementById('express').disabled ? undefined : (formData.get('express') ? 'express' : 'normal'),
+        ...getOrderDraft(formData)
     };
 
     // Validación
-    if (!orderData.customer || !orderData.flavor) {
-        showModal('❌ Error', 'Por favor completa todos los campos', 'error');
+    if (!orderData.customer || orderData.items.length === 0) {
+        showModal('❌ Error', 'Por favor indica el cliente y al menos un pastel', 'error');
+        return;
+    }
+
+    // La dirección es opcional, pero si se indica debe llevar coordenadas
+    if (orderData.deliveryAddress === null) {
+        showModal('❌ Error', 'La dirección de entrega necesita calle, latitud y longitud', 'error');
         return;
     }
 
     try {
         showLoadingState('Creando orden...');
         
-        const response = await fetch(API_ENDPOINTS.orders, {
+        const response = await apiFetch(API_ENDPOINTS.orders, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -71,15 +224,35 @@ async function handleOrderSubmit(e) {
         const result = await response.json();
 
         if (response.ok) {
-            showModal(
-                '✅ ¡Orden Creada!', 
-                `Orden #${result.id} para ${result.customer} (${result.flavor}) asignada al dron ${result.drone}. Estado: ${result.status}`,
-                'success'
-            );
+            if (result.status === 'programado') {
+                showModal(
+                    '📅 Entrega Programada',
+                    `Orden #${result.id} para ${result.customer} (${result.flavor}) programada para ${formatDate(result.scheduledFor)}. La cocina empezará a prepararla a las ${formatDate(result.scheduledStartAt)}.`,
+                    'success'
+                );
+            } else if (result.status === 'pendiente') {
+                showModal(
+                    '⏳ Orden en Cola de Cocina',
+                    `Orden #${result.id} para ${result.customer} (${result.flavor}) en espera de una estación libre. Posición: ${result.queuePosition}${result.estimatedStart ? `, inicio estimado: ${formatDate(result.estimatedStart)}` : ''}`,
+                    'success'
+                );
+            } else {
+                showModal(
+                    '✅ ¡Orden Creada!', 
+                    `Orden #${result.id} para ${result.customer} (${result.flavor}) en preparación en la estación ${result.kitchen.stationId}. El dron se asignará cuando el pastel esté listo.`,
+                    'success'
+                );
+            }
             orderForm.reset();
-            await Promise.all([loadDrones(), loadOrders()]);
+            selectCustomer(null);
+            await loadSessionCustomer();
+            cart = [];
+            renderCart();
+            renderSlotOptions([]);
+            renderSizeOptions();
+            await Promise.all([loadProducts(), loadDrones(), loadOrders()]);
         } else {
-            throw new Error(result.error || 'Error al crear la orden');
+            throw new Error(getErrorMessage(result, 'Error al crear la orden'));
         }
     } catch (error) {
         console.error('Error al crear orden:', error);
@@ -87,10 +260,278 @@ async function handleOrderSubmit(e) {
     }
 }
 
+// Cargar el catálogo de productos para el formulario de órdenes
+async function loadProducts() {
+    try {
+        const response = await apiFetch(API_ENDPOINTS.products);
+
+        if (!response.ok) {
+            throw new Error('Error al cargar el catálogo');
+        }
+
+        currentProducts = await response.json();
+        renderFlavorOptions();
+    } catch (error) {
+        console.error('Error al cargar productos:', error);
+        flavorSelect.innerHTML = '<option value="">❌ No se pudo cargar el catálogo</option>';
+    }
+}
+
+function isOrderable(product) {
+    return product.available && (product.stock === null || product.stock > 0);
+}
+
+// Los sabores agotados se muestran deshabilitados; se conserva la selección actual
+function renderFlavorOptions() {
+    const selected = flavorSelect.value;
+
+    flavorSelect.innerHTML = '<option value="">Selecciona un sabor</option>' + currentProducts.map(product => `
+        <option value="${product.flavor}" ${isOrderable(product) ? '' : 'disabled'}>
+            ${product.emoji} ${product.name}${isOrderable(product) ? '' : ' (agotado)'}
+        </option>
+    `).join('');
+
+    const stillOrderable = currentProducts.some(p => p.flavor === selected && isOrderable(p));
+    flavorSelect.value = stillOrderable ? selected : '';
+    renderSizeOptions();
+}
+
+function renderSizeOptions() {
+    scheduleQuote();
+    const selected = sizeSelect.value;
+    const product = currentProducts.find(p => p.flavor === flavorSelect.value);
+
+    if (!product) {
+        sizeSelect.innerHTML = '<option value="">Selecciona primero un sabor</option>';
+        return;
+    }
+
+    sizeSelect.innerHTML = product.sizes.map(size => `
+        <option value="${size.size}">${size.size} · ${formatPrice(size.price)} · ${size.weightGrams} g</option>
+    `).join('');
+    if (product.sizes.some(s => s.size === selected)) sizeSelect.value = selected;
+}
+
+function formatPrice(amount) {
+    return new Intl.NumberFormat('es-CO', { style: 'currency', currency: 'COP', maximumFractionDigits: 0 }).format(amount);
+}
+
+// Línea del pedido a partir de la selección actual del formulario
+function getSelectedItem(formData) {
+    if (!formData.get('flavor')) return null;
+    return {
+        flavor: formData.get('flavor'),
+        size: formData.get('size'),
+        quantity: Number(formData.get('quantity')) || 1,
+        inscription: formData.get('inscription').trim()
+    };
+}
+
+// Datos comunes a la cotización y a la creación. Si el carrito está vacío se
+// pide sólo lo seleccionado. deliveryAddress es null si la dirección está incompleta
+function getOrderDraft(formData) {
+    const selected = getSelectedItem(formData);
+    const draft = {
+        items: cart.length ? cart : (selected ? [selected] : []),
+        discountCode: formData.get('discountCode').trim() || undefined
+    };
+
+    if (formData.get('scheduleSlot')) {
+        draft.scheduledFor = formData.get('scheduleSlot');
+    }
+
+    const street = formData.get('street').trim();
+    const lat = formData.get('lat');
+    const lng = formData.get('lng');
+    if (street || lat || lng) {
+        draft.deliveryAddress = street && lat && lng
+            ? { street, lat: Number(lat), lng: Number(lng) }
+            : null;
+    }
+
+    return draft;
+}
+
+// Autocompletado de clientes registrados: al elegir uno se guarda su id y
+// se ofrecen sus direcciones guardadas
+function handleCustomerInput() {
+    if (!hasRole('despachador')) return;
+
+    const name = customerInput.value.trim();
+    const match = customerMatches.find(customer => customer.name === name);
+
+    if (match) {
+        selectCustomer(match);
+        return;
+    }
+
+    if (selectedCustomer) selectCustomer(null);
+
+    clearTimeout(customerSearchTimer);
+    customerSearchTimer = setTimeout(() => searchCustomers(name), 250);
+}
+
+async function searchCustomers(search) {
+    if (search.length < 2) {
+        customerMatches = [];
+        customerSuggestions.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_ENDPOINTS.customers}?search=${encodeURIComponent(search)}`);
+        if (!response.ok) throw new Error('Error al buscar clientes');
+
+        customerMatches = await response.json();
+        customerSuggestions.innerHTML = customerMatches.map(customer => `
+            <option value="${customer.name}">${[customer.email, customer.phone].filter(Boolean).join(' · ')}</option>
+        `).join('');
+    } catch (error) {
+        console.error('Error al buscar clientes:', error);
+    }
+}
+
+// Un cliente siempre pide a su nombre, con sus direcciones guardadas; el envío
+// express sólo lo concede el personal
+async function loadSessionCustomer() {
+    const { user } = getSession();
+    if (user.role !== 'cliente') return;
+    document.getElementById('express').disabled = true;
+
+    try {
+        const response = await apiFetch(`${API_ENDPOINTS.customers}/${user.customerId}`);
+        if (!response.ok) throw new Error('Error al cargar tus datos');
+
+        const customer = await response.json();
+        customerInput.value = customer.name;
+        customerInput.readOnly = true;
+        selectCustomer(customer);
+    } catch (error) {
+        console.error('Error al cargar el cliente:', error);
+    }
+}
+
+function selectCustomer(customer) {
+    selectedCustomer = customer;
+    customerIdInput.value = customer ? customer.id : '';
+
+    const addresses = customer ? customer.addresses : [];
+    savedAddressGroup.hidden = addresses.length === 0;
+    savedAddressSelect.innerHTML = '<option value="">Otra dirección</option>' + addresses.map(address => `
+        <option value="${address.id}">${address.label} · ${address.street}</option>
+    `).join('');
+
+    if (customer && customer.preferences.express) {
+        document.getElementById('express').checked = true;
+    }
+}
+
+function applySavedAddress() {
+    const address = selectedCustomer && selectedCustomer.addresses.find(a => a.id === Number(savedAddressSelect.value));
+    if (!address) return;
+
+    document.getElementById('street').value = address.street;
+    document.getElementById('lat').value = address.lat;
+    document.getElementById('lng').value = address.lng;
+    scheduleQuote();
+}
+
+// Franjas de reparto libres del día elegido para programar la entrega
+async function loadSlots() {
+    if (!scheduleDate.value) {
+        renderSlotOptions([]);
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_ENDPOINTS.slots}?date=${scheduleDate.value}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(getErrorMessage(result, 'Error al cargar las franjas'));
+
+        renderSlotOptions(result.slots.filter(slot => slot.available));
+    } catch (error) {
+        console.error('Error al cargar franjas:', error);
+        showModal('❌ Error', error.message, 'error');
+    }
+}
+
+function renderSlotOptions(slots) {
+    scheduleSlot.innerHTML = '<option value="">Lo antes posible</option>' + slots.map(slot => `
+        <option value="${slot.start}">${slot.label} (${slot.capacity - slot.booked} libre/s)</option>
+    `).join('');
+    if (scheduleDate.value && slots.length === 0) {
+        scheduleSlot.innerHTML += '<option value="" disabled>No quedan franjas libres ese día</option>';
+    }
+}
+
+function addCartItem() {
+    const item = getSelectedItem(new FormData(orderForm));
+    if (!item) {
+        showModal('❌ Error', 'Selecciona un sabor para agregarlo al pedido', 'error');
+        return;
+    }
+
+    cart.push(item);
+    document.getElementById('quantity').value = 1;
+    document.getElementById('inscription').value = '';
+    renderCart();
+}
+
+window.removeCartItem = function(index) {
+    cart.splice(index, 1);
+    renderCart();
+};
+
+function renderCart() {
+    cartItems.innerHTML = cart.map((item, index) => `
+        <li>
+            <span>${item.quantity} × ${getFlavorEmoji(item.flavor)} ${item.flavor} (${item.size})${item.inscription ? ` · "${item.inscription}"` : ''}</span>
+            <button type="button" class="btn-danger btn-small" onclick="removeCartItem(${index})">✖</button>
+        </li>
+    `).join('');
+    scheduleQuote();
+}
+
+// Cotiza el pedido en el servidor mientras se edita el formulario
+function scheduleQuote() {
+    clearTimeout(quoteTimer);
+    quoteTimer = setTimeout(updateQuote, 300);
+}
+
+async function updateQuote() {
+    const draft = getOrderDraft(new FormData(orderForm));
+    if (draft.items.length === 0 || draft.deliveryAddress === null) {
+        orderQuote.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_ENDPOINTS.orders}/quote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(draft)
+        });
+        const quote = await response.json();
+        if (!response.ok) throw new Error(getErrorMessage(quote, 'No se pudo cotizar el pedido'));
+
+        const { pricing } = quote;
+        orderQuote.innerHTML = `
+            Subtotal: ${formatPrice(pricing.subtotal)}<br>
+            ${pricing.discount ? `Descuento (${pricing.discount.code}): -${formatPrice(pricing.discount.amount)}<br>` : ''}
+            IVA (${Math.round(pricing.taxRate * 100)} %): ${formatPrice(pricing.tax)}<br>
+            Envío: ${formatPrice(pricing.deliveryFee)}<br>
+            Peso: ${quote.payloadGrams} g<br>
+            <span class="quote-total">Total: ${formatPrice(pricing.total)}</span>
+        `;
+    } catch (error) {
+        orderQuote.innerHTML = `<span class="quote-error">⚠️ ${error.message}</span>`;
+    }
+}
+
 // Cargar drones
 async function loadDrones() {
     try {
-        const response = await fetch(API_ENDPOINTS.drones);
+        const response = await apiFetch(API_ENDPOINTS.drones);
         
         if (!response.ok) {
             throw new Error('Error al cargar drones');
@@ -98,6 +539,8 @@ async function loadDrones() {
         
         currentDrones = await response.json();
         renderDrones();
+        renderDroneFilter();
+        renderFleetMap();
     } catch (error) {
         console.error('Error al cargar drones:', error);
         dronesContainer.innerHTML = `
@@ -108,17 +551,60 @@ async function loadDrones() {
     }
 }
 
-// Cargar órdenes
+// Estado del tiempo: si algún modelo no puede volar se explica en el aviso
+async function loadWeather() {
+    try {
+        const response = await apiFetch(API_ENDPOINTS.weather);
+        const result = await response.json();
+        if (!response.ok) throw new Error(getErrorMessage(result, 'Error al consultar el tiempo'));
+        renderWeatherBanner(result);
+    } catch (error) {
+        console.error('Error al consultar el tiempo:', error);
+    }
+}
+
+function renderWeatherBanner(status) {
+    const grounded = status.models.filter(model => !model.canFly);
+    weatherBanner.hidden = !status.message && !status.error;
+    weatherBanner.classList.toggle('paused', status.dispatchPaused);
+
+    const conditions = status.conditions
+        ? `💨 ${status.conditions.windSpeedKmh} km/h · 🌧️ ${status.conditions.precipitationMmH} mm/h · 👁️ ${status.conditions.visibilityKm} km · actualizado ${formatDate(status.updatedAt)}`
+        : 'Todavía no hay lecturas del tiempo';
+
+    weatherBanner.innerHTML = `
+        ${status.message ? `<strong>${status.dispatchPaused ? '⛈️' : '🌬️'} ${status.message}</strong>` : ''}
+        ${grounded.length > 0 ? `
+            <ul>
+                ${grounded.map(model => `<li><strong>${model.model}:</strong> ${model.reasons.join(', ')}</li>`).join('')}
+            </ul>
+        ` : ''}
+        ${status.error ? `<div>⚠️ No se pudo consultar el tiempo (${status.provider}): ${status.error}</div>` : ''}
+        <div class="weather-conditions">${conditions}</div>
+    `;
+}
+
+// Cargar la página de órdenes que corresponde a los filtros
 async function loadOrders() {
     try {
-        const response = await fetch(API_ENDPOINTS.orders);
-        
+        const response = await apiFetch(`${API_ENDPOINTS.orders}?${getOrdersQuery()}`);
+        const result = await response.json();
+
         if (!response.ok) {
-            throw new Error('Error al cargar órdenes');
+            throw new Error(getErrorMessage(result, 'Error al cargar órdenes'));
         }
-        
-        currentOrders = await response.json();
+
+        // Si la página actual se quedó vacía (p. ej. al terminar órdenes) se vuelve a la última
+        if (result.orders.length === 0 && result.page > result.pages) {
+            currentPage = result.pages;
+            return loadOrders();
+        }
+
+        ordersPage = result;
+        currentOrders = result.orders;
+        await Promise.all([loadOrderTransitions(), loadExpandedTimelines()]);
         renderOrders();
+        renderOrdersPagination();
     } catch (error) {
         console.error('Error al cargar órdenes:', error);
         ordersContainer.innerHTML = `
@@ -129,6 +615,135 @@ async function loadOrders() {
     }
 }
 
+// Parámetros de GET /api/orders a partir de la pestaña y los filtros
+function getOrdersQuery() {
+    const formData = new FormData(orderFilters);
+    const [sort, order] = formData.get('sort').split(':');
+    const params = new URLSearchParams({ sort, order, page: currentPage, limit: 10 });
+    if (orderScope) params.set('scope', orderScope);
+
+    ['search', 'status', 'droneId', 'from', 'to'].forEach(name => {
+        const value = formData.get(name).trim();
+        if (value) params.set(name, value);
+    });
+    return params;
+}
+
+// Cada cambio de filtro vuelve a la primera página; la búsqueda espera a que se deje de escribir
+function scheduleOrderFilter() {
+    clearTimeout(orderFilterTimer);
+    orderFilterTimer = setTimeout(() => {
+        currentPage = 1;
+        loadOrders();
+    }, 300);
+}
+
+function selectOrderScope(scope) {
+    orderScope = scope;
+    currentPage = 1;
+    scopeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.scope === scope));
+    loadOrders();
+}
+
+function changeOrdersPage(step) {
+    currentPage = Math.min(Math.max(1, currentPage + step), ordersPage ? ordersPage.pages : 1);
+    loadOrders();
+}
+
+function renderOrdersPagination() {
+    ordersPageInfo.textContent = `Página ${ordersPage.page} de ${ordersPage.pages} · ${ordersPage.total} orden(es)`;
+    ordersPrevBtn.disabled = ordersPage.page <= 1;
+    ordersNextBtn.disabled = ordersPage.page >= ordersPage.pages;
+}
+
+// Opciones del filtro de drones, conservando la selección
+function renderDroneFilter() {
+    const selected = orderDroneFilter.value;
+    orderDroneFilter.innerHTML = `
+        <option value="">Todos los drones</option>
+        ${currentDrones.map(drone => `<option value="${drone.id}">${drone.name}</option>`).join('')}
+    `;
+    orderDroneFilter.value = currentDrones.some(drone => String(drone.id) === selected) ? selected : '';
+}
+
+// Cargar los siguientes estados válidos de cada orden activa
+async function loadOrderTransitions() {
+    const activeOrders = currentOrders.filter(order => !isFinalStatus(order.status));
+    const results = await Promise.all(activeOrders.map(async order => {
+        const response = await apiFetch(`${API_ENDPOINTS.orders}/${order.id}/transitions`);
+        if (!response.ok) return [order.id, []];
+        const result = await response.json();
+        return [order.id, result.transitions];
+    }));
+
+    orderTransitions = Object.fromEntries(results);
+}
+
+// Historial de auditoría de una orden (GET /api/orders/:id/timeline)
+async function loadOrderTimeline(orderId) {
+    const response = await apiFetch(`${API_ENDPOINTS.orders}/${orderId}/timeline`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(getErrorMessage(result, 'Error al cargar el historial'));
+    orderTimelines[orderId] = result.events;
+}
+
+// Los historiales desplegados se mantienen al día con cada recarga de órdenes
+async function loadExpandedTimelines() {
+    const visible = currentOrders.filter(order => expandedTimelines.has(order.id));
+    await Promise.all(visible.map(order => loadOrderTimeline(order.id).catch(() => {})));
+}
+
+async function toggleOrderTimeline(e) {
+    const details = e.target;
+    if (!details.classList.contains('order-timeline')) return;
+
+    const orderId = Number(details.dataset.orderId);
+    if (!details.open) {
+        expandedTimelines.delete(orderId);
+        return;
+    }
+
+    expandedTimelines.add(orderId);
+    if (orderTimelines[orderId]) return;
+
+    const body = details.querySelector('.timeline-body');
+    try {
+        await loadOrderTimeline(orderId);
+        body.innerHTML = renderTimeline(orderTimelines[orderId]);
+    } catch (error) {
+        body.innerHTML = `<div class="error-message">❌ ${error.message}</div>`;
+    }
+}
+
+function renderTimeline(events) {
+    if (!events) return '<div class="loading">Cargando historial...</div>';
+    if (events.length === 0) return '<div class="empty-state">Sin cambios registrados</div>';
+
+    return `
+        <ol class="timeline">
+            ${events.map(event => `
+                <li class="timeline-entry timeline-${event.source}">
+                    <div class="timeline-change">${describeAuditChange(event)}</div>
+                    <div class="timeline-meta">
+                        ${formatDate(event.at)} · ${AUDIT_SOURCE_LABELS[event.source] || event.source}${event.actor ? ` · ${event.actor.name} (${ROLE_LABELS[event.actor.role] || event.actor.role})` : ''}
+                    </div>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+// Texto de un evento de auditoría de una orden
+function describeAuditChange(event) {
+    if (event.action === 'created') return `${getStatusIcon(event.after.status)} Creada como "${event.after.status}"`;
+    if (event.action === 'deleted') return '🗑️ Eliminada';
+
+    const changes = [];
+    if ('status' in event.after) changes.push(`${getStatusIcon(event.after.status)} ${event.before.status} → ${event.after.status}`);
+    if ('droneId' in event.after) changes.push(event.after.droneId ? `🚁 Dron #${event.after.droneId} asignado` : '🚁 Dron liberado');
+    return changes.join(' · ');
+}
+
 // Renderizar drones
 function renderDrones() {
     if (!currentDrones || currentDrones.length === 0) {
@@ -141,66 +756,142 @@ function renderDrones() {
     }
 
     const dronesHTML = currentDrones.map(drone => `
-        <div class="drone-item ${drone.available ? '' : 'busy'}">
+        <div class="drone-item ${drone.available ? '' : 'busy'}" data-drone-id="${drone.id}">
             <div>
                 <div class="drone-name">${drone.name}</div>
-                <div class="drone-id">ID: ${drone.id}</div>
+                <div class="drone-id">ID: ${drone.id}${drone.serial ? ` · ${drone.serial}` : ''}</div>
+                ${drone.model ? `<div class="drone-id">${drone.model} · ${drone.maxPayloadGrams} g · ${drone.maxRangeKm} km</div>` : ''}
+                ${drone.position ? `<div class="drone-id">📍 ${drone.position.lat.toFixed(4)}, ${drone.position.lng.toFixed(4)} · ${drone.position.altitude ?? 0} m · ${drone.position.speedKmh ?? 0} km/h</div>` : ''}
+                ${renderBattery(drone)}
             </div>
             <div>
                 <span class="drone-status ${drone.available ? 'status-available' : 'status-busy'}">
-                    ${drone.available ? '✅ Disponible' : '🚁 En vuelo'}
+                    ${getDroneStatusLabel(drone)}
                 </span>
                 <div class="drone-controls">
-                    <button class="btn-primary btn-small" onclick="toggleDroneStatus(${drone.id}, ${!drone.available})">
-                        ${drone.available ? '🚀 Enviar' : '🏠 Regresar'}
-                    </button>
+                    ${hasRole('despachador') && ['idle', 'maintenance'].includes(drone.status) ? `
+                        <button class="btn-primary btn-small" onclick="toggleDroneStatus(${drone.id}, ${!drone.available})">
+                            ${drone.available ? '🔧 Fuera de servicio' : '✅ Habilitar'}
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         </div>
     `).join('');
 
     dronesContainer.innerHTML = dronesHTML;
+    applyMapSelection();
+}
+
+// Barra de batería del dron
+function renderBattery(drone) {
+    const battery = drone.battery ?? 100;
+    const level = battery < 25 ? 'battery-low' : battery < 50 ? 'battery-medium' : 'battery-high';
+
+    return `
+        <div class="battery" title="Batería ${battery}%">
+            <div class="battery-bar">
+                <div class="battery-fill ${level}" style="width: ${battery}%"></div>
+            </div>
+            <span class="battery-label">${drone.status === 'charging' ? '⚡' : '🔋'} ${Math.round(battery)}%</span>
+        </div>
+    `;
+}
+
+// Avance del vuelo según la última telemetría del dron
+function renderFlightProgress(tracking) {
+    return `
+        <strong>En ruta:</strong> ${tracking.progressPercent}% · faltan ${tracking.remainingKm} km, llega hacia ${formatDate(tracking.estimatedArrival)}
+        <div class="flight-progress">
+            <div class="flight-progress-fill" style="width: ${tracking.progressPercent}%"></div>
+        </div>
+    `;
+}
+
+function hasOrderFilters() {
+    const formData = new FormData(orderFilters);
+    return ['search', 'status', 'droneId', 'from', 'to'].some(name => formData.get(name).trim() !== '');
 }
 
 // Renderizar órdenes
 function renderOrders() {
     if (!currentOrders || currentOrders.length === 0) {
+        const emptyMessages = { active: 'No hay órdenes en curso', history: 'Todavía no hay órdenes terminadas', '': 'No hay órdenes' };
         ordersContainer.innerHTML = `
             <div class="empty-state">
-                📋 No hay órdenes activas
+                📋 ${emptyMessages[orderScope]}${hasOrderFilters() ? ' con estos filtros' : ''}
             </div>
         `;
         return;
     }
 
     const ordersHTML = currentOrders.map(order => `
-        <div class="order-item ${order.status === 'entregado' ? 'order-completed' : ''}">
+        <div class="order-item ${getOrderItemClass(order.status)}" data-order-id="${order.id}">
             <div class="order-header">
                 <div class="order-id">Orden #${order.id}</div>
                 <div class="order-status ${getStatusClass(order.status)}">${getStatusIcon(order.status)} ${order.status}</div>
             </div>
             <div class="order-details">
                 <strong>Cliente:</strong> ${order.customer}<br>
-                <strong>Sabor:</strong> ${getFlavorEmoji(order.flavor)} ${order.flavor}<br>
-                <strong>Dron asignado:</strong> ${order.drone}<br>
+                ${order.items ? `
+                    <strong>Pedido:</strong>
+                    <ul class="order-lines">
+                        ${order.items.map(item => `<li>${item.quantity} × ${getFlavorEmoji(item.flavor)} ${item.name} (${item.size})${item.inscription ? ` · "${item.inscription}"` : ''}</li>`).join('')}
+                    </ul>
+                ` : `<strong>Sabor:</strong> ${getFlavorEmoji(order.flavor)} ${order.flavor}<br>`}
+                ${order.total !== undefined ? `<strong>Total:</strong> ${formatPrice(order.total)}${order.pricing && order.pricing.discount ? ` (código ${order.pricing.discount.code})` : ''}<br>` : ''}
+                <strong>Dron asignado:</strong> ${order.drone || 'En espera'}<br>
+                ${order.dispatch ? `<strong>Asignación:</strong> ${order.dispatch.strategy} (${order.dispatch.reason})<br>` : ''}
+                ${order.priority === 'express' ? '<strong>Prioridad:</strong> ⚡ Express<br>' : ''}
+                ${order.status === 'preparando' && order.kitchen ? `<strong>Cocina:</strong> estación ${order.kitchen.stationId}, listo hacia ${formatDate(order.kitchen.estimatedReadyAt)}<br>` : ''}
+                ${order.queuePosition ? `<strong>Posición en ${order.status === 'listo' ? 'cola de drones' : 'cola de cocina'}:</strong> ${order.queuePosition}<br>` : ''}
+                ${order.estimatedStart ? `<strong>Inicio estimado:</strong> ${formatDate(order.estimatedStart)}<br>` : ''}
+                ${order.scheduledFor ? `<strong>Programado para:</strong> ${formatDate(order.scheduledFor)}<br>` : ''}
                 ${order.createdAt ? `<strong>Creado:</strong> ${formatDate(order.createdAt)}<br>` : ''}
+                ${order.deliveryAddress ? `<strong>Dirección:</strong> ${order.deliveryAddress.street} (${order.distanceKm} km)<br>` : ''}
+                ${order.route && order.route.rerouted ? `<strong>Ruta:</strong> rodea ${order.route.avoidedZones.map(zone => zone.name).join(', ')}<br>` : ''}
+                ${order.route && order.route.maxAltitudeM !== null ? `<strong>Altitud máxima:</strong> ${order.route.maxAltitudeM} m<br>` : ''}
+                ${order.hold ? `<strong>Retenida:</strong> ⏸️ ${order.hold.message}<br>` : ''}
                 ${order.estimatedDelivery ? `<strong>Entrega estimada:</strong> ${formatDate(order.estimatedDelivery)}<br>` : ''}
+                ${order.status === 'en vuelo' && order.tracking ? renderFlightProgress(order.tracking) : ''}
                 ${order.deliveredAt ? `<strong>Entregado:</strong> ${formatDate(order.deliveredAt)}<br>` : ''}
+                ${order.cancelledAt ? `<strong>Cancelado:</strong> ${formatDate(order.cancelledAt)}<br>` : ''}
+                ${order.cancellationReason ? `<strong>Motivo:</strong> ${order.cancellationReason}<br>` : ''}
+                ${order.refund ? `<strong>Reembolso:</strong> $${order.refund.amount.toFixed(2)} (${order.refund.status})<br>` : ''}
+                ${order.recall ? `<strong>Dron:</strong> ${order.recall.status === 'regresando' ? '↩️ Regresando a la base' : '🏠 En base'}<br>` : ''}
             </div>
+            <details class="order-timeline" data-order-id="${order.id}" ${expandedTimelines.has(order.id) ? 'open' : ''}>
+                <summary>🕒 Historial</summary>
+                <div class="timeline-body">${expandedTimelines.has(order.id) ? renderTimeline(orderTimelines[order.id]) : ''}</div>
+            </details>
             <div class="order-controls">
-                ${order.status !== 'entregado' ? `
+                ${hasRole('despachador') ? (orderTransitions[order.id] || []).filter(status => status !== 'cancelado').map(status => `
+                    <button class="btn-secondary btn-small" onclick="changeOrderStatus(${order.id}, '${status}')">
+                        ${getStatusIcon(status)} ${status}
+                    </button>
+                `).join('') : ''}
+                ${hasRole('despachador') && !isFinalStatus(order.status) ? `
                     <button class="btn-primary btn-small" onclick="completeOrderManually(${order.id})">
                         ✅ Marcar como Entregado
                     </button>
                 ` : ''}
+                ${(orderTransitions[order.id] || []).includes('cancelado') ? `
+                    <button class="btn-danger btn-small" onclick="cancelOrder(${order.id})">
+                        🚫 Cancelar
+                    </button>
+                ` : ''}
                 ${order.status === 'entregado' ? `
                     <span class="completed-badge">🎉 ¡Entregado!</span>
                 ` : ''}
+                ${order.status === 'cancelado' ? `
+                    <span class="cancelled-badge">🚫 Cancelada</span>
+                ` : ''}
             </div>
         </div>
     `).join('');
 
     ordersContainer.innerHTML = ordersHTML;
+    applyMapSelection();
 }
 
 // Cambiar estado de dron
@@ -209,7 +900,7 @@ window.toggleDroneStatus = async function(droneId, newStatus) {
         console.log(`Cambiando estado del dron ${droneId} a ${newStatus}`);
         showLoadingState('Actualizando dron...');
         
-        const response = await fetch(`${API_ENDPOINTS.drones}/${droneId}`, {
+        const response = await apiFetch(`${API_ENDPOINTS.drones}/${droneId}`, {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json'
@@ -228,7 +919,7 @@ window.toggleDroneStatus = async function(droneId, newStatus) {
             );
             await loadDrones();
         } else {
-            throw new Error(result.error || 'Error al actualizar dron');
+            throw new Error(getErrorMessage(result, 'Error al actualizar dron'));
         }
     } catch (error) {
         console.error('Error al actualizar dron:', error);
@@ -236,6 +927,74 @@ window.toggleDroneStatus = async function(droneId, newStatus) {
     }
 }
 
+// Cambiar estado de una orden
+window.changeOrderStatus = async function(orderId, newStatus) {
+    try {
+        console.log(`Cambiando orden ${orderId} a ${newStatus}`);
+        showLoadingState('Actualizando orden...');
+
+        const response = await apiFetch(`${API_ENDPOINTS.orders}/${orderId}/status`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ status: newStatus })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showModal('✅ Orden Actualizada', `Orden #${orderId}: ${result.order.status}`, 'success');
+            await Promise.all([loadDrones(), loadOrders()]);
+        } else {
+            throw new Error(getErrorMessage(result, 'Error al actualizar la orden'));
+        }
+    } catch (error) {
+        console.error('Error al actualizar orden:', error);
+        showModal('❌ Error', error.message, 'error');
+    }
+}
+
+// Cancelar una orden indicando el motivo
+window.cancelOrder = async function(orderId) {
+    const reason = window.prompt(`¿Por qué se cancela la orden #${orderId}?`);
+    if (reason === null) return;
+
+    if (!reason.trim()) {
+        showModal('❌ Error', 'Debes indicar un motivo de cancelación', 'error');
+        return;
+    }
+
+    try {
+        showLoadingState('Cancelando orden...');
+
+        const response = await apiFetch(`${API_ENDPOINTS.orders}/${orderId}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ reason: reason.trim() })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            const refund = result.order.refund;
+            showModal(
+                '🚫 Orden Cancelada',
+                `${result.message}. Reembolso: $${refund.amount.toFixed(2)} (${refund.status})`,
+                'success'
+            );
+            await Promise.all([loadDrones(), loadOrders()]);
+        } else {
+            throw new Error(getErrorMessage(result, 'Error al cancelar la orden'));
+        }
+    } catch (error) {
+        console.error('Error al cancelar orden:', error);
+        showModal('❌ Error', error.message, 'error');
+    }
+}
+
 // Mostrar modal
 function showModal(title, message, type = 'info') {
     const iconMap = {
@@ -274,7 +1033,7 @@ window.completeOrderManually = async function(orderId) {
         console.log(`Completando orden ${orderId} manualmente`);
         showLoadingState('Marcando orden como entregada...');
         
-        const response = await fetch(`${API_ENDPOINTS.orders}/${orderId}/complete`, {
+        const response = await apiFetch(`${API_ENDPOINTS.orders}/${orderId}/complete`, {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json'
@@ -292,7 +1051,7 @@ window.completeOrderManually = async function(orderId) {
             );
             await Promise.all([loadDrones(), loadOrders()]);
         } else {
-            throw new Error(result.error || 'Error al completar la orden');
+            throw new Error(getErrorMessage(result, 'Error al completar la orden'));
         }
     } catch (error) {
         console.error('Error al completar orden:', error);
@@ -301,28 +1060,59 @@ window.completeOrderManually = async function(orderId) {
 }
 
 // Utilidades
+const AUDIT_SOURCE_LABELS = {
+    api: '🔌 API',
+    manual: '🖐️ Manual',
+    timer: '⏱️ Automático',
+    system: '⚙️ Sistema'
+};
+
 function formatDate(dateString) {
     return new Date(dateString).toLocaleString('es-ES');
 }
 
+function getDroneStatusLabel(drone) {
+    const labelMap = {
+        'idle': '✅ Disponible',
+        'assigned': '📦 Asignado',
+        'flying': '🚁 En vuelo',
+        'charging': '🔋 Cargando',
+        'maintenance': '🔧 Mantenimiento',
+        'retired': '🪦 Retirado'
+    };
+
+    return labelMap[drone.status] || (drone.available ? labelMap.idle : labelMap.flying);
+}
+
 function getFlavorEmoji(flavor) {
-    const emojiMap = {
-        'chocolate': '🍫',
-        'vainilla': '🍦',
-        'fresa': '🍓',
-        'red-velvet': '❤️',
-        'tres-leches': '🥛',
-        'zanahoria': '🥕'
+    const product = currentProducts.find(p => p.flavor === flavor);
+    return product ? product.emoji : '🧁';
+}
+
+function getOrderItemClass(status) {
+    const classMap = {
+        'entregado': 'order-completed',
+        'cancelado': 'order-cancelled',
+        'fallido': 'order-cancelled'
     };
-    
-    return emojiMap[flavor] || '🧁';
+
+    return classMap[status] || '';
+}
+
+function isFinalStatus(status) {
+    return ['entregado', 'cancelado', 'fallido'].includes(status);
 }
 
 function getStatusIcon(status) {
     const iconMap = {
+        'programado': '📅',
+        'pendiente': '⏳',
         'preparando': '👩‍🍳',
+        'listo': '📦',
         'en vuelo': '🚁',
-        'entregado': '✅'
+        'entregado': '✅',
+        'cancelado': '🚫',
+        'fallido': '⚠️'
     };
     
     return iconMap[status] || '📦';
@@ -330,9 +1120,14 @@ function getStatusIcon(status) {
 
 function getStatusClass(status) {
     const classMap = {
+        'programado': 'status-pending',
+        'pendiente': 'status-pending',
         'preparando': 'status-preparing',
+        'listo': 'status-ready',
         'en vuelo': 'status-flying',
-        'entregado': 'status-delivered'
+        'entregado': 'status-delivered',
+        'cancelado': 'status-cancelled',
+        'fallido': 'status-failed'
     };
     
     return classMap[status] || 'status-default';
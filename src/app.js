@@ -1,22 +1,31 @@
 import express from 'express'
 import path from 'path'
-import { fileURLToPath } from 'url'
-import orderRoutes from './routes/orderRoutes.js'
-import droneRoutes from './routes/droneRoutes.js'
+import { apiRoutes } from './routes/index.js'
+import docsRoutes from './routes/docsRoutes.js'
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js'
+import { auditContext } from './middleware/auditContext.js'
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
+// Crea la aplicación sin ponerla a escuchar, para poder probarla con supertest.
+// publicDir es la carpeta del front (sin ella sólo se sirve la API)
+export const createApp = ({ publicDir } = {}) => {
+  const app = express()
+  app.use(express.json())
 
-const app = express()
-app.use(express.json())
+  // Servir archivos estáticos; la documentación interactiva vive en /api/docs
+  if (publicDir) {
+    app.use(express.static(publicDir))
+    app.use('/api/docs', express.static(path.join(publicDir, 'docs')))
+  }
 
-// Servir archivos estáticos
-app.use(express.static(path.join(__dirname, '../public')))
+  app.use('/api', auditContext)
+  apiRoutes.forEach(({ path, router }) => app.use(path, router))
+  app.use('/api', docsRoutes)
 
-app.use('/api/orders', orderRoutes)
-app.use('/api/drones', droneRoutes)
+  app.get('/api', (req, res) => res.send('🚁 DronCakes API funcionando'))
 
-app.get('/api', (req, res) => res.send('🚁 DronCakes API funcionando'))
+  // Rutas desconocidas y errores de cualquier ruta: { error: { code, message, details } }
+  app.use('/api', notFoundHandler)
+  app.use(errorHandler)
 
-const PORT = process.env.PORT || 3000
-app.listen(PORT, () => console.log(`✅ Servidor corriendo en puerto ${PORT}`))
+  return app
+}
@@ -0,0 +1,44 @@
+import * as airspaceService from '../services/airspaceService.js'
+
+// GET /api/airspace/zones
+export const getZones = (req, res) => {
+  res.json(airspaceService.getAllZones())
+}
+
+// GET /api/airspace/zones/:id
+export const getZone = (req, res) => {
+  res.json(airspaceService.getZoneById(req.params.id))
+}
+
+// POST /api/airspace/zones
+export const createZone = (req, res) => {
+  const zone = airspaceService.createZone(req.body)
+  res.status(201).json(zone)
+}
+
+// POST /api/airspace/zones/import con una FeatureCollection GeoJSON
+export const importZones = (req, res) => {
+  const zones = airspaceService.importZones(req.body, { replace: req.query.replace === true })
+  res.status(201).json({
+    message: `${zones.length} zona(s) importada(s)`,
+    zones
+  })
+}
+
+// PATCH /api/airspace/zones/:id
+export const patchZone = (req, res) => {
+  const zone = airspaceService.updateZone(req.params.id, req.body)
+  res.json({
+    message: 'Zona actualizada correctamente',
+    zone
+  })
+}
+
+// DELETE /api/airspace/zones/:id
+export const deleteZone = (req, res) => {
+  const zone = airspaceService.deleteZone(req.params.id)
+  res.json({
+    message: 'Zona eliminada correctamente',
+    zone
+  })
+}
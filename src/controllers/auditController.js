@@ -0,0 +1,6 @@
+import { listAuditEvents } from '../services/auditService.js'
+
+// GET /api/audit con filtros y paginación
+export const getAuditEvents = (req, res) => {
+  res.json(listAuditEvents(req.query))
+}
@@ -0,0 +1,58 @@
+import * as authService from '../services/authService.js'
+import { getRequestToken } from '../middleware/authMiddleware.js'
+
+// POST /api/auth/register (alta de clientes)
+export const register = (req, res) => {
+  const { name, email, phone, password } = req.body
+  res.status(201).json(authService.register({ name, email, phone, password }))
+}
+
+// POST /api/auth/login
+export const login = (req, res) => {
+  const { email, password } = req.body
+  res.json(authService.login({ email, password }))
+}
+
+// POST /api/auth/logout
+export const logout = (req, res) => {
+  authService.logout(getRequestToken(req))
+  res.json({ message: 'Sesión cerrada correctamente' })
+}
+
+// GET /api/auth/me
+export const getCurrentUser = (req, res) => {
+  res.json(req.user)
+}
+
+// GET /api/auth/users
+export const getUsers = (req, res) => {
+  res.json(authService.getAllUsers())
+}
+
+// GET /api/auth/users/:id
+export const getUser = (req, res) => {
+  res.json(authService.getUserById(req.params.id))
+}
+
+// POST /api/auth/users
+export const createUser = (req, res) => {
+  res.status(201).json(authService.createUser(req.body))
+}
+
+// PATCH /api/auth/users/:id
+export const patchUser = (req, res) => {
+  const user = authService.patchUser(req.params.id, req.body)
+  res.json({
+    message: 'Usuario actualizado correctamente',
+    user
+  })
+}
+
+// DELETE /api/auth/users/:id
+export const deleteUser = (req, res) => {
+  const user = authService.deleteUser(req.params.id)
+  res.json({
+    message: 'Usuario eliminado correctamente',
+    user
+  })
+}
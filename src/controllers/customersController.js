@@ -0,0 +1,64 @@
+import * as customerService from '../services/customerService.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { ForbiddenError } from '../utils/errors.js'
+
+// GET /api/customers?search=texto
+export const getCustomers = (req, res) => {
+  res.json(customerService.getAllCustomers({ search: req.query.search }))
+}
+
+// GET /api/customers/:id
+export const getCustomer = (req, res) => {
+  res.json(customerService.getCustomerById(req.params.id))
+}
+
+// POST /api/customers
+export const createCustomer = (req, res) => {
+  const customer = customerService.createCustomer(req.body)
+  res.status(201).json(customer)
+}
+
+// PATCH /api/customers/:id
+// El envío express por defecto lo concede el personal, no el propio cliente
+export const patchCustomer = (req, res) => {
+  if (req.body.preferences?.express === true && req.user.role === USER_ROLES.CUSTOMER) {
+    throw new ForbiddenError('Sólo el personal puede activar el envío express')
+  }
+  const customer = customerService.patchCustomer(req.params.id, req.body)
+  res.json({
+    message: 'Cliente actualizado correctamente',
+    customer
+  })
+}
+
+// DELETE /api/customers/:id
+export const deleteCustomer = (req, res) => {
+  const customer = customerService.deleteCustomer(req.params.id)
+  res.json({
+    message: 'Cliente eliminado correctamente',
+    customer
+  })
+}
+
+// POST /api/customers/:id/addresses
+export const addAddress = (req, res) => {
+  const customer = customerService.addCustomerAddress(req.params.id, req.body)
+  res.status(201).json({
+    message: 'Dirección guardada correctamente',
+    customer
+  })
+}
+
+// DELETE /api/customers/:id/addresses/:addressId
+export const removeAddress = (req, res) => {
+  const customer = customerService.removeCustomerAddress(req.params.id, req.params.addressId)
+  res.json({
+    message: 'Dirección eliminada correctamente',
+    customer
+  })
+}
+
+// GET /api/customers/:id/orders
+export const getCustomerOrders = (req, res) => {
+  res.json(customerService.getCustomerOrders(req.params.id))
+}
@@ -0,0 +1,12 @@
+import * as dispatchService from '../services/dispatchService.js'
+
+// GET /api/dispatch/strategies
+export const getStrategies = (req, res) => {
+  res.json(dispatchService.getStrategies())
+}
+
+// POST /api/dispatch/preview
+export const previewDispatch = (req, res) => {
+  const { strategy } = req.body
+  res.json(dispatchService.previewDispatch(strategy))
+}
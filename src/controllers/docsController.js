@@ -0,0 +1,7 @@
+import { apiRoutes } from '../routes/index.js'
+import { buildOpenApiSpec } from '../openapi/spec.js'
+
+// GET /api/openapi.json
+export const getOpenApiSpec = (req, res) => {
+  res.json(buildOpenApiSpec(apiRoutes))
+}
@@ -1,22 +1,64 @@
 import * as droneService from '../services/droneService.js'
+import * as telemetryService from '../services/telemetryService.js'
 
 // GET /api/drones
 export const getDrones = (req, res) => {
   res.json(droneService.getAllDrones())
 }
 
+// GET /api/drones/:id
+export const getDrone = (req, res) => {
+  res.json(droneService.getDroneById(req.params.id))
+}
+
+// POST /api/drones
+export const createDrone = (req, res) => {
+  const drone = droneService.createDrone(req.body)
+  res.status(201).json(drone)
+}
+
+// PATCH /api/drones/:id
+export const patchDrone = (req, res) => {
+  const drone = droneService.patchDrone(req.params.id, req.body)
+  res.json({
+    message: 'Dron actualizado correctamente',
+    drone
+  })
+}
+
+// DELETE /api/drones/:id
+export const deleteDrone = (req, res) => {
+  const drone = droneService.deleteDrone(req.params.id)
+  res.json({
+    message: 'Dron eliminado correctamente',
+    drone
+  })
+}
+
 // PUT /api/drones/:id
 export const updateDrone = (req, res) => {
-  try {
-    const { id } = req.params
-    const { available } = req.body
-
-    const updatedDrone = droneService.updateDroneStatus(id, available)
-    res.json({
-      message: 'Estado del dron actualizado correctamente',
-      drone: updatedDrone
-    })
-  } catch (error) {
-    res.status(400).json({ error: error.message })
-  }
+  const { id } = req.params
+  const { available } = req.body
+
+  const updatedDrone = droneService.updateDroneStatus(id, available)
+  res.json({
+    message: 'Estado del dron actualizado correctamente',
+    drone: updatedDrone
+  })
+}
+
+// GET /api/drones/:id/telemetry
+export const getTelemetry = (req, res) => {
+  res.json(telemetryService.getTelemetry(req.params.id, req.query))
+}
+
+// POST /api/drones/:id/telemetry
+export const recordTelemetry = (req, res) => {
+  const { sample, tracking, violations } = telemetryService.recordTelemetry(req.params.id, req.body)
+  res.status(201).json({
+    message: 'Telemetría registrada',
+    sample,
+    tracking,
+    violations
+  })
 }
@@ -0,0 +1,33 @@
+import { eventBus } from '../events/index.js'
+
+// Comentario periódico para que proxies y navegadores no cierren la conexión
+const HEARTBEAT_MS = 15000
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+}
+
+// GET /api/events (Server-Sent Events)
+export const streamEvents = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.write('retry: 3000\n\n')
+
+  // Al reconectar, el navegador envía el último id recibido y se le reenvía lo perdido
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId
+  if (lastEventId !== undefined) {
+    eventBus.getEventsSince(lastEventId).forEach((event) => writeEvent(res, event))
+  }
+
+  const unsubscribe = eventBus.subscribe((event) => writeEvent(res, event))
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+  heartbeat.unref?.()
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+}
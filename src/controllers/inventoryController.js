@@ -0,0 +1,30 @@
+import * as inventoryService from '../services/inventoryService.js'
+
+// GET /api/inventory
+export const getInventory = (req, res) => {
+  res.json(inventoryService.getInventory())
+}
+
+// GET /api/inventory/alerts
+export const getLowStockAlerts = (req, res) => {
+  res.json(inventoryService.getLowStockAlerts())
+}
+
+// GET /api/inventory/:id
+export const getIngredient = (req, res) => {
+  res.json(inventoryService.getIngredientById(req.params.id))
+}
+
+// POST /api/inventory
+export const createIngredient = (req, res) => {
+  res.status(201).json(inventoryService.createIngredient(req.body))
+}
+
+// POST /api/inventory/:id/restock
+export const restockIngredient = (req, res) => {
+  const ingredient = inventoryService.restockIngredient(req.params.id, req.body.quantity)
+  res.json({
+    message: `Stock de ${ingredient.name} actualizado`,
+    ingredient
+  })
+}
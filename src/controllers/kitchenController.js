@@ -0,0 +1,27 @@
+import * as kitchenService from '../services/kitchenService.js'
+import * as orderService from '../services/orderService.js'
+
+// GET /api/kitchen
+export const getKitchen = (req, res) => {
+  res.json(kitchenService.getKitchenView())
+}
+
+// POST /api/kitchen/orders/:id/start
+export const startOrder = (req, res) => {
+  const order = orderService.startPreparation(req.params.id, req.body?.stationId)
+  res.json({
+    message: `Orden ${order.id} en preparación en la estación ${order.kitchen.stationId}`,
+    order
+  })
+}
+
+// POST /api/kitchen/orders/:id/finish
+export const finishOrder = (req, res) => {
+  const order = orderService.finishPreparation(req.params.id)
+  res.json({
+    message: order.drone
+      ? `Orden ${order.id} lista y en camino con el dron ${order.drone}`
+      : `Orden ${order.id} lista para recoger, esperando un dron libre`,
+    order
+  })
+}
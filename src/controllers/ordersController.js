@@ -1,42 +1,87 @@
 import * as orderService from '../services/orderService.js'
+import { listOrders } from '../services/orderQueryService.js'
+import { getTimeline } from '../services/auditService.js'
+import { USER_ROLES, isStaff } from '../models/userModel.js'
+import { ORDER_PRIORITY } from '../models/orderModel.js'
+import { ForbiddenError } from '../utils/errors.js'
 
+// Un cliente sólo puede pedir a su nombre; el personal puede pedir para cualquiera
+const getBuyer = (req) => req.user.role === USER_ROLES.CUSTOMER
+  ? { customerId: req.user.customerId }
+  : { customer: req.body.customer, customerId: req.body.customerId }
+
+// POST /api/orders
+// Si faltan ingredientes, el error detalla en "details" cuánto falta de cada uno.
+// Sólo el personal puede adelantar una orden con prioridad express
 export const newOrder = (req, res) => {
-  try {
-    const { customer, flavor } = req.body
-    const order = orderService.createOrder(customer, flavor)
-    res.status(201).json(order)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
+  const { addressId, flavor, size, items, priority, deliveryAddress, discountCode, scheduledFor } = req.body
+  if (priority === ORDER_PRIORITY.EXPRESS && req.user.role === USER_ROLES.CUSTOMER) {
+    throw new ForbiddenError('Sólo el personal puede pedir envío express')
   }
+  const order = orderService.createOrder({ ...getBuyer(req), addressId, flavor, size, items, priority, deliveryAddress, discountCode, scheduledFor })
+  res.status(201).json(order)
+}
+
+// POST /api/orders/quote
+export const quoteOrder = (req, res) => {
+  const { addressId, flavor, size, items, deliveryAddress, discountCode, scheduledFor } = req.body
+  const { customerId } = getBuyer(req)
+  res.json(orderService.quoteOrder({ customerId, addressId, flavor, size, items, deliveryAddress, discountCode, scheduledFor }))
 }
 
+// GET /api/orders con filtros y paginación (los clientes sólo ven las suyas)
 export const getOrders = (req, res) => {
-  res.json(orderService.getAllOrders())
+  const filters = isStaff(req.user) ? req.query : { ...req.query, customerId: req.user.customerId }
+  res.json(listOrders(filters))
+}
+
+export const getOrderTransitions = (req, res) => {
+  const { id } = req.params
+  const order = orderService.getOrderById(id)
+  res.json({
+    orderId: order.id,
+    status: order.status,
+    transitions: orderService.getOrderTransitions(order.id)
+  })
+}
+
+// GET /api/orders/:id/timeline: historial de cambios de estado de la orden
+export const getOrderTimeline = (req, res) => {
+  const order = orderService.getOrderById(req.params.id)
+  res.json({
+    orderId: order.id,
+    status: order.status,
+    events: getTimeline('order', order.id)
+  })
 }
 
 export const updateOrderStatus = (req, res) => {
-  try {
-    const { id } = req.params
-    const { status } = req.body
-    const order = orderService.updateOrderStatus(Number(id), status)
-    res.json({
-      message: 'Estado de la orden actualizado correctamente',
-      order
-    })
-  } catch (error) {
-    res.status(400).json({ error: error.message })
-  }
+  const { id } = req.params
+  const { status } = req.body
+  const order = orderService.updateOrderStatus(id, status)
+  res.json({
+    message: 'Estado de la orden actualizado correctamente',
+    order
+  })
 }
 
 export const completeOrder = (req, res) => {
-  try {
-    const { id } = req.params
-    const order = orderService.completeOrder(Number(id))
-    res.json({
-      message: 'Orden marcada como entregada',
-      order
-    })
-  } catch (error) {
-    res.status(400).json({ error: error.message })
-  }
+  const { id } = req.params
+  const order = orderService.completeOrder(id)
+  res.json({
+    message: 'Orden marcada como entregada',
+    order
+  })
+}
+
+export const cancelOrder = (req, res) => {
+  const { id } = req.params
+  const { reason } = req.body
+  const order = orderService.cancelOrder(id, reason)
+  res.json({
+    message: order.recall
+      ? 'Orden cancelada, el dron regresa a la base'
+      : 'Orden cancelada correctamente',
+    order
+  })
 }
@@ -0,0 +1,35 @@
+import * as productService from '../services/productService.js'
+
+// GET /api/products
+export const getProducts = (req, res) => {
+  res.json(productService.getAllProducts({ available: req.query.available === true }))
+}
+
+// GET /api/products/:id
+export const getProduct = (req, res) => {
+  res.json(productService.getProductById(req.params.id))
+}
+
+// POST /api/products
+export const createProduct = (req, res) => {
+  const product = productService.createProduct(req.body)
+  res.status(201).json(product)
+}
+
+// PATCH /api/products/:id
+export const patchProduct = (req, res) => {
+  const product = productService.patchProduct(req.params.id, req.body)
+  res.json({
+    message: 'Producto actualizado correctamente',
+    product
+  })
+}
+
+// DELETE /api/products/:id
+export const deleteProduct = (req, res) => {
+  const product = productService.deleteProduct(req.params.id)
+  res.json({
+    message: 'Producto eliminado correctamente',
+    product
+  })
+}
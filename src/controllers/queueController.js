@@ -0,0 +1,11 @@
+import * as queueService from '../services/queueService.js'
+
+// GET /api/queue
+export const getQueue = (req, res) => {
+  const entries = queueService.getQueue()
+  res.json({
+    length: entries.length,
+    policy: 'express primero, luego por orden de llegada',
+    orders: entries
+  })
+}
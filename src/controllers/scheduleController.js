@@ -0,0 +1,6 @@
+import * as scheduleService from '../services/scheduleService.js'
+
+// GET /api/schedule/slots?date=YYYY-MM-DD
+export const getSlots = (req, res) => {
+  res.json(scheduleService.getAvailableSlots(req.query.date))
+}
@@ -0,0 +1,57 @@
+import * as simulationService from '../services/simulationService.js'
+
+// GET /api/simulation
+export const getSimulation = (req, res) => {
+  res.json(simulationService.getSimulationState())
+}
+
+// POST /api/simulation/pause
+export const pauseSimulation = (req, res) => {
+  res.json({
+    message: 'Simulación en pausa',
+    simulation: simulationService.pauseSimulation()
+  })
+}
+
+// POST /api/simulation/resume
+export const resumeSimulation = (req, res) => {
+  res.json({
+    message: 'Simulación reanudada',
+    simulation: simulationService.resumeSimulation()
+  })
+}
+
+// POST /api/simulation/speed
+export const setSpeed = (req, res) => {
+  const { speed } = req.body
+  res.json({
+    message: `Velocidad de simulación: x${speed}`,
+    simulation: simulationService.setSimulationSpeed(speed)
+  })
+}
+
+// POST /api/simulation/mode
+export const setMode = (req, res) => {
+  const { mode } = req.body
+  res.json({
+    message: `Modo de simulación: ${mode}`,
+    simulation: simulationService.setSimulationMode(mode)
+  })
+}
+
+// POST /api/simulation/advance
+export const advance = (req, res) => {
+  const { ms } = req.body
+  res.json({
+    message: `Reloj de simulación avanzado ${ms} ms`,
+    simulation: simulationService.advanceSimulation(ms)
+  })
+}
+
+// PUT /api/simulation/durations
+export const setDurations = (req, res) => {
+  res.json({
+    message: 'Duraciones de simulación actualizadas',
+    simulation: simulationService.setStageDurations(req.body)
+  })
+}
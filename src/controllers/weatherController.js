@@ -0,0 +1,15 @@
+import * as weatherService from '../services/weatherService.js'
+
+// GET /api/weather
+export const getWeather = (req, res) => {
+  res.json(weatherService.getWeatherStatus())
+}
+
+// POST /api/weather/refresh: consulta al proveedor sin esperar a la siguiente lectura
+export const refreshWeather = async (req, res, next) => {
+  try {
+    res.json(await weatherService.refreshWeather())
+  } catch (error) {
+    next(error)
+  }
+}
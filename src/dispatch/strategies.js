@@ -0,0 +1,73 @@
+import { haversineKm } from '../utils/geo.js'
+
+// Cada estrategia ordena los drones candidatos del mejor al peor y explica
+// el motivo de cada puntuación. Los empates se resuelven por id de dron.
+const byScore = (direction) => (a, b) => direction * (a.score - b.score) || a.drone.id - b.drone.id
+
+const sameDay = (isoDate, now) => isoDate && isoDate.slice(0, 10) === new Date(now).toISOString().slice(0, 10)
+
+const roundRobin = {
+  name: 'round-robin',
+  description: 'Rota las asignaciones entre los drones por orden de id',
+  rank: (candidates, { orders }) => {
+    const lastDecision = orders
+      .filter((o) => o.dispatch)
+      .map((o) => o.dispatch)
+      .sort((a, b) => b.sequence - a.sequence)[0]
+    const lastDroneId = lastDecision ? lastDecision.droneId : 0
+    const maxId = Math.max(lastDroneId, ...candidates.map((drone) => drone.id))
+
+    // Distancia en la rotación desde el último dron asignado: al pasar del
+    // último id se vuelve a empezar por el primero
+    return candidates
+      .map((drone) => ({
+        drone,
+        score: (drone.id - lastDroneId + maxId) % maxId || maxId,
+        reason: lastDecision
+          ? `Siguiente en la rotación después del dron ${lastDroneId}`
+          : 'Primer dron de la rotación'
+      }))
+      .sort(byScore(1))
+  }
+}
+
+const leastFlightsToday = {
+  name: 'least-flights-today',
+  description: 'Elige el dron con menos vuelos asignados hoy',
+  rank: (candidates, { orders, now }) => candidates
+    .map((drone) => {
+      const flights = orders.filter((o) => o.droneId === drone.id && sameDay(o.dispatch?.decidedAt ?? o.createdAt, now)).length
+      return { drone, score: flights, reason: `${flights} vuelo(s) hoy` }
+    })
+    .sort(byScore(1))
+}
+
+// Los drones sin posición conocida se consideran en su base
+const nearestToPickup = {
+  name: 'nearest-to-pickup',
+  description: 'Elige el dron más cercano al punto de recogida',
+  rank: (candidates, { pickup }) => candidates
+    .map((drone) => {
+      const location = drone.position ?? drone.homeBase
+      const distance = pickup && location ? haversineKm(location, pickup) : 0
+      return { drone, score: distance, reason: `A ${distance.toFixed(2)} km del punto de recogida` }
+    })
+    .sort(byScore(1))
+}
+
+const highestBattery = {
+  name: 'highest-battery',
+  description: 'Elige el dron con más batería',
+  rank: (candidates) => candidates
+    .map((drone) => {
+      const battery = drone.battery ?? 100
+      return { drone, score: battery, reason: `Batería al ${battery}%` }
+    })
+    .sort(byScore(-1))
+}
+
+export const DISPATCH_STRATEGIES = Object.fromEntries(
+  [roundRobin, leastFlightsToday, nearestToPickup, highestBattery].map((strategy) => [strategy.name, strategy])
+)
+
+export const DEFAULT_STRATEGY = roundRobin.name
@@ -0,0 +1,43 @@
+import { EventEmitter } from 'events'
+
+// Cuántos eventos recientes se guardan para reenviarlos a un cliente que se reconecta
+export const DEFAULT_HISTORY_SIZE = 200
+
+// Bus de eventos del dominio. Cada evento lleva un id creciente para que los
+// clientes de streaming puedan retomar desde el último que recibieron
+export const createEventBus = ({ historySize = DEFAULT_HISTORY_SIZE, now = () => new Date().toISOString() } = {}) => {
+  const emitter = new EventEmitter()
+  emitter.setMaxListeners(0)
+
+  let history = []
+  let lastId = 0
+
+  const publish = (type, data) => {
+    const event = { id: ++lastId, type, at: now(), data }
+
+    history.push(event)
+    if (history.length > historySize) history = history.slice(-historySize)
+
+    emitter.emit('event', event)
+    return event
+  }
+
+  // Devuelve la función para darse de baja
+  const subscribe = (listener) => {
+    emitter.on('event', listener)
+    return () => emitter.off('event', listener)
+  }
+
+  const getEventsSince = (id) => history.filter((event) => event.id > Number(id))
+
+  const getLastId = () => lastId
+
+  const listenerCount = () => emitter.listenerCount('event')
+
+  const reset = () => {
+    history = []
+    lastId = 0
+  }
+
+  return { publish, subscribe, getEventsSince, getLastId, listenerCount, reset }
+}
@@ -0,0 +1,33 @@
+import { createEventBus } from './eventBus.js'
+import { airspaceRepository, customerRepository, droneRepository, ingredientRepository, orderRepository, productRepository } from '../utils/dataStore.js'
+import { simulation } from '../simulation/index.js'
+import { trackChanges } from '../services/auditService.js'
+
+// Tipos de evento que publica el backend:
+//   order.created | order.updated | order.deleted | order.status_changed
+//   drone.created | drone.updated | drone.deleted | drone.geofence_violation
+//   product.created | product.updated | product.deleted
+//   ingredient.created | ingredient.updated | inventory.low_stock
+//   customer.created | customer.updated | customer.deleted
+//   zone.created | zone.updated | zone.deleted
+//   simulation.updated | weather.updated
+export const eventBus = createEventBus({ now: () => simulation.timestamp() })
+
+export const publish = (type, data) => eventBus.publish(type, data)
+
+// Todo cambio persistido en órdenes, drones, productos, inventario, clientes y
+// zonas del espacio aéreo se difunde como <entidad>.<cambio>
+const forwardChanges = (repository, entity) => repository.onChange(({ type, doc }) => {
+  publish(`${entity}.${type}`, doc)
+})
+
+forwardChanges(orderRepository, 'order')
+forwardChanges(droneRepository, 'drone')
+forwardChanges(productRepository, 'product')
+forwardChanges(ingredientRepository, 'ingredient')
+forwardChanges(customerRepository, 'customer')
+forwardChanges(airspaceRepository, 'zone')
+
+// Los cambios de estado de órdenes y drones quedan además en la auditoría
+trackChanges(orderRepository, 'order')
+trackChanges(droneRepository, 'drone')
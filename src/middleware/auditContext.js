@@ -0,0 +1,10 @@
+import { runWithAuditContext } from '../utils/auditContext.js'
+import { AUDIT_SOURCES, AUDIT_SOURCE_HEADER, DASHBOARD_CLIENT } from '../models/auditModel.js'
+
+// Abre el contexto de auditoría de cada petición: las del panel cuentan como
+// acciones manuales y el resto como llamadas a la API. El autor lo añade
+// authenticate cuando valida la sesión
+export const auditContext = (req, res, next) => {
+  const source = req.get(AUDIT_SOURCE_HEADER) === DASHBOARD_CLIENT ? AUDIT_SOURCES.MANUAL : AUDIT_SOURCES.API
+  runWithAuditContext({ source }, next)
+}
@@ -0,0 +1,55 @@
+import * as authService from '../services/authService.js'
+import { getOrderById } from '../services/orderService.js'
+import { ForbiddenError } from '../utils/errors.js'
+import { setAuditActor } from '../utils/auditContext.js'
+import { USER_ROLES } from '../models/userModel.js'
+
+// El token llega en "Authorization: Bearer <token>"
+export const getRequestToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ')
+  return scheme === 'Bearer' && token ? token : null
+}
+
+// Cualquier usuario con sesión válida; deja el usuario en req.user y lo
+// apunta como autor de los cambios que haga la petición
+export const authenticate = (req, res, next) => {
+  if (req.user) return next()
+  req.user = authService.authenticate(getRequestToken(req))
+  setAuditActor(req.user)
+  next()
+}
+
+// EventSource no permite cabeceras, así que el flujo de eventos también acepta
+// el token en ?access_token=. Sólo para esa ruta: en las demás se filtraría en
+// los registros de acceso y el historial del navegador
+export const authenticateQueryToken = (req, res, next) => {
+  if (req.user || getRequestToken(req) || !req.query.access_token) return next()
+  req.user = authService.authenticate(req.query.access_token)
+  setAuditActor(req.user)
+  next()
+}
+
+const hasRole = (user, roles) => user.role === USER_ROLES.ADMIN || roles.includes(user.role)
+
+// Los middlewares de permisos guardan sus roles para la especificación OpenAPI
+const withRoles = (check, roles, owner = false) => Object.assign(check, { roles, owner })
+
+// Sólo los roles indicados; el administrador siempre tiene permiso
+export const authorize = (...roles) => [authenticate, withRoles((req, res, next) => {
+  next(hasRole(req.user, roles) ? undefined : new ForbiddenError())
+}, roles)]
+
+// Los roles indicados o el cliente dueño del recurso
+const authorizeOwner = (getCustomerId) => (...roles) => [authenticate, withRoles((req, res, next) => {
+  if (hasRole(req.user, roles)) return next()
+  if (req.user.role !== USER_ROLES.CUSTOMER || getCustomerId(req) !== req.user.customerId) {
+    throw new ForbiddenError()
+  }
+  next()
+}, roles, true)]
+
+// Rutas /api/customers/:id
+export const authorizeCustomer = authorizeOwner((req) => req.params.id)
+
+// Rutas /api/orders/:id
+export const authorizeOrder = authorizeOwner((req) => getOrderById(req.params.id).customerId)
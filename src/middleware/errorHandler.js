@@ -0,0 +1,29 @@
+import { AppError, NotFoundError } from '../utils/errors.js'
+
+const sendError = (res, status, { code, message, details = [] }) =>
+  res.status(status).json({ error: { code, message, details } })
+
+// Rutas de la API que no existen
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Ruta no encontrada: ${req.method} ${req.originalUrl}`))
+}
+
+// Convierte cualquier error en { error: { code, message, details } }
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error)
+
+  if (error instanceof AppError) {
+    return sendError(res, error.status, error)
+  }
+
+  // JSON mal formado u otros errores de express.json
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, { code: 'INVALID_JSON', message: 'El cuerpo de la petición no es JSON válido' })
+  }
+  if (error.expose && error.status < 500) {
+    return sendError(res, error.status, { code: 'BAD_REQUEST', message: error.message })
+  }
+
+  console.error('Error no controlado:', error)
+  sendError(res, 500, { code: 'INTERNAL_ERROR', message: 'Error interno del servidor' })
+}
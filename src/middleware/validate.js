@@ -0,0 +1,24 @@
+import { RequestValidationError } from '../utils/errors.js'
+import { coerceProperties, validateValue } from '../utils/schemaValidator.js'
+
+const SOURCES = ['params', 'query', 'body']
+
+// Valida params, query y body contra los esquemas de la ruta. Los params y la
+// query se dejan convertidos a su tipo (p. ej. :id como entero). Los esquemas
+// quedan en el middleware para generar la especificación OpenAPI
+export const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const details = []
+
+    SOURCES.filter((source) => schemas[source]).forEach((source) => {
+      const schema = schemas[source]
+      const value = source === 'body' ? (req.body ?? {}) : coerceProperties(schema, req[source])
+      validateValue(schema, value, source, details)
+      if (source !== 'body') req[source] = value
+    })
+
+    next(details.length > 0 ? new RequestValidationError(details) : undefined)
+  }
+  middleware.schemas = schemas
+  return middleware
+}
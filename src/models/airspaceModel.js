@@ -0,0 +1,104 @@
+import { ValidationError } from '../utils/errors.js'
+
+// Tipos de zona restringida; sólo sirven para clasificarlas y mostrarlas
+export const ZONE_CATEGORIES = {
+  AIRPORT: 'aeropuerto',
+  HOSPITAL: 'hospital',
+  STADIUM: 'estadio',
+  OTHER: 'otro'
+}
+
+// Una zona sin altitud máxima (maxAltitudeM null) prohíbe volar a cualquier
+// altura; con ella sólo se puede cruzar por debajo de ese límite
+export const isNoFlyZone = (zone) => zone.maxAltitudeM === null
+
+// Las zonas se guardan con su polígono GeoJSON ([lng, lat] y el anillo
+// cerrado); para los cálculos se usa el anillo exterior como [{ lat, lng }]
+export const toRing = (geometry) => geometry.coordinates[0].slice(0, -1).map(([lng, lat]) => ({ lat, lng }))
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+const isPosition = (value) => Array.isArray(value) && value.length >= 2 &&
+  typeof value[0] === 'number' && Math.abs(value[0]) <= 180 &&
+  typeof value[1] === 'number' && Math.abs(value[1]) <= 90
+
+// Admite anillos sin cerrar y los cierra; los huecos interiores se descartan
+const validateGeometry = (geometry) => {
+  if (typeof geometry !== 'object' || geometry === null || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates)) {
+    throw new ValidationError('La geometría de la zona debe ser un polígono GeoJSON ({ type: "Polygon", coordinates })')
+  }
+
+  const [outer] = geometry.coordinates
+  if (!Array.isArray(outer) || !outer.every(isPosition)) {
+    throw new ValidationError('Cada vértice de la zona debe ser [lng, lat] con lng entre -180 y 180 y lat entre -90 y 90')
+  }
+
+  const positions = outer.map(([lng, lat]) => [lng, lat])
+  const [first, last] = [positions[0], positions.at(-1)]
+  if (positions.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) positions.push([...first])
+  if (positions.length < 4) {
+    throw new ValidationError('El polígono de la zona necesita al menos tres vértices distintos')
+  }
+
+  return { type: 'Polygon', coordinates: [positions] }
+}
+
+// Valida los campos editables presentes en "data" y devuelve sólo esos, normalizados
+export const validateZoneFields = (data) => {
+  const fields = {}
+
+  if ('name' in data) {
+    if (!isNonEmptyString(data.name)) throw new ValidationError('El nombre de la zona es obligatorio')
+    fields.name = data.name.trim()
+  }
+  if ('category' in data) {
+    const categories = Object.values(ZONE_CATEGORIES)
+    if (!categories.includes(data.category)) {
+      throw new ValidationError(`Tipo de zona desconocido: ${data.category}. Disponibles: ${categories.join(', ')}`)
+    }
+    fields.category = data.category
+  }
+  if ('geometry' in data) {
+    fields.geometry = validateGeometry(data.geometry)
+  }
+  if ('maxAltitudeM' in data) {
+    if (data.maxAltitudeM !== null && (typeof data.maxAltitudeM !== 'number' || !Number.isFinite(data.maxAltitudeM) || data.maxAltitudeM < 0)) {
+      throw new ValidationError('La altitud máxima debe ser un número de metros mayor o igual que 0, o null para prohibir el vuelo')
+    }
+    fields.maxAltitudeM = data.maxAltitudeM
+  }
+  if ('active' in data) {
+    if (typeof data.active !== 'boolean') throw new ValidationError('"active" debe ser true o false')
+    fields.active = data.active
+  }
+
+  return fields
+}
+
+export const buildZone = (data) => {
+  if (!('name' in data)) throw new ValidationError('El nombre de la zona es obligatorio')
+  if (!('geometry' in data)) throw new ValidationError('La geometría de la zona es obligatoria')
+
+  const fields = validateZoneFields(data)
+  return {
+    name: fields.name,
+    category: fields.category ?? ZONE_CATEGORIES.OTHER,
+    geometry: fields.geometry,
+    maxAltitudeM: fields.maxAltitudeM ?? null,
+    active: fields.active ?? true
+  }
+}
+
+// Una "Feature" GeoJSON lleva los datos de la zona en "properties"
+export const featureToZoneData = (feature) => {
+  if (typeof feature !== 'object' || feature === null || feature.type !== 'Feature') {
+    throw new ValidationError('Cada elemento debe ser una Feature GeoJSON')
+  }
+  const { name, category, maxAltitudeM, active } = feature.properties ?? {}
+  return {
+    name,
+    geometry: feature.geometry,
+    ...(category !== undefined && { category }),
+    ...(maxAltitudeM !== undefined && { maxAltitudeM }),
+    ...(active !== undefined && { active })
+  }
+}
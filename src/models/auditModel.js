@@ -0,0 +1,29 @@
+// Origen de un cambio registrado en la auditoría:
+//   api     -> una petición a la API de un cliente externo
+//   manual  -> una acción del personal desde el panel
+//   timer   -> un evento automático de la simulación (fin de etapa, carga...)
+//   system  -> el propio servidor fuera de una petición (arranque, tareas internas)
+export const AUDIT_SOURCES = {
+  API: 'api',
+  MANUAL: 'manual',
+  TIMER: 'timer',
+  SYSTEM: 'system'
+}
+
+// Cabecera con la que el panel marca sus peticiones como acciones manuales
+export const AUDIT_SOURCE_HEADER = 'X-DronCakes-Client'
+export const DASHBOARD_CLIENT = 'panel'
+
+// Campos de estado que se auditan en cada entidad; el resto de cambios
+// (batería, ETA, textos...) no generan eventos
+export const AUDITED_FIELDS = {
+  order: ['status', 'droneId'],
+  drone: ['status', 'available']
+}
+
+export const AUDIT_ENTITIES = Object.keys(AUDITED_FIELDS)
+
+export const AUDIT_ACTIONS = ['created', 'updated', 'deleted']
+
+export const AUDIT_PAGE_SIZE = 50
+export const MAX_AUDIT_PAGE_SIZE = 200
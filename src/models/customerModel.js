@@ -0,0 +1,72 @@
+import { ValidationError } from '../utils/errors.js'
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+// Dígitos con separadores opcionales y prefijo internacional, p. ej. "+57 300 123 4567"
+const PHONE_PATTERN = /^\+?[\d\s-]{7,20}$/
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+
+const validatePreferences = (preferences) => {
+  if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
+    throw new ValidationError('Las preferencias deben ser un objeto')
+  }
+
+  const normalized = {}
+  if ('favoriteFlavor' in preferences) {
+    if (preferences.favoriteFlavor !== null && !isNonEmptyString(preferences.favoriteFlavor)) {
+      throw new ValidationError('El sabor favorito debe ser texto o null')
+    }
+    normalized.favoriteFlavor = preferences.favoriteFlavor && preferences.favoriteFlavor.trim()
+  }
+  if ('express' in preferences) {
+    if (typeof preferences.express !== 'boolean') throw new ValidationError('"express" debe ser true o false')
+    normalized.express = preferences.express
+  }
+  if ('notes' in preferences) {
+    if (typeof preferences.notes !== 'string') throw new ValidationError('Las notas deben ser texto')
+    normalized.notes = preferences.notes.trim()
+  }
+  return normalized
+}
+
+// Valida los campos editables presentes en "data" y devuelve sólo esos, normalizados.
+// Las direcciones se validan aparte porque dependen del radio de entrega
+export const validateCustomerFields = (data) => {
+  const fields = {}
+
+  if ('name' in data) {
+    if (!isNonEmptyString(data.name)) throw new ValidationError('El nombre del cliente es obligatorio')
+    fields.name = data.name.trim()
+  }
+  if ('email' in data) {
+    if (data.email !== null && (typeof data.email !== 'string' || !EMAIL_PATTERN.test(data.email.trim()))) {
+      throw new ValidationError('El email no es válido')
+    }
+    fields.email = data.email && data.email.trim().toLowerCase()
+  }
+  if ('phone' in data) {
+    if (data.phone !== null && (typeof data.phone !== 'string' || !PHONE_PATTERN.test(data.phone.trim()))) {
+      throw new ValidationError('El teléfono no es válido')
+    }
+    fields.phone = data.phone && data.phone.trim()
+  }
+  if ('preferences' in data) {
+    fields.preferences = validatePreferences(data.preferences)
+  }
+
+  return fields
+}
+
+export const buildCustomer = (data) => {
+  if (!('name' in data)) throw new ValidationError('El nombre del cliente es obligatorio')
+
+  const fields = validateCustomerFields(data)
+
+  return {
+    name: fields.name,
+    email: fields.email ?? null,
+    phone: fields.phone ?? null,
+    addresses: [],
+    preferences: fields.preferences ?? {}
+  }
+}
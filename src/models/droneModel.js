@@ -0,0 +1,128 @@
+import { ValidationError } from '../utils/errors.js'
+import { getBakeryBase } from '../utils/config.js'
+
+// Estados operativos de un dron
+export const DRONE_STATUS = {
+  IDLE: 'idle',
+  ASSIGNED: 'assigned',
+  FLYING: 'flying',
+  CHARGING: 'charging',
+  MAINTENANCE: 'maintenance',
+  RETIRED: 'retired'
+}
+
+// Estados que el personal puede fijar a mano; "assigned" y "flying"
+// sólo los pone el ciclo de vida de las órdenes
+export const MANUAL_DRONE_STATUSES = [
+  DRONE_STATUS.IDLE,
+  DRONE_STATUS.CHARGING,
+  DRONE_STATUS.MAINTENANCE,
+  DRONE_STATUS.RETIRED
+]
+
+// Modelos de la flota con sus especificaciones por defecto. weatherLimits son
+// las condiciones en las que el fabricante permite volar (WEATHER_LIMITS las ajusta)
+export const DRONE_MODELS = {
+  'quad-ligero': {
+    maxPayloadGrams: 2500,
+    maxRangeKm: 8,
+    cruiseSpeedKmh: 45,
+    weatherLimits: { maxWindKmh: 30, maxPrecipitationMmH: 1, minVisibilityKm: 1.5 }
+  },
+  'quad-estandar': {
+    maxPayloadGrams: 4000,
+    maxRangeKm: 12,
+    cruiseSpeedKmh: 50,
+    weatherLimits: { maxWindKmh: 40, maxPrecipitationMmH: 2.5, minVisibilityKm: 1 }
+  },
+  'hexa-carga': {
+    maxPayloadGrams: 8000,
+    maxRangeKm: 15,
+    cruiseSpeedKmh: 40,
+    weatherLimits: { maxWindKmh: 50, maxPrecipitationMmH: 5, minVisibilityKm: 1 }
+  }
+}
+
+// "available" se mantiene por compatibilidad con la API original y siempre
+// se deriva del estado
+export const withStatus = (status) => ({ status, available: status === DRONE_STATUS.IDLE })
+
+export const isValidDroneStatus = (status) => Object.values(DRONE_STATUS).includes(status)
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+const isCoordinate = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit
+
+const validateHomeBase = (homeBase) => {
+  if (typeof homeBase !== 'object' || homeBase === null ||
+    !isNonEmptyString(homeBase.name) || !isCoordinate(homeBase.lat, 90) || !isCoordinate(homeBase.lng, 180)) {
+    throw new ValidationError('La base debe tener nombre, lat (-90 a 90) y lng (-180 a 180)')
+  }
+  return { name: homeBase.name.trim(), lat: homeBase.lat, lng: homeBase.lng }
+}
+
+// Valida los campos editables presentes en "data" y devuelve sólo esos, normalizados
+export const validateDroneFields = (data) => {
+  const fields = {}
+
+  if ('name' in data) {
+    if (!isNonEmptyString(data.name)) throw new ValidationError('El nombre del dron es obligatorio')
+    fields.name = data.name.trim()
+  }
+  if ('serial' in data) {
+    if (!isNonEmptyString(data.serial)) throw new ValidationError('El número de serie es obligatorio')
+    fields.serial = data.serial.trim().toUpperCase()
+  }
+  if ('model' in data) {
+    if (!(data.model in DRONE_MODELS)) {
+      throw new ValidationError(`Modelo de dron desconocido: ${data.model}. Disponibles: ${Object.keys(DRONE_MODELS).join(', ')}`)
+    }
+    fields.model = data.model
+  }
+  if ('maxPayloadGrams' in data) {
+    if (!isPositiveNumber(data.maxPayloadGrams)) throw new ValidationError('La carga máxima debe ser un número positivo de gramos')
+    fields.maxPayloadGrams = data.maxPayloadGrams
+  }
+  if ('maxRangeKm' in data) {
+    if (!isPositiveNumber(data.maxRangeKm)) throw new ValidationError('El alcance máximo debe ser un número positivo de km')
+    fields.maxRangeKm = data.maxRangeKm
+  }
+  if ('homeBase' in data) {
+    fields.homeBase = validateHomeBase(data.homeBase)
+  }
+  if ('battery' in data) {
+    if (typeof data.battery !== 'number' || data.battery < 0 || data.battery > 100) {
+      throw new ValidationError('La batería debe ser un porcentaje entre 0 y 100')
+    }
+    fields.battery = data.battery
+  }
+  if ('status' in data) {
+    if (!MANUAL_DRONE_STATUSES.includes(data.status)) {
+      throw new ValidationError(`Estado de dron no permitido: ${data.status}. Permitidos: ${MANUAL_DRONE_STATUSES.join(', ')}`)
+    }
+    Object.assign(fields, withStatus(data.status))
+  }
+
+  return fields
+}
+
+// Construye un dron nuevo completando las especificaciones con las del modelo
+export const buildDrone = (data) => {
+  if (!('name' in data)) throw new ValidationError('El nombre del dron es obligatorio')
+  if (!('serial' in data)) throw new ValidationError('El número de serie es obligatorio')
+  if (!('model' in data)) throw new ValidationError('El modelo del dron es obligatorio')
+
+  const fields = validateDroneFields(data)
+  const specs = DRONE_MODELS[fields.model]
+
+  return {
+    name: fields.name,
+    serial: fields.serial,
+    model: fields.model,
+    maxPayloadGrams: fields.maxPayloadGrams ?? specs.maxPayloadGrams,
+    maxRangeKm: fields.maxRangeKm ?? specs.maxRangeKm,
+    homeBase: fields.homeBase ?? getBakeryBase(),
+    battery: fields.battery ?? 100,
+    ...withStatus(fields.status ?? DRONE_STATUS.IDLE)
+  }
+}
@@ -0,0 +1,56 @@
+import { ValidationError } from '../utils/errors.js'
+
+export const INGREDIENT_UNITS = ['g', 'ml', 'unidad']
+
+// Estado de los ingredientes reservados por una orden
+export const RESERVATION_STATUS = {
+  RESERVED: 'reservado',
+  CONSUMED: 'descontado',
+  RELEASED: 'liberado'
+}
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+// Lo que queda libre para nuevas órdenes: el stock menos lo ya reservado
+export const getAvailableQuantity = (ingredient) => ingredient.stock - (ingredient.reserved ?? 0)
+
+export const isLowStock = (ingredient) => getAvailableQuantity(ingredient) <= ingredient.lowStockThreshold
+
+export const buildIngredient = (data) => {
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    throw new ValidationError('El nombre del ingrediente es obligatorio')
+  }
+  if (!INGREDIENT_UNITS.includes(data.unit)) {
+    throw new ValidationError(`Unidad inválida: ${data.unit}. Permitidas: ${INGREDIENT_UNITS.join(', ')}`)
+  }
+  if (!isNonNegativeNumber(data.stock ?? 0)) {
+    throw new ValidationError('El stock debe ser un número no negativo')
+  }
+  if (!isNonNegativeNumber(data.lowStockThreshold ?? 0)) {
+    throw new ValidationError('El umbral de stock bajo debe ser un número no negativo')
+  }
+
+  return {
+    name: data.name.trim(),
+    unit: data.unit,
+    stock: data.stock ?? 0,
+    reserved: 0,
+    lowStockThreshold: data.lowStockThreshold ?? 0
+  }
+}
+
+export const validateRecipe = (recipe) => {
+  if (!Array.isArray(recipe)) {
+    throw new ValidationError('La receta debe ser una lista de { ingredientId, quantity }')
+  }
+
+  return recipe.map((entry) => {
+    if (typeof entry !== 'object' || entry === null || !Number.isInteger(entry.ingredientId)) {
+      throw new ValidationError('Cada ingrediente de la receta necesita un ingredientId entero')
+    }
+    if (!isNonNegativeNumber(entry.quantity) || entry.quantity === 0) {
+      throw new ValidationError(`La cantidad del ingrediente ${entry.ingredientId} debe ser un número positivo`)
+    }
+    return { ingredientId: entry.ingredientId, quantity: entry.quantity }
+  })
+}
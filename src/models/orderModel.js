@@ -0,0 +1,79 @@
+// Estados del ciclo de vida de una orden
+export const ORDER_STATUS = {
+  SCHEDULED: 'programado',
+  PENDING: 'pendiente',
+  PREPARING: 'preparando',
+  READY: 'listo',
+  IN_FLIGHT: 'en vuelo',
+  DELIVERED: 'entregado',
+  CANCELLED: 'cancelado',
+  FAILED: 'fallido'
+}
+
+// Transiciones permitidas desde cada estado.
+// "preparando" puede pasar directo a "en vuelo" si el personal despacha el pastel
+// en cuanto lo termina, sin marcarlo antes como listo.
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.SCHEDULED]: [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY, ORDER_STATUS.IN_FLIGHT, ORDER_STATUS.CANCELLED, ORDER_STATUS.FAILED],
+  [ORDER_STATUS.READY]: [ORDER_STATUS.IN_FLIGHT, ORDER_STATUS.CANCELLED, ORDER_STATUS.FAILED],
+  [ORDER_STATUS.IN_FLIGHT]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED, ORDER_STATUS.FAILED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.FAILED]: []
+}
+
+export const isValidStatus = (status) => Object.values(ORDER_STATUS).includes(status)
+
+export const getNextStatuses = (status) => ORDER_TRANSITIONS[status] || []
+
+export const canTransition = (from, to) => getNextStatuses(from).includes(to)
+
+export const isFinalStatus = (status) => isValidStatus(status) && getNextStatuses(status).length === 0
+
+// Motivos por los que una orden lista se queda en cola con el motivo en "hold"
+export const HOLD_REASONS = {
+  AIRSPACE: 'airspace',
+  WEATHER: 'weather'
+}
+
+// Una orden ocupa su dron mientras está activa o mientras el dron regresa a la base
+export const isOccupyingDrone = (order) => Boolean(order.droneId) &&
+  (!isFinalStatus(order.status) || order.recall?.status === 'regresando')
+
+// Política de cancelación por estado: porcentaje reembolsado y si el dron
+// debe regresar a la base antes de quedar libre
+export const CANCELLATION_POLICY = {
+  [ORDER_STATUS.SCHEDULED]: { refundRate: 1, recallDrone: false },
+  [ORDER_STATUS.PENDING]: { refundRate: 1, recallDrone: false },
+  [ORDER_STATUS.PREPARING]: { refundRate: 1, recallDrone: false },
+  [ORDER_STATUS.READY]: { refundRate: 1, recallDrone: false },
+  [ORDER_STATUS.IN_FLIGHT]: { refundRate: 0.5, recallDrone: true }
+}
+
+export const REFUND_STATUS = {
+  PENDING: 'pendiente',
+  NOT_APPLICABLE: 'no aplica'
+}
+
+export const getCancellationPolicy = (status) => CANCELLATION_POLICY[status]
+
+// Prioridades de la cola de espera: las órdenes express pasan primero
+export const ORDER_PRIORITY = {
+  EXPRESS: 'express',
+  NORMAL: 'normal'
+}
+
+export const isValidPriority = (priority) => Object.values(ORDER_PRIORITY).includes(priority)
+
+// Listado de órdenes: en curso ("active") o ya cerradas ("history")
+export const ORDER_SCOPES = {
+  active: (order) => !isFinalStatus(order.status),
+  history: (order) => isFinalStatus(order.status)
+}
+
+// Campos por los que se puede ordenar el listado y tamaño de página
+export const ORDER_SORT_FIELDS = ['createdAt', 'deliveredAt']
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 100
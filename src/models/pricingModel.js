@@ -0,0 +1,21 @@
+// Tipos de descuento: porcentaje o importe fijo sobre los productos, o envío gratis
+export const DISCOUNT_TYPES = {
+  PERCENT: 'porcentaje',
+  FIXED: 'fijo',
+  FREE_DELIVERY: 'envío gratis'
+}
+
+// Códigos vigentes; se comparan sin distinguir mayúsculas
+export const DISCOUNT_CODES = {
+  BIENVENIDA10: { type: DISCOUNT_TYPES.PERCENT, value: 10, description: '10 % en tu primer pedido' },
+  DULCE5000: { type: DISCOUNT_TYPES.FIXED, value: 5000, description: '5.000 de descuento en productos' },
+  ENVIOGRATIS: { type: DISCOUNT_TYPES.FREE_DELIVERY, value: 0, description: 'Envío sin costo' }
+}
+
+export const findDiscountCode = (code) => {
+  const key = String(code).trim().toUpperCase()
+  return DISCOUNT_CODES[key] ? { code: key, ...DISCOUNT_CODES[key] } : null
+}
+
+// Importes redondeados a centavos para evitar errores de coma flotante
+export const roundMoney = (amount) => Math.round(amount * 100) / 100
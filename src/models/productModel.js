@@ -0,0 +1,114 @@
+import { ValidationError } from '../utils/errors.js'
+import { validateRecipe } from './inventoryModel.js'
+
+const FLAVOR_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+// Stock null significa "sin límite" (se hornea bajo pedido)
+export const hasStock = (product) => product.stock === null || product.stock === undefined || product.stock > 0
+
+export const isOrderable = (product) => product.available && hasStock(product)
+
+const validateSizes = (sizes) => {
+  if (!Array.isArray(sizes) || sizes.length === 0) {
+    throw new ValidationError('El producto necesita al menos un tamaño')
+  }
+
+  const normalized = sizes.map((entry) => {
+    if (typeof entry !== 'object' || entry === null || !isNonEmptyString(entry.size)) {
+      throw new ValidationError('Cada tamaño necesita un nombre (size)')
+    }
+    if (!isPositiveNumber(entry.price)) {
+      throw new ValidationError(`El precio del tamaño "${entry.size}" debe ser un número positivo`)
+    }
+    if (!isPositiveNumber(entry.weightGrams)) {
+      throw new ValidationError(`El peso del tamaño "${entry.size}" debe ser un número positivo de gramos`)
+    }
+    return { size: entry.size.trim().toLowerCase(), price: entry.price, weightGrams: entry.weightGrams }
+  })
+
+  const names = normalized.map((entry) => entry.size)
+  if (new Set(names).size !== names.length) {
+    throw new ValidationError('Los nombres de tamaño no se pueden repetir')
+  }
+
+  return normalized
+}
+
+// Valida los campos editables presentes en "data" y devuelve sólo esos, normalizados
+export const validateProductFields = (data) => {
+  const fields = {}
+
+  if ('flavor' in data) {
+    if (typeof data.flavor !== 'string' || !FLAVOR_PATTERN.test(data.flavor.trim())) {
+      throw new ValidationError('El sabor debe ser un identificador en minúsculas, p. ej. "red-velvet"')
+    }
+    fields.flavor = data.flavor.trim()
+  }
+  if ('name' in data) {
+    if (!isNonEmptyString(data.name)) throw new ValidationError('El nombre del producto es obligatorio')
+    fields.name = data.name.trim()
+  }
+  if ('emoji' in data) {
+    if (!isNonEmptyString(data.emoji)) throw new ValidationError('El emoji no puede estar vacío')
+    fields.emoji = data.emoji.trim()
+  }
+  if ('description' in data) {
+    if (typeof data.description !== 'string') throw new ValidationError('La descripción debe ser texto')
+    fields.description = data.description.trim()
+  }
+  if ('image' in data) {
+    if (data.image !== null && !isNonEmptyString(data.image)) {
+      throw new ValidationError('La imagen debe ser una URL o null')
+    }
+    fields.image = data.image && data.image.trim()
+  }
+  if ('sizes' in data) {
+    fields.sizes = validateSizes(data.sizes)
+  }
+  if ('available' in data) {
+    if (typeof data.available !== 'boolean') throw new ValidationError('"available" debe ser true o false')
+    fields.available = data.available
+  }
+  if ('stock' in data) {
+    if (data.stock !== null && (!Number.isInteger(data.stock) || data.stock < 0)) {
+      throw new ValidationError('El stock debe ser un entero no negativo o null (sin límite)')
+    }
+    fields.stock = data.stock
+  }
+  if ('recipe' in data) {
+    fields.recipe = validateRecipe(data.recipe)
+  }
+  if ('prepTimeMs' in data) {
+    if (data.prepTimeMs !== null && !isPositiveNumber(data.prepTimeMs)) {
+      throw new ValidationError('El tiempo de preparación debe ser un número positivo de milisegundos o null')
+    }
+    fields.prepTimeMs = data.prepTimeMs
+  }
+
+  return fields
+}
+
+export const buildProduct = (data) => {
+  if (!('flavor' in data)) throw new ValidationError('El sabor del producto es obligatorio')
+  if (!('name' in data)) throw new ValidationError('El nombre del producto es obligatorio')
+  if (!('sizes' in data)) throw new ValidationError('El producto necesita al menos un tamaño')
+
+  const fields = validateProductFields(data)
+
+  return {
+    flavor: fields.flavor,
+    name: fields.name,
+    emoji: fields.emoji ?? '🧁',
+    description: fields.description ?? '',
+    image: fields.image ?? null,
+    sizes: fields.sizes,
+    available: fields.available ?? true,
+    stock: fields.stock ?? null,
+    // Sin tiempo propio se usa la duración de preparación de la simulación
+    prepTimeMs: fields.prepTimeMs ?? null,
+    recipe: fields.recipe ?? []
+  }
+}
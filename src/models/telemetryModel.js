@@ -0,0 +1,39 @@
+import { ValidationError } from '../utils/errors.js'
+
+// Magnitudes de una muestra de telemetría con su unidad y rango válido.
+// Posición obligatoria; el resto llega si el dron lo mide
+export const TELEMETRY_FIELDS = {
+  lat: { label: 'la latitud', min: -90, max: 90 },
+  lng: { label: 'la longitud', min: -180, max: 180 },
+  altitude: { label: 'la altitud (m)', min: 0, max: 1000 },
+  speedKmh: { label: 'la velocidad (km/h)', min: 0, max: 200 },
+  heading: { label: 'el rumbo (grados)', min: 0, max: 360 },
+  battery: { label: 'la batería (%)', min: 0, max: 100 }
+}
+
+export const REQUIRED_TELEMETRY_FIELDS = ['lat', 'lng']
+
+// Valida una muestra y devuelve sólo las magnitudes conocidas
+export const validateTelemetrySample = (data) => {
+  REQUIRED_TELEMETRY_FIELDS.forEach((field) => {
+    if (data[field] === undefined) throw new ValidationError(`Falta ${TELEMETRY_FIELDS[field].label} de la muestra`)
+  })
+
+  const sample = {}
+  Object.entries(TELEMETRY_FIELDS).forEach(([field, { label, min, max }]) => {
+    if (data[field] === undefined) return
+    const value = data[field]
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new ValidationError(`Valor inválido para ${label}: debe ser un número entre ${min} y ${max}`)
+    }
+    sample[field] = value
+  })
+
+  if (data.recordedAt !== undefined) {
+    if (typeof data.recordedAt !== 'string' || Number.isNaN(Date.parse(data.recordedAt))) {
+      throw new ValidationError('"recordedAt" debe ser una fecha ISO 8601')
+    }
+    sample.recordedAt = new Date(data.recordedAt).toISOString()
+  }
+  return sample
+}
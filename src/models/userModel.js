@@ -0,0 +1,70 @@
+import { ValidationError } from '../utils/errors.js'
+import { EMAIL_PATTERN } from './customerModel.js'
+
+// Roles de usuario. Los clientes sólo ven y gestionan sus propias órdenes;
+// el administrador tiene todos los permisos
+export const USER_ROLES = {
+  CUSTOMER: 'cliente',
+  KITCHEN: 'cocina',
+  DISPATCHER: 'despachador',
+  ADMIN: 'admin'
+}
+
+export const STAFF_ROLES = [USER_ROLES.KITCHEN, USER_ROLES.DISPATCHER, USER_ROLES.ADMIN]
+
+export const MIN_PASSWORD_LENGTH = 8
+
+export const isValidRole = (role) => Object.values(USER_ROLES).includes(role)
+
+export const isStaff = (user) => STAFF_ROLES.includes(user.role)
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+
+export const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`)
+  }
+  return password
+}
+
+// Valida los campos editables presentes en "data" (la contraseña se trata aparte)
+export const validateUserFields = (data) => {
+  const fields = {}
+
+  if ('email' in data) {
+    if (typeof data.email !== 'string' || !EMAIL_PATTERN.test(data.email.trim())) {
+      throw new ValidationError('El email no es válido')
+    }
+    fields.email = data.email.trim().toLowerCase()
+  }
+  if ('name' in data) {
+    if (!isNonEmptyString(data.name)) throw new ValidationError('El nombre del usuario es obligatorio')
+    fields.name = data.name.trim()
+  }
+  if ('role' in data) {
+    if (!isValidRole(data.role)) {
+      throw new ValidationError(`Rol inválido: ${data.role}. Roles: ${Object.values(USER_ROLES).join(', ')}`)
+    }
+    fields.role = data.role
+  }
+  if ('customerId' in data && data.customerId !== null) {
+    if (!Number.isInteger(data.customerId) || data.customerId <= 0) {
+      throw new ValidationError('customerId debe ser un id de cliente')
+    }
+    fields.customerId = data.customerId
+  }
+
+  return fields
+}
+
+export const buildUser = (data) => {
+  if (!('email' in data)) throw new ValidationError('El email del usuario es obligatorio')
+  if (!('name' in data)) throw new ValidationError('El nombre del usuario es obligatorio')
+  if (!('role' in data)) throw new ValidationError('El rol del usuario es obligatorio')
+
+  const fields = validateUserFields(data)
+  return { ...fields, customerId: fields.customerId ?? null }
+}
+
+// Vista pública del usuario: nunca se devuelve el hash de la contraseña
+export const toPublicUser = ({ passwordHash, ...user }) => user
@@ -0,0 +1,65 @@
+import { ValidationError } from '../utils/errors.js'
+
+// Magnitudes que informa un proveedor del tiempo, con su unidad y rango válido
+export const WEATHER_FIELDS = {
+  windSpeedKmh: { label: 'la velocidad del viento (km/h)', min: 0, max: 400 },
+  precipitationMmH: { label: 'la precipitación (mm/h)', min: 0, max: 500 },
+  visibilityKm: { label: 'la visibilidad (km)', min: 0, max: 100 }
+}
+
+// Tiempo en calma: lo que informa el proveedor local si no tiene fichero
+export const CALM_WEATHER = { windSpeedKmh: 0, precipitationMmH: 0, visibilityKm: 10 }
+
+// Cada límite de vuelo compara una magnitud con el valor fijado para el modelo
+const LIMIT_CHECKS = [
+  {
+    limit: 'maxWindKmh',
+    field: 'windSpeedKmh',
+    exceeds: (value, limit) => value > limit,
+    describe: (value, limit) => `viento de ${value} km/h (máximo ${limit} km/h)`
+  },
+  {
+    limit: 'maxPrecipitationMmH',
+    field: 'precipitationMmH',
+    exceeds: (value, limit) => value > limit,
+    describe: (value, limit) => `precipitación de ${value} mm/h (máximo ${limit} mm/h)`
+  },
+  {
+    limit: 'minVisibilityKm',
+    field: 'visibilityKm',
+    exceeds: (value, limit) => value < limit,
+    describe: (value, limit) => `visibilidad de ${value} km (mínimo ${limit} km)`
+  }
+]
+
+export const WEATHER_LIMIT_KEYS = LIMIT_CHECKS.map((check) => check.limit)
+
+// Valida las condiciones que devuelve un proveedor y deja sólo las magnitudes conocidas
+export const validateConditions = (data) => {
+  if (typeof data !== 'object' || data === null) {
+    throw new ValidationError('El proveedor del tiempo no devolvió condiciones')
+  }
+
+  const conditions = {}
+  Object.entries(WEATHER_FIELDS).forEach(([field, { label, min, max }]) => {
+    const value = data[field]
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new ValidationError(`Valor inválido para ${label}: debe ser un número entre ${min} y ${max}`)
+    }
+    conditions[field] = value
+  })
+
+  if (data.observedAt !== undefined) {
+    if (typeof data.observedAt !== 'string' || Number.isNaN(Date.parse(data.observedAt))) {
+      throw new ValidationError('"observedAt" debe ser una fecha ISO 8601')
+    }
+    conditions.observedAt = new Date(data.observedAt).toISOString()
+  }
+  return conditions
+}
+
+// Motivos por los que "conditions" superan los límites de vuelo; vacío si se puede volar
+export const findExceededLimits = (conditions, limits) => LIMIT_CHECKS
+  .filter(({ limit }) => limits[limit] !== undefined && limits[limit] !== null)
+  .filter(({ limit, field, exceeds }) => exceeds(conditions[field], limits[limit]))
+  .map(({ limit, field, describe }) => describe(conditions[field], limits[limit]))
@@ -0,0 +1,303 @@
+import { HOLD_REASONS, ORDER_PRIORITY, ORDER_STATUS } from '../models/orderModel.js'
+import { DRONE_MODELS, DRONE_STATUS } from '../models/droneModel.js'
+import { RESERVATION_STATUS } from '../models/inventoryModel.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, AUDIT_SOURCES } from '../models/auditModel.js'
+import { ZONE_CATEGORIES } from '../models/airspaceModel.js'
+
+// Esquemas de las respuestas de la API. Los objetos no cierran sus propiedades
+// (additionalProperties) porque las órdenes van sumando campos en su ciclo de vida;
+// lo que sí se comprueba es el tipo de cada campo descrito y los obligatorios
+
+const integer = { type: 'integer' }
+const number = { type: 'number' }
+const string = { type: 'string' }
+const boolean = { type: 'boolean' }
+const timestamp = { type: 'string', format: 'date-time' }
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') })
+export const listOf = (items) => ({ type: 'array', items })
+
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required })
+
+export const errorResponse = object({
+  error: object({
+    code: string,
+    message: string,
+    details: listOf(object({ field: string, message: string }, ['message']))
+  })
+})
+
+// Respuesta de las operaciones que devuelven un mensaje y la entidad afectada
+export const withMessage = (key, schema) => object({ message: string, [key]: schema })
+
+export const messageOnly = object({ message: string })
+
+const ingredientLine = object({ ingredientId: integer, name: string, unit: string, quantity: number })
+
+const orderItem = object({
+  productId: integer,
+  flavor: string,
+  name: string,
+  size: string,
+  quantity: integer,
+  unitPrice: number,
+  weightGrams: number,
+  inscription: nullable(string),
+  lineTotal: number
+})
+
+const pricing = object({
+  subtotal: number,
+  discount: nullable({ type: 'object' }),
+  taxRate: number,
+  tax: number,
+  deliveryFee: number,
+  total: number
+})
+
+const point = object({ lat: number, lng: number })
+
+// Ruta de vuelo que respeta el espacio aéreo; distanceKm es su longitud
+const route = object({
+  path: listOf(point),
+  distanceKm: number,
+  rerouted: boolean,
+  avoidedZones: listOf(object({ id: integer, name: string })),
+  maxAltitudeM: nullable(number)
+})
+
+const orderDetails = {
+  items: listOf(orderItem),
+  flavor: string,
+  deliveryAddress: object({ street: string, lat: number, lng: number }),
+  distanceKm: number,
+  route,
+  scheduledFor: timestamp,
+  payloadGrams: number,
+  pricing,
+  total: number
+}
+
+export const quote = object({ ...orderDetails, ingredients: listOf(ingredientLine) }, ['items', 'flavor', 'payloadGrams', 'pricing', 'total', 'ingredients'])
+
+export const order = object({
+  id: integer,
+  customer: nullable(string),
+  customerId: nullable(integer),
+  ...orderDetails,
+  priority: { type: 'string', enum: Object.values(ORDER_PRIORITY) },
+  status: { type: 'string', enum: Object.values(ORDER_STATUS) },
+  ingredientReservation: object({
+    status: { type: 'string', enum: Object.values(RESERVATION_STATUS) },
+    items: listOf(ingredientLine),
+    reservedAt: timestamp
+  }),
+  kitchen: object({ prepTimeMs: number, stationId: nullable(integer), startedAt: nullable(timestamp) }),
+  drone: nullable(string),
+  droneId: nullable(integer),
+  createdAt: timestamp,
+  estimatedDelivery: timestamp,
+  queuePosition: integer,
+  estimatedStart: nullable(timestamp),
+  dispatch: object({ strategy: string, droneId: integer, reason: string }),
+  refund: object({ amount: number, rate: number, status: string }),
+  cancellationReason: nullable(string),
+  departedAt: timestamp,
+  tracking: object({ progressPercent: integer, remainingKm: number, remainingMs: integer, estimatedArrival: timestamp }),
+  hold: nullable(object({ reason: { type: 'string', enum: Object.values(HOLD_REASONS) }, message: string, since: timestamp }))
+}, ['id', 'customer', 'customerId', 'items', 'flavor', 'payloadGrams', 'pricing', 'total', 'priority', 'status', 'drone', 'droneId', 'createdAt'])
+
+export const orderPage = object({ orders: listOf(order), total: integer, page: integer, limit: integer, pages: integer })
+
+export const orderTransitions = object({
+  orderId: integer,
+  status: { type: 'string', enum: Object.values(ORDER_STATUS) },
+  transitions: listOf({ type: 'string', enum: Object.values(ORDER_STATUS) })
+})
+
+// Antes y después sólo llevan los campos auditados que cambiaron
+export const auditEvent = object({
+  id: integer,
+  entity: { type: 'string', enum: AUDIT_ENTITIES },
+  entityId: integer,
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  source: { type: 'string', enum: Object.values(AUDIT_SOURCES) },
+  actor: nullable(object({ id: integer, name: string, role: { type: 'string', enum: Object.values(USER_ROLES) } })),
+  before: nullable({ type: 'object' }),
+  after: nullable({ type: 'object' }),
+  at: timestamp
+})
+
+export const auditPage = object({ events: listOf(auditEvent), total: integer, page: integer, limit: integer, pages: integer })
+
+export const orderTimeline = object({
+  orderId: integer,
+  status: { type: 'string', enum: Object.values(ORDER_STATUS) },
+  events: listOf(auditEvent)
+})
+
+export const drone = object({
+  id: integer,
+  name: string,
+  serial: string,
+  model: { type: 'string', enum: Object.keys(DRONE_MODELS) },
+  maxPayloadGrams: number,
+  maxRangeKm: number,
+  homeBase: object({ name: string, lat: number, lng: number }),
+  battery: number,
+  status: { type: 'string', enum: Object.values(DRONE_STATUS) },
+  available: boolean,
+  position: object({ lat: number, lng: number, altitude: number, speedKmh: number, heading: number, recordedAt: timestamp }, ['lat', 'lng', 'recordedAt'])
+}, ['id', 'name', 'serial', 'model', 'maxPayloadGrams', 'maxRangeKm', 'homeBase', 'battery', 'status', 'available'])
+
+export const telemetrySample = object({
+  lat: number,
+  lng: number,
+  altitude: number,
+  speedKmh: number,
+  heading: number,
+  battery: number,
+  recordedAt: timestamp
+}, ['lat', 'lng', 'recordedAt'])
+
+// Seguimiento de la entrega que lleva el dron, calculado con su última posición
+export const tracking = object({
+  orderId: integer,
+  progressPercent: integer,
+  remainingKm: number,
+  remainingMs: integer,
+  estimatedArrival: timestamp,
+  updatedAt: timestamp
+})
+
+export const telemetry = object({
+  droneId: integer,
+  latest: nullable(telemetrySample),
+  samples: listOf(telemetrySample),
+  tracking: nullable(tracking)
+})
+
+// Sin altitud máxima (null) la zona prohíbe el vuelo a cualquier altura
+export const airspaceZone = object({
+  id: integer,
+  name: string,
+  category: { type: 'string', enum: Object.values(ZONE_CATEGORIES) },
+  geometry: object({ type: { type: 'string', enum: ['Polygon'] }, coordinates: listOf(listOf(listOf(number))) }),
+  maxAltitudeM: nullable(number),
+  active: boolean
+})
+
+export const zonesImported = object({ message: string, zones: listOf(airspaceZone) })
+
+const zoneSummary = object({
+  id: integer,
+  name: string,
+  category: { type: 'string', enum: Object.values(ZONE_CATEGORIES) },
+  maxAltitudeM: nullable(number)
+})
+
+export const telemetryRecorded = object({ message: string, sample: telemetrySample, tracking: nullable(tracking), violations: listOf(zoneSummary) })
+
+export const product = object({
+  id: integer,
+  flavor: string,
+  name: string,
+  emoji: string,
+  description: string,
+  image: nullable(string),
+  sizes: listOf(object({ size: string, price: number, weightGrams: number })),
+  available: boolean,
+  stock: nullable(integer),
+  prepTimeMs: nullable(number),
+  recipe: listOf(object({ ingredientId: integer, quantity: number }))
+}, ['id', 'flavor', 'name', 'sizes', 'available'])
+
+export const ingredient = object({
+  id: integer,
+  name: string,
+  unit: string,
+  stock: number,
+  reserved: number,
+  lowStockThreshold: number,
+  available: number,
+  lowStock: boolean
+})
+
+export const kitchenView = object({
+  mode: string,
+  stations: listOf(object({ id: integer, status: string, order: nullable(order) })),
+  queue: listOf(order),
+  ready: listOf(order)
+})
+
+export const queue = object({ length: integer, policy: string, orders: listOf(order) })
+
+export const scheduleSlots = object({
+  date: { type: 'string', format: 'date' },
+  openingHours: object({ opens: string, closes: string }),
+  slotMinutes: integer,
+  slots: listOf(object({ start: timestamp, end: timestamp, label: string, capacity: integer, booked: integer, available: boolean }))
+})
+
+export const customer = object({
+  id: integer,
+  name: string,
+  email: nullable(string),
+  phone: nullable(string),
+  addresses: listOf(object({ id: integer, label: string, street: string, lat: number, lng: number })),
+  preferences: { type: 'object' },
+  createdAt: timestamp
+})
+
+export const user = object({
+  id: integer,
+  email: string,
+  name: string,
+  role: { type: 'string', enum: Object.values(USER_ROLES) },
+  customerId: nullable(integer),
+  createdAt: timestamp
+})
+
+export const session = object({ token: string, expiresAt: timestamp, user })
+
+export const simulationState = object({
+  mode: string,
+  paused: boolean,
+  speed: number,
+  now: timestamp,
+  durations: { type: 'object', additionalProperties: number },
+  pendingEvents: integer,
+  events: listOf({ type: 'object' })
+})
+
+const weatherConditions = object({
+  windSpeedKmh: number,
+  precipitationMmH: number,
+  visibilityKm: number,
+  observedAt: timestamp
+}, ['windSpeedKmh', 'precipitationMmH', 'visibilityKm'])
+
+// "message" explica en el panel por qué hay drones en tierra (null si todos pueden volar)
+export const weatherStatus = object({
+  provider: string,
+  conditions: nullable(weatherConditions),
+  updatedAt: nullable(timestamp),
+  error: nullable(string),
+  dispatchPaused: boolean,
+  message: nullable(string),
+  models: listOf(object({
+    model: { type: 'string', enum: Object.keys(DRONE_MODELS) },
+    limits: object({ maxWindKmh: number, maxPrecipitationMmH: number, minVisibilityKm: number }),
+    canFly: boolean,
+    reasons: listOf(string)
+  }))
+})
+
+export const dispatchStrategies = listOf(object({ name: string, description: string, active: boolean }))
+
+export const dispatchPreview = object({
+  strategy: string,
+  drone: nullable(object({ id: integer, name: string })),
+  reason: string,
+  candidates: listOf(object({ droneId: integer, name: string, score: number, reason: string }))
+}, ['strategy', 'drone', 'candidates'])
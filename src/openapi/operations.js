@@ -0,0 +1,102 @@
+import * as schemas from './components.js'
+
+const { listOf, messageOnly, withMessage } = schemas
+
+// Resumen y respuestas de cada operación, por "MÉTODO /ruta" con los
+// parámetros en formato OpenAPI ({id}). Los parámetros y cuerpos de las
+// peticiones salen de los esquemas de validación de cada ruta, y las
+// respuestas de error comunes (400, 401, 403, 404, 422) se añaden solas
+export const OPERATIONS = {
+  // Autenticación y usuarios
+  'POST /api/auth/register': { summary: 'Registrar un cliente y abrir sesión', responses: { 201: schemas.session, 409: 'El email ya está registrado' } },
+  'POST /api/auth/login': { summary: 'Iniciar sesión', responses: { 200: schemas.session, 401: 'Email o contraseña incorrectos' } },
+  'POST /api/auth/logout': { summary: 'Cerrar la sesión actual', responses: { 200: messageOnly } },
+  'GET /api/auth/me': { summary: 'Usuario de la sesión', responses: { 200: schemas.user } },
+  'GET /api/auth/users': { summary: 'Listar usuarios', responses: { 200: listOf(schemas.user) } },
+  'POST /api/auth/users': { summary: 'Crear un usuario', responses: { 201: schemas.user, 409: 'El email ya está registrado' } },
+  'GET /api/auth/users/{id}': { summary: 'Consultar un usuario', responses: { 200: schemas.user } },
+  'PATCH /api/auth/users/{id}': { summary: 'Editar un usuario', responses: { 200: withMessage('user', schemas.user), 409: 'Email repetido o único administrador' } },
+  'DELETE /api/auth/users/{id}': { summary: 'Eliminar un usuario', responses: { 200: withMessage('user', schemas.user), 409: 'Es el único administrador' } },
+
+  // Órdenes
+  'POST /api/orders': { summary: 'Crear una orden', responses: { 201: schemas.order, 403: 'Un cliente no puede pedir envío express', 409: 'Faltan ingredientes (detallados en "details"), producto agotado o franja completa' } },
+  'POST /api/orders/quote': { summary: 'Calcular el precio de una orden sin crearla', responses: { 200: schemas.quote } },
+  'GET /api/orders': { summary: 'Listar órdenes con filtros, orden y paginación (un cliente sólo ve las suyas)', responses: { 200: schemas.orderPage } },
+  'GET /api/orders/{id}/transitions': { summary: 'Estados a los que puede pasar una orden', responses: { 200: schemas.orderTransitions } },
+  'GET /api/orders/{id}/timeline': { summary: 'Historial de cambios de estado de una orden', responses: { 200: schemas.orderTimeline } },
+  'PUT /api/orders/{id}/status': { summary: 'Cambiar el estado de una orden', responses: { 200: withMessage('order', schemas.order), 409: 'Transición no permitida, sin drones disponibles o ruta cerrada por el espacio aéreo' } },
+  'PUT /api/orders/{id}/complete': { summary: 'Confirmar la entrega de una orden', responses: { 200: withMessage('order', schemas.order), 409: 'La orden ya está en un estado final' } },
+  'POST /api/orders/{id}/cancel': { summary: 'Cancelar una orden', responses: { 200: withMessage('order', schemas.order), 409: 'La orden ya fue entregada o está en un estado final' } },
+
+  // Drones
+  'GET /api/drones': { summary: 'Listar la flota', responses: { 200: listOf(schemas.drone) } },
+  'POST /api/drones': { summary: 'Dar de alta un dron', responses: { 201: schemas.drone, 409: 'Nombre o número de serie repetido' } },
+  'GET /api/drones/{id}': { summary: 'Consultar un dron', responses: { 200: schemas.drone } },
+  'PATCH /api/drones/{id}': { summary: 'Editar un dron', responses: { 200: withMessage('drone', schemas.drone), 409: 'Nombre o número de serie repetido, o dron con una orden activa' } },
+  'DELETE /api/drones/{id}': { summary: 'Dar de baja un dron', responses: { 200: withMessage('drone', schemas.drone), 409: 'El dron tiene una orden activa' } },
+  'PUT /api/drones/{id}': { summary: 'Marcar un dron como disponible o no', responses: { 200: withMessage('drone', schemas.drone), 409: 'El dron tiene una orden activa' } },
+  'GET /api/drones/{id}/telemetry': { summary: 'Últimas muestras de telemetría y seguimiento de la entrega en curso', responses: { 200: schemas.telemetry } },
+  'POST /api/drones/{id}/telemetry': { summary: 'Enviar una muestra de telemetría (posición, altitud, velocidad, rumbo, batería)', responses: { 201: schemas.telemetryRecorded } },
+
+  // Catálogo
+  'GET /api/products': { summary: 'Listar el catálogo', responses: { 200: listOf(schemas.product) } },
+  'POST /api/products': { summary: 'Crear un producto', responses: { 201: schemas.product, 409: 'Sabor repetido' } },
+  'GET /api/products/{id}': { summary: 'Consultar un producto', responses: { 200: schemas.product } },
+  'PATCH /api/products/{id}': { summary: 'Editar un producto', responses: { 200: withMessage('product', schemas.product), 409: 'Sabor repetido' } },
+  'DELETE /api/products/{id}': { summary: 'Eliminar un producto', responses: { 200: withMessage('product', schemas.product) } },
+
+  // Inventario y cocina
+  'GET /api/inventory': { summary: 'Listar ingredientes con su stock', responses: { 200: listOf(schemas.ingredient) } },
+  'POST /api/inventory': { summary: 'Crear un ingrediente', responses: { 201: schemas.ingredient, 409: 'Ingrediente repetido' } },
+  'GET /api/inventory/alerts': { summary: 'Ingredientes con stock bajo', responses: { 200: listOf(schemas.ingredient) } },
+  'GET /api/inventory/{id}': { summary: 'Consultar un ingrediente', responses: { 200: schemas.ingredient } },
+  'POST /api/inventory/{id}/restock': { summary: 'Reponer un ingrediente', responses: { 200: withMessage('ingredient', schemas.ingredient) } },
+  'GET /api/kitchen': { summary: 'Estaciones, cola de preparación y pasteles listos', responses: { 200: schemas.kitchenView } },
+  'POST /api/kitchen/orders/{id}/start': { summary: 'Empezar a preparar una orden', responses: { 200: withMessage('order', schemas.order), 409: 'La orden no espera en cocina o no hay estación libre' } },
+  'POST /api/kitchen/orders/{id}/finish': { summary: 'Terminar la preparación de una orden', responses: { 200: withMessage('order', schemas.order), 409: 'La orden no se está preparando' } },
+
+  // Entregas programadas
+  'GET /api/schedule/slots': { summary: 'Franjas de entrega de un día', responses: { 200: schemas.scheduleSlots } },
+
+  // Clientes
+  'GET /api/customers': { summary: 'Buscar clientes', responses: { 200: listOf(schemas.customer) } },
+  'POST /api/customers': { summary: 'Crear un cliente', responses: { 201: schemas.customer, 409: 'El email ya está registrado' } },
+  'GET /api/customers/{id}': { summary: 'Consultar un cliente', responses: { 200: schemas.customer } },
+  'PATCH /api/customers/{id}': { summary: 'Editar un cliente', responses: { 200: withMessage('customer', schemas.customer), 409: 'El email ya está registrado' } },
+  'DELETE /api/customers/{id}': { summary: 'Eliminar un cliente', responses: { 200: withMessage('customer', schemas.customer), 409: 'El cliente tiene órdenes en curso' } },
+  'POST /api/customers/{id}/addresses': { summary: 'Guardar una dirección del cliente', responses: { 201: withMessage('customer', schemas.customer) } },
+  'DELETE /api/customers/{id}/addresses/{addressId}': { summary: 'Eliminar una dirección del cliente', responses: { 200: withMessage('customer', schemas.customer) } },
+  'GET /api/customers/{id}/orders': { summary: 'Historial de órdenes del cliente', responses: { 200: listOf(schemas.order) } },
+
+  // Simulación
+  'GET /api/simulation': { summary: 'Estado del reloj de simulación', responses: { 200: schemas.simulationState } },
+  'POST /api/simulation/pause': { summary: 'Pausar la simulación', responses: { 200: withMessage('simulation', schemas.simulationState) } },
+  'POST /api/simulation/resume': { summary: 'Reanudar la simulación', responses: { 200: withMessage('simulation', schemas.simulationState) } },
+  'POST /api/simulation/speed': { summary: 'Cambiar la velocidad de la simulación', responses: { 200: withMessage('simulation', schemas.simulationState) } },
+  'POST /api/simulation/mode': { summary: 'Cambiar entre reloj real y manual', responses: { 200: withMessage('simulation', schemas.simulationState) } },
+  'POST /api/simulation/advance': { summary: 'Adelantar el reloj manual', responses: { 200: withMessage('simulation', schemas.simulationState) } },
+  'PUT /api/simulation/durations': { summary: 'Cambiar la duración de cada etapa', responses: { 200: withMessage('simulation', schemas.simulationState) } },
+
+  // Cola y despacho
+  'GET /api/queue': { summary: 'Órdenes listas esperando un dron', responses: { 200: schemas.queue } },
+  'GET /api/dispatch/strategies': { summary: 'Estrategias de asignación de drones', responses: { 200: schemas.dispatchStrategies } },
+  'POST /api/dispatch/preview': { summary: 'Dron que elegiría una estrategia ahora', responses: { 200: schemas.dispatchPreview } },
+
+  // Eventos
+  'GET /api/events': { summary: 'Flujo de eventos en tiempo real (Server-Sent Events)', responses: { 200: { contentType: 'text/event-stream' } } },
+
+  // Auditoría
+  'GET /api/audit': { summary: 'Registro de cambios de estado de órdenes y drones, con filtros y paginación', responses: { 200: schemas.auditPage } },
+
+  // Espacio aéreo
+  'GET /api/airspace/zones': { summary: 'Listar las zonas de exclusión y de altitud limitada', responses: { 200: listOf(schemas.airspaceZone) } },
+  'POST /api/airspace/zones': { summary: 'Crear una zona a partir de un polígono GeoJSON', responses: { 201: schemas.airspaceZone, 409: 'Nombre de zona repetido' } },
+  'POST /api/airspace/zones/import': { summary: 'Importar zonas desde una FeatureCollection GeoJSON', responses: { 201: schemas.zonesImported, 409: 'Nombre de zona repetido' } },
+  'GET /api/airspace/zones/{id}': { summary: 'Consultar una zona', responses: { 200: schemas.airspaceZone } },
+  'PATCH /api/airspace/zones/{id}': { summary: 'Editar una zona', responses: { 200: withMessage('zone', schemas.airspaceZone), 409: 'Nombre de zona repetido' } },
+  'DELETE /api/airspace/zones/{id}': { summary: 'Eliminar una zona', responses: { 200: withMessage('zone', schemas.airspaceZone) } },
+
+  // Tiempo
+  'GET /api/weather': { summary: 'Condiciones meteorológicas y qué modelos de dron pueden volar', responses: { 200: schemas.weatherStatus } },
+  'POST /api/weather/refresh': { summary: 'Consultar ya al proveedor del tiempo y reintentar el despacho', responses: { 200: schemas.weatherStatus } }
+}
@@ -0,0 +1,131 @@
+import { authenticate } from '../middleware/authMiddleware.js'
+import { errorResponse } from './components.js'
+import { OPERATIONS } from './operations.js'
+
+// Genera la especificación OpenAPI 3.1 recorriendo los routers de la API:
+// rutas, métodos, permisos y esquemas de validación salen de la definición de
+// cada ruta, y el resumen y las respuestas de OPERATIONS. Una ruta sin
+// documentar, o una operación documentada que ya no existe, es un error
+
+const ERROR_DESCRIPTIONS = {
+  400: 'La petición no cumple el esquema; "details" indica cada campo',
+  401: 'Falta la sesión o ha caducado',
+  403: 'El rol de la sesión no tiene permiso',
+  404: 'El recurso no existe',
+  409: 'Conflicto con el estado actual',
+  422: 'La petición incumple una regla del negocio'
+}
+
+const toOpenApiPath = (basePath, routePath) =>
+  (routePath === '/' ? basePath : `${basePath}${routePath}`).replace(/:(\w+)/g, '{$1}')
+
+// Rutas de un router con todos sus middlewares, incluidos los de router.use()
+const listRoutes = (basePath, router) => {
+  const shared = []
+  return router.stack.flatMap((layer) => {
+    if (!layer.route) {
+      shared.push(layer.handle)
+      return []
+    }
+    const handlers = [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)]
+    return Object.keys(layer.route.methods)
+      .filter((method) => method !== '_all')
+      .map((method) => ({ method, path: toOpenApiPath(basePath, layer.route.path), handlers }))
+  })
+}
+
+const describePermissions = (permission) => {
+  if (!permission) return 'Requiere sesión.'
+  if (permission.roles.length === 0) return 'Sólo administradores.'
+
+  const owner = permission.owner ? ' o el cliente dueño del recurso' : ''
+  return `Roles: ${permission.roles.join(', ')}${owner} (el administrador siempre puede).`
+}
+
+const toParameters = (location, schema) => Object.entries(schema?.properties ?? {}).map(([name, property]) => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required ?? []).includes(name),
+  schema: property
+}))
+
+const jsonContent = (schema) => ({ 'application/json': { schema } })
+
+const toResponse = (status, documented) => {
+  if (typeof documented === 'string') {
+    return { description: documented, content: jsonContent(errorResponse) }
+  }
+  if (documented?.contentType) {
+    return { description: 'Respuesta correcta', content: { [documented.contentType]: { schema: { type: 'string' } } } }
+  }
+  if (Number(status) >= 400) {
+    return { description: ERROR_DESCRIPTIONS[status], content: jsonContent(errorResponse) }
+  }
+  return { description: 'Respuesta correcta', content: jsonContent(documented) }
+}
+
+const buildOperation = ({ method, path, handlers }, basePath, documentation) => {
+  const schemas = handlers.find((handler) => handler.schemas)?.schemas ?? {}
+  const permission = handlers.find((handler) => handler.roles)
+  const secured = handlers.includes(authenticate)
+
+  const errors = [
+    (schemas.params || schemas.query || schemas.body) && 400,
+    secured && 401,
+    permission && 403,
+    path.includes('{') && 404,
+    schemas.body && 422
+  ].filter(Boolean)
+  const responses = Object.fromEntries([
+    ...Object.entries(documentation.responses),
+    ...errors.filter((status) => !(status in documentation.responses)).map((status) => [status, null])
+  ].map(([status, documented]) => [status, toResponse(status, documented)]))
+
+  return {
+    tags: [basePath.replace('/api/', '')],
+    summary: documentation.summary,
+    ...(secured && { description: describePermissions(permission), security: [{ bearerAuth: [] }] }),
+    parameters: [...toParameters('path', schemas.params), ...toParameters('query', schemas.query)],
+    ...(schemas.body && {
+      requestBody: {
+        required: (schemas.body.required ?? []).length > 0,
+        content: jsonContent(schemas.body)
+      }
+    }),
+    responses
+  }
+}
+
+export const buildOpenApiSpec = (apiRoutes, operations = OPERATIONS) => {
+  const paths = {}
+  const documented = new Set(Object.keys(operations))
+
+  apiRoutes.forEach(({ path: basePath, router }) => {
+    listRoutes(basePath, router).forEach((route) => {
+      const key = `${route.method.toUpperCase()} ${route.path}`
+      if (!operations[key]) throw new Error(`La ruta ${key} no está documentada en OPERATIONS`)
+
+      documented.delete(key)
+      paths[route.path] = { ...paths[route.path], [route.method]: buildOperation(route, basePath, operations[key]) }
+    })
+  })
+
+  if (documented.size > 0) {
+    throw new Error(`Operaciones documentadas sin ruta: ${[...documented].join(', ')}`)
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'DronCakes API',
+      version: '1.0.0',
+      description: 'Pedidos de pasteles entregados con drones. Los errores siempre llegan como { error: { code, message, details } }.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token de POST /api/auth/login' }
+      }
+    }
+  }
+}
@@ -0,0 +1,16 @@
+import express from 'express'
+import { createZone, deleteZone, getZone, getZones, importZones, patchZone } from '../controllers/airspaceController.js'
+import { authenticate, authorize } from '../middleware/authMiddleware.js'
+import { validate } from '../middleware/validate.js'
+import { createZoneSchema, getZonesSchema, importZonesSchema, patchZoneSchema, zoneIdSchema } from '../schemas/airspaceSchemas.js'
+
+const router = express.Router()
+
+router.get('/zones', authenticate, validate(getZonesSchema), getZones)
+router.post('/zones', authorize(), validate(createZoneSchema), createZone)
+router.post('/zones/import', authorize(), validate(importZonesSchema), importZones)
+router.get('/zones/:id', authenticate, validate(zoneIdSchema), getZone)
+router.patch('/zones/:id', authorize(), validate(patchZoneSchema), patchZone)
+router.delete('/zones/:id', authorize(), validate(zoneIdSchema), deleteZone)
+
+export default router
@@ -0,0 +1,12 @@
+import express from 'express'
+import { getAuditEvents } from '../controllers/auditController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { getAuditSchema } from '../schemas/auditSchemas.js'
+
+const router = express.Router()
+
+router.get('/', authorize(USER_ROLES.DISPATCHER), validate(getAuditSchema), getAuditEvents)
+
+export default router
@@ -0,0 +1,40 @@
+import express from 'express'
+import {
+  register,
+  login,
+  logout,
+  getCurrentUser,
+  getUsers,
+  getUser,
+  createUser,
+  patchUser,
+  deleteUser
+} from '../controllers/authController.js'
+import { authenticate, authorize } from '../middleware/authMiddleware.js'
+import { validate } from '../middleware/validate.js'
+import {
+  createUserSchema,
+  currentUserSchema,
+  getUsersSchema,
+  loginSchema,
+  logoutSchema,
+  patchUserSchema,
+  registerSchema,
+  userIdSchema
+} from '../schemas/authSchemas.js'
+
+const router = express.Router()
+
+router.post('/register', validate(registerSchema), register)
+router.post('/login', validate(loginSchema), login)
+router.post('/logout', validate(logoutSchema), logout)
+router.get('/me', authenticate, validate(currentUserSchema), getCurrentUser)
+
+// Gestión de usuarios y roles: sólo el administrador
+router.get('/users', authorize(), validate(getUsersSchema), getUsers)
+router.post('/users', authorize(), validate(createUserSchema), createUser)
+router.get('/users/:id', authorize(), validate(userIdSchema), getUser)
+router.patch('/users/:id', authorize(), validate(patchUserSchema), patchUser)
+router.delete('/users/:id', authorize(), validate(userIdSchema), deleteUser)
+
+export default router
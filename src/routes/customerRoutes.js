@@ -0,0 +1,37 @@
+import express from 'express'
+import {
+  getCustomers,
+  getCustomer,
+  createCustomer,
+  patchCustomer,
+  deleteCustomer,
+  addAddress,
+  removeAddress,
+  getCustomerOrders
+} from '../controllers/customersController.js'
+import { authenticate, authorize, authorizeCustomer } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import {
+  addAddressSchema,
+  createCustomerSchema,
+  customerIdSchema,
+  getCustomersSchema,
+  patchCustomerSchema,
+  removeAddressSchema
+} from '../schemas/customerSchemas.js'
+
+const router = express.Router()
+
+// Las rutas de un cliente concreto validan el id antes de comprobar si es el propio cliente
+
+router.get('/', authorize(USER_ROLES.DISPATCHER), validate(getCustomersSchema), getCustomers)
+router.post('/', authorize(USER_ROLES.DISPATCHER), validate(createCustomerSchema), createCustomer)
+router.get('/:id', authenticate, validate(customerIdSchema), authorizeCustomer(USER_ROLES.DISPATCHER), getCustomer)
+router.patch('/:id', authenticate, validate(patchCustomerSchema), authorizeCustomer(USER_ROLES.DISPATCHER), patchCustomer)
+router.delete('/:id', authorize(), validate(customerIdSchema), deleteCustomer)
+router.post('/:id/addresses', authenticate, validate(addAddressSchema), authorizeCustomer(USER_ROLES.DISPATCHER), addAddress)
+router.delete('/:id/addresses/:addressId', authenticate, validate(removeAddressSchema), authorizeCustomer(USER_ROLES.DISPATCHER), removeAddress)
+router.get('/:id/orders', authenticate, validate(customerIdSchema), authorizeCustomer(USER_ROLES.DISPATCHER), getCustomerOrders)
+
+export default router
@@ -0,0 +1,13 @@
+import express from 'express'
+import { getStrategies, previewDispatch } from '../controllers/dispatchController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { getStrategiesSchema, previewDispatchSchema } from '../schemas/dispatchSchemas.js'
+
+const router = express.Router()
+
+router.get('/strategies', authorize(USER_ROLES.DISPATCHER), validate(getStrategiesSchema), getStrategies)
+router.post('/preview', authorize(USER_ROLES.DISPATCHER), validate(previewDispatchSchema), previewDispatch)
+
+export default router
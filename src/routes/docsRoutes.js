@@ -0,0 +1,9 @@
+import express from 'express'
+import { getOpenApiSpec } from '../controllers/docsController.js'
+
+const router = express.Router()
+
+// La especificación es pública, como la página de documentación que la muestra
+router.get('/openapi.json', getOpenApiSpec)
+
+export default router
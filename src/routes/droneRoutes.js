@@ -1,9 +1,19 @@
 import express from 'express'
-import { getDrones, updateDrone } from '../controllers/dronesController.js'
+import { getDrones, getDrone, createDrone, patchDrone, deleteDrone, updateDrone, getTelemetry, recordTelemetry } from '../controllers/dronesController.js'
+import { authenticate, authorize } from '../middleware/authMiddleware.js'
+import { STAFF_ROLES, USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { createDroneSchema, droneIdSchema, getDronesSchema, getTelemetrySchema, patchDroneSchema, telemetrySampleSchema, updateDroneSchema } from '../schemas/droneSchemas.js'
 
 const router = express.Router()
 
-router.get('/', getDrones)
-router.put('/:id', updateDrone)
+router.get('/', authenticate, validate(getDronesSchema), getDrones)
+router.post('/', authorize(), validate(createDroneSchema), createDrone)
+router.get('/:id', authenticate, validate(droneIdSchema), getDrone)
+router.patch('/:id', authorize(), validate(patchDroneSchema), patchDrone)
+router.delete('/:id', authorize(), validate(droneIdSchema), deleteDrone)
+router.put('/:id', authorize(USER_ROLES.DISPATCHER), validate(updateDroneSchema), updateDrone)
+router.get('/:id/telemetry', authorize(...STAFF_ROLES), validate(getTelemetrySchema), getTelemetry)
+router.post('/:id/telemetry', authorize(USER_ROLES.DISPATCHER), validate(telemetrySampleSchema), recordTelemetry)
 
 export default router
@@ -0,0 +1,13 @@
+import express from 'express'
+import { streamEvents } from '../controllers/eventsController.js'
+import { authenticateQueryToken, authorize } from '../middleware/authMiddleware.js'
+import { STAFF_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { streamEventsSchema } from '../schemas/eventSchemas.js'
+
+const router = express.Router()
+
+// Los eventos incluyen órdenes de todos los clientes, así que sólo los recibe el personal
+router.get('/', authenticateQueryToken, authorize(...STAFF_ROLES), validate(streamEventsSchema), streamEvents)
+
+export default router
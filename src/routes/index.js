@@ -0,0 +1,34 @@
+import orderRoutes from './orderRoutes.js'
+import droneRoutes from './droneRoutes.js'
+import simulationRoutes from './simulationRoutes.js'
+import queueRoutes from './queueRoutes.js'
+import dispatchRoutes from './dispatchRoutes.js'
+import eventRoutes from './eventRoutes.js'
+import productRoutes from './productRoutes.js'
+import inventoryRoutes from './inventoryRoutes.js'
+import kitchenRoutes from './kitchenRoutes.js'
+import scheduleRoutes from './scheduleRoutes.js'
+import customerRoutes from './customerRoutes.js'
+import authRoutes from './authRoutes.js'
+import auditRoutes from './auditRoutes.js'
+import airspaceRoutes from './airspaceRoutes.js'
+import weatherRoutes from './weatherRoutes.js'
+
+// Routers de la API con su ruta base; la especificación OpenAPI se genera a partir de esta lista
+export const apiRoutes = [
+  { path: '/api/auth', router: authRoutes },
+  { path: '/api/orders', router: orderRoutes },
+  { path: '/api/drones', router: droneRoutes },
+  { path: '/api/products', router: productRoutes },
+  { path: '/api/inventory', router: inventoryRoutes },
+  { path: '/api/kitchen', router: kitchenRoutes },
+  { path: '/api/schedule', router: scheduleRoutes },
+  { path: '/api/customers', router: customerRoutes },
+  { path: '/api/simulation', router: simulationRoutes },
+  { path: '/api/queue', router: queueRoutes },
+  { path: '/api/dispatch', router: dispatchRoutes },
+  { path: '/api/events', router: eventRoutes },
+  { path: '/api/audit', router: auditRoutes },
+  { path: '/api/airspace', router: airspaceRoutes },
+  { path: '/api/weather', router: weatherRoutes }
+]
@@ -0,0 +1,22 @@
+import express from 'express'
+import { getInventory, getLowStockAlerts, getIngredient, createIngredient, restockIngredient } from '../controllers/inventoryController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import {
+  createIngredientSchema,
+  getInventorySchema,
+  getLowStockAlertsSchema,
+  ingredientIdSchema,
+  restockIngredientSchema
+} from '../schemas/inventorySchemas.js'
+
+const router = express.Router()
+
+router.get('/', authorize(USER_ROLES.KITCHEN), validate(getInventorySchema), getInventory)
+router.post('/', authorize(), validate(createIngredientSchema), createIngredient)
+router.get('/alerts', authorize(USER_ROLES.KITCHEN), validate(getLowStockAlertsSchema), getLowStockAlerts)
+router.get('/:id', authorize(USER_ROLES.KITCHEN), validate(ingredientIdSchema), getIngredient)
+router.post('/:id/restock', authorize(USER_ROLES.KITCHEN), validate(restockIngredientSchema), restockIngredient)
+
+export default router
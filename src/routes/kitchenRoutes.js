@@ -0,0 +1,16 @@
+import express from 'express'
+import { getKitchen, startOrder, finishOrder } from '../controllers/kitchenController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { finishPreparationSchema, getKitchenSchema, startPreparationSchema } from '../schemas/kitchenSchemas.js'
+
+const router = express.Router()
+
+router.use(authorize(USER_ROLES.KITCHEN))
+
+router.get('/', validate(getKitchenSchema), getKitchen)
+router.post('/orders/:id/start', validate(startPreparationSchema), startOrder)
+router.post('/orders/:id/finish', validate(finishPreparationSchema), finishOrder)
+
+export default router
@@ -1,11 +1,21 @@
 import express from 'express'
-import { newOrder, getOrders, updateOrderStatus, completeOrder } from '../controllers/ordersController.js'
+import { newOrder, quoteOrder, getOrders, getOrderTransitions, getOrderTimeline, updateOrderStatus, completeOrder, cancelOrder } from '../controllers/ordersController.js'
+import { authenticate, authorize, authorizeOrder } from '../middleware/authMiddleware.js'
+import { STAFF_ROLES, USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { cancelOrderSchema, createOrderSchema, getOrdersSchema, orderIdSchema, quoteOrderSchema, updateOrderStatusSchema } from '../schemas/orderSchemas.js'
 
 const router = express.Router()
 
-router.post('/', newOrder)
-router.get('/', getOrders)
-router.put('/:id/status', updateOrderStatus)
-router.put('/:id/complete', completeOrder)
+// Las rutas de una orden concreta validan el id antes de comprobar quién es su dueño
+
+router.post('/', authenticate, validate(createOrderSchema), newOrder)
+router.post('/quote', authenticate, validate(quoteOrderSchema), quoteOrder)
+router.get('/', authenticate, validate(getOrdersSchema), getOrders)
+router.get('/:id/transitions', authenticate, validate(orderIdSchema), authorizeOrder(...STAFF_ROLES), getOrderTransitions)
+router.get('/:id/timeline', authenticate, validate(orderIdSchema), authorizeOrder(...STAFF_ROLES), getOrderTimeline)
+router.put('/:id/status', authorize(USER_ROLES.DISPATCHER), validate(updateOrderStatusSchema), updateOrderStatus)
+router.put('/:id/complete', authorize(USER_ROLES.DISPATCHER), validate(orderIdSchema), completeOrder)
+router.post('/:id/cancel', authenticate, validate(cancelOrderSchema), authorizeOrder(USER_ROLES.DISPATCHER), cancelOrder)
 
 export default router
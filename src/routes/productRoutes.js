@@ -0,0 +1,15 @@
+import express from 'express'
+import { getProducts, getProduct, createProduct, patchProduct, deleteProduct } from '../controllers/productsController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { validate } from '../middleware/validate.js'
+import { createProductSchema, getProductsSchema, patchProductSchema, productIdSchema } from '../schemas/productSchemas.js'
+
+const router = express.Router()
+
+router.get('/', validate(getProductsSchema), getProducts)
+router.post('/', authorize(), validate(createProductSchema), createProduct)
+router.get('/:id', validate(productIdSchema), getProduct)
+router.patch('/:id', authorize(), validate(patchProductSchema), patchProduct)
+router.delete('/:id', authorize(), validate(productIdSchema), deleteProduct)
+
+export default router
@@ -0,0 +1,12 @@
+import express from 'express'
+import { getQueue } from '../controllers/queueController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { getQueueSchema } from '../schemas/queueSchemas.js'
+
+const router = express.Router()
+
+router.get('/', authorize(USER_ROLES.KITCHEN, USER_ROLES.DISPATCHER), validate(getQueueSchema), getQueue)
+
+export default router
@@ -0,0 +1,10 @@
+import express from 'express'
+import { getSlots } from '../controllers/scheduleController.js'
+import { validate } from '../middleware/validate.js'
+import { getSlotsSchema } from '../schemas/scheduleSchemas.js'
+
+const router = express.Router()
+
+router.get('/slots', validate(getSlotsSchema), getSlots)
+
+export default router
@@ -0,0 +1,34 @@
+import express from 'express'
+import {
+  getSimulation,
+  pauseSimulation,
+  resumeSimulation,
+  setSpeed,
+  setMode,
+  advance,
+  setDurations
+} from '../controllers/simulationController.js'
+import { authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import {
+  advanceSchema,
+  controlSimulationSchema,
+  getSimulationSchema,
+  setDurationsSchema,
+  setModeSchema,
+  setSpeedSchema
+} from '../schemas/simulationSchemas.js'
+
+const router = express.Router()
+
+// Consultar la simulación es cosa del despacho; cambiarla, del administrador
+router.get('/', authorize(USER_ROLES.DISPATCHER), validate(getSimulationSchema), getSimulation)
+router.post('/pause', authorize(), validate(controlSimulationSchema), pauseSimulation)
+router.post('/resume', authorize(), validate(controlSimulationSchema), resumeSimulation)
+router.post('/speed', authorize(), validate(setSpeedSchema), setSpeed)
+router.post('/mode', authorize(), validate(setModeSchema), setMode)
+router.post('/advance', authorize(), validate(advanceSchema), advance)
+router.put('/durations', authorize(), validate(setDurationsSchema), setDurations)
+
+export default router
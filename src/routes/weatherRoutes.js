@@ -0,0 +1,13 @@
+import express from 'express'
+import { getWeather, refreshWeather } from '../controllers/weatherController.js'
+import { authenticate, authorize } from '../middleware/authMiddleware.js'
+import { USER_ROLES } from '../models/userModel.js'
+import { validate } from '../middleware/validate.js'
+import { getWeatherSchema, refreshWeatherSchema } from '../schemas/weatherSchemas.js'
+
+const router = express.Router()
+
+router.get('/', authenticate, validate(getWeatherSchema), getWeather)
+router.post('/refresh', authorize(USER_ROLES.DISPATCHER), validate(refreshWeatherSchema), refreshWeather)
+
+export default router
@@ -0,0 +1,75 @@
+import { ZONE_CATEGORIES } from '../models/airspaceModel.js'
+import { emptyQuery, idParams, nonEmptyString } from './common.js'
+
+// Polígono GeoJSON: anillos de posiciones [lng, lat]; el primero es el exterior
+const polygon = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['Polygon'] },
+    coordinates: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'array',
+        minItems: 3,
+        items: { type: 'array', minItems: 2, items: { type: 'number' } }
+      }
+    }
+  },
+  required: ['type', 'coordinates']
+}
+
+const zoneFields = {
+  name: nonEmptyString,
+  category: { type: 'string', enum: Object.values(ZONE_CATEGORIES) },
+  geometry: polygon,
+  maxAltitudeM: { type: ['number', 'null'], minimum: 0 },
+  active: { type: 'boolean' }
+}
+
+export const getZonesSchema = {
+  query: emptyQuery
+}
+
+export const zoneIdSchema = {
+  params: idParams
+}
+
+export const createZoneSchema = {
+  body: {
+    type: 'object',
+    properties: zoneFields,
+    required: ['name', 'geometry'],
+    additionalProperties: false
+  }
+}
+
+// El id se admite para que el servicio explique que no se puede cambiar
+export const patchZoneSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, ...zoneFields },
+    additionalProperties: false
+  }
+}
+
+// Las propiedades de cada Feature (name, category, maxAltitudeM, active) las
+// valida el servicio para poder indicar qué zona del fichero falla
+export const importZonesSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      replace: { type: 'boolean' }
+    },
+    additionalProperties: false
+  },
+  body: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection', 'Feature'] },
+      features: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['type']
+  }
+}
@@ -0,0 +1,19 @@
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, AUDIT_SOURCES, MAX_AUDIT_PAGE_SIZE } from '../models/auditModel.js'
+
+export const getAuditSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      entity: { type: 'string', enum: AUDIT_ENTITIES },
+      entityId: { type: 'integer', minimum: 1 },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      source: { type: 'string', enum: Object.values(AUDIT_SOURCES) },
+      actorId: { type: 'integer', minimum: 1 },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_AUDIT_PAGE_SIZE }
+    },
+    additionalProperties: false
+  }
+}
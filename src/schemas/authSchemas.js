@@ -0,0 +1,74 @@
+import { MIN_PASSWORD_LENGTH, USER_ROLES } from '../models/userModel.js'
+import { emptyBody, emptyQuery, idParams, nonEmptyString } from './common.js'
+
+const email = { type: 'string', format: 'email' }
+const password = { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+
+const userFields = {
+  email,
+  name: nonEmptyString,
+  role: { type: 'string', enum: Object.values(USER_ROLES) },
+  password,
+  customerId: { type: ['integer', 'null'], minimum: 1 }
+}
+
+export const registerSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString,
+      email,
+      phone: { type: ['string', 'null'] },
+      password
+    },
+    required: ['name', 'email', 'password'],
+    additionalProperties: false
+  }
+}
+
+export const loginSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      email: { type: 'string' },
+      password: { type: 'string' }
+    },
+    required: ['email', 'password'],
+    additionalProperties: false
+  }
+}
+
+export const userIdSchema = {
+  params: idParams
+}
+
+export const createUserSchema = {
+  body: {
+    type: 'object',
+    properties: userFields,
+    required: ['email', 'name', 'role', 'password'],
+    additionalProperties: false
+  }
+}
+
+export const patchUserSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, ...userFields },
+    additionalProperties: false
+  }
+}
+
+export const logoutSchema = {
+  query: emptyQuery,
+  body: emptyBody
+}
+
+export const currentUserSchema = {
+  query: emptyQuery
+}
+
+export const getUsersSchema = {
+  query: emptyQuery
+}
@@ -0,0 +1,38 @@
+// Piezas de esquema compartidas por las rutas
+
+export const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  },
+  required: ['id']
+}
+
+export const nonEmptyString = { type: 'string', minLength: 1 }
+
+export const coordinates = {
+  lat: { type: 'number', minimum: -90, maximum: 90 },
+  lng: { type: 'number', minimum: -180, maximum: 180 }
+}
+
+export const deliveryAddress = {
+  type: 'object',
+  properties: {
+    street: nonEmptyString,
+    ...coordinates
+  },
+  required: ['street', 'lat', 'lng'],
+  additionalProperties: false
+}
+
+// Cuerpo de las rutas que no reciben datos
+export const emptyBody = {
+  type: 'object',
+  additionalProperties: false
+}
+
+// Consulta de las rutas que no admiten parámetros
+export const emptyQuery = {
+  type: 'object',
+  additionalProperties: false
+}
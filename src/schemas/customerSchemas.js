@@ -0,0 +1,76 @@
+import { coordinates, idParams, nonEmptyString } from './common.js'
+
+const savedAddress = {
+  type: 'object',
+  properties: {
+    label: nonEmptyString,
+    street: nonEmptyString,
+    ...coordinates
+  },
+  required: ['street', 'lat', 'lng'],
+  additionalProperties: false
+}
+
+const customerFields = {
+  name: nonEmptyString,
+  email: { type: ['string', 'null'], format: 'email' },
+  phone: { type: ['string', 'null'], pattern: '^\\+?[\\d\\s-]{7,20}$' },
+  addresses: { type: 'array', items: savedAddress },
+  preferences: {
+    type: 'object',
+    properties: {
+      favoriteFlavor: { type: ['string', 'null'] },
+      express: { type: 'boolean' },
+      notes: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+}
+
+export const getCustomersSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      search: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+}
+
+export const customerIdSchema = {
+  params: idParams
+}
+
+export const createCustomerSchema = {
+  body: {
+    type: 'object',
+    properties: customerFields,
+    required: ['name'],
+    additionalProperties: false
+  }
+}
+
+export const patchCustomerSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, ...customerFields },
+    additionalProperties: false
+  }
+}
+
+export const addAddressSchema = {
+  params: idParams,
+  body: savedAddress
+}
+
+export const removeAddressSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      addressId: { type: 'integer', minimum: 1 }
+    },
+    required: ['id', 'addressId']
+  }
+}
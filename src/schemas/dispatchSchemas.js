@@ -0,0 +1,16 @@
+import { DISPATCH_STRATEGIES } from '../dispatch/strategies.js'
+import { emptyQuery } from './common.js'
+
+export const getStrategiesSchema = {
+  query: emptyQuery
+}
+
+export const previewDispatchSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      strategy: { type: 'string', enum: Object.keys(DISPATCH_STRATEGIES) }
+    },
+    additionalProperties: false
+  }
+}
@@ -0,0 +1,83 @@
+import { DRONE_MODELS, MANUAL_DRONE_STATUSES } from '../models/droneModel.js'
+import { REQUIRED_TELEMETRY_FIELDS, TELEMETRY_FIELDS } from '../models/telemetryModel.js'
+import { coordinates, emptyQuery, idParams, nonEmptyString } from './common.js'
+
+const droneFields = {
+  name: nonEmptyString,
+  serial: nonEmptyString,
+  model: { type: 'string', enum: Object.keys(DRONE_MODELS) },
+  maxPayloadGrams: { type: 'number', exclusiveMinimum: 0 },
+  maxRangeKm: { type: 'number', exclusiveMinimum: 0 },
+  homeBase: {
+    type: 'object',
+    properties: { name: nonEmptyString, ...coordinates },
+    required: ['name', 'lat', 'lng'],
+    additionalProperties: false
+  },
+  battery: { type: 'number', minimum: 0, maximum: 100 },
+  status: { type: 'string', enum: MANUAL_DRONE_STATUSES }
+}
+
+export const getDronesSchema = {
+  query: emptyQuery
+}
+
+export const droneIdSchema = {
+  params: idParams
+}
+
+export const createDroneSchema = {
+  body: {
+    type: 'object',
+    properties: droneFields,
+    required: ['name', 'serial', 'model'],
+    additionalProperties: false
+  }
+}
+
+// El id se admite para que el servicio explique que no se puede cambiar
+export const patchDroneSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, ...droneFields },
+    additionalProperties: false
+  }
+}
+
+export const updateDroneSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      available: { type: 'boolean' }
+    },
+    required: ['available'],
+    additionalProperties: false
+  }
+}
+
+// Los rangos de cada magnitud salen del modelo de telemetría
+export const telemetrySampleSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      ...Object.fromEntries(Object.entries(TELEMETRY_FIELDS).map(([field, { min, max }]) => [field, { type: 'number', minimum: min, maximum: max }])),
+      recordedAt: { type: 'string', format: 'date-time' }
+    },
+    required: REQUIRED_TELEMETRY_FIELDS,
+    additionalProperties: false
+  }
+}
+
+export const getTelemetrySchema = {
+  params: idParams,
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+  }
+}
@@ -0,0 +1,10 @@
+export const streamEventsSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      lastEventId: { type: 'string' },
+      access_token: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+}
@@ -0,0 +1,40 @@
+import { INGREDIENT_UNITS } from '../models/inventoryModel.js'
+import { emptyQuery, idParams, nonEmptyString } from './common.js'
+
+export const getInventorySchema = {
+  query: emptyQuery
+}
+
+export const getLowStockAlertsSchema = {
+  query: emptyQuery
+}
+
+export const ingredientIdSchema = {
+  params: idParams
+}
+
+export const createIngredientSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString,
+      unit: { type: 'string', enum: INGREDIENT_UNITS },
+      stock: { type: 'number', minimum: 0 },
+      lowStockThreshold: { type: 'number', minimum: 0 }
+    },
+    required: ['name', 'unit'],
+    additionalProperties: false
+  }
+}
+
+export const restockIngredientSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      quantity: { type: 'number', exclusiveMinimum: 0 }
+    },
+    required: ['quantity'],
+    additionalProperties: false
+  }
+}
@@ -0,0 +1,21 @@
+import { emptyBody, emptyQuery, idParams } from './common.js'
+
+export const getKitchenSchema = {
+  query: emptyQuery
+}
+
+export const startPreparationSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      stationId: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+  }
+}
+
+export const finishPreparationSchema = {
+  params: idParams,
+  body: emptyBody
+}
@@ -0,0 +1,95 @@
+import { MAX_PAGE_SIZE, ORDER_PRIORITY, ORDER_SCOPES, ORDER_SORT_FIELDS, ORDER_STATUS } from '../models/orderModel.js'
+import { MAX_INSCRIPTION_LENGTH, MAX_ITEM_QUANTITY } from '../services/productService.js'
+import { deliveryAddress, idParams, nonEmptyString } from './common.js'
+
+const orderItem = {
+  type: 'object',
+  properties: {
+    flavor: nonEmptyString,
+    size: nonEmptyString,
+    quantity: { type: 'integer', minimum: 1, maximum: MAX_ITEM_QUANTITY },
+    inscription: { type: ['string', 'null'], maxLength: MAX_INSCRIPTION_LENGTH }
+  },
+  required: ['flavor'],
+  additionalProperties: false
+}
+
+// Sin "items" se pide un único pastel con flavor y size
+const orderInput = {
+  customerId: { type: ['integer', 'null'], minimum: 1 },
+  addressId: { type: ['integer', 'null'], minimum: 1 },
+  flavor: nonEmptyString,
+  size: nonEmptyString,
+  items: { type: 'array', items: orderItem, minItems: 1 },
+  deliveryAddress,
+  discountCode: nonEmptyString,
+  scheduledFor: { type: ['string', 'null'], format: 'date-time' }
+}
+
+export const createOrderSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      customer: nonEmptyString,
+      priority: { type: 'string', enum: Object.values(ORDER_PRIORITY) },
+      ...orderInput
+    },
+    additionalProperties: false
+  }
+}
+
+export const quoteOrderSchema = {
+  body: {
+    type: 'object',
+    properties: orderInput,
+    additionalProperties: false
+  }
+}
+
+// Filtros del listado; las fechas admiten un instante ISO o un día YYYY-MM-DD
+export const getOrdersSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      status: nonEmptyString,
+      scope: { type: 'string', enum: Object.keys(ORDER_SCOPES) },
+      droneId: { type: 'integer', minimum: 1 },
+      customerId: { type: 'integer', minimum: 1 },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      search: { type: 'string' },
+      sort: { type: 'string', enum: ORDER_SORT_FIELDS },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }
+    },
+    additionalProperties: false
+  }
+}
+
+export const orderIdSchema = {
+  params: idParams
+}
+
+export const updateOrderStatusSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: Object.values(ORDER_STATUS) }
+    },
+    required: ['status'],
+    additionalProperties: false
+  }
+}
+
+export const cancelOrderSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+}
@@ -0,0 +1,67 @@
+import { idParams, nonEmptyString } from './common.js'
+
+const productSize = {
+  type: 'object',
+  properties: {
+    size: nonEmptyString,
+    price: { type: 'number', exclusiveMinimum: 0 },
+    weightGrams: { type: 'number', exclusiveMinimum: 0 }
+  },
+  required: ['size', 'price', 'weightGrams'],
+  additionalProperties: false
+}
+
+const recipeEntry = {
+  type: 'object',
+  properties: {
+    ingredientId: { type: 'integer', minimum: 1 },
+    quantity: { type: 'number', exclusiveMinimum: 0 }
+  },
+  required: ['ingredientId', 'quantity'],
+  additionalProperties: false
+}
+
+const productFields = {
+  flavor: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+  name: nonEmptyString,
+  emoji: nonEmptyString,
+  description: { type: 'string' },
+  image: { type: ['string', 'null'] },
+  sizes: { type: 'array', items: productSize, minItems: 1 },
+  available: { type: 'boolean' },
+  stock: { type: ['integer', 'null'], minimum: 0 },
+  recipe: { type: 'array', items: recipeEntry },
+  prepTimeMs: { type: ['number', 'null'], exclusiveMinimum: 0 }
+}
+
+export const getProductsSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      available: { type: 'boolean' }
+    },
+    additionalProperties: false
+  }
+}
+
+export const productIdSchema = {
+  params: idParams
+}
+
+export const createProductSchema = {
+  body: {
+    type: 'object',
+    properties: productFields,
+    required: ['flavor', 'name', 'sizes'],
+    additionalProperties: false
+  }
+}
+
+export const patchProductSchema = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, ...productFields },
+    additionalProperties: false
+  }
+}
@@ -0,0 +1,5 @@
+import { emptyQuery } from './common.js'
+
+export const getQueueSchema = {
+  query: emptyQuery
+}
@@ -0,0 +1,10 @@
+export const getSlotsSchema = {
+  query: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', format: 'date' }
+    },
+    required: ['date'],
+    additionalProperties: false
+  }
+}
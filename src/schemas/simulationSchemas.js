@@ -0,0 +1,32 @@
+import { DEFAULT_DURATIONS, SIMULATION_MODES } from '../simulation/engine.js'
+import { emptyBody, emptyQuery } from './common.js'
+
+const bodyWith = (properties, required) => ({
+  body: {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  }
+})
+
+export const getSimulationSchema = {
+  query: emptyQuery
+}
+
+// Pausar y reanudar no llevan datos
+export const controlSimulationSchema = {
+  query: emptyQuery,
+  body: emptyBody
+}
+
+export const setSpeedSchema = bodyWith({ speed: { type: 'number', exclusiveMinimum: 0 } }, ['speed'])
+
+export const setModeSchema = bodyWith({ mode: { type: 'string', enum: SIMULATION_MODES } }, ['mode'])
+
+export const advanceSchema = bodyWith({ ms: { type: 'number', minimum: 0 } }, ['ms'])
+
+export const setDurationsSchema = bodyWith(
+  Object.fromEntries(Object.keys(DEFAULT_DURATIONS).map((stage) => [stage, { type: 'number', minimum: 0 }])),
+  []
+)
@@ -0,0 +1,11 @@
+import { emptyBody, emptyQuery } from './common.js'
+
+export const getWeatherSchema = {
+  query: emptyQuery
+}
+
+// La consulta al proveedor no lleva datos
+export const refreshWeatherSchema = {
+  query: emptyQuery,
+  body: emptyBody
+}
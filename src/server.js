@@ -0,0 +1,60 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createApp } from './app.js'
+import { resumeScheduledOrders, startQueuedPreparations } from './services/orderService.js'
+import { ensureAdminUser } from './services/authService.js'
+import { startTelemetrySimulator } from './services/telemetrySimulator.js'
+import { loadAirspaceFile } from './services/airspaceService.js'
+import { startWeatherUpdates } from './services/weatherService.js'
+import { getAirspaceFile, isTelemetrySimulatorEnabled } from './utils/config.js'
+import { closeStore } from './utils/dataStore.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const app = createApp({ publicDir: path.join(__dirname, '../public') })
+
+// El almacenamiento JSON agrupa sus escrituras: al salir, también con Ctrl+C o
+// una parada del contenedor, se guardan las que falten
+process.on('exit', closeStore)
+for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => process.exit(0))
+
+// Las entregas programadas guardadas vuelven a tener su temporizador y las
+// órdenes que esperaban en cocina ocupan las estaciones libres
+resumeScheduledOrders()
+startQueuedPreparations()
+
+// Zonas de exclusión aérea de partida (AIRSPACE_FILE); un fichero erróneo no
+// impide arrancar, pero queda en el log
+const airspaceFile = getAirspaceFile()
+if (airspaceFile) {
+  try {
+    const zones = loadAirspaceFile(airspaceFile)
+    if (zones.length > 0) console.log(`🛑 ${zones.length} zona(s) del espacio aéreo cargadas de ${airspaceFile}`)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+  }
+}
+
+// Sin drones reales, los vuelos emiten telemetría simulada
+if (isTelemetrySimulatorEnabled()) startTelemetrySimulator()
+
+// El despacho tiene en cuenta el tiempo del proveedor configurado; sin un
+// proveedor válido (WEATHER_PROVIDER) no se arranca
+try {
+  startWeatherUpdates()
+} catch (error) {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+}
+
+// En el primer arranque se crea el administrador para poder entrar
+try {
+  ensureAdminUser()
+} catch (error) {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+}
+
+const PORT = process.env.PORT || 3000
+app.listen(PORT, () => console.log(`✅ Servidor corriendo en puerto ${PORT}`))
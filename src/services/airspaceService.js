@@ -0,0 +1,178 @@
+import fs from 'fs'
+import { airspaceRepository } from '../utils/dataStore.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { getAirspacePolicy } from '../utils/config.js'
+import { expandPolygon, haversineKm, pathLengthKm, pointInPolygon, segmentCrossesPolygon } from '../utils/geo.js'
+import { buildZone, featureToZoneData, isNoFlyZone, toRing, validateZoneFields } from '../models/airspaceModel.js'
+import { dispatchQueuedOrders } from './orderService.js'
+
+// Distancia a la que los rodeos pasan de las esquinas de una zona de exclusión
+const DETOUR_MARGIN_KM = 0.05
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+// El nombre no puede repetirse (sin distinguir mayúsculas)
+const assertUniqueName = (name, exceptId) => {
+  const same = airspaceRepository.find((z) => z.id !== exceptId && z.name.toLowerCase() === name.toLowerCase())
+  if (same) throw new ConflictError(`Ya existe una zona llamada "${name}"`)
+}
+
+export const getAllZones = () => airspaceRepository.findAll()
+
+export const getActiveZones = () => airspaceRepository.filter((z) => z.active)
+
+export const getZoneById = (id) => {
+  const zone = airspaceRepository.findById(id)
+  if (!zone) throw new NotFoundError('Zona no encontrada')
+  return zone
+}
+
+export const createZone = (data = {}) => {
+  const zone = buildZone(data)
+  assertUniqueName(zone.name)
+  return airspaceRepository.insert(zone)
+}
+
+// Al cambiar o quitar una zona, los pedidos retenidos por ella pueden despegar
+export const updateZone = (id, data = {}) => {
+  const zone = getZoneById(id)
+  if ('id' in data && Number(data.id) !== zone.id) {
+    throw new ValidationError('El id de la zona no se puede modificar')
+  }
+
+  const fields = validateZoneFields(data)
+  if (fields.name) assertUniqueName(fields.name, zone.id)
+
+  const updated = airspaceRepository.update(zone.id, fields)
+  dispatchQueuedOrders()
+  return updated
+}
+
+export const deleteZone = (id) => {
+  const zone = getZoneById(id)
+  airspaceRepository.remove(zone.id)
+  dispatchQueuedOrders()
+  return zone
+}
+
+// Importa una FeatureCollection (o una sola Feature) GeoJSON. Se valida todo
+// antes de guardar nada; con "replace" las zonas importadas sustituyen a las actuales
+export const importZones = (geojson, { replace = false } = {}) => {
+  const features = geojson?.type === 'FeatureCollection' ? geojson.features : geojson?.type === 'Feature' ? [geojson] : null
+  if (!Array.isArray(features)) {
+    throw new ValidationError('Se esperaba una FeatureCollection o una Feature GeoJSON')
+  }
+
+  const zones = features.map((feature, index) => {
+    try {
+      return buildZone(featureToZoneData(feature))
+    } catch (error) {
+      if (error instanceof ValidationError) throw new ValidationError(`Zona ${index + 1}: ${error.message}`)
+      throw error
+    }
+  })
+
+  zones.forEach((zone, index) => {
+    if (zones.slice(0, index).some((other) => other.name.toLowerCase() === zone.name.toLowerCase())) {
+      throw new ConflictError(`El fichero repite la zona "${zone.name}"`)
+    }
+    if (!replace) assertUniqueName(zone.name)
+  })
+
+  if (replace) getAllZones().forEach((zone) => airspaceRepository.remove(zone.id))
+  const created = zones.map((zone) => airspaceRepository.insert(zone))
+  dispatchQueuedOrders()
+  return created
+}
+
+// Zonas iniciales desde un fichero GeoJSON; si ya hay zonas guardadas
+// (p. ej. con almacenamiento persistente) se respetan las que hay
+export const loadAirspaceFile = (file) => {
+  if (airspaceRepository.count() > 0) return []
+
+  let geojson
+  try {
+    geojson = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new ValidationError(`No se pudo leer el fichero de zonas ${file}: ${error.message}`)
+  }
+  return importZones(geojson)
+}
+
+// Zonas activas en las que "position" está prohibido: dentro de una zona de
+// exclusión o, en una zona con límite, por encima de su altitud máxima
+export const findViolatedZones = (position) => getActiveZones().filter((zone) =>
+  pointInPolygon(position, toRing(zone.geometry)) &&
+  (isNoFlyZone(zone) || (position.altitude ?? 0) > zone.maxAltitudeM)
+)
+
+const crossesPath = (path, ring) => path.slice(1).some((point, index) => segmentCrossesPolygon(path[index], point, ring))
+
+// Camino más corto que no entra en ningún obstáculo: grafo de visibilidad
+// entre el origen, el destino y las esquinas (con margen) de los obstáculos,
+// recorrido con Dijkstra. Devuelve null si no hay camino
+const findDetour = (origin, destination, obstacles) => {
+  const isClear = (from, to) => !obstacles.some((ring) => segmentCrossesPolygon(from, to, ring))
+  const corners = obstacles
+    .flatMap((ring) => expandPolygon(ring, DETOUR_MARGIN_KM))
+    .filter((corner) => !obstacles.some((ring) => pointInPolygon(corner, ring)))
+  const nodes = [origin, ...corners, destination]
+  const target = nodes.length - 1
+
+  const distances = nodes.map((_, index) => index === 0 ? 0 : Infinity)
+  const previous = []
+  const pending = new Set(nodes.keys())
+  while (pending.size > 0) {
+    const current = [...pending].reduce((best, index) => distances[index] < distances[best] ? index : best)
+    if (distances[current] === Infinity) return null
+    if (current === target) break
+
+    pending.delete(current)
+    pending.forEach((next) => {
+      const distance = distances[current] + haversineKm(nodes[current], nodes[next])
+      if (distance < distances[next] && isClear(nodes[current], nodes[next])) {
+        distances[next] = distance
+        previous[next] = current
+      }
+    })
+  }
+
+  const path = []
+  for (let index = target; index !== undefined; index = previous[index]) path.unshift(nodes[index])
+  return path
+}
+
+// Ruta de vuelo de "origin" a "destination" con las zonas activas. Si la
+// línea recta cruza una zona de exclusión, según AIRSPACE_POLICY se rodea o
+// se rechaza (ValidationError). Las zonas con altitud máxima se cruzan por
+// debajo del límite, que queda en la ruta como maxAltitudeM
+export const planRoute = (origin, destination) => {
+  const zones = getActiveZones()
+  const noFly = zones.filter(isNoFlyZone)
+
+  const enclosing = noFly.find((zone) => pointInPolygon(destination, toRing(zone.geometry)))
+  if (enclosing) {
+    throw new ValidationError(`La dirección de entrega está dentro de la zona de exclusión aérea "${enclosing.name}"`)
+  }
+
+  const crossed = noFly.filter((zone) => segmentCrossesPolygon(origin, destination, toRing(zone.geometry)))
+  const names = crossed.map((zone) => `"${zone.name}"`).join(', ')
+  if (crossed.length > 0 && getAirspacePolicy() === 'reject') {
+    throw new ValidationError(`La ruta directa cruza la zona de exclusión aérea ${names}`)
+  }
+
+  const path = crossed.length > 0
+    ? findDetour(origin, destination, noFly.map((zone) => toRing(zone.geometry)))
+    : [origin, destination]
+  if (!path) throw new ValidationError(`No hay ninguna ruta que rodee la zona de exclusión aérea ${names}`)
+
+  const limits = zones.filter((zone) => !isNoFlyZone(zone) && crossesPath(path, toRing(zone.geometry)))
+
+  return {
+    path: path.map((point) => ({ lat: round(point.lat, 6), lng: round(point.lng, 6) })),
+    distanceKm: round(pathLengthKm(path), 2),
+    rerouted: crossed.length > 0,
+    avoidedZones: crossed.map((zone) => ({ id: zone.id, name: zone.name })),
+    maxAltitudeM: limits.length > 0 ? Math.min(...limits.map((zone) => zone.maxAltitudeM)) : null
+  }
+}
@@ -0,0 +1,78 @@
+import { auditRepository } from '../utils/dataStore.js'
+import { getAuditContext } from '../utils/auditContext.js'
+import { paginate } from '../utils/pagination.js'
+import { simulation } from '../simulation/index.js'
+import { AUDITED_FIELDS, AUDIT_PAGE_SIZE } from '../models/auditModel.js'
+import { isInRange, resolveDateRange } from './scheduleService.js'
+import { getAuditHistoryLimit } from '../utils/config.js'
+
+// Registro de auditoría: cada cambio de estado de órdenes y drones queda como
+// un evento inmutable con quién lo hizo, desde dónde y cómo estaba antes y después.
+// Los eventos sólo se añaden; no hay operación para editarlos ni borrarlos.
+// Como la telemetría, sólo se conservan los más recientes (AUDIT_HISTORY_LIMIT)
+
+const pick = (doc, fields) => Object.fromEntries(fields.map((field) => [field, doc[field] ?? null]))
+
+const changedFields = (before, after, fields) => fields.filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+
+// Convierte un aviso del repositorio en un evento; los cambios que no tocan
+// ningún campo auditado (batería, ETA...) no se registran
+export const recordChange = (entity, { type, doc, previous }) => {
+  const fields = AUDITED_FIELDS[entity]
+  const audited = type === 'updated' ? changedFields(previous, doc, fields) : fields
+  if (audited.length === 0) return null
+
+  const { source, actor } = getAuditContext()
+  const event = auditRepository.insert({
+    entity,
+    entityId: doc.id,
+    action: type,
+    source,
+    actor,
+    before: type === 'created' ? null : pick(previous, audited),
+    after: type === 'deleted' ? null : pick(doc, audited),
+    at: simulation.timestamp()
+  })
+
+  // Los ids son consecutivos, así que cada evento nuevo desplaza al más antiguo
+  const expired = event.id - getAuditHistoryLimit()
+  if (expired > 0) auditRepository.remove(expired)
+  return event
+}
+
+// Audita los cambios de un repositorio; devuelve la función para dejar de hacerlo
+export const trackChanges = (repository, entity) => repository.onChange((change) => {
+  recordChange(entity, change)
+})
+
+// Eventos de una entidad en orden cronológico
+export const getTimeline = (entity, entityId) => auditRepository
+  .filter((event) => event.entity === entity && event.entityId === entityId)
+  .sort((a, b) => a.id - b.id)
+
+// Listado filtrado y paginado, del evento más reciente al más antiguo
+export const listAuditEvents = ({
+  entity,
+  entityId,
+  action,
+  source,
+  actorId,
+  from,
+  to,
+  page = 1,
+  limit = AUDIT_PAGE_SIZE
+} = {}) => {
+  const range = resolveDateRange(from, to)
+
+  const matches = auditRepository
+    .filter((event) => entity === undefined || event.entity === entity)
+    .filter((event) => entityId === undefined || event.entityId === entityId)
+    .filter((event) => action === undefined || event.action === action)
+    .filter((event) => source === undefined || event.source === source)
+    .filter((event) => actorId === undefined || event.actor?.id === actorId)
+    .filter((event) => isInRange(Date.parse(event.at), range))
+    .sort((a, b) => b.id - a.id)
+
+  const { items, ...pagination } = paginate(matches, page, limit)
+  return { events: items, ...pagination }
+}
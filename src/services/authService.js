@@ -0,0 +1,171 @@
+import fs from 'fs'
+import path from 'path'
+import { sessionRepository, userRepository } from '../utils/dataStore.js'
+import { ConflictError, NotFoundError, UnauthorizedError, ValidationError } from '../utils/errors.js'
+import { USER_ROLES, buildUser, toPublicUser, validatePassword, validateUserFields } from '../models/userModel.js'
+import { createToken, hashPassword, hashToken, verifyPassword } from '../utils/security.js'
+import { getAdminCredentials, getSessionTtlMinutes } from '../utils/config.js'
+import { createCustomer, getCustomerById } from './customerService.js'
+
+const MINUTE_MS = 60 * 1000
+
+const findByEmail = (email) => userRepository.find((u) => u.email === email)
+
+const assertUniqueEmail = (fields, exceptId) => {
+  const existing = fields.email && findByEmail(fields.email)
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`Ya existe un usuario con el email ${fields.email}`)
+  }
+}
+
+// Un usuario cliente va siempre ligado a su ficha de cliente; el personal no
+const resolveCustomerLink = ({ role, customerId }) => {
+  if (role !== USER_ROLES.CUSTOMER) return null
+  if (!customerId) throw new ValidationError('Un usuario con rol cliente necesita customerId')
+  return getCustomerById(customerId).id
+}
+
+const countAdmins = () => userRepository.filter((u) => u.role === USER_ROLES.ADMIN).length
+
+const revokeSessions = (userId) => sessionRepository
+  .filter((s) => s.userId === userId)
+  .forEach((s) => sessionRepository.remove(s.id))
+
+const isExpired = (session) => Date.parse(session.expiresAt) <= Date.now()
+
+export const getAllUsers = () => userRepository.findAll().map(toPublicUser)
+
+const findUser = (id) => {
+  const user = userRepository.findById(id)
+  if (!user) throw new NotFoundError('Usuario no encontrado')
+  return user
+}
+
+export const getUserById = (id) => toPublicUser(findUser(id))
+
+// Alta de usuarios por un administrador, con cualquier rol
+export const createUser = (data = {}) => {
+  const user = buildUser(data)
+  const password = validatePassword(data.password)
+  assertUniqueEmail(user)
+  user.customerId = resolveCustomerLink(user)
+
+  return toPublicUser(userRepository.insert({
+    ...user,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString()
+  }))
+}
+
+export const patchUser = (id, data = {}) => {
+  const user = findUser(id)
+  if ('id' in data && Number(data.id) !== user.id) {
+    throw new ValidationError('El id del usuario no se puede modificar')
+  }
+
+  const fields = validateUserFields(data)
+  assertUniqueEmail(fields, user.id)
+  if (user.role === USER_ROLES.ADMIN && fields.role && fields.role !== USER_ROLES.ADMIN && countAdmins() === 1) {
+    throw new ConflictError('No se puede quitar el rol al único administrador')
+  }
+  fields.customerId = resolveCustomerLink({ ...user, ...fields })
+
+  // Cambiar la contraseña cierra todas las sesiones abiertas del usuario
+  if ('password' in data) {
+    fields.passwordHash = hashPassword(validatePassword(data.password))
+    revokeSessions(user.id)
+  }
+
+  return toPublicUser(userRepository.update(user.id, fields))
+}
+
+export const deleteUser = (id) => {
+  const user = findUser(id)
+  if (user.role === USER_ROLES.ADMIN && countAdmins() === 1) {
+    throw new ConflictError('No se puede eliminar al único administrador')
+  }
+
+  revokeSessions(user.id)
+  userRepository.remove(user.id)
+  return toPublicUser(user)
+}
+
+export const login = ({ email, password } = {}) => {
+  const user = typeof email === 'string' && findByEmail(email.trim().toLowerCase())
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    throw new UnauthorizedError('Email o contraseña incorrectos')
+  }
+
+  // Aprovecha cada inicio de sesión para limpiar las sesiones caducadas
+  sessionRepository.filter(isExpired).forEach((s) => sessionRepository.remove(s.id))
+
+  const token = createToken()
+  const now = Date.now()
+  const session = sessionRepository.insert({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getSessionTtlMinutes() * MINUTE_MS).toISOString()
+  })
+
+  return { token, expiresAt: session.expiresAt, user: toPublicUser(user) }
+}
+
+// Registro abierto: crea la ficha de cliente y su usuario, y abre sesión
+export const register = (data = {}) => {
+  const { name, email, phone, password } = data
+  validatePassword(password)
+  const fields = validateUserFields({ name, email })
+  assertUniqueEmail(fields)
+
+  const customer = createCustomer({ name, email, ...(phone !== undefined && { phone }) })
+  userRepository.insert({
+    ...fields,
+    role: USER_ROLES.CUSTOMER,
+    customerId: customer.id,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString()
+  })
+
+  return login({ email, password })
+}
+
+export const logout = (token) => {
+  const session = token && sessionRepository.find((s) => s.tokenHash === hashToken(token))
+  if (session) sessionRepository.remove(session.id)
+}
+
+// Devuelve el usuario dueño del token o lanza 401 si falta, no existe o caducó
+export const authenticate = (token) => {
+  if (!token) throw new UnauthorizedError()
+
+  const session = sessionRepository.find((s) => s.tokenHash === hashToken(token))
+  if (session && isExpired(session)) sessionRepository.remove(session.id)
+
+  const user = session && !isExpired(session) && userRepository.findById(session.userId)
+  if (!user) throw new UnauthorizedError('La sesión no es válida o ha caducado')
+
+  return toPublicUser(user)
+}
+
+// Sin ningún administrador (p. ej. en el primer arranque) se crea uno con
+// las credenciales configuradas. Una contraseña generada sólo se escribe en
+// un fichero legible por el propietario: el log acaba en otros sistemas
+export const ensureAdminUser = () => {
+  if (countAdmins() > 0) return null
+
+  const { email, password: configured, passwordFile, allowGenerated } = getAdminCredentials()
+  if (!configured && !allowGenerated) {
+    throw new Error('Falta ADMIN_PASSWORD: es obligatoria para crear el administrador fuera de desarrollo')
+  }
+
+  const password = configured || createToken().slice(0, 16)
+  const admin = createUser({ email, name: 'Administrador', role: USER_ROLES.ADMIN, password })
+
+  if (!configured) {
+    fs.mkdirSync(path.dirname(passwordFile), { recursive: true })
+    fs.writeFileSync(passwordFile, `${password}\n`, { mode: 0o600 })
+    console.log(`🔑 Usuario administrador creado: ${email}; su contraseña está en ${passwordFile} (define ADMIN_PASSWORD para fijarla)`)
+  }
+  return admin
+}
@@ -0,0 +1,85 @@
+import { droneRepository } from '../utils/dataStore.js'
+import { simulation } from '../simulation/index.js'
+import { DRONE_STATUS, withStatus } from '../models/droneModel.js'
+
+// Consumo de batería: % por km recorrido, aumentado según la carga
+export const DRAIN_PERCENT_PER_KM = 3
+export const PAYLOAD_DRAIN_FACTOR_PER_KG = 0.2
+
+// Valores supuestos mientras la orden no traiga distancia ni peso
+export const DEFAULT_DELIVERY_DISTANCE_KM = 2
+export const DEFAULT_PAYLOAD_GRAMS = 1200
+
+const CHARGE_STEP_PERCENT = 10
+
+// Por debajo de este nivel el despachador no asigna el dron
+export const getMinDispatchBattery = () => Number(process.env.MIN_DISPATCH_BATTERY ?? 25)
+
+// Tras un vuelo, los drones por debajo de este nivel pasan a cargar
+export const getRechargeBelowBattery = () => Number(process.env.RECHARGE_BELOW_BATTERY ?? 50)
+
+export const getBattery = (drone) => drone.battery ?? 100
+
+export const isCharged = (drone) => getBattery(drone) >= getMinDispatchBattery()
+
+// Porcentaje que consume un viaje de ida y vuelta
+export const estimateFlightDrain = ({ distanceKm = DEFAULT_DELIVERY_DISTANCE_KM, payloadGrams = DEFAULT_PAYLOAD_GRAMS } = {}) => {
+  const payloadFactor = 1 + (payloadGrams / 1000) * PAYLOAD_DRAIN_FACTOR_PER_KG
+  return Math.round(distanceKm * 2 * DRAIN_PERCENT_PER_KM * payloadFactor * 10) / 10
+}
+
+export const drainForFlight = (droneId, order) => {
+  const drone = droneRepository.findById(droneId)
+  if (!drone) return undefined
+
+  const drain = estimateFlightDrain({ distanceKm: order.distanceKm, payloadGrams: order.payloadGrams })
+  const battery = Math.max(0, Math.round((getBattery(drone) - drain) * 10) / 10)
+  return droneRepository.update(drone.id, { battery })
+}
+
+// Tiempo simulado que falta para completar la carga
+export const estimateChargeTime = (drone) =>
+  (100 - getBattery(drone)) / 100 * simulation.getDurations().chargeFull
+
+// Carga por escalones como eventos de la simulación; "onCharged" se llama
+// cuando el dron vuelve a estar disponible
+export const startCharging = (droneId, { onCharged = () => {} } = {}) => {
+  simulation.cancelForDrone(droneId)
+
+  const drone = droneRepository.findById(droneId)
+  if (!drone) return undefined
+
+  if (getBattery(drone) >= 100) {
+    const idle = droneRepository.update(drone.id, { ...withStatus(DRONE_STATUS.IDLE), battery: 100 })
+    onCharged(idle)
+    return idle
+  }
+
+  const stepDelay = simulation.getDurations().chargeFull * CHARGE_STEP_PERCENT / 100
+
+  const scheduleStep = () => simulation.schedule({
+    droneId,
+    type: 'carga',
+    delay: stepDelay,
+    run: () => {
+      const current = droneRepository.findById(droneId)
+      if (!current || current.status !== DRONE_STATUS.CHARGING) return
+
+      const battery = Math.min(100, getBattery(current) + CHARGE_STEP_PERCENT)
+      if (battery < 100) {
+        droneRepository.update(droneId, { battery })
+        scheduleStep()
+        return
+      }
+
+      const charged = droneRepository.update(droneId, { ...withStatus(DRONE_STATUS.IDLE), battery })
+      onCharged(charged)
+    }
+  })
+
+  const charging = droneRepository.update(drone.id, withStatus(DRONE_STATUS.CHARGING))
+  scheduleStep()
+  return charging
+}
+
+export const stopCharging = (droneId) => simulation.cancelForDrone(droneId, 'carga')
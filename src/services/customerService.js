@@ -0,0 +1,130 @@
+import { customerRepository, orderRepository } from '../utils/dataStore.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { simulation } from '../simulation/index.js'
+import { buildCustomer, validateCustomerFields } from '../models/customerModel.js'
+import { ORDER_PRIORITY, isFinalStatus } from '../models/orderModel.js'
+import { resolveDeliveryAddress } from './deliveryService.js'
+import { normalizeText } from '../utils/text.js'
+
+const assertUniqueEmail = (fields, exceptId) => {
+  const existing = fields.email && customerRepository.find((c) => c.email === fields.email)
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`Ya existe un cliente con el email ${fields.email}`)
+  }
+}
+
+// Sólo se guardan direcciones dentro del radio de entrega
+const buildAddress = (data, id) => {
+  const { deliveryAddress } = resolveDeliveryAddress(data)
+  if (data.label !== undefined && (typeof data.label !== 'string' || !data.label.trim())) {
+    throw new ValidationError('La etiqueta de la dirección debe ser texto')
+  }
+  return { id, label: data.label ? data.label.trim() : `Dirección ${id}`, ...deliveryAddress }
+}
+
+const buildAddresses = (addresses) => {
+  if (!Array.isArray(addresses)) throw new ValidationError('"addresses" debe ser una lista')
+  return addresses.map((address, index) => buildAddress(address, index + 1))
+}
+
+// Con search se filtra por nombre, email o teléfono
+export const getAllCustomers = ({ search } = {}) => {
+  const customers = customerRepository.findAll()
+  if (!search) return customers
+
+  const term = normalizeText(search.trim())
+  return customers.filter((c) => [c.name, c.email, c.phone].some((value) => value && normalizeText(value).includes(term)))
+}
+
+export const getCustomerById = (id) => {
+  const customer = customerRepository.findById(id)
+  if (!customer) throw new NotFoundError('Cliente no encontrado')
+  return customer
+}
+
+export const createCustomer = (data = {}) => {
+  const customer = buildCustomer(data)
+  assertUniqueEmail(customer)
+  if (data.addresses !== undefined) customer.addresses = buildAddresses(data.addresses)
+
+  return customerRepository.insert({ ...customer, createdAt: simulation.timestamp() })
+}
+
+export const patchCustomer = (id, data = {}) => {
+  const customer = getCustomerById(id)
+  if ('id' in data && Number(data.id) !== customer.id) {
+    throw new ValidationError('El id del cliente no se puede modificar')
+  }
+
+  const fields = validateCustomerFields(data)
+  assertUniqueEmail(fields, customer.id)
+  if (fields.preferences) fields.preferences = { ...customer.preferences, ...fields.preferences }
+  if (data.addresses !== undefined) fields.addresses = buildAddresses(data.addresses)
+
+  return customerRepository.update(customer.id, fields)
+}
+
+// Las órdenes guardan el nombre del cliente, así que el historial se conserva;
+// sólo se impide borrar a quien tiene pedidos en curso
+export const deleteCustomer = (id) => {
+  const customer = getCustomerById(id)
+  const active = orderRepository.filter((o) => o.customerId === customer.id && !isFinalStatus(o.status))
+  if (active.length > 0) {
+    throw new ConflictError(`El cliente tiene ${active.length} orden(es) en curso`)
+  }
+
+  customerRepository.remove(customer.id)
+  return customer
+}
+
+export const addCustomerAddress = (id, data = {}) => {
+  const customer = getCustomerById(id)
+  const nextId = customer.addresses.reduce((max, address) => Math.max(max, address.id), 0) + 1
+  const address = buildAddress(data, nextId)
+
+  return customerRepository.update(customer.id, { addresses: [...customer.addresses, address] })
+}
+
+export const removeCustomerAddress = (id, addressId) => {
+  const customer = getCustomerById(id)
+  const addresses = customer.addresses.filter((address) => address.id !== Number(addressId))
+  if (addresses.length === customer.addresses.length) {
+    throw new NotFoundError('Dirección no encontrada')
+  }
+
+  return customerRepository.update(customer.id, { addresses })
+}
+
+// Historial de pedidos del cliente, del más reciente al más antiguo
+export const getCustomerOrders = (id) => {
+  const customer = getCustomerById(id)
+  return orderRepository
+    .filter((o) => o.customerId === customer.id)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || b.id - a.id)
+}
+
+// Datos del cliente para una orden nueva: con customerId se usa su nombre, la
+// dirección guardada indicada en addressId y su preferencia de envío express
+export const resolveOrderCustomer = ({ customer, customerId, addressId }) => {
+  if (customerId === undefined || customerId === null) {
+    if (addressId !== undefined && addressId !== null) {
+      throw new ValidationError('Para usar una dirección guardada indica también el cliente (customerId)')
+    }
+    return { customer, customerId: null }
+  }
+
+  const saved = getCustomerById(customerId)
+  const resolved = {
+    customer: customer ?? saved.name,
+    customerId: saved.id,
+    ...(saved.preferences.express && { priority: ORDER_PRIORITY.EXPRESS })
+  }
+
+  if (addressId === undefined || addressId === null) return resolved
+
+  const address = saved.addresses.find((a) => a.id === Number(addressId))
+  if (!address) throw new ValidationError(`El cliente no tiene la dirección ${addressId}`)
+
+  const { label, id, ...deliveryAddress } = address
+  return { ...resolved, deliveryAddress }
+}
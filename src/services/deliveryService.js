@@ -0,0 +1,90 @@
+import { droneRepository } from '../utils/dataStore.js'
+import { ValidationError } from '../utils/errors.js'
+import { getBakeryBase, getMaxDeliveryRadiusKm } from '../utils/config.js'
+import { haversineKm } from '../utils/geo.js'
+import { simulation } from '../simulation/index.js'
+import { DRONE_MODELS, DRONE_STATUS } from '../models/droneModel.js'
+import { planRoute } from './airspaceService.js'
+
+// Velocidad supuesta cuando todavía no se conoce el dron que hará la entrega
+export const DEFAULT_CRUISE_SPEED_KMH = 45
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit
+
+export const validateDeliveryAddress = (address) => {
+  if (typeof address !== 'object' || address === null) {
+    throw new ValidationError('La dirección de entrega debe incluir street, lat y lng')
+  }
+  if (typeof address.street !== 'string' || !address.street.trim()) {
+    throw new ValidationError('La dirección de entrega necesita la calle (street)')
+  }
+  if (!isCoordinate(address.lat, 90) || !isCoordinate(address.lng, 180)) {
+    throw new ValidationError('Coordenadas inválidas: lat debe estar entre -90 y 90 y lng entre -180 y 180')
+  }
+
+  return { street: address.street.trim(), lat: address.lat, lng: address.lng }
+}
+
+export const getDistanceKm = (address) => Math.round(haversineKm(getBakeryBase(), address) * 100) / 100
+
+export const getCruiseSpeedKmh = (drone) => DRONE_MODELS[drone?.model]?.cruiseSpeedKmh ?? DEFAULT_CRUISE_SPEED_KMH
+
+// El dron debe poder ir y volver sin recargar
+export const hasRangeFor = (drone, distanceKm) => !distanceKm || (drone.maxRangeKm ?? Infinity) >= distanceKm * 2
+
+// Todo el pedido viaja en un solo dron
+export const hasCapacityFor = (drone, payloadGrams) => !payloadGrams || (drone.maxPayloadGrams ?? Infinity) >= payloadGrams
+
+// Valida la dirección y comprueba que esté dentro del radio de entrega
+export const resolveDeliveryAddress = (address) => {
+  const deliveryAddress = validateDeliveryAddress(address)
+  const distanceKm = getDistanceKm(deliveryAddress)
+  const maxRadiusKm = getMaxDeliveryRadiusKm()
+
+  if (distanceKm > maxRadiusKm) {
+    throw new ValidationError(`La dirección está a ${distanceKm} km del obrador; el radio máximo de entrega es ${maxRadiusKm} km`)
+  }
+
+  return { deliveryAddress, distanceKm }
+}
+
+// Ruta desde el obrador que respeta el espacio aéreo: la distancia que cuenta
+// para el precio, el alcance y la duración del vuelo es la de esa ruta
+export const routeDelivery = ({ deliveryAddress }) => {
+  const route = planRoute(getBakeryBase(), deliveryAddress)
+  return { deliveryAddress, distanceKm: route.distanceKm, route }
+}
+
+// Rechaza los pedidos que ningún dron de la flota (aunque ahora esté ocupado)
+// podría llevar: si no, se quedarían en cola para siempre
+export const assertFleetCanDeliver = ({ distanceKm, payloadGrams }) => {
+  const fleet = droneRepository.filter((d) => d.status !== DRONE_STATUS.RETIRED)
+
+  if (!fleet.some((d) => hasCapacityFor(d, payloadGrams))) {
+    const maxPayload = Math.max(0, ...fleet.map((d) => d.maxPayloadGrams ?? 0))
+    throw new ValidationError(`El pedido pesa ${payloadGrams} g y el dron de mayor capacidad carga ${maxPayload} g; divídelo en varias órdenes`)
+  }
+  if (!fleet.some((d) => hasRangeFor(d, distanceKm))) {
+    throw new ValidationError(`Ningún dron de la flota tiene alcance para un viaje de ida y vuelta de ${distanceKm * 2} km`)
+  }
+  if (!fleet.some((d) => hasCapacityFor(d, payloadGrams) && hasRangeFor(d, distanceKm))) {
+    throw new ValidationError(`Ningún dron de la flota puede llevar ${payloadGrams} g a ${distanceKm} km`)
+  }
+}
+
+// Duración del vuelo de ida; sin dirección se usa la duración de etapa configurada
+export const estimateFlightMs = (distanceKm, drone) => distanceKm
+  ? Math.round(distanceKm / getCruiseSpeedKmh(drone) * 60 * 60 * 1000)
+  : simulation.getDurations().flight
+
+// ETA = inicio + preparación en cocina + vuelo según distancia y velocidad del dron.
+// Con el pastel ya listo, prepTimeMs es 0
+export const planDelivery = ({ distanceKm, drone, startAt = simulation.now(), prepTimeMs = simulation.getDurations().preparing }) => {
+  const flightDurationMs = estimateFlightMs(distanceKm, drone)
+  const estimatedDelivery = startAt + prepTimeMs + flightDurationMs
+
+  return {
+    flightDurationMs,
+    estimatedDelivery: new Date(estimatedDelivery).toISOString()
+  }
+}
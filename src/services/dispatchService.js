@@ -0,0 +1,97 @@
+import { droneRepository, orderRepository } from '../utils/dataStore.js'
+import { ValidationError } from '../utils/errors.js'
+import { simulation } from '../simulation/index.js'
+import { DEFAULT_STRATEGY, DISPATCH_STRATEGIES } from '../dispatch/strategies.js'
+import { isCharged } from './batteryService.js'
+import { hasCapacityFor, hasRangeFor } from './deliveryService.js'
+import { canFlyInWeather, getFlightRestrictions } from './weatherService.js'
+import { getBakeryBase } from '../utils/config.js'
+
+// Estrategia elegida por despliegue con DISPATCH_STRATEGY
+export const getActiveStrategyName = () => process.env.DISPATCH_STRATEGY || DEFAULT_STRATEGY
+
+const getStrategy = (name = getActiveStrategyName()) => {
+  const strategy = DISPATCH_STRATEGIES[name]
+  if (!strategy) {
+    throw new ValidationError(`Estrategia de despacho desconocida: ${name}. Disponibles: ${Object.keys(DISPATCH_STRATEGIES).join(', ')}`)
+  }
+  return strategy
+}
+
+export const getStrategies = () => Object.values(DISPATCH_STRATEGIES).map(({ name, description }) => ({
+  name,
+  description,
+  active: name === getActiveStrategyName()
+}))
+
+// Drones libres, con batería suficiente y, si se conoce la orden, capaces de
+// cargarla y de llegar a su dirección y volver
+const getSuitableDrones = (order = {}) => droneRepository
+  .filter((d) => d.available && isCharged(d) &&
+    hasCapacityFor(d, order.payloadGrams) && hasRangeFor(d, order.distanceKm))
+
+// Drones que el despachador puede asignar ahora mismo: los adecuados que
+// además pueden volar con el tiempo actual
+export const getCandidates = (order = {}) => getSuitableDrones(order).filter(canFlyInWeather)
+
+export const hasAvailableDrone = (order) => getCandidates(order).length > 0
+
+// Si la orden no tiene dron sólo por el tiempo, explica qué límite se supera
+// (el del dron adecuado que menos límites incumple); si no, null
+export const getWeatherRestriction = (order) => {
+  if (hasAvailableDrone(order)) return null
+
+  const [reasons] = getSuitableDrones(order)
+    .map(getFlightRestrictions)
+    .sort((a, b) => a.length - b.length)
+  return reasons ? `El tiempo no permite volar: ${reasons.join(', ')}` : null
+}
+
+// Los pedidos se recogen siempre en el obrador
+const buildContext = (orders) => ({
+  orders,
+  now: simulation.now(),
+  pickup: getBakeryBase()
+})
+
+const rankCandidates = (strategy, orders, order) => strategy.rank(getCandidates(order), buildContext(orders))
+
+// Elige un dron con la estrategia indicada y devuelve la decisión para auditarla
+export const selectDrone = (strategyName, order) => {
+  const strategy = getStrategy(strategyName)
+  const orders = orderRepository.findAll()
+  const [best, ...others] = rankCandidates(strategy, orders, order)
+  if (!best) return null
+
+  return {
+    drone: best.drone,
+    decision: {
+      strategy: strategy.name,
+      droneId: best.drone.id,
+      reason: best.reason,
+      alternatives: others.map(({ drone, score }) => ({ droneId: drone.id, score })),
+      decidedAt: simulation.timestamp(),
+      sequence: orders.reduce((max, o) => Math.max(max, o.dispatch?.sequence ?? 0), 0) + 1
+    }
+  }
+}
+
+// Simulación en seco: qué dron se asignaría y por qué, sin reservar nada
+export const previewDispatch = (strategyName) => {
+  const strategy = getStrategy(strategyName)
+  const ranking = rankCandidates(strategy, orderRepository.findAll())
+
+  return {
+    strategy: strategy.name,
+    drone: ranking.length ? { id: ranking[0].drone.id, name: ranking[0].drone.name } : null,
+    reason: ranking.length
+      ? ranking[0].reason
+      : 'No hay drones disponibles: la orden entraría en cola',
+    candidates: ranking.map(({ drone, score, reason }) => ({
+      droneId: drone.id,
+      name: drone.name,
+      score,
+      reason
+    }))
+  }
+}
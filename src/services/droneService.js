@@ -1,11 +1,96 @@
-import { drones } from '../utils/dataStore.js'
+import { droneRepository, orderRepository } from '../utils/dataStore.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { DRONE_STATUS, buildDrone, validateDroneFields, withStatus } from '../models/droneModel.js'
+import { isOccupyingDrone } from '../models/orderModel.js'
+import { dispatchQueuedOrders } from './orderService.js'
+import { startCharging, stopCharging } from './batteryService.js'
+import { clearTelemetry } from './telemetryService.js'
 
-export const getAllDrones = () => drones
+const findActiveOrder = (droneId) => orderRepository.find((o) => o.droneId === droneId && isOccupyingDrone(o))
 
-export const updateDroneStatus = (id, available) => {
-  const drone = drones.find((d) => d.id === Number(id))
-  if (!drone) throw new Error('Dron no encontrado')
+// Nombre y número de serie no pueden repetirse (sin distinguir mayúsculas)
+const assertUnique = (fields, exceptId) => {
+  const others = droneRepository.filter((d) => d.id !== exceptId)
+  const same = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase()
+
+  if (fields.name && others.some((d) => same(d.name, fields.name))) {
+    throw new ConflictError(`Ya existe un dron llamado "${fields.name}"`)
+  }
+  if (fields.serial && others.some((d) => same(d.serial, fields.serial))) {
+    throw new ConflictError(`Ya existe un dron con el número de serie ${fields.serial}`)
+  }
+}
+
+export const getAllDrones = () => droneRepository.findAll()
 
-  drone.available = available
+export const getDroneById = (id) => {
+  const drone = droneRepository.findById(id)
+  if (!drone) throw new NotFoundError('Dron no encontrado')
   return drone
 }
+
+export const createDrone = (data = {}) => {
+  const drone = buildDrone(data)
+  assertUnique(drone)
+
+  const created = droneRepository.insert(drone)
+  if (created.available) dispatchQueuedOrders()
+  return droneRepository.findById(created.id)
+}
+
+export const patchDrone = (id, data = {}) => {
+  const drone = getDroneById(id)
+  if ('id' in data && Number(data.id) !== drone.id) {
+    throw new ValidationError('El id del dron no se puede modificar')
+  }
+
+  const fields = validateDroneFields(data)
+  assertUnique(fields, drone.id)
+
+  if ('status' in fields && fields.status !== drone.status && findActiveOrder(drone.id)) {
+    throw new ConflictError(`El dron ${drone.name} tiene una orden activa; no se puede cambiar su estado a mano`)
+  }
+
+  droneRepository.update(drone.id, fields)
+
+  if (fields.status === DRONE_STATUS.CHARGING) {
+    startCharging(drone.id, { onCharged: () => dispatchQueuedOrders() })
+  } else if ('status' in fields) {
+    stopCharging(drone.id)
+  }
+
+  if (fields.available || 'battery' in fields) dispatchQueuedOrders()
+  return droneRepository.findById(drone.id)
+}
+
+export const deleteDrone = (id) => {
+  const drone = getDroneById(id)
+
+  const activeOrder = findActiveOrder(drone.id)
+  if (activeOrder) {
+    throw new ConflictError(`El dron ${drone.name} tiene la orden ${activeOrder.id} activa y no se puede eliminar`)
+  }
+
+  stopCharging(drone.id)
+  clearTelemetry(drone.id)
+  droneRepository.remove(drone.id)
+  return drone
+}
+
+export const updateDroneStatus = (id, available) => {
+  const drone = getDroneById(id)
+  if (typeof available !== 'boolean') {
+    throw new ValidationError('"available" debe ser true o false')
+  }
+  if (findActiveOrder(drone.id)) {
+    throw new ConflictError(`El dron ${drone.name} tiene una orden activa; no se puede cambiar su disponibilidad a mano`)
+  }
+
+  stopCharging(drone.id)
+  droneRepository.update(drone.id, withStatus(available ? DRONE_STATUS.IDLE : DRONE_STATUS.MAINTENANCE))
+
+  // Un dron que vuelve a estar disponible atiende primero la cola de espera
+  if (available) dispatchQueuedOrders()
+
+  return droneRepository.findById(drone.id)
+}
@@ -0,0 +1,123 @@
+import { ingredientRepository, productRepository } from '../utils/dataStore.js'
+import { ConflictError, InsufficientIngredientsError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { publish } from '../events/index.js'
+import { buildIngredient, getAvailableQuantity, isLowStock } from '../models/inventoryModel.js'
+
+const withAvailability = (ingredient) => ({
+  ...ingredient,
+  available: getAvailableQuantity(ingredient),
+  lowStock: isLowStock(ingredient)
+})
+
+export const getInventory = () => ingredientRepository.findAll().map(withAvailability)
+
+export const getIngredientById = (id) => {
+  const ingredient = ingredientRepository.findById(id)
+  if (!ingredient) throw new NotFoundError('Ingrediente no encontrado')
+  return withAvailability(ingredient)
+}
+
+export const getLowStockAlerts = () => getInventory().filter((ingredient) => ingredient.lowStock)
+
+export const createIngredient = (data = {}) => {
+  const ingredient = buildIngredient(data)
+  const duplicated = ingredientRepository.find((i) => i.name.toLowerCase() === ingredient.name.toLowerCase())
+  if (duplicated) throw new ConflictError(`Ya existe el ingrediente "${ingredient.name}"`)
+
+  return withAvailability(ingredientRepository.insert(ingredient))
+}
+
+export const restockIngredient = (id, quantity) => {
+  const ingredient = getIngredientById(id)
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+    throw new ValidationError('La cantidad a reponer debe ser un número positivo')
+  }
+
+  return withAvailability(ingredientRepository.update(ingredient.id, { stock: ingredient.stock + quantity }))
+}
+
+export const assertIngredientsExist = (recipe) => {
+  const unknown = recipe.filter((entry) => !ingredientRepository.findById(entry.ingredientId))
+  if (unknown.length) {
+    throw new ValidationError(`Ingredientes desconocidos en la receta: ${unknown.map((e) => e.ingredientId).join(', ')}`)
+  }
+}
+
+// Las recetas están pensadas para el primer tamaño del producto; los demás se
+// escalan por peso y se redondea hacia arriba (no se usan medios huevos)
+const scaleFactor = (product, size) => {
+  const base = product.sizes[0].weightGrams
+  const chosen = product.sizes.find((s) => s.size === size) ?? product.sizes[0]
+  return chosen.weightGrams / base
+}
+
+// Cantidad total de cada ingrediente que necesitan las líneas de una orden
+export const calculateRequirements = (items) => {
+  const totals = {}
+
+  items.forEach((item) => {
+    const product = productRepository.findById(item.productId)
+    if (!product?.recipe) return
+
+    const factor = scaleFactor(product, item.size)
+    product.recipe.forEach(({ ingredientId, quantity }) => {
+      totals[ingredientId] = (totals[ingredientId] ?? 0) + Math.ceil(quantity * factor) * item.quantity
+    })
+  })
+
+  return Object.entries(totals).map(([ingredientId, quantity]) => {
+    const ingredient = ingredientRepository.findById(ingredientId)
+    return { ingredientId: Number(ingredientId), name: ingredient?.name, unit: ingredient?.unit, quantity }
+  })
+}
+
+// Lanza InsufficientIngredientsError con todo lo que falte, no sólo lo primero
+export const assertIngredientsAvailable = (requirements) => {
+  const missing = requirements.flatMap(({ ingredientId, name, unit, quantity }) => {
+    const ingredient = ingredientRepository.findById(ingredientId)
+    const available = ingredient ? getAvailableQuantity(ingredient) : 0
+    return quantity > available
+      ? [{ ingredientId, name, unit, required: quantity, available, shortBy: quantity - available }]
+      : []
+  })
+
+  if (missing.length) throw new InsufficientIngredientsError(missing)
+}
+
+// Avisa una sola vez, cuando el ingrediente cruza el umbral
+const updateWithAlert = (ingredient, changes) => {
+  const updated = ingredientRepository.update(ingredient.id, changes)
+  if (isLowStock(updated) && !isLowStock(ingredient)) {
+    publish('inventory.low_stock', withAvailability(updated))
+  }
+  return updated
+}
+
+export const reserveIngredients = (requirements) => {
+  assertIngredientsAvailable(requirements)
+
+  requirements.forEach(({ ingredientId, quantity }) => {
+    const ingredient = ingredientRepository.findById(ingredientId)
+    updateWithAlert(ingredient, { reserved: ingredient.reserved + quantity })
+  })
+}
+
+// Al salir de cocina lo reservado se descuenta del stock
+export const consumeIngredients = (requirements) => {
+  requirements.forEach(({ ingredientId, quantity }) => {
+    const ingredient = ingredientRepository.findById(ingredientId)
+    if (!ingredient) return
+    ingredientRepository.update(ingredient.id, {
+      stock: Math.max(0, ingredient.stock - quantity),
+      reserved: Math.max(0, ingredient.reserved - quantity)
+    })
+  })
+}
+
+export const releaseIngredients = (requirements) => {
+  requirements.forEach(({ ingredientId, quantity }) => {
+    const ingredient = ingredientRepository.findById(ingredientId)
+    if (!ingredient) return
+    ingredientRepository.update(ingredient.id, { reserved: Math.max(0, ingredient.reserved - quantity) })
+  })
+}
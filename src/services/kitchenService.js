@@ -0,0 +1,94 @@
+import { orderRepository, productRepository } from '../utils/dataStore.js'
+import { ConflictError, ValidationError } from '../utils/errors.js'
+import { simulation } from '../simulation/index.js'
+import { ORDER_STATUS } from '../models/orderModel.js'
+import { getKitchenMode, getKitchenStations } from '../utils/config.js'
+import { compareByPriority, getQueue } from './queueService.js'
+
+export const STATION_STATUS = {
+  FREE: 'libre',
+  BUSY: 'ocupada'
+}
+
+// Órdenes que esperan una estación libre
+export const KITCHEN_WAITING_STATUSES = [ORDER_STATUS.PENDING]
+
+export const isManualKitchen = () => getKitchenMode() === 'manual'
+
+// Cada pastel ocupa la estación su tiempo de preparación; los de una misma
+// orden se hacen uno detrás de otro
+export const calculatePrepTime = (items = []) => {
+  const fallback = simulation.getDurations().preparing
+  const total = items.reduce((sum, item) => {
+    const product = productRepository.findById(item.productId)
+    return sum + (product?.prepTimeMs ?? fallback) * (item.quantity ?? 1)
+  }, 0)
+  return total || fallback
+}
+
+const getPrepTime = (order) => order.kitchen?.prepTimeMs ?? calculatePrepTime(order.items)
+
+// Las órdenes de la cola de cocina, express primero y luego por llegada
+export const getPrepQueue = () => orderRepository
+  .filter((o) => KITCHEN_WAITING_STATUSES.includes(o.status))
+  .sort(compareByPriority('createdAt'))
+
+// Las estaciones no se guardan: se deducen de las órdenes en preparación
+export const getStations = () => {
+  const preparing = orderRepository.filter((o) => o.status === ORDER_STATUS.PREPARING && o.kitchen?.stationId)
+
+  return Array.from({ length: getKitchenStations() }, (_, index) => {
+    const id = index + 1
+    const order = preparing.find((o) => o.kitchen.stationId === id)
+    return {
+      id,
+      status: order ? STATION_STATUS.BUSY : STATION_STATUS.FREE,
+      order: order ?? null
+    }
+  })
+}
+
+export const getFreeStations = () => getStations().filter((station) => station.status === STATION_STATUS.FREE)
+
+// Valida la estación elegida por el personal o toma la primera libre
+export const claimStation = (stationId) => {
+  if (stationId === undefined || stationId === null) {
+    const [free] = getFreeStations()
+    if (!free) throw new ConflictError('No hay estaciones libres en cocina')
+    return free.id
+  }
+
+  const station = getStations().find((s) => s.id === Number(stationId))
+  if (!station) throw new ValidationError(`Estación de cocina inválida: ${stationId}`)
+  if (station.status !== STATION_STATUS.FREE) {
+    throw new ConflictError(`La estación ${station.id} está ocupada con la orden ${station.order.id}`)
+  }
+  return station.id
+}
+
+// Momento en que cada estación vuelve a quedar libre, según lo que tenga en curso
+const estimateStationSlots = (now) => getStations().map(({ order }) => order
+  ? Math.max(now, Date.parse(order.kitchen.startedAt) + getPrepTime(order))
+  : now)
+
+// Cola de cocina con posición y hora estimada de inicio en una estación
+export const getKitchenQueue = () => {
+  const now = simulation.now()
+  const slots = estimateStationSlots(now)
+
+  return getPrepQueue().map((order, index) => {
+    slots.sort((a, b) => a - b)
+    const start = slots[0]
+    slots[0] = start + getPrepTime(order)
+
+    return { ...order, queuePosition: index + 1, estimatedStart: new Date(start).toISOString() }
+  })
+}
+
+// Vista de cocina: estaciones, lo que falta por preparar y lo listo para recoger
+export const getKitchenView = () => ({
+  mode: getKitchenMode(),
+  stations: getStations(),
+  queue: getKitchenQueue(),
+  ready: getQueue()
+})
@@ -0,0 +1,71 @@
+import { ValidationError } from '../utils/errors.js'
+import { normalizeText } from '../utils/text.js'
+import { DEFAULT_PAGE_SIZE, ORDER_SCOPES, isValidStatus } from '../models/orderModel.js'
+import { getAllOrders } from './orderService.js'
+import { isInRange, resolveDateRange } from './scheduleService.js'
+import { paginate } from '../utils/pagination.js'
+
+// "status" admite varios estados separados por comas ("listo,en vuelo")
+const parseStatuses = (status) => {
+  if (!status) return null
+
+  const statuses = status.split(',').map((s) => s.trim()).filter(Boolean)
+  const invalid = statuses.filter((s) => !isValidStatus(s))
+  if (invalid.length > 0) throw new ValidationError(`Estado inválido: ${invalid.join(', ')}`)
+  return statuses
+}
+
+// Texto en el que se busca: número, cliente, sabores, dirección y dron
+const searchableText = (order) => normalizeText([
+  `#${order.id}`,
+  order.customer,
+  order.flavor,
+  ...(order.items || []).map((item) => item.name),
+  order.deliveryAddress?.street,
+  order.drone
+].filter(Boolean).join(' '))
+
+// Las órdenes sin el campo de orden (p. ej. sin entregar al ordenar por
+// deliveredAt) van siempre al final; a igualdad decide el id
+const compareBy = (field, direction) => {
+  const sign = direction === 'asc' ? 1 : -1
+  return (a, b) => {
+    const timeA = a[field] ? Date.parse(a[field]) : null
+    const timeB = b[field] ? Date.parse(b[field]) : null
+    if (timeA === null || timeB === null) {
+      return (timeA === null) - (timeB === null) || sign * (a.id - b.id)
+    }
+    return sign * (timeA - timeB || a.id - b.id)
+  }
+}
+
+// Listado filtrado, ordenado y paginado. Las fechas filtran por createdAt
+export const listOrders = ({
+  status,
+  scope,
+  droneId,
+  customerId,
+  from,
+  to,
+  search,
+  sort = 'createdAt',
+  order = 'desc',
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE
+} = {}) => {
+  const statuses = parseStatuses(status)
+  const range = resolveDateRange(from, to)
+  const term = search?.trim() ? normalizeText(search.trim()) : null
+
+  const matches = getAllOrders()
+    .filter((o) => !statuses || statuses.includes(o.status))
+    .filter((o) => !scope || ORDER_SCOPES[scope](o))
+    .filter((o) => droneId === undefined || o.droneId === droneId)
+    .filter((o) => customerId === undefined || o.customerId === customerId)
+    .filter((o) => isInRange(Date.parse(o.createdAt), range))
+    .filter((o) => !term || searchableText(o).includes(term))
+    .sort(compareBy(sort, order))
+
+  const { items, ...pagination } = paginate(matches, page, limit)
+  return { orders: items, ...pagination }
+}
@@ -1,65 +1,524 @@
-import { drones, orders } from '../utils/dataStore.js'
+import { droneRepository, orderRepository } from '../utils/dataStore.js'
+import { getBakeryBase } from '../utils/config.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { simulation } from '../simulation/index.js'
+import { publish } from '../events/index.js'
+import { getQueue, getQueuedOrders } from './queueService.js'
+import {
+  KITCHEN_WAITING_STATUSES,
+  calculatePrepTime,
+  claimStation,
+  getFreeStations,
+  getKitchenQueue,
+  getPrepQueue,
+  isManualKitchen
+} from './kitchenService.js'
+import { getWeatherRestriction, hasAvailableDrone, selectDrone } from './dispatchService.js'
+import { DRONE_STATUS, withStatus } from '../models/droneModel.js'
+import { assertFleetCanDeliver, estimateFlightMs, planDelivery, resolveDeliveryAddress, routeDelivery } from './deliveryService.js'
+import { planRoute } from './airspaceService.js'
+import { resolveItems, returnStock, takeStock } from './productService.js'
+import { priceOrder } from './pricingService.js'
+import { resolveScheduledFor } from './scheduleService.js'
+import { resolveOrderCustomer } from './customerService.js'
+import {
+  assertIngredientsAvailable,
+  calculateRequirements,
+  consumeIngredients,
+  releaseIngredients,
+  reserveIngredients
+} from './inventoryService.js'
+import { RESERVATION_STATUS } from '../models/inventoryModel.js'
+import { drainForFlight, getBattery, getRechargeBelowBattery, startCharging } from './batteryService.js'
+import {
+  HOLD_REASONS,
+  ORDER_PRIORITY,
+  ORDER_STATUS,
+  REFUND_STATUS,
+  canTransition,
+  getCancellationPolicy,
+  getNextStatuses,
+  isFinalStatus,
+  isValidPriority,
+  isValidStatus
+} from '../models/orderModel.js'
 
-export const createOrder = (customer, flavor) => {
-  const availableDrone = drones.find((d) => d.available)
-  if (!availableDrone) throw new Error('No hay drones disponibles')
+// Estados en los que la orden deja libre su dron
+const DRONE_RELEASING_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED, ORDER_STATUS.FAILED]
 
-  const newOrder = {
-    id: orders.length + 1,
-    customer,
-    flavor,
-    drone: availableDrone.name,
-    droneId: availableDrone.id,
-    status: 'preparando',
-    createdAt: new Date().toISOString(),
-    estimatedDelivery: new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15 minutos
+// Código de error de un despegue que impide el espacio aéreo
+export const AIRSPACE_BLOCKED = 'AIRSPACE_BLOCKED'
+
+// La ruta se vuelve a trazar al despegar, desde la base del dron y con las
+// zonas vigentes en ese momento: una zona creada después del pedido también cuenta
+const planFlightRoute = (order, drone) => {
+  if (!order.deliveryAddress) return {}
+
+  try {
+    const route = planRoute(drone.homeBase ?? getBakeryBase(), order.deliveryAddress)
+    return { route, distanceKm: route.distanceKm }
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error
+    throw new ConflictError(`La orden ${order.id} no puede despegar: ${error.message}`, AIRSPACE_BLOCKED)
   }
+}
 
-  availableDrone.available = false
-  orders.push(newOrder)
+// Reserva el dron elegido por el despachador y guarda la decisión en la orden
+const reserveDrone = (order) => {
+  if (order.droneId) return {}
 
-  // Simular el proceso de entrega automático
-  setTimeout(() => {
-    try {
-      console.log(`Cambiando orden ${newOrder.id} a "en vuelo"`)
-      updateOrderStatus(newOrder.id, 'en vuelo')
-    } catch (error) {
-      console.error('Error al cambiar a en vuelo:', error)
+  const selection = selectDrone(undefined, order)
+  if (!selection) throw new ConflictError(getWeatherRestriction(order) ?? 'No hay drones disponibles')
+
+  const { drone, decision } = selection
+  const flightRoute = planFlightRoute(order, drone)
+  droneRepository.update(drone.id, withStatus(DRONE_STATUS.ASSIGNED))
+  return {
+    drone: drone.name,
+    droneId: drone.id,
+    dispatch: decision,
+    dispatchedAt: simulation.timestamp(),
+    ...flightRoute,
+    // La ETA se recalcula con la velocidad del dron que realmente hace la entrega
+    ...planDelivery({ distanceKm: flightRoute.distanceKm ?? order.distanceKm, drone, prepTimeMs: 0 })
+  }
+}
+
+const setOrderDroneStatus = (order, status) => {
+  const drone = order.droneId && droneRepository.findById(order.droneId)
+  if (drone) droneRepository.update(drone.id, withStatus(status))
+}
+
+// Al liberarse, un dron con poca batería se queda cargando antes de volver al servicio
+const releaseDrone = (order) => {
+  const drone = order.droneId && droneRepository.findById(order.droneId)
+  if (!drone) return
+
+  if (getBattery(drone) < getRechargeBelowBattery()) {
+    startCharging(drone.id, { onCharged: () => dispatchQueuedOrders() })
+  } else {
+    droneRepository.update(drone.id, withStatus(DRONE_STATUS.IDLE))
+  }
+}
+
+// El dron sigue ocupado hasta que aterriza de nuevo en la base
+const recallDrone = (order) => {
+  simulation.schedule({
+    orderId: order.id,
+    type: 'regreso a base',
+    delay: simulation.getDurations().returnToBase,
+    run: () => {
+      releaseDrone(order)
+      const current = orderRepository.findById(order.id)
+      orderRepository.update(order.id, {
+        recall: { ...current.recall, status: 'en base', returnedAt: simulation.timestamp() }
+      })
+      dispatchQueuedOrders()
     }
-  }, 3000) // 3 segundos preparando
+  })
+
+  return { droneId: order.droneId, status: 'regresando', requestedAt: simulation.timestamp() }
+}
+
+// Un pastel que nunca empezó a prepararse vuelve al stock al cancelarse
+const STOCK_RETURNING_STATUSES = [ORDER_STATUS.SCHEDULED, ORDER_STATUS.PENDING]
+
+const cancelEffect = (order, { reason = null } = {}) => {
+  const policy = getCancellationPolicy(order.status)
+  if (order.items && STOCK_RETURNING_STATUSES.includes(order.status)) returnStock(order.items)
+
+  const amount = Math.round((order.total || 0) * policy.refundRate * 100) / 100
+
+  const changes = {
+    cancelledAt: simulation.timestamp(),
+    cancellationReason: reason,
+    refund: {
+      amount,
+      rate: policy.refundRate,
+      status: amount > 0 ? REFUND_STATUS.PENDING : REFUND_STATUS.NOT_APPLICABLE,
+      createdAt: simulation.timestamp()
+    }
+  }
+
+  if (policy.recallDrone) {
+    changes.recall = recallDrone(order)
+  } else {
+    releaseDrone(order)
+  }
+
+  return changes
+}
+
+// Etapas automáticas: al entrar en un estado se agenda el paso al siguiente.
+// Con la cocina en modo manual es el personal quien marca el pastel como listo
+const automaticStages = {
+  [ORDER_STATUS.SCHEDULED]: {
+    next: ORDER_STATUS.PENDING,
+    delay: (order) => Math.max(0, Date.parse(order.scheduledStartAt) - simulation.now())
+  },
+  [ORDER_STATUS.PREPARING]: {
+    next: ORDER_STATUS.READY,
+    delay: (order, d) => order.kitchen?.prepTimeMs ?? d.preparing,
+    manual: isManualKitchen
+  },
+  [ORDER_STATUS.IN_FLIGHT]: { next: ORDER_STATUS.DELIVERED, delay: (order, d) => order.flightDurationMs ?? d.flight }
+}
+
+const scheduleNextStage = (order) => {
+  const stage = automaticStages[order.status]
+  if (!stage || stage.manual?.()) return
+
+  simulation.schedule({
+    orderId: order.id,
+    type: stage.next,
+    delay: stage.delay(order, simulation.getDurations()),
+    run: () => updateOrderStatus(order.id, stage.next)
+  })
+}
+
+// La orden ocupa una estación de cocina durante su tiempo de preparación
+const startKitchenWork = (order, { stationId } = {}) => {
+  const startedAt = simulation.now()
+  const prepTimeMs = order.kitchen?.prepTimeMs ?? calculatePrepTime(order.items)
+
+  return {
+    kitchen: {
+      ...order.kitchen,
+      prepTimeMs,
+      stationId: claimStation(stationId),
+      startedAt: new Date(startedAt).toISOString(),
+      estimatedReadyAt: new Date(startedAt + prepTimeMs).toISOString()
+    },
+    ...planDelivery({ distanceKm: order.distanceKm, startAt: startedAt, prepTimeMs })
+  }
+}
+
+const finishKitchenWork = (order) => order.status === ORDER_STATUS.PREPARING
+  ? { kitchen: { ...order.kitchen, finishedAt: simulation.timestamp() } }
+  : {}
+
+// Efectos secundarios al entrar en cada estado; devuelven cambios extra para la orden
+const transitionEffects = {
+  [ORDER_STATUS.PENDING]: (order) => order.status === ORDER_STATUS.SCHEDULED
+    ? { releasedAt: simulation.timestamp() }
+    : {},
+  [ORDER_STATUS.PREPARING]: startKitchenWork,
+  [ORDER_STATUS.READY]: (order) => ({
+    ...finishKitchenWork(order),
+    readyAt: simulation.timestamp(),
+    queuedAt: simulation.timestamp()
+  }),
+  // El dron se asigna cuando el pastel sale de cocina, justo antes de despegar
+  [ORDER_STATUS.IN_FLIGHT]: (order) => {
+    const assignment = reserveDrone(order)
+    const flying = { ...order, ...assignment }
+
+    setOrderDroneStatus(flying, DRONE_STATUS.FLYING)
+    drainForFlight(flying.droneId, flying)
+    return { ...finishKitchenWork(order), ...assignment, ...(order.hold && { hold: null }), departedAt: simulation.timestamp() }
+  },
+  [ORDER_STATUS.DELIVERED]: (order) => {
+    releaseDrone(order)
+    return { deliveredAt: simulation.timestamp() }
+  },
+  [ORDER_STATUS.CANCELLED]: cancelEffect,
+  [ORDER_STATUS.FAILED]: (order) => {
+    releaseDrone(order)
+    return { failedAt: simulation.timestamp() }
+  }
+}
+
+const CONSUME = { settle: consumeIngredients, status: RESERVATION_STATUS.CONSUMED }
+const RELEASE = { settle: releaseIngredients, status: RESERVATION_STATUS.RELEASED }
+
+// Una orden que se cancela o falla sólo devuelve sus ingredientes si el
+// pastel no llegó a prepararse (como el stock del producto); si no, ya se usaron
+const settleUnfinished = (order) => STOCK_RETURNING_STATUSES.includes(order.status) ? RELEASE : CONSUME
+
+// Los ingredientes reservados se descuentan cuando el pastel sale de cocina
+// y se liberan si la orden ya no se va a preparar
+const INGREDIENT_SETTLEMENTS = {
+  [ORDER_STATUS.READY]: () => CONSUME,
+  [ORDER_STATUS.IN_FLIGHT]: () => CONSUME,
+  [ORDER_STATUS.DELIVERED]: () => CONSUME,
+  [ORDER_STATUS.CANCELLED]: settleUnfinished,
+  [ORDER_STATUS.FAILED]: settleUnfinished
+}
+
+const settleIngredients = (order, newStatus) => {
+  const settlement = INGREDIENT_SETTLEMENTS[newStatus]?.(order)
+  const reservation = order.ingredientReservation
+  if (!settlement || reservation?.status !== RESERVATION_STATUS.RESERVED) return {}
+
+  settlement.settle(reservation.items)
+  return {
+    ingredientReservation: { ...reservation, status: settlement.status, settledAt: simulation.timestamp() }
+  }
+}
+
+const applyTransition = (order, newStatus, { force = false, context = {} } = {}) => {
+  if (!isValidStatus(newStatus)) {
+    throw new ValidationError(`Estado de orden inválido: ${newStatus}`)
+  }
+  if (isFinalStatus(order.status)) {
+    throw new ConflictError(`La orden ${order.id} ya está en estado final "${order.status}"`)
+  }
+  if (!force && !canTransition(order.status, newStatus)) {
+    throw new ConflictError(`No se puede pasar la orden ${order.id} de "${order.status}" a "${newStatus}"`)
+  }
+
+  // Los eventos pendientes de la etapa anterior ya no aplican
+  simulation.cancel(order.id)
+
+  const effect = transitionEffects[newStatus]
+  const extraChanges = {
+    ...(effect ? effect(order, context) : {}),
+    ...settleIngredients(order, newStatus)
+  }
+
+  const updatedOrder = orderRepository.update(order.id, { ...extraChanges, status: newStatus })
+  publish('order.status_changed', { orderId: order.id, from: order.status, to: newStatus, order: updatedOrder })
+  scheduleNextStage(updatedOrder)
+
+  // Una estación libre toma la siguiente orden; un pastel listo o un dron libre
+  // ponen en marcha el despacho
+  if (newStatus === ORDER_STATUS.PENDING || order.status === ORDER_STATUS.PREPARING) startQueuedPreparations()
+  if (newStatus === ORDER_STATUS.READY || DRONE_RELEASING_STATUSES.includes(newStatus)) dispatchQueuedOrders()
+  if (newStatus === ORDER_STATUS.READY) refreshWaitingEta(order.id)
 
-  setTimeout(() => {
+  return orderRepository.findById(order.id)
+}
+
+// Una orden que no puede despegar se queda en cola con el motivo en "hold"
+const holdOrder = (order, reason, message) => {
+  if (order.hold?.reason === reason && order.hold.message === message) return
+  orderRepository.update(order.id, { hold: { reason, message, since: simulation.timestamp() } })
+}
+
+// Una orden que esperaba por el tiempo deja de estar retenida cuando éste ya
+// no es el motivo (aunque siga esperando un dron libre)
+const waitForDrone = (order) => {
+  const weather = getWeatherRestriction(order)
+  if (weather) holdOrder(order, HOLD_REASONS.WEATHER, weather)
+  else if (order.hold?.reason === HOLD_REASONS.WEATHER) orderRepository.update(order.id, { hold: null })
+}
+
+// Asigna los drones libres a los pasteles listos, respetando la prioridad.
+// Una orden que ningún dron libre alcanza, que el tiempo deja en tierra o
+// cuya ruta cierra el espacio aéreo no bloquea a las que vienen detrás
+export const dispatchQueuedOrders = () => {
+  const dispatched = []
+
+  getQueuedOrders().forEach((next) => {
+    if (!next.droneId && !hasAvailableDrone(next)) {
+      waitForDrone(next)
+      return
+    }
     try {
-      console.log(`Cambiando orden ${newOrder.id} a "entregado"`)
-      updateOrderStatus(newOrder.id, 'entregado')
+      dispatched.push(applyTransition(next, ORDER_STATUS.IN_FLIGHT))
     } catch (error) {
-      console.error('Error al cambiar a entregado:', error)
+      if (error.code !== AIRSPACE_BLOCKED) throw error
+      holdOrder(next, HOLD_REASONS.AIRSPACE, error.message)
     }
-  }, 10000) // 10 segundos total
+  })
 
-  return newOrder
+  return dispatched
 }
 
-export const getAllOrders = () => orders
+// Con la cocina en automático, cada estación libre toma la siguiente orden de la cola
+export const startQueuedPreparations = () => {
+  if (isManualKitchen()) return []
 
-export const updateOrderStatus = (orderId, newStatus) => {
-  const order = orders.find(o => o.id === orderId)
-  if (!order) throw new Error('Orden no encontrada')
+  return getPrepQueue()
+    .slice(0, getFreeStations().length)
+    .map((next) => applyTransition(next, ORDER_STATUS.PREPARING))
+}
 
-  order.status = newStatus
+// El personal de cocina empieza una orden en una estación (la primera libre si no se indica)
+export const startPreparation = (orderId, stationId) => {
+  const order = getOrderById(orderId)
+  if (!KITCHEN_WAITING_STATUSES.includes(order.status)) {
+    throw new ConflictError(`La orden ${order.id} no está esperando en cocina`)
+  }
+  return applyTransition(order, ORDER_STATUS.PREPARING, { context: { stationId } })
+}
 
-  // Si se entrega, liberar el dron
-  if (newStatus === 'entregado') {
-    const drone = drones.find(d => d.id === order.droneId)
-    if (drone) {
-      drone.available = true
-      order.deliveredAt = new Date().toISOString()
-    }
+export const finishPreparation = (orderId) => {
+  const order = getOrderById(orderId)
+  if (order.status !== ORDER_STATUS.PREPARING) {
+    throw new ConflictError(`La orden ${order.id} no se está preparando`)
+  }
+  return applyTransition(order, ORDER_STATUS.READY)
+}
+
+// Acepta createOrder(customer, flavor, options) o createOrder({ customer, flavor, ...options })
+const normalizeOrderInput = (customer, flavor, options) => typeof customer === 'object' && customer !== null
+  ? customer
+  : { customer, flavor, ...options }
+
+// Líneas, peso, dirección y precio de una orden nueva. Sin "items" se pide
+// un único pastel con el sabor y tamaño indicados
+const prepareOrder = ({ flavor, size, items, deliveryAddress, discountCode, scheduledFor }) => {
+  const schedule = scheduledFor !== undefined && scheduledFor !== null
+    ? { scheduledFor: resolveScheduledFor(scheduledFor) }
+    : {}
+  const resolvedItems = resolveItems(items ?? [{ flavor, size }])
+  const delivery = deliveryAddress !== undefined ? routeDelivery(resolveDeliveryAddress(deliveryAddress)) : {}
+  const payloadGrams = resolvedItems.reduce((sum, item) => sum + item.weightGrams * item.quantity, 0)
+
+  assertFleetCanDeliver({ distanceKm: delivery.distanceKm, payloadGrams })
+
+  const ingredients = calculateRequirements(resolvedItems)
+  assertIngredientsAvailable(ingredients)
+
+  const { items: pricedItems, pricing } = priceOrder({
+    items: resolvedItems,
+    distanceKm: delivery.distanceKm,
+    discountCode
+  })
+
+  return {
+    items: pricedItems,
+    // El sabor de la primera línea se mantiene por compatibilidad con la API original
+    flavor: pricedItems[0].flavor,
+    ...delivery,
+    ...schedule,
+    payloadGrams,
+    ingredients,
+    pricing,
+    total: pricing.total
+  }
+}
+
+// Calcula el pedido sin crearlo ni reservar nada
+export const quoteOrder = (...args) => {
+  const { customer, customerId, addressId, priority, ...input } = normalizeOrderInput(...args)
+  const buyer = resolveOrderCustomer({ customer, customerId, addressId })
+  return prepareOrder({ ...input, deliveryAddress: input.deliveryAddress ?? buyer.deliveryAddress })
+}
+
+export const createOrder = (...args) => {
+  const { customer, customerId, addressId, priority: requestedPriority, ...input } = normalizeOrderInput(...args)
+
+  // Un cliente registrado aporta su nombre, su dirección guardada y su prioridad preferida
+  const buyer = resolveOrderCustomer({ customer, customerId, addressId })
+  const priority = requestedPriority ?? buyer.priority ?? ORDER_PRIORITY.NORMAL
+  if (!isValidPriority(priority)) {
+    throw new ValidationError(`Prioridad inválida: ${priority}`)
+  }
+
+  const { ingredients, ...details } = prepareOrder({ ...input, deliveryAddress: input.deliveryAddress ?? buyer.deliveryAddress })
+  reserveIngredients(ingredients)
+
+  // Toda orden entra en la cola de cocina (las programadas, a su hora);
+  // el dron se asigna cuando el pastel está listo
+  const prepTimeMs = calculatePrepTime(details.items)
+  const newOrder = orderRepository.insert({
+    customer: buyer.customer,
+    customerId: buyer.customerId,
+    ...details,
+    ...(details.scheduledFor && planScheduledStart(details, prepTimeMs)),
+    priority,
+    ingredientReservation: { status: RESERVATION_STATUS.RESERVED, items: ingredients, reservedAt: simulation.timestamp() },
+    kitchen: { prepTimeMs, stationId: null, startedAt: null },
+    drone: null,
+    droneId: null,
+    status: details.scheduledFor ? ORDER_STATUS.SCHEDULED : ORDER_STATUS.PENDING,
+    createdAt: simulation.timestamp()
+  })
+  takeStock(newOrder.items)
+
+  if (newOrder.status === ORDER_STATUS.SCHEDULED) {
+    scheduleNextStage(newOrder)
+    return newOrder
+  }
+
+  startQueuedPreparations()
+  refreshWaitingEta(newOrder.id)
+
+  return getOrderEntry(newOrder.id)
+}
+
+// Una orden programada pasa a la cola de cocina con el tiempo justo para
+// prepararse y volar hasta la dirección a la hora pedida
+const planScheduledStart = ({ scheduledFor, distanceKm }, prepTimeMs) => {
+  const deliverAt = Date.parse(scheduledFor)
+  const startAt = Math.max(simulation.now(), deliverAt - prepTimeMs - estimateFlightMs(distanceKm))
+
+  return {
+    scheduledStartAt: new Date(startAt).toISOString(),
+    estimatedDelivery: scheduledFor
   }
+}
+
+// Tras un reinicio los temporizadores en memoria se pierden; las órdenes
+// programadas se vuelven a agendar a partir de lo guardado
+export const resumeScheduledOrders = () => orderRepository
+  .filter((o) => o.status === ORDER_STATUS.SCHEDULED && simulation.pending(o.id).length === 0)
+  .map((order) => {
+    scheduleNextStage(order)
+    return order
+  })
+
+// Las órdenes que esperan en cocina o en la cola de drones incluyen su
+// posición y hora estimada de inicio
+const getWaitingEntries = () => [...getKitchenQueue(), ...getQueue()]
+
+const withQueueEntry = (order, entries = getWaitingEntries()) =>
+  entries.find((entry) => entry.id === order.id) || order
+
+export const getAllOrders = () => {
+  const entries = getWaitingEntries()
+  return orderRepository.findAll().map((order) => withQueueEntry(order, entries))
+}
+
+const getOrderEntry = (orderId) => withQueueEntry(orderRepository.findById(orderId))
 
+// Mientras espera, la ETA parte de la hora estimada de inicio de su cola:
+// la preparación en cocina o, con el pastel listo, el despegue
+const refreshWaitingEta = (orderId) => {
+  const entry = getOrderEntry(orderId)
+  if (!entry?.estimatedStart) return
+
+  orderRepository.update(orderId, planDelivery({
+    distanceKm: entry.distanceKm,
+    startAt: Date.parse(entry.estimatedStart),
+    prepTimeMs: entry.status === ORDER_STATUS.READY ? 0 : entry.kitchen?.prepTimeMs ?? calculatePrepTime(entry.items)
+  }))
+}
+
+export const getOrderById = (orderId) => {
+  const order = orderRepository.findById(orderId)
+  if (!order) throw new NotFoundError('Orden no encontrada')
   return order
 }
 
+export const getOrderTransitions = (orderId) => {
+  const order = getOrderById(orderId)
+  return getNextStatuses(order.status)
+}
+
+export const updateOrderStatus = (orderId, newStatus) => {
+  const order = getOrderById(orderId)
+  return applyTransition(order, newStatus)
+}
+
+// Confirmación manual de entrega: omite los pasos intermedios pero
+// nunca reabre una orden ya finalizada
 export const completeOrder = (orderId) => {
-  return updateOrderStatus(orderId, 'entregado')
+  const order = getOrderById(orderId)
+  return applyTransition(order, ORDER_STATUS.DELIVERED, { force: true })
+}
+
+export const cancelOrder = (orderId, reason) => {
+  const order = getOrderById(orderId)
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new ValidationError('Se requiere un motivo de cancelación')
+  }
+  if (order.status === ORDER_STATUS.DELIVERED) {
+    throw new ConflictError(`La orden ${order.id} ya fue entregada y no se puede cancelar`)
+  }
+
+  return applyTransition(order, ORDER_STATUS.CANCELLED, { context: { reason: reason.trim() } })
 }
@@ -0,0 +1,49 @@
+import { ValidationError } from '../utils/errors.js'
+import { getDeliveryBaseFee, getDeliveryFeePerKm, getTaxRate } from '../utils/config.js'
+import { DISCOUNT_TYPES, findDiscountCode, roundMoney } from '../models/pricingModel.js'
+
+export const calculateDeliveryFee = (distanceKm = 0) =>
+  roundMoney(getDeliveryBaseFee() + getDeliveryFeePerKm() * distanceKm)
+
+const resolveDiscount = (discountCode) => {
+  if (discountCode === undefined || discountCode === null || discountCode === '') return null
+
+  const discount = findDiscountCode(discountCode)
+  if (!discount) throw new ValidationError(`Código de descuento inválido: ${discountCode}`)
+  return discount
+}
+
+const discountAmount = (discount, subtotal, deliveryFee) => {
+  if (!discount) return 0
+  if (discount.type === DISCOUNT_TYPES.PERCENT) return roundMoney(subtotal * discount.value / 100)
+  if (discount.type === DISCOUNT_TYPES.FIXED) return Math.min(discount.value, subtotal)
+  return deliveryFee
+}
+
+// Desglose del precio: el descuento se aplica antes de impuestos y el IVA
+// sólo grava los productos, no el envío
+export const priceOrder = ({ items, distanceKm, discountCode }) => {
+  const pricedItems = items.map((item) => ({ ...item, lineTotal: roundMoney(item.unitPrice * item.quantity) }))
+  const subtotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.lineTotal, 0))
+  const deliveryFee = calculateDeliveryFee(distanceKm)
+
+  const discount = resolveDiscount(discountCode)
+  const amount = discountAmount(discount, subtotal, deliveryFee)
+  const productsDiscount = discount?.type === DISCOUNT_TYPES.FREE_DELIVERY ? 0 : amount
+  const chargedDelivery = roundMoney(deliveryFee - (amount - productsDiscount))
+
+  const taxRate = getTaxRate()
+  const tax = roundMoney((subtotal - productsDiscount) * taxRate)
+
+  return {
+    items: pricedItems,
+    pricing: {
+      subtotal,
+      discount: discount && { code: discount.code, type: discount.type, amount },
+      taxRate,
+      tax,
+      deliveryFee: chargedDelivery,
+      total: roundMoney(subtotal - productsDiscount + tax + chargedDelivery)
+    }
+  }
+}
@@ -0,0 +1,138 @@
+import { productRepository } from '../utils/dataStore.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { buildProduct, isOrderable, validateProductFields } from '../models/productModel.js'
+import { assertIngredientsExist } from './inventoryService.js'
+
+export const MAX_ITEM_QUANTITY = 20
+export const MAX_INSCRIPTION_LENGTH = 40
+
+const findByFlavor = (flavor) => productRepository.find((p) => p.flavor === flavor)
+
+const assertUniqueFlavor = (fields, exceptId) => {
+  const existing = fields.flavor && findByFlavor(fields.flavor)
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`Ya existe un producto con el sabor "${fields.flavor}"`)
+  }
+}
+
+// Con available=true sólo se listan los productos que se pueden pedir ahora
+export const getAllProducts = ({ available } = {}) => {
+  const products = productRepository.findAll()
+  return available ? products.filter(isOrderable) : products
+}
+
+export const getProductById = (id) => {
+  const product = productRepository.findById(id)
+  if (!product) throw new NotFoundError('Producto no encontrado')
+  return product
+}
+
+export const createProduct = (data = {}) => {
+  const product = buildProduct(data)
+  assertUniqueFlavor(product)
+  assertIngredientsExist(product.recipe)
+  return productRepository.insert(product)
+}
+
+export const patchProduct = (id, data = {}) => {
+  const product = getProductById(id)
+  if ('id' in data && Number(data.id) !== product.id) {
+    throw new ValidationError('El id del producto no se puede modificar')
+  }
+
+  const fields = validateProductFields(data)
+  assertUniqueFlavor(fields, product.id)
+  if (fields.recipe) assertIngredientsExist(fields.recipe)
+
+  return productRepository.update(product.id, fields)
+}
+
+// Las órdenes guardan una copia de lo pedido, así que borrar el producto no las afecta
+export const deleteProduct = (id) => {
+  const product = getProductById(id)
+  productRepository.remove(product.id)
+  return product
+}
+
+const validateInscription = (inscription) => {
+  if (inscription === undefined || inscription === null || inscription === '') return null
+  if (typeof inscription !== 'string' || inscription.trim().length > MAX_INSCRIPTION_LENGTH) {
+    throw new ValidationError(`La dedicatoria debe ser texto de hasta ${MAX_INSCRIPTION_LENGTH} caracteres`)
+  }
+  return inscription.trim() || null
+}
+
+// Comprueba que el sabor exista y se pueda pedir, y copia del catálogo lo que
+// la línea necesita. Sin tamaño se usa el primero (el más pequeño)
+const resolveItem = (item) => {
+  if (typeof item !== 'object' || item === null) {
+    throw new ValidationError('Cada producto del pedido debe indicar al menos el sabor')
+  }
+
+  const { flavor, size, quantity = 1, inscription } = item
+  const product = typeof flavor === 'string' && findByFlavor(flavor.trim())
+  if (!product) {
+    const flavors = productRepository.findAll().map((p) => p.flavor)
+    throw new ValidationError(`Sabor desconocido: ${flavor}. Disponibles: ${flavors.join(', ')}`)
+  }
+  if (!isOrderable(product)) {
+    throw new ConflictError(`El sabor "${product.name}" está agotado o no disponible`)
+  }
+
+  const chosen = size === undefined || size === null
+    ? product.sizes[0]
+    : product.sizes.find((s) => s.size === String(size).trim().toLowerCase())
+  if (!chosen) {
+    throw new ValidationError(`Tamaño desconocido para ${product.name}: ${size}. Disponibles: ${product.sizes.map((s) => s.size).join(', ')}`)
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+    throw new ValidationError(`La cantidad debe ser un entero entre 1 y ${MAX_ITEM_QUANTITY}`)
+  }
+
+  return {
+    productId: product.id,
+    flavor: product.flavor,
+    name: product.name,
+    size: chosen.size,
+    quantity,
+    unitPrice: chosen.price,
+    weightGrams: chosen.weightGrams,
+    inscription: validateInscription(inscription)
+  }
+}
+
+const quantitiesByProduct = (items) => items.reduce((totals, item) => ({
+  ...totals,
+  [item.productId]: (totals[item.productId] ?? 0) + item.quantity
+}), {})
+
+// Normaliza las líneas del pedido y comprueba que haya stock para todas juntas
+export const resolveItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('La orden debe incluir al menos un producto')
+  }
+
+  const resolved = items.map(resolveItem)
+
+  Object.entries(quantitiesByProduct(resolved)).forEach(([productId, quantity]) => {
+    const product = productRepository.findById(productId)
+    if (product.stock !== null && product.stock !== undefined && quantity > product.stock) {
+      throw new ConflictError(`Sólo quedan ${product.stock} unidad(es) de ${product.name}`)
+    }
+  })
+
+  return resolved
+}
+
+const adjustStock = (items, sign) => {
+  Object.entries(quantitiesByProduct(items)).forEach(([productId, quantity]) => {
+    const product = productRepository.findById(productId)
+    if (!product || product.stock === null || product.stock === undefined) return
+    productRepository.update(product.id, { stock: Math.max(0, product.stock + sign * quantity) })
+  })
+}
+
+export const takeStock = (items) => adjustStock(items, -1)
+
+export const returnStock = (items) => adjustStock(items, 1)
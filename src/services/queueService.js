@@ -0,0 +1,78 @@
+import { droneRepository, orderRepository } from '../utils/dataStore.js'
+import { simulation } from '../simulation/index.js'
+import { ORDER_PRIORITY, ORDER_STATUS, isOccupyingDrone } from '../models/orderModel.js'
+import { DRONE_STATUS } from '../models/droneModel.js'
+import { estimateChargeTime, isCharged } from './batteryService.js'
+
+const PRIORITY_RANK = {
+  [ORDER_PRIORITY.EXPRESS]: 0,
+  [ORDER_PRIORITY.NORMAL]: 1
+}
+
+const rankOf = (order) => PRIORITY_RANK[order.priority] ?? PRIORITY_RANK[ORDER_PRIORITY.NORMAL]
+
+// Express primero; dentro de la misma prioridad, por orden de llegada (FIFO)
+// según el campo de fecha que marca la entrada en cada cola
+export const compareByPriority = (field) => (a, b) =>
+  rankOf(a) - rankOf(b) ||
+  Date.parse(a[field]) - Date.parse(b[field]) ||
+  a.id - b.id
+
+export const compareQueuedOrders = compareByPriority('queuedAt')
+
+// Cola de drones: pasteles listos en el obrador esperando quién los lleve
+export const getQueuedOrders = () => orderRepository
+  .filter((o) => o.status === ORDER_STATUS.READY)
+  .sort(compareQueuedOrders)
+
+// Momento estimado en que el dron de una orden activa vuelve a quedar libre,
+// a partir del próximo evento agendado (si lo hay) y de las duraciones de etapa
+const releaseEstimators = {
+  [ORDER_STATUS.PREPARING]: (eventTime, now, d) => (eventTime ?? now + d.preparing) + d.flight,
+  [ORDER_STATUS.READY]: (eventTime, now, d) => now + d.flight,
+  [ORDER_STATUS.IN_FLIGHT]: (eventTime, now, d) => eventTime ?? now + d.flight,
+  [ORDER_STATUS.CANCELLED]: (eventTime, now, d) => eventTime ?? now + d.returnToBase
+}
+
+const estimateReleaseTime = (order, now, stageDurations) => {
+  const durations = { ...stageDurations, flight: order.flightDurationMs ?? stageDurations.flight }
+  const [event] = simulation.pending(order.id)
+  const eventTime = event ? Date.parse(event.dueAt) : null
+  const estimator = releaseEstimators[order.status]
+
+  return estimator
+    ? estimator(eventTime, now, durations)
+    : now + durations.preparing + durations.flight
+}
+
+// Los drones no disponibles y sin orden (p. ej. en mantenimiento) no cuentan
+const estimateDroneSlots = (now, durations) => droneRepository.findAll()
+  .map((drone) => {
+    if (drone.available && isCharged(drone)) return now
+    if (drone.status === DRONE_STATUS.CHARGING) return now + estimateChargeTime(drone)
+    const activeOrder = orderRepository.find((o) => o.droneId === drone.id && isOccupyingDrone(o))
+    return activeOrder ? estimateReleaseTime(activeOrder, now, durations) : null
+  })
+  .filter((time) => time !== null)
+
+// Cola con posición y hora estimada de despegue de cada orden
+export const getQueue = () => {
+  const now = simulation.now()
+  const durations = simulation.getDurations()
+  const slots = estimateDroneSlots(now, durations)
+
+  return getQueuedOrders().map((order, index) => {
+    let estimatedStart = null
+
+    if (slots.length) {
+      slots.sort((a, b) => a - b)
+      const start = Math.max(slots[0], now)
+      slots[0] = start + (order.flightDurationMs ?? durations.flight)
+      estimatedStart = new Date(start).toISOString()
+    }
+
+    return { ...order, queuePosition: index + 1, estimatedStart }
+  })
+}
+
+export const getQueueEntry = (orderId) => getQueue().find((entry) => entry.id === orderId)
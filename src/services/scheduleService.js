@@ -0,0 +1,142 @@
+import { orderRepository } from '../utils/dataStore.js'
+import { ConflictError, ValidationError } from '../utils/errors.js'
+import { simulation } from '../simulation/index.js'
+import { ORDER_STATUS } from '../models/orderModel.js'
+import {
+  getOpeningHours,
+  getScheduleLeadMinutes,
+  getScheduleMaxDays,
+  getScheduleSlotCapacity,
+  getScheduleSlotMinutes,
+  getUtcOffsetMinutes
+} from '../utils/config.js'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Una entrega cancelada o fallida deja libre su franja
+const RELEASED_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.FAILED]
+
+const toMinutes = (clock) => {
+  const match = CLOCK_PATTERN.exec(clock)
+  if (!match) throw new ValidationError(`Hora inválida en el horario de reparto: ${clock}`)
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+// Las horas de apertura están en hora local del obrador; internamente se
+// trabaja con instantes UTC desplazados según BAKERY_UTC_OFFSET_MINUTES
+const toLocal = (time) => time + getUtcOffsetMinutes() * MINUTE_MS
+const fromLocal = (localTime) => localTime - getUtcOffsetMinutes() * MINUTE_MS
+
+const localDayStart = (time) => {
+  const local = toLocal(time)
+  return local - (((local % DAY_MS) + DAY_MS) % DAY_MS)
+}
+
+const formatClock = (time) => new Date(toLocal(time)).toISOString().slice(11, 16)
+
+const getWindow = () => {
+  const { opens, closes } = getOpeningHours()
+  return { opens: toMinutes(opens), closes: toMinutes(closes), slotMs: getScheduleSlotMinutes() * MINUTE_MS }
+}
+
+// Inicio de la franja de reparto que contiene "time"
+export const getSlotStart = (time) => {
+  const { opens, slotMs } = getWindow()
+  const opening = localDayStart(time) + opens * MINUTE_MS
+  return fromLocal(opening + Math.floor((toLocal(time) - opening) / slotMs) * slotMs)
+}
+
+const countBookings = (slotStart) => orderRepository
+  .filter((o) => o.scheduledFor && !RELEASED_STATUSES.includes(o.status) &&
+    getSlotStart(Date.parse(o.scheduledFor)) === slotStart)
+  .length
+
+const getEarliestDelivery = () => simulation.now() + getScheduleLeadMinutes() * MINUTE_MS
+
+// Valida la hora pedida (antelación, horario y capacidad) y la devuelve en ISO
+export const resolveScheduledFor = (value) => {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN
+  if (Number.isNaN(time)) {
+    throw new ValidationError('scheduledFor debe ser una fecha ISO 8601, p. ej. "2026-10-20T15:00:00-05:00"')
+  }
+  if (time < getEarliestDelivery()) {
+    throw new ValidationError(`Las entregas programadas necesitan al menos ${getScheduleLeadMinutes()} minutos de antelación`)
+  }
+  if (time > simulation.now() + getScheduleMaxDays() * DAY_MS) {
+    throw new ValidationError(`Sólo se pueden programar entregas con ${getScheduleMaxDays()} días de antelación como máximo`)
+  }
+
+  const { opens, closes, slotMs } = getWindow()
+  const minute = (toLocal(time) - localDayStart(time)) / MINUTE_MS
+  if (minute < opens || minute >= closes) {
+    const { opens: from, closes: to } = getOpeningHours()
+    throw new ValidationError(`La hora de entrega está fuera del horario de reparto (${from} a ${to})`)
+  }
+
+  const slotStart = getSlotStart(time)
+  if (countBookings(slotStart) >= getScheduleSlotCapacity()) {
+    throw new ConflictError(`La franja de ${formatClock(slotStart)} a ${formatClock(slotStart + slotMs)} ya está completa`)
+  }
+
+  return new Date(time).toISOString()
+}
+
+// Inicio y fin (exclusivo) de un día YYYY-MM-DD en hora local del obrador
+export const getLocalDayRange = (date) => {
+  const start = fromLocal(Date.parse(`${date}T00:00:00Z`))
+  return { start, end: start + DAY_MS }
+}
+
+// Un día sin hora (YYYY-MM-DD) abarca el día completo en hora local del obrador
+const toTime = (value, edge) => {
+  if (value === undefined) return null
+  if (DATE_PATTERN.test(value)) return getLocalDayRange(value)[edge]
+  return Date.parse(value)
+}
+
+// Rango [from, to) de los filtros por fecha de los listados
+export const resolveDateRange = (from, to) => {
+  const range = { from: toTime(from, 'start'), to: toTime(to, 'end') }
+  if (range.from !== null && range.to !== null && range.from >= range.to) {
+    throw new ValidationError('"from" debe ser anterior a "to"')
+  }
+  return range
+}
+
+export const isInRange = (time, { from, to }) => (from === null || time >= from) && (to === null || time < to)
+
+// Franjas de reparto de un día (YYYY-MM-DD, hora local) con su ocupación
+export const getAvailableSlots = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+    throw new ValidationError('Indica el día con el formato YYYY-MM-DD')
+  }
+
+  const { opens, closes, slotMs } = getWindow()
+  const capacity = getScheduleSlotCapacity()
+  const earliest = getEarliestDelivery()
+  const latest = simulation.now() + getScheduleMaxDays() * DAY_MS
+  const { start: dayStart } = getLocalDayRange(date)
+  const slots = []
+
+  for (let start = dayStart + opens * MINUTE_MS; start < dayStart + closes * MINUTE_MS; start += slotMs) {
+    const booked = countBookings(start)
+    slots.push({
+      start: new Date(start).toISOString(),
+      end: new Date(start + slotMs).toISOString(),
+      label: `${formatClock(start)} - ${formatClock(start + slotMs)}`,
+      capacity,
+      booked,
+      available: booked < capacity && start >= earliest && start <= latest
+    })
+  }
+
+  return {
+    date,
+    openingHours: getOpeningHours(),
+    slotMinutes: getScheduleSlotMinutes(),
+    slots
+  }
+}
@@ -0,0 +1,68 @@
+import { simulation } from '../simulation/index.js'
+import { DEFAULT_DURATIONS } from '../simulation/engine.js'
+import { ValidationError } from '../utils/errors.js'
+import { publish } from '../events/index.js'
+
+const MAX_SPEED = 100
+
+// Difunde el nuevo estado a los clientes conectados y lo devuelve
+const publishState = () => {
+  const state = simulation.getState()
+  publish('simulation.updated', state)
+  return state
+}
+
+export const getSimulationState = () => ({
+  ...simulation.getState(),
+  events: simulation.pending()
+})
+
+export const pauseSimulation = () => {
+  simulation.pause()
+  return publishState()
+}
+
+export const resumeSimulation = () => {
+  simulation.resume()
+  return publishState()
+}
+
+export const setSimulationSpeed = (speed) => {
+  const value = Number(speed)
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_SPEED) {
+    throw new ValidationError(`La velocidad debe ser un número entre 0 y ${MAX_SPEED}`)
+  }
+
+  simulation.setSpeed(value)
+  return publishState()
+}
+
+export const setSimulationMode = (mode) => {
+  simulation.setMode(mode)
+  return publishState()
+}
+
+// Avanza el reloj simulado a mano, ejecutando los eventos vencidos
+export const advanceSimulation = (ms) => {
+  const value = Number(ms)
+  if (!Number.isFinite(value) || value < 0) {
+    throw new ValidationError('El avance debe ser un número de milisegundos no negativo')
+  }
+
+  simulation.advance(value)
+  return publishState()
+}
+
+export const setStageDurations = (durations = {}) => {
+  Object.entries(durations).forEach(([stage, value]) => {
+    if (!(stage in DEFAULT_DURATIONS)) {
+      throw new ValidationError(`Etapa de simulación desconocida: ${stage}`)
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`Duración inválida para "${stage}"`)
+    }
+  })
+
+  simulation.setDurations(durations)
+  return publishState()
+}
@@ -0,0 +1,115 @@
+import { droneRepository, orderRepository, telemetryRepository } from '../utils/dataStore.js'
+import { NotFoundError } from '../utils/errors.js'
+import { pathLengthKm, remainingAlongPathKm } from '../utils/geo.js'
+import { getBakeryBase, getTelemetryHistoryLimit } from '../utils/config.js'
+import { simulation } from '../simulation/index.js'
+import { ORDER_STATUS } from '../models/orderModel.js'
+import { validateTelemetrySample } from '../models/telemetryModel.js'
+import { getCruiseSpeedKmh } from './deliveryService.js'
+import { findViolatedZones } from './airspaceService.js'
+import { publish } from '../events/index.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+const findDrone = (droneId) => {
+  const drone = droneRepository.findById(droneId)
+  if (!drone) throw new NotFoundError('Dron no encontrado')
+  return drone
+}
+
+// Historial de un dron: un documento por dron con sus últimas muestras
+const findHistory = (droneId) => telemetryRepository.find((history) => history.droneId === droneId)
+
+const findFlyingOrder = (droneId) => orderRepository.find((o) => o.droneId === droneId && o.status === ORDER_STATUS.IN_FLIGHT)
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+// Avance de la entrega según la última posición: la fracción recorrida de la
+// ruta (la línea recta si la orden no tiene ruta trazada) y lo que falta a la
+// velocidad medida (o la de crucero del modelo si el dron no la informa o está parado)
+export const calculateTracking = (order, drone, sample) => {
+  if (!order.deliveryAddress) return null
+
+  const path = order.route?.path ?? [drone.homeBase ?? getBakeryBase(), order.deliveryAddress]
+  const totalKm = pathLengthKm(path)
+  const remainingKm = remainingAlongPathKm(path, sample)
+  const progress = totalKm > 0 ? Math.min(1, Math.max(0, 1 - remainingKm / totalKm)) : 1
+  const speedKmh = sample.speedKmh > 0 ? sample.speedKmh : getCruiseSpeedKmh(drone)
+  const remainingMs = Math.round(remainingKm / speedKmh * HOUR_MS)
+
+  return {
+    orderId: order.id,
+    progressPercent: Math.round(progress * 100),
+    remainingKm: round(remainingKm),
+    remainingMs,
+    estimatedArrival: new Date(Date.parse(sample.recordedAt) + remainingMs).toISOString(),
+    updatedAt: sample.recordedAt
+  }
+}
+
+const describeZone = ({ id, name, category, maxAltitudeM }) => ({ id, name, category, maxAltitudeM })
+
+// Avisa de cada zona prohibida en la que el dron acaba de entrar; mientras
+// siga dentro no se repite el aviso
+const reportGeofenceViolations = (drone, previousSample, sample, orderId) => {
+  const violations = findViolatedZones(sample)
+  const before = new Set(previousSample ? findViolatedZones(previousSample).map((zone) => zone.id) : [])
+
+  violations
+    .filter((zone) => !before.has(zone.id))
+    .forEach((zone) => publish('drone.geofence_violation', {
+      droneId: drone.id,
+      drone: drone.name,
+      orderId,
+      zone: describeZone(zone),
+      position: sample
+    }))
+
+  return violations.map(describeZone)
+}
+
+// Guarda una muestra, actualiza la posición y batería del dron y, si lleva
+// una entrega, el seguimiento de la orden. Devuelve también las zonas
+// prohibidas en las que está el dron
+export const recordTelemetry = (droneId, data = {}) => {
+  const drone = findDrone(droneId)
+  const sample = { recordedAt: simulation.timestamp(), ...validateTelemetrySample(data) }
+
+  const history = findHistory(drone.id)
+  const previousSample = history?.samples.at(-1)
+  const samples = [...(history?.samples ?? []), sample].slice(-getTelemetryHistoryLimit())
+  if (history) telemetryRepository.update(history.id, { samples })
+  else telemetryRepository.insert({ droneId: drone.id, samples })
+
+  const { battery, ...position } = sample
+  const updated = droneRepository.update(drone.id, { position, ...(battery !== undefined && { battery }) })
+
+  const order = findFlyingOrder(drone.id)
+  const tracking = order ? calculateTracking(order, updated, sample) : null
+  if (tracking) orderRepository.update(order.id, { tracking })
+
+  const violations = reportGeofenceViolations(updated, previousSample, sample, order?.id ?? null)
+  return { sample, tracking, violations }
+}
+
+// Últimas muestras de un dron (de la más antigua a la más reciente) y el
+// seguimiento de la entrega que lleva en este momento
+export const getTelemetry = (droneId, { limit } = {}) => {
+  const drone = findDrone(droneId)
+  const samples = findHistory(drone.id)?.samples ?? []
+  const latest = samples.at(-1) ?? null
+  const order = latest && findFlyingOrder(drone.id)
+
+  return {
+    droneId: drone.id,
+    latest,
+    samples: limit ? samples.slice(-limit) : samples,
+    tracking: order ? calculateTracking(order, drone, latest) : null
+  }
+}
+
+// El historial se borra junto con el dron
+export const clearTelemetry = (droneId) => {
+  const history = findHistory(droneId)
+  if (history) telemetryRepository.remove(history.id)
+}
@@ -0,0 +1,139 @@
+import { droneRepository, orderRepository } from '../utils/dataStore.js'
+import { bearingDegrees, pathLengthKm, pointAlongPath } from '../utils/geo.js'
+import { getBakeryBase, getTelemetryIntervalMs } from '../utils/config.js'
+import { simulation } from '../simulation/index.js'
+import { eventBus } from '../events/index.js'
+import { ORDER_STATUS } from '../models/orderModel.js'
+import { getBattery } from './batteryService.js'
+import { recordTelemetry } from './telemetryService.js'
+import { getCruiseSpeedKmh } from './deliveryService.js'
+
+// Simulador local de telemetría para probar el sistema sin drones reales:
+// mientras una orden está en vuelo, su dron emite una muestra cada
+// getTelemetryIntervalMs() de tiempo simulado sobre la ruta de la orden (o la
+// línea recta entre la base y la dirección de entrega). Las muestras entran por recordTelemetry
+// igual que las de un dron real, y las pendientes se descartan con el resto
+// de eventos de la orden cuando ésta cambia de estado
+
+const CRUISE_ALTITUDE_M = 60
+// Fracción del trayecto que se dedica a despegar y a aterrizar
+const CLIMB_FRACTION = 0.1
+const HOUR_MS = 60 * 60 * 1000
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+// Muestra de "drone" en el instante "at" de un tramo que recorre "path" en
+// durationMs desde startedAt. Sube al principio (salvo que ya vuele, como al
+// regresar) y baja al final; sobre una zona con límite de altitud vuela justo a ese límite
+const sampleAlong = ({ path, startedAt, durationMs, maxAltitudeM, speedKmh, airborne = false }, drone, at) => {
+  const fraction = Math.min(1, Math.max(0, (at - startedAt) / durationMs))
+  const point = pointAlongPath(path, fraction)
+  // El rumbo apunta a un punto algo más adelante; al llegar, el del último tramo
+  const [from, to] = fraction < 1 ? [point, pointAlongPath(path, Math.min(1, fraction + 0.01))] : path.slice(-2)
+  const cruiseAltitude = Math.min(CRUISE_ALTITUDE_M, maxAltitudeM ?? Infinity)
+  const climbed = airborne ? 1 : fraction
+
+  return {
+    lat: round(point.lat, 6),
+    lng: round(point.lng, 6),
+    altitude: Math.round(cruiseAltitude * Math.min(1, Math.min(climbed, 1 - fraction) / CLIMB_FRACTION)),
+    speedKmh: speedKmh ?? round(pathLengthKm(path) / (durationMs / HOUR_MS), 1),
+    heading: round(bearingDegrees(from, to), 1),
+    battery: getBattery(drone),
+    recordedAt: new Date(at).toISOString()
+  }
+}
+
+const homeBase = (drone) => drone.homeBase ?? getBakeryBase()
+
+// Muestra del dron de "order" en el instante "at" según el avance previsto del vuelo
+export const simulateSample = (order, drone, at = simulation.now()) => sampleAlong({
+  path: order.route?.path ?? [homeBase(drone), order.deliveryAddress],
+  startedAt: Date.parse(order.departedAt),
+  durationMs: order.flightDurationMs,
+  maxAltitudeM: order.route?.maxAltitudeM
+}, drone, at)
+
+const scheduleSample = (orderId) => simulation.schedule({
+  orderId,
+  type: 'telemetría',
+  delay: getTelemetryIntervalMs(),
+  run: () => {
+    const order = orderRepository.findById(orderId)
+    const drone = order && droneRepository.findById(order.droneId)
+    if (order?.status !== ORDER_STATUS.IN_FLIGHT || !drone) return
+
+    recordTelemetry(drone.id, simulateSample(order, drone))
+    scheduleSample(orderId)
+  }
+})
+
+// Un dron libre vuelve a estar en su base, así que ahí se deja su última posición
+const landAtBase = (droneId) => {
+  const drone = droneRepository.findById(droneId)
+  if (!drone) return
+
+  const base = homeBase(drone)
+  recordTelemetry(drone.id, { lat: base.lat, lng: base.lng, altitude: 0, speedKmh: 0, battery: getBattery(drone) })
+}
+
+// Vuelo de regreso de una orden cancelada en vuelo: en línea recta desde donde
+// estaba el dron al cancelarla hasta su base, en lo que dura el regreso. Esa
+// duración es fija, así que se informa la velocidad de crucero del modelo
+const returnLeg = (order, drone) => {
+  const startedAt = Date.parse(order.recall.requestedAt)
+  const { lat, lng } = simulateSample(order, drone, startedAt)
+  return {
+    path: [{ lat, lng }, homeBase(drone)],
+    startedAt,
+    durationMs: simulation.getDurations().returnToBase,
+    maxAltitudeM: order.route?.maxAltitudeM,
+    speedKmh: getCruiseSpeedKmh(drone),
+    airborne: true
+  }
+}
+
+// Emite muestras del regreso y aterriza al terminarlo. El último evento vence
+// a la vez que el regreso, que se programó antes y libera el dron primero; si
+// para entonces ya salió con otra orden, no se toca su posición
+const scheduleReturnSample = (orderId, droneId, leg) => {
+  const remaining = leg.startedAt + leg.durationMs - simulation.now()
+
+  simulation.schedule({
+    orderId,
+    type: 'telemetría',
+    delay: Math.min(getTelemetryIntervalMs(), remaining),
+    run: () => {
+      const drone = droneRepository.findById(droneId)
+      if (!drone) return
+
+      if (simulation.now() < leg.startedAt + leg.durationMs) {
+        recordTelemetry(drone.id, sampleAlong(leg, drone, simulation.now()))
+        scheduleReturnSample(orderId, droneId, leg)
+      } else if (!orderRepository.find((o) => o.droneId === droneId && o.status === ORDER_STATUS.IN_FLIGHT)) {
+        landAtBase(droneId)
+      }
+    }
+  })
+}
+
+// Las entregas no simulan el regreso: el dron queda en su base en cuanto se
+// libera. Si la orden se cancela en vuelo, el dron sigue en el aire hasta volver
+const handleStatusChange = ({ from, to, order }) => {
+  if (!order.deliveryAddress || !order.droneId) return
+
+  if (to === ORDER_STATUS.IN_FLIGHT) {
+    recordTelemetry(order.droneId, simulateSample(order, droneRepository.findById(order.droneId)))
+    scheduleSample(order.id)
+  } else if (from === ORDER_STATUS.IN_FLIGHT && order.recall?.status === 'regresando') {
+    const drone = droneRepository.findById(order.droneId)
+    if (drone) scheduleReturnSample(order.id, drone.id, returnLeg(order, drone))
+  } else if (from === ORDER_STATUS.IN_FLIGHT) {
+    landAtBase(order.droneId)
+  }
+}
+
+// Empieza a generar telemetría; devuelve la función para detenerlo
+export const startTelemetrySimulator = () => eventBus.subscribe((event) => {
+  if (event.type === 'order.status_changed') handleStatusChange(event.data)
+})
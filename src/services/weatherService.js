@@ -0,0 +1,114 @@
+import { droneRepository } from '../utils/dataStore.js'
+import { getWeatherLimitOverrides, getWeatherProviderName, getWeatherRefreshMs } from '../utils/config.js'
+import { simulation } from '../simulation/index.js'
+import { publish } from '../events/index.js'
+import { createWeatherProvider } from '../weather/index.js'
+import { DRONE_MODELS, DRONE_STATUS } from '../models/droneModel.js'
+import { WEATHER_LIMIT_KEYS, findExceededLimits, validateConditions } from '../models/weatherModel.js'
+import { dispatchQueuedOrders } from './orderService.js'
+
+// Condiciones meteorológicas para el despacho. El proveedor se consulta cada
+// cierto tiempo (puede ser lento o fallar) y el despacho usa la última
+// lectura. Sin ninguna lectura todavía no se retiene ningún vuelo
+
+let provider = null
+let latest = null
+let lastError = null
+
+const getProvider = () => {
+  if (!provider) provider = createWeatherProvider()
+  return provider
+}
+
+// Cambia el proveedor (p. ej. uno de pruebas) y olvida la última lectura
+export const useWeatherProvider = (nextProvider) => {
+  provider = nextProvider
+  latest = null
+  lastError = null
+  return provider
+}
+
+// Límites de vuelo de cada modelo: los del fabricante con los ajustes de WEATHER_LIMITS
+export const getModelLimits = () => {
+  const overrides = getWeatherLimitOverrides()
+  return Object.fromEntries(Object.entries(DRONE_MODELS).map(([model, { weatherLimits }]) => {
+    const adjusted = Object.fromEntries(WEATHER_LIMIT_KEYS
+      .filter((key) => typeof overrides[model]?.[key] === 'number')
+      .map((key) => [key, overrides[model][key]]))
+    return [model, { ...weatherLimits, ...adjusted }]
+  }))
+}
+
+// Motivos por los que un dron no puede volar con el tiempo actual
+export const getFlightRestrictions = (drone) => {
+  const limits = getModelLimits()[drone.model]
+  return latest && limits ? findExceededLimits(latest.conditions, limits) : []
+}
+
+export const canFlyInWeather = (drone) => getFlightRestrictions(drone).length === 0
+
+// Estado para el panel: condiciones, qué modelos pueden volar y, si alguno no
+// puede, el mensaje que explica por qué los despachos están parados
+export const getWeatherStatus = () => {
+  const limits = getModelLimits()
+  const fleetModels = [...new Set(droneRepository
+    .filter((drone) => drone.status !== DRONE_STATUS.RETIRED)
+    .map((drone) => drone.model))]
+
+  const models = Object.entries(limits).map(([model, modelLimits]) => {
+    const reasons = latest ? findExceededLimits(latest.conditions, modelLimits) : []
+    return { model, limits: modelLimits, canFly: reasons.length === 0, reasons }
+  })
+  const grounded = models.filter((entry) => !entry.canFly && fleetModels.includes(entry.model)).map((entry) => entry.model)
+  const dispatchPaused = fleetModels.length > 0 && grounded.length === fleetModels.length
+
+  let message = null
+  if (dispatchPaused) {
+    message = 'Despachos en pausa: el tiempo no permite volar a ningún dron de la flota'
+  } else if (grounded.length > 0) {
+    message = `Con este tiempo sólo vuelan algunos drones; en tierra: ${grounded.join(', ')}`
+  }
+
+  return {
+    // Sin crear el proveedor: el estado tiene que poder mostrarse aunque falle
+    provider: provider?.name ?? getWeatherProviderName(),
+    conditions: latest?.conditions ?? null,
+    updatedAt: latest?.updatedAt ?? null,
+    error: lastError,
+    dispatchPaused,
+    message,
+    models
+  }
+}
+
+// Consulta al proveedor. Si falla se mantiene la última lectura y el error
+// queda en el estado. Tras cada lectura se reintenta el despacho: si el tiempo
+// mejora despegan las órdenes retenidas, y si empeora quedan marcadas
+export const refreshWeather = async () => {
+  try {
+    const conditions = validateConditions(await getProvider().fetchConditions())
+    const changed = JSON.stringify(conditions) !== JSON.stringify(latest?.conditions)
+    latest = { conditions, updatedAt: simulation.timestamp() }
+    lastError = null
+    if (changed) publish('weather.updated', getWeatherStatus())
+  } catch (error) {
+    console.error('Error al consultar el tiempo:', error.message)
+    const changed = error.message !== lastError
+    lastError = error.message
+    if (changed) publish('weather.updated', getWeatherStatus())
+  }
+
+  dispatchQueuedOrders()
+  return getWeatherStatus()
+}
+
+// Consulta el tiempo ahora y cada getWeatherRefreshMs(); devuelve la función
+// para detenerlo. Un proveedor desconocido falla aquí, al arrancar
+export const startWeatherUpdates = () => {
+  getProvider()
+  const refresh = () => refreshWeather().catch((error) => console.error('Error al actualizar el tiempo:', error.message))
+  refresh()
+  const timer = setInterval(refresh, getWeatherRefreshMs())
+  timer.unref?.()
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,40 @@
+// Reloj en tiempo real: el tiempo simulado avanza al ritmo del reloj del
+// sistema multiplicado por "rate" (0 = detenido)
+export const createRealClock = ({ start = Date.now(), rate = 1 } = {}) => {
+  let anchorReal = Date.now()
+  let anchorSim = start
+  let currentRate = rate
+
+  const now = () => anchorSim + (Date.now() - anchorReal) * currentRate
+
+  const set = (time) => {
+    anchorSim = time
+    anchorReal = Date.now()
+  }
+
+  return {
+    type: 'real',
+    now,
+    set,
+    getRate: () => currentRate,
+    setRate: (nextRate) => {
+      set(now())
+      currentRate = nextRate
+    }
+  }
+}
+
+// Reloj manual: el tiempo sólo avanza cuando alguien lo mueve explícitamente
+export const createManualClock = (start = Date.now()) => {
+  let current = start
+
+  return {
+    type: 'manual',
+    now: () => current,
+    set: (time) => {
+      current = time
+    },
+    getRate: () => 0,
+    setRate: () => {}
+  }
+}
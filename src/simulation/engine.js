@@ -0,0 +1,168 @@
+import { ValidationError } from '../utils/errors.js'
+import { createManualClock, createRealClock } from './clock.js'
+import { runWithAuditContext } from '../utils/auditContext.js'
+import { AUDIT_SOURCES } from '../models/auditModel.js'
+
+// Duración de cada etapa automática en milisegundos de tiempo simulado
+export const DEFAULT_DURATIONS = {
+  preparing: 3000,
+  flight: 7000,
+  returnToBase: 5000,
+  chargeFull: 20000
+}
+
+export const SIMULATION_MODES = ['auto', 'manual']
+
+export const createSimulation = ({ clock = createRealClock(), speed = 1, durations = {} } = {}) => {
+  let activeClock = clock
+  let currentSpeed = speed
+  let paused = false
+  let stageDurations = { ...DEFAULT_DURATIONS, ...durations }
+  let events = []
+  let sequence = 0
+  let wakeUp = null
+
+  const now = () => activeClock.now()
+
+  const isManual = () => activeClock.type === 'manual'
+
+  // Lo que cambie un evento lo firma el temporizador, aunque el reloj lo
+  // haya adelantado una petición
+  const runEvent = (event) => {
+    try {
+      runWithAuditContext({ source: AUDIT_SOURCES.TIMER }, event.run)
+    } catch (error) {
+      const subject = event.droneId ? `del dron ${event.droneId}` : `de la orden ${event.orderId}`
+      console.error(`Error en el evento "${event.type}" ${subject}:`, error)
+    }
+  }
+
+  // Ejecuta en orden los eventos vencidos hasta el instante "until",
+  // situando el reloj en el momento exacto de cada uno
+  const runUntil = (until) => {
+    while (events.length && events[0].dueAt <= until) {
+      const event = events.shift()
+      if (event.dueAt > activeClock.now()) activeClock.set(event.dueAt)
+      runEvent(event)
+    }
+  }
+
+  // Programa un temporizador real para el próximo evento (sólo en modo automático)
+  const arm = () => {
+    if (wakeUp) clearTimeout(wakeUp)
+    wakeUp = null
+
+    if (isManual() || paused || events.length === 0) return
+
+    const delay = Math.max(0, (events[0].dueAt - now()) / currentSpeed)
+    wakeUp = setTimeout(() => {
+      wakeUp = null
+      runUntil(now())
+      arm()
+    }, delay)
+    if (wakeUp.unref) wakeUp.unref()
+  }
+
+  const syncRate = () => activeClock.setRate(paused ? 0 : currentSpeed)
+
+  const describe = ({ run, ...event }) => ({ ...event, dueAt: new Date(event.dueAt).toISOString() })
+
+  return {
+    now,
+    timestamp: () => new Date(now()).toISOString(),
+
+    // Cada evento pertenece a una orden (orderId) o a un dron (droneId)
+    schedule: ({ orderId, droneId, type, delay, run }) => {
+      const event = { id: ++sequence, orderId, droneId, type, dueAt: now() + delay, run }
+      const index = events.findIndex((e) => e.dueAt > event.dueAt)
+      if (index === -1) events.push(event)
+      else events.splice(index, 0, event)
+      arm()
+      return describe(event)
+    },
+
+    cancel: (orderId, type) => {
+      events = events.filter((e) => e.orderId !== orderId || (type && e.type !== type))
+      arm()
+    },
+
+    cancelForDrone: (droneId, type) => {
+      events = events.filter((e) => e.droneId !== droneId || (type && e.type !== type))
+      arm()
+    },
+
+    pending: (orderId) => events
+      .filter((e) => orderId === undefined || e.orderId === orderId)
+      .map(describe),
+
+    pendingForDrone: (droneId) => events
+      .filter((e) => e.droneId === droneId)
+      .map(describe),
+
+    advance: (ms) => {
+      const target = now() + ms
+      runUntil(target)
+      activeClock.set(target)
+      arm()
+      return now()
+    },
+
+    pause: () => {
+      paused = true
+      syncRate()
+      arm()
+    },
+
+    resume: () => {
+      paused = false
+      syncRate()
+      arm()
+    },
+
+    setSpeed: (speed) => {
+      currentSpeed = speed
+      syncRate()
+      arm()
+    },
+
+    setMode: (mode) => {
+      if (!SIMULATION_MODES.includes(mode)) {
+        throw new ValidationError(`Modo de simulación inválido: ${mode}`)
+      }
+      const current = now()
+      activeClock = mode === 'manual'
+        ? createManualClock(current)
+        : createRealClock({ start: current, rate: paused ? 0 : currentSpeed })
+      arm()
+    },
+
+    useClock: (clock) => {
+      activeClock = clock
+      syncRate()
+      arm()
+    },
+
+    getDurations: () => ({ ...stageDurations }),
+
+    setDurations: (changes) => {
+      stageDurations = { ...stageDurations, ...changes }
+      return { ...stageDurations }
+    },
+
+    getState: () => ({
+      mode: isManual() ? 'manual' : 'auto',
+      paused,
+      speed: currentSpeed,
+      now: new Date(now()).toISOString(),
+      durations: { ...stageDurations },
+      pendingEvents: events.length
+    }),
+
+    // Descarta los eventos pendientes y vuelve a sincronizar con la hora real
+    reset: () => {
+      events = []
+      activeClock.set(Date.now())
+      arm()
+    }
+  }
+}
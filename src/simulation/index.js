@@ -0,0 +1,21 @@
+import { createManualClock, createRealClock } from './clock.js'
+import { DEFAULT_DURATIONS, createSimulation } from './engine.js'
+
+// Configuración por entorno: SIMULATION_MODE (auto | manual), SIMULATION_SPEED
+// y SIMULATION_<ETAPA>_MS para cada duración (p. ej. SIMULATION_FLIGHT_MS)
+const mode = process.env.SIMULATION_MODE || (process.env.NODE_ENV === 'test' ? 'manual' : 'auto')
+const speed = Number(process.env.SIMULATION_SPEED) || 1
+
+const envName = (stage) => `SIMULATION_${stage.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}_MS`
+
+const durations = Object.fromEntries(
+  Object.keys(DEFAULT_DURATIONS)
+    .filter((stage) => process.env[envName(stage)] !== undefined)
+    .map((stage) => [stage, Number(process.env[envName(stage)])])
+)
+
+export const simulation = createSimulation({
+  clock: mode === 'manual' ? createManualClock() : createRealClock({ rate: speed }),
+  speed,
+  durations
+})
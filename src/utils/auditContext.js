@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { AUDIT_SOURCES } from '../models/auditModel.js'
+
+// Quién provoca los cambios que se hacen dentro de una petición o de un
+// evento de la simulación. Se propaga por la cadena de llamadas, así que los
+// servicios no necesitan recibir el usuario para dejarlo en la auditoría
+const storage = new AsyncLocalStorage()
+
+const SYSTEM_CONTEXT = { source: AUDIT_SOURCES.SYSTEM, actor: null }
+
+export const runWithAuditContext = ({ source, actor = null }, fn) => storage.run({ source, actor }, fn)
+
+export const getAuditContext = () => storage.getStore() ?? SYSTEM_CONTEXT
+
+// Se llama al autenticar la petición, cuando ya se sabe quién la hace
+export const setAuditActor = (user) => {
+  const context = storage.getStore()
+  if (context) context.actor = { id: user.id, name: user.name, role: user.role }
+}
@@ -0,0 +1,101 @@
+// Parámetros del negocio configurables por entorno; se leen en cada llamada
+// para que los cambios de entorno (p. ej. en los tests) surtan efecto
+
+// Ubicación del obrador: punto de recogida y base por defecto de los drones
+export const getBakeryBase = () => ({
+  name: process.env.BAKERY_NAME || 'Obrador central',
+  lat: Number(process.env.BAKERY_LAT ?? 4.6097),
+  lng: Number(process.env.BAKERY_LNG ?? -74.0817)
+})
+
+// Distancia máxima en línea recta desde el obrador a la dirección de entrega
+export const getMaxDeliveryRadiusKm = () => Number(process.env.MAX_DELIVERY_RADIUS_KM ?? 5)
+
+// Impuesto sobre los productos (IVA), como fracción: 0.19 = 19 %
+export const getTaxRate = () => Number(process.env.TAX_RATE ?? 0.19)
+
+// Tarifa de envío: fija más un importe por km desde el obrador
+export const getDeliveryBaseFee = () => Number(process.env.DELIVERY_BASE_FEE ?? 3000)
+
+export const getDeliveryFeePerKm = () => Number(process.env.DELIVERY_FEE_PER_KM ?? 1000)
+
+// Cocina: número de estaciones de preparación y modo de trabajo
+// (auto: las estaciones toman y terminan pedidos solas; manual: lo marca el personal)
+export const KITCHEN_MODES = ['auto', 'manual']
+
+export const getKitchenStations = () => Math.max(1, Math.floor(Number(process.env.KITCHEN_STATIONS ?? 2)) || 1)
+
+export const getKitchenMode = () => KITCHEN_MODES.includes(process.env.KITCHEN_MODE) ? process.env.KITCHEN_MODE : 'auto'
+
+// Entregas programadas: horario de reparto (HH:MM en hora local del obrador),
+// diferencia horaria con UTC, antelación mínima, días máximos por adelantado
+// y franjas de reparto con su capacidad
+export const getUtcOffsetMinutes = () => Number(process.env.BAKERY_UTC_OFFSET_MINUTES ?? -300)
+
+export const getOpeningHours = () => ({
+  opens: process.env.OPENING_TIME || '08:00',
+  closes: process.env.CLOSING_TIME || '20:00'
+})
+
+export const getScheduleLeadMinutes = () => Number(process.env.SCHEDULE_LEAD_MINUTES ?? 60)
+
+export const getScheduleMaxDays = () => Number(process.env.SCHEDULE_MAX_DAYS ?? 14)
+
+export const getScheduleSlotMinutes = () => Number(process.env.SCHEDULE_SLOT_MINUTES ?? 30)
+
+export const getScheduleSlotCapacity = () => Number(process.env.SCHEDULE_SLOT_CAPACITY ?? 3)
+
+// Telemetría: muestras que se guardan por dron y, para el simulador local,
+// cada cuántos milisegundos simulados emite un dron en vuelo
+// (TELEMETRY_SIMULATOR=off lo apaga, p. ej. con drones reales)
+export const getTelemetryHistoryLimit = () => Math.max(1, Math.floor(Number(process.env.TELEMETRY_HISTORY_LIMIT ?? 100)) || 1)
+
+export const getTelemetryIntervalMs = () => Math.max(100, Number(process.env.TELEMETRY_INTERVAL_MS ?? 2000) || 2000)
+
+export const isTelemetrySimulatorEnabled = () => process.env.TELEMETRY_SIMULATOR !== 'off'
+
+// Auditoría: eventos que se conservan, los más recientes
+export const getAuditHistoryLimit = () => Math.max(1, Math.floor(Number(process.env.AUDIT_HISTORY_LIMIT ?? 10000)) || 1)
+
+// Espacio aéreo: qué hacer con una entrega cuya línea recta cruza una zona
+// de exclusión (reroute: rodearla; reject: rechazar el pedido) y fichero
+// GeoJSON con las zonas que se cargan al arrancar si todavía no hay ninguna
+// (airspace.example.geojson sirve de ejemplo)
+export const AIRSPACE_POLICIES = ['reroute', 'reject']
+
+export const getAirspacePolicy = () => AIRSPACE_POLICIES.includes(process.env.AIRSPACE_POLICY) ? process.env.AIRSPACE_POLICY : 'reroute'
+
+export const getAirspaceFile = () => process.env.AIRSPACE_FILE || null
+
+// Tiempo: proveedor (fixture: fichero local WEATHER_FILE, en calma si no se
+// indica; weather.example.json sirve de ejemplo), cada cuántos milisegundos se
+// consulta y ajustes de los límites de vuelo por modelo en JSON, p. ej.
+// WEATHER_LIMITS='{"quad-ligero":{"maxWindKmh":25}}'
+export const getWeatherProviderName = () => process.env.WEATHER_PROVIDER || 'fixture'
+
+export const getWeatherFile = () => process.env.WEATHER_FILE || null
+
+export const getWeatherRefreshMs = () => Math.max(1000, Number(process.env.WEATHER_REFRESH_MS ?? 60000) || 60000)
+
+// Un WEATHER_LIMITS que no es JSON válido se ignora
+export const getWeatherLimitOverrides = () => {
+  try {
+    const overrides = JSON.parse(process.env.WEATHER_LIMITS || '{}')
+    return typeof overrides === 'object' && overrides !== null ? overrides : {}
+  } catch {
+    return {}
+  }
+}
+
+// Sesiones: minutos que dura un token desde que se inicia sesión
+export const getSessionTtlMinutes = () => Number(process.env.SESSION_TTL_MINUTES ?? 480)
+
+// Administrador que se crea al arrancar si no hay ninguno. Fuera de desarrollo
+// y tests ADMIN_PASSWORD es obligatoria; en local, sin ella, se genera una
+// contraseña aleatoria que se guarda en ADMIN_PASSWORD_FILE, nunca en el log
+export const getAdminCredentials = () => ({
+  email: process.env.ADMIN_EMAIL || 'admin@droncakes.local',
+  password: process.env.ADMIN_PASSWORD || null,
+  passwordFile: process.env.ADMIN_PASSWORD_FILE || 'data/admin-password.txt',
+  allowGenerated: [undefined, '', 'development', 'test'].includes(process.env.NODE_ENV)
+})
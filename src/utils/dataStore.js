@@ -1,21 +1,196 @@
-export const drones = [
-  { id: 1, name: 'Droncito 1', available: true },
-  { id: 2, name: 'PastelExpress', available: true },
-  { id: 3, name: 'SweetFly', available: false }
+import { createMemoryAdapter } from './storage/memoryAdapter.js'
+import { createJsonFileAdapter } from './storage/jsonFileAdapter.js'
+import { createSqliteAdapter } from './storage/sqliteAdapter.js'
+import { runMigrations } from './storage/migrations.js'
+import { getBakeryBase } from './config.js'
+
+// Flota inicial con la que arranca un almacenamiento vacío
+const initialDrones = () => [
+  { id: 1, name: 'Droncito 1', serial: 'DC-0001', model: 'quad-ligero', maxPayloadGrams: 2500, maxRangeKm: 8, homeBase: getBakeryBase(), battery: 100, status: 'idle', available: true },
+  { id: 2, name: 'PastelExpress', serial: 'DC-0002', model: 'quad-estandar', maxPayloadGrams: 4000, maxRangeKm: 12, homeBase: getBakeryBase(), battery: 100, status: 'idle', available: true },
+  { id: 3, name: 'SweetFly', serial: 'DC-0003', model: 'hexa-carga', maxPayloadGrams: 8000, maxRangeKm: 15, homeBase: getBakeryBase(), battery: 100, status: 'maintenance', available: false }
+]
+
+// Tamaños estándar: el mediano cuesta 1,5 veces el pequeño y el grande el doble
+const cakeSizes = (basePrice) => [
+  { size: 'pequeño', price: basePrice, weightGrams: 1200 },
+  { size: 'mediano', price: basePrice * 1.5, weightGrams: 2000 },
+  { size: 'grande', price: basePrice * 2, weightGrams: 3000 }
+]
+
+// Despensa inicial del obrador
+const initialIngredients = () => [
+  { id: 1, name: 'Harina de trigo', unit: 'g', stock: 20000, reserved: 0, lowStockThreshold: 3000 },
+  { id: 2, name: 'Azúcar', unit: 'g', stock: 15000, reserved: 0, lowStockThreshold: 2000 },
+  { id: 3, name: 'Huevos', unit: 'unidad', stock: 240, reserved: 0, lowStockThreshold: 36 },
+  { id: 4, name: 'Mantequilla', unit: 'g', stock: 8000, reserved: 0, lowStockThreshold: 1000 },
+  { id: 5, name: 'Leche', unit: 'ml', stock: 20000, reserved: 0, lowStockThreshold: 3000 },
+  { id: 6, name: 'Cacao en polvo', unit: 'g', stock: 3000, reserved: 0, lowStockThreshold: 500 },
+  { id: 7, name: 'Fresas', unit: 'g', stock: 5000, reserved: 0, lowStockThreshold: 800 },
+  { id: 8, name: 'Queso crema', unit: 'g', stock: 4000, reserved: 0, lowStockThreshold: 600 },
+  { id: 9, name: 'Zanahoria', unit: 'g', stock: 5000, reserved: 0, lowStockThreshold: 800 },
+  { id: 10, name: 'Leche condensada', unit: 'ml', stock: 6000, reserved: 0, lowStockThreshold: 1000 },
+  { id: 11, name: 'Esencia de vainilla', unit: 'ml', stock: 1000, reserved: 0, lowStockThreshold: 100 },
+  { id: 12, name: 'Colorante rojo', unit: 'ml', stock: 500, reserved: 0, lowStockThreshold: 50 }
 ]
 
-export const orders = []
+// Recetas para el tamaño pequeño; los demás tamaños se escalan por peso
+const recipe = (entries) => Object.entries(entries).map(([ingredientId, quantity]) => ({ ingredientId: Number(ingredientId), quantity }))
+
+// Catálogo inicial con los sabores de siempre; prepTimeMs es el tiempo
+// simulado que ocupa cada pastel una estación de cocina
+const initialProducts = () => [
+  { id: 1, flavor: 'chocolate', name: 'Chocolate', emoji: '🍫', description: 'Bizcocho de cacao con ganache', image: null, sizes: cakeSizes(45000), available: true, stock: 20, prepTimeMs: 3000, recipe: recipe({ 1: 300, 2: 250, 3: 4, 4: 150, 6: 80 }) },
+  { id: 2, flavor: 'vainilla', name: 'Vainilla', emoji: '🍦', description: 'Bizcocho de vainilla con crema de mantequilla', image: null, sizes: cakeSizes(40000), available: true, stock: 20, prepTimeMs: 3000, recipe: recipe({ 1: 320, 2: 250, 3: 4, 4: 150, 5: 200, 11: 10 }) },
+  { id: 3, flavor: 'fresa', name: 'Fresa', emoji: '🍓', description: 'Bizcocho de vainilla con fresas frescas', image: null, sizes: cakeSizes(42000), available: true, stock: 20, prepTimeMs: 3000, recipe: recipe({ 1: 300, 2: 220, 3: 4, 4: 120, 7: 250, 11: 5 }) },
+  { id: 4, flavor: 'red-velvet', name: 'Red Velvet', emoji: '❤️', description: 'Red velvet con frosting de queso crema', image: null, sizes: cakeSizes(50000), available: true, stock: 20, prepTimeMs: 4000, recipe: recipe({ 1: 300, 2: 250, 3: 3, 4: 120, 6: 20, 8: 200, 12: 15 }) },
+  { id: 5, flavor: 'tres-leches', name: 'Tres Leches', emoji: '🥛', description: 'Bizcocho empapado en tres leches', image: null, sizes: cakeSizes(44000), available: true, stock: 20, prepTimeMs: 4000, recipe: recipe({ 1: 250, 2: 200, 3: 6, 5: 300, 10: 250 }) },
+  { id: 6, flavor: 'zanahoria', name: 'Zanahoria', emoji: '🥕', description: 'Pastel de zanahoria con nueces', image: null, sizes: cakeSizes(46000), available: true, stock: 20, prepTimeMs: 3500, recipe: recipe({ 1: 280, 2: 220, 3: 3, 8: 150, 9: 300 }) }
+]
+
+// Datos con los que arranca cada colección si está vacía
+const initialData = () => ({
+  drones: initialDrones(),
+  products: initialProducts(),
+  ingredients: initialIngredients()
+})
+
+const adapterFactories = {
+  memory: () => createMemoryAdapter(),
+  json: () => createJsonFileAdapter(process.env.DATA_FILE || 'data/droncakes.json', {
+    flushDelayMs: Number(process.env.DATA_FILE_FLUSH_MS ?? 1000)
+  }),
+  sqlite: () => createSqliteAdapter(process.env.SQLITE_FILE || 'data/droncakes.sqlite')
+}
+
+// Selecciona el adaptador según DATA_STORE (memory | json | sqlite).
+// Por defecto se persiste en JSON, salvo en los tests que usan memoria.
+export const createAdapter = (type = process.env.DATA_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'json')) => {
+  const factory = adapterFactories[type]
+  if (!factory) throw new Error(`Tipo de almacenamiento desconocido: ${type}`)
+  return factory()
+}
+
+let adapter = null
+
+const getAdapter = () => {
+  if (!adapter) {
+    adapter = createAdapter()
+    seed()
+    runMigrations(adapter)
+  }
+  return adapter
+}
+
+const seed = () => {
+  Object.entries(initialData()).forEach(([collection, docs]) => {
+    if (adapter.all(collection).length === 0) {
+      docs.forEach((doc) => adapter.put(collection, doc))
+    }
+  })
+}
+
+// Repositorio genérico sobre una colección del adaptador activo.
+// Siempre devuelve copias: los cambios se guardan con update().
+// onChange avisa de cada alta, cambio o baja (clear no notifica); los cambios
+// y las bajas llevan en "previous" el documento tal como estaba
+export const createRepository = (collection) => {
+  const listeners = new Set()
+  const notify = (change) => listeners.forEach((listener) => listener(change))
+
+  const findAll = () => getAdapter().all(collection)
+  const findById = (id) => getAdapter().get(collection, Number(id))
+
+  const nextId = () => findAll().reduce((max, doc) => Math.max(max, doc.id), 0) + 1
+
+  return {
+    findAll,
+    findById,
+    find: (predicate) => findAll().find(predicate),
+    filter: (predicate) => findAll().filter(predicate),
+    count: () => findAll().length,
+
+    insert: (data) => {
+      const doc = getAdapter().put(collection, { id: nextId(), ...data })
+      notify({ type: 'created', doc })
+      return doc
+    },
+
+    update: (id, changes) => {
+      const current = findById(id)
+      if (!current) return undefined
+      const doc = getAdapter().put(collection, { ...current, ...changes, id: current.id })
+      notify({ type: 'updated', doc, previous: current })
+      return doc
+    },
+
+    remove: (id) => {
+      const current = findById(id)
+      const removed = getAdapter().remove(collection, Number(id))
+      if (removed) notify({ type: 'deleted', doc: { id: Number(id) }, previous: current })
+      return removed
+    },
+
+    clear: () => getAdapter().clear(collection),
+
+    onChange: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
+
+export const droneRepository = createRepository('drones')
+export const orderRepository = createRepository('orders')
+export const productRepository = createRepository('products')
+export const ingredientRepository = createRepository('ingredients')
+export const customerRepository = createRepository('customers')
+export const userRepository = createRepository('users')
+export const sessionRepository = createRepository('sessions')
+export const auditRepository = createRepository('audit')
+export const telemetryRepository = createRepository('telemetry')
+export const airspaceRepository = createRepository('airspace')
+
+// Cambia el adaptador activo (p. ej. para probar otro backend en los tests)
+export const useAdapter = (nextAdapter) => {
+  if (adapter && adapter !== nextAdapter) adapter.close()
+  adapter = nextAdapter
+  seed()
+  runMigrations(adapter)
+  return adapter
+}
+
+// Cierra el adaptador activo escribiendo los cambios pendientes
+export const closeStore = () => {
+  if (adapter) adapter.close()
+  adapter = null
+}
+
+export const getStorageType = () => getAdapter().type
 
 // Reset function for testing
 export const reset = () => {
-  // Reset drones to initial state
-  drones.length = 0
-  drones.push(
-    { id: 1, name: 'Droncito 1', available: true },
-    { id: 2, name: 'PastelExpress', available: true },
-    { id: 3, name: 'SweetFly', available: true } // Set all to available for tests
-  )
+  const store = getAdapter()
 
   // Clear orders
-  orders.length = 0
+  orderRepository.clear()
+
+  // Reset drones to initial state
+  droneRepository.clear()
+  initialDrones().forEach((drone) => {
+    store.put('drones', { ...drone, status: 'idle', available: true }) // Set all to available for tests
+  })
+
+  productRepository.clear()
+  initialProducts().forEach((product) => store.put('products', product))
+
+  ingredientRepository.clear()
+  initialIngredients().forEach((ingredient) => store.put('ingredients', ingredient))
+
+  customerRepository.clear()
+  userRepository.clear()
+  sessionRepository.clear()
+  auditRepository.clear()
+  telemetryRepository.clear()
+  airspaceRepository.clear()
 }
@@ -0,0 +1,64 @@
+// Errores de dominio con el código HTTP y el código de error que recibe el
+// cliente en { error: { code, message, details } }
+export class AppError extends Error {
+  constructor (message, status = 400, code = 'BAD_REQUEST', details = []) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+// La petición no cumple el esquema de la ruta (tipos, campos obligatorios...);
+// "details" indica cada campo con problemas
+export class RequestValidationError extends AppError {
+  constructor (details, message = 'La petición no es válida') {
+    super(message, 400, 'INVALID_REQUEST', details)
+  }
+}
+
+// La petición está bien formada pero incumple una regla del negocio
+export class ValidationError extends AppError {
+  constructor (message) {
+    super(message, 422, 'VALIDATION_FAILED')
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor (message) {
+    super(message, 404, 'NOT_FOUND')
+  }
+}
+
+// Falta la sesión o no es válida
+export class UnauthorizedError extends AppError {
+  constructor (message = 'Inicia sesión para continuar') {
+    super(message, 401, 'UNAUTHORIZED')
+  }
+}
+
+// La sesión es válida pero el rol no tiene permiso
+export class ForbiddenError extends AppError {
+  constructor (message = 'No tienes permiso para realizar esta acción') {
+    super(message, 403, 'FORBIDDEN')
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor (message, code = 'CONFLICT', details = []) {
+    super(message, 409, code, details)
+  }
+}
+
+// Faltan ingredientes para preparar la orden; "missing" detalla cuánto falta de cada uno
+export class InsufficientIngredientsError extends ConflictError {
+  constructor (missing) {
+    super(
+      `No hay ingredientes suficientes: ${missing.map((m) => `${m.name} (faltan ${m.shortBy} ${m.unit})`).join(', ')}`,
+      'INSUFFICIENT_INGREDIENTS',
+      missing.map((m) => ({ field: `ingredients.${m.ingredientId}`, message: `Faltan ${m.shortBy} ${m.unit} de ${m.name}`, ...m }))
+    )
+    this.missing = missing
+  }
+}
@@ -0,0 +1,113 @@
+const EARTH_RADIUS_KM = 6371
+// Km que mide un grado de latitud (y de longitud en el ecuador)
+const KM_PER_DEGREE = 111.32
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+
+// Distancia en línea recta (fórmula del haversine) entre dos puntos { lat, lng }
+export const haversineKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat)
+  const dLng = toRadians(to.lng - from.lng)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Rumbo inicial en grados (0 = norte, 90 = este) para ir de "from" a "to"
+export const bearingDegrees = (from, to) => {
+  const dLng = toRadians(to.lng - from.lng)
+  const y = Math.sin(dLng) * Math.cos(toRadians(to.lat))
+  const x = Math.cos(toRadians(from.lat)) * Math.sin(toRadians(to.lat)) -
+    Math.sin(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.cos(dLng)
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360
+}
+
+// Punto a una fracción (0-1) del trayecto; en distancias urbanas basta con
+// interpolar las coordenadas en línea recta
+export const interpolatePoint = (from, to, fraction) => ({
+  lat: from.lat + (to.lat - from.lat) * fraction,
+  lng: from.lng + (to.lng - from.lng) * fraction
+})
+
+// Longitud de una ruta [{ lat, lng }, ...] tramo a tramo
+export const pathLengthKm = (path) => path.slice(1).reduce((sum, point, index) => sum + haversineKm(path[index], point), 0)
+
+// Punto a una fracción (0-1) de la longitud total de una ruta con varios tramos
+export const pointAlongPath = (path, fraction) => {
+  let remaining = pathLengthKm(path) * fraction
+  for (let index = 1; index < path.length; index++) {
+    const legKm = haversineKm(path[index - 1], path[index])
+    if (remaining <= legKm) return interpolatePoint(path[index - 1], path[index], legKm > 0 ? remaining / legKm : 1)
+    remaining -= legKm
+  }
+  return { lat: path.at(-1).lat, lng: path.at(-1).lng }
+}
+
+// Tramo de la ruta más cercano a "point" y lo que queda hasta el final desde
+// ahí; el punto se proyecta sobre cada tramo en el plano lat/lng
+export const remainingAlongPathKm = (path, point) => {
+  let best = { distance: Infinity, index: 1 }
+  for (let index = 1; index < path.length; index++) {
+    const [from, to] = [path[index - 1], path[index]]
+    const dLat = to.lat - from.lat
+    const dLng = to.lng - from.lng
+    const lengthSquared = dLat ** 2 + dLng ** 2
+    const t = lengthSquared > 0
+      ? Math.min(1, Math.max(0, ((point.lat - from.lat) * dLat + (point.lng - from.lng) * dLng) / lengthSquared))
+      : 0
+    const distance = haversineKm(point, interpolatePoint(from, to, t))
+    if (distance < best.distance) best = { distance, index }
+  }
+  return haversineKm(point, path[best.index]) + pathLengthKm(path.slice(best.index))
+}
+
+// Geometría plana sobre lat/lng para polígonos urbanos: un anillo es la lista
+// de vértices [{ lat, lng }, ...] sin repetir el primero al final
+
+// Regla par-impar: cuenta los lados que cruza un rayo hacia el este
+export const pointInPolygon = (point, ring) => ring.reduce((inside, vertex, index) => {
+  const previous = ring[(index + ring.length - 1) % ring.length]
+  const crosses = (vertex.lat > point.lat) !== (previous.lat > point.lat) &&
+    point.lng < (previous.lng - vertex.lng) * (point.lat - vertex.lat) / (previous.lat - vertex.lat) + vertex.lng
+  return crosses ? !inside : inside
+}, false)
+
+const orientation = (a, b, c) => Math.sign((b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng))
+
+const isBetween = (a, b, c) => Math.min(a.lng, b.lng) <= c.lng && c.lng <= Math.max(a.lng, b.lng) &&
+  Math.min(a.lat, b.lat) <= c.lat && c.lat <= Math.max(a.lat, b.lat)
+
+// Dos segmentos se cortan también si sólo se tocan en un punto
+export const segmentsIntersect = (a, b, c, d) => {
+  const [o1, o2, o3, o4] = [orientation(a, b, c), orientation(a, b, d), orientation(c, d, a), orientation(c, d, b)]
+  if (o1 !== o2 && o3 !== o4) return true
+  return (o1 === 0 && isBetween(a, b, c)) || (o2 === 0 && isBetween(a, b, d)) ||
+    (o3 === 0 && isBetween(c, d, a)) || (o4 === 0 && isBetween(c, d, b))
+}
+
+// El tramo entra en el polígono si empieza o acaba dentro o corta algún lado
+export const segmentCrossesPolygon = (from, to, ring) =>
+  pointInPolygon(from, ring) || pointInPolygon(to, ring) ||
+  ring.some((vertex, index) => segmentsIntersect(from, to, vertex, ring[(index + 1) % ring.length]))
+
+// Aleja cada vértice "marginKm" de su centroide: los rodeos pasan por estos
+// puntos y así no rozan el borde del polígono
+export const expandPolygon = (ring, marginKm) => {
+  const center = {
+    lat: ring.reduce((sum, vertex) => sum + vertex.lat, 0) / ring.length,
+    lng: ring.reduce((sum, vertex) => sum + vertex.lng, 0) / ring.length
+  }
+  const kmPerDegreeLng = KM_PER_DEGREE * Math.cos(toRadians(center.lat))
+
+  return ring.map((vertex) => {
+    const north = (vertex.lat - center.lat) * KM_PER_DEGREE
+    const east = (vertex.lng - center.lng) * kmPerDegreeLng
+    const length = Math.hypot(north, east) || 1
+    return {
+      lat: vertex.lat + north / length * marginKm / KM_PER_DEGREE,
+      lng: vertex.lng + east / length * marginKm / kmPerDegreeLng
+    }
+  })
+}
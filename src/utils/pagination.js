@@ -0,0 +1,11 @@
+// Página "page" (desde 1) de "limit" elementos con los totales del listado
+export const paginate = (list, page, limit) => {
+  const start = (page - 1) * limit
+  return {
+    items: list.slice(start, start + limit),
+    total: list.length,
+    page,
+    limit,
+    pages: Math.max(1, Math.ceil(list.length / limit))
+  }
+}
@@ -0,0 +1,120 @@
+import { EMAIL_PATTERN } from '../models/customerModel.js'
+
+// Validador de un subconjunto de JSON Schema (type, enum, required, properties,
+// additionalProperties, items, límites y formatos): lo justo para describir las
+// peticiones de la API. Devuelve la lista de problemas como { field, message }
+
+const FORMATS = {
+  'date-time': { test: (value) => !Number.isNaN(Date.parse(value)), message: 'debe ser una fecha ISO 8601' },
+  date: { test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)), message: 'debe ser una fecha YYYY-MM-DD' },
+  email: { test: (value) => EMAIL_PATTERN.test(value), message: 'debe ser un email válido' }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value)
+  if (type === 'number') return (actual === 'number' && Number.isFinite(value)) || actual === 'integer'
+  return actual === type
+}
+
+const join = (path, key) => path ? `${path}.${key}` : key
+
+const checkString = (schema, value, path, details) => {
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    details.push({ field: path, message: schema.minLength === 1 ? 'no puede estar vacío' : `debe tener al menos ${schema.minLength} caracteres` })
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    details.push({ field: path, message: `debe tener como máximo ${schema.maxLength} caracteres` })
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    details.push({ field: path, message: 'no tiene el formato esperado' })
+  }
+  const format = FORMATS[schema.format]
+  if (format && !format.test(value)) details.push({ field: path, message: format.message })
+}
+
+const checkNumber = (schema, value, path, details) => {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    details.push({ field: path, message: `debe ser mayor o igual que ${schema.minimum}` })
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    details.push({ field: path, message: `debe ser mayor que ${schema.exclusiveMinimum}` })
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    details.push({ field: path, message: `debe ser menor o igual que ${schema.maximum}` })
+  }
+}
+
+const checkArray = (schema, value, path, details) => {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    details.push({ field: path, message: `debe tener al menos ${schema.minItems} elemento(s)` })
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    details.push({ field: path, message: `debe tener como máximo ${schema.maxItems} elementos` })
+  }
+  if (schema.items) {
+    value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, details))
+  }
+}
+
+const checkObject = (schema, value, path, details) => {
+  (schema.required || [])
+    .filter((key) => value[key] === undefined)
+    .forEach((key) => details.push({ field: join(path, key), message: 'es obligatorio' }))
+
+  Object.entries(value).forEach(([key, item]) => {
+    const property = schema.properties?.[key]
+    if (property) {
+      validateValue(property, item, join(path, key), details)
+    } else if (schema.additionalProperties === false) {
+      details.push({ field: join(path, key), message: 'no es un campo permitido' })
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateValue(schema.additionalProperties, item, join(path, key), details)
+    }
+  })
+}
+
+export const validateValue = (schema, value, path = '', details = []) => {
+  const types = [].concat(schema.type ?? [])
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    details.push({ field: path, message: `debe ser de tipo ${types.join(' o ')}` })
+    return details
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    details.push({ field: path, message: `debe ser uno de: ${schema.enum.join(', ')}` })
+    return details
+  }
+
+  const checks = {
+    string: checkString,
+    number: checkNumber,
+    integer: checkNumber,
+    array: checkArray,
+    object: checkObject
+  }
+  checks[typeOf(value)]?.(schema, value, path, details)
+
+  return details
+}
+
+// Los parámetros de ruta y de consulta llegan como texto: se convierten al
+// tipo del esquema cuando el texto lo representa sin ambigüedad
+const coerceValue = (schema, value) => {
+  if (typeof value !== 'string') return value
+
+  const types = [].concat(schema.type ?? [])
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return Number(value)
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value)
+  if (types.includes('boolean') && ['true', 'false'].includes(value)) return value === 'true'
+  return value
+}
+
+export const coerceProperties = (schema, values = {}) => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, schema.properties?.[key] ? coerceValue(schema.properties[key], value) : value])
+)
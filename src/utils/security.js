@@ -0,0 +1,24 @@
+import { createHash, randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+
+const KEY_LENGTH = 64
+
+// Las contraseñas se guardan como "scrypt$<sal>$<hash>" (hex), nunca en claro
+export const hashPassword = (password) => {
+  const salt = randomBytes(16).toString('hex')
+  const hash = scryptSync(password, salt, KEY_LENGTH).toString('hex')
+  return `scrypt$${salt}$${hash}`
+}
+
+export const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, 'hex')
+  const actual = scryptSync(password, salt, expected.length)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+// Token de sesión opaco; en el almacenamiento sólo se guarda su huella SHA-256
+export const createToken = () => randomBytes(32).toString('base64url')
+
+export const hashToken = (token) => createHash('sha256').update(token).digest('hex')
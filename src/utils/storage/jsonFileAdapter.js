@@ -0,0 +1,68 @@
+import fs from 'fs'
+import path from 'path'
+import { createMemoryAdapter } from './memoryAdapter.js'
+
+// Adaptador de archivo JSON: mantiene los datos en memoria y reescribe el
+// archivo completo. Los cambios se agrupan y se escriben como mucho una vez
+// cada flushDelayMs; close() escribe los pendientes
+export const createJsonFileAdapter = (filePath, { flushDelayMs = 1000 } = {}) => {
+  const file = path.resolve(filePath)
+
+  let initialData = {}
+  if (fs.existsSync(file)) {
+    const content = fs.readFileSync(file, 'utf8')
+    initialData = content.trim() ? JSON.parse(content) : {}
+  }
+
+  const memory = createMemoryAdapter(initialData)
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    // Escribir a un archivo temporal y renombrar para no dejar el JSON a medias
+    const tmpFile = `${file}.tmp`
+    fs.writeFileSync(tmpFile, JSON.stringify(memory.snapshot(), null, 2))
+    fs.renameSync(tmpFile, file)
+  }
+
+  let pending = null
+
+  const flush = () => {
+    if (!pending) return
+    clearTimeout(pending)
+    pending = null
+    persist()
+  }
+
+  // El temporizador no mantiene vivo el proceso: al salir se vuelca con close()
+  const schedulePersist = () => {
+    if (pending) return
+    pending = setTimeout(flush, flushDelayMs)
+    pending.unref()
+  }
+
+  return {
+    ...memory,
+    type: 'json',
+
+    put: (collection, doc) => {
+      const saved = memory.put(collection, doc)
+      schedulePersist()
+      return saved
+    },
+
+    remove: (collection, id) => {
+      const removed = memory.remove(collection, id)
+      if (removed) schedulePersist()
+      return removed
+    },
+
+    clear: (collection) => {
+      memory.clear(collection)
+      schedulePersist()
+    },
+
+    flush,
+
+    close: flush
+  }
+}
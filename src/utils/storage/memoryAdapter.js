@@ -0,0 +1,55 @@
+// Adaptador en memoria: los datos se pierden al reiniciar (ideal para tests)
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+export const createMemoryAdapter = (initialData = {}) => {
+  const collections = new Map()
+
+  Object.entries(initialData).forEach(([name, docs]) => {
+    collections.set(name, clone(docs))
+  })
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) collections.set(name, [])
+    return collections.get(name)
+  }
+
+  return {
+    type: 'memory',
+
+    all: (collection) => clone(getCollection(collection)),
+
+    get: (collection, id) => {
+      const doc = getCollection(collection).find((d) => d.id === id)
+      return doc ? clone(doc) : undefined
+    },
+
+    put: (collection, doc) => {
+      const docs = getCollection(collection)
+      const index = docs.findIndex((d) => d.id === doc.id)
+      if (index === -1) {
+        docs.push(clone(doc))
+        docs.sort((a, b) => a.id - b.id)
+      } else {
+        docs[index] = clone(doc)
+      }
+      return clone(doc)
+    },
+
+    remove: (collection, id) => {
+      const docs = getCollection(collection)
+      const index = docs.findIndex((d) => d.id === id)
+      if (index === -1) return false
+      docs.splice(index, 1)
+      return true
+    },
+
+    clear: (collection) => {
+      collections.set(collection, [])
+    },
+
+    // Instantánea completa, usada por el adaptador JSON para persistir
+    snapshot: () => Object.fromEntries(collections),
+
+    close: () => {}
+  }
+}
@@ -0,0 +1,15 @@
+import { ORDER_STATUS } from '../../models/orderModel.js'
+
+// Adaptaciones de los datos guardados por versiones anteriores. Se aplican
+// cada vez que se abre el almacén, así que sobre datos ya migrados no hacen nada
+const migrations = [
+  // La primera cola de espera tenía su propio estado "en cola" antes de la
+  // preparación. Hoy la orden espera en cocina como "pendiente" (y, con el
+  // pastel listo, en la cola de drones como "listo"); la posición y la hora
+  // estimada de inicio las calcula la cola, no el estado
+  (adapter) => adapter.all('orders')
+    .filter((order) => order.status === 'en cola')
+    .forEach((order) => adapter.put('orders', { ...order, status: ORDER_STATUS.PENDING }))
+]
+
+export const runMigrations = (adapter) => migrations.forEach((migrate) => migrate(adapter))
@@ -0,0 +1,54 @@
+import fs from 'fs'
+import path from 'path'
+import Database from 'better-sqlite3'
+
+// Adaptador SQLite: cada documento se guarda como JSON en una tabla única
+// indexada por colección e id
+export const createSqliteAdapter = (filePath) => {
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true })
+  }
+
+  const db = new Database(filePath)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `)
+
+  const statements = {
+    all: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY id'),
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    put: db.prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+    clear: db.prepare('DELETE FROM documents WHERE collection = ?')
+  }
+
+  return {
+    type: 'sqlite',
+
+    all: (collection) => statements.all.all(collection).map((row) => JSON.parse(row.data)),
+
+    get: (collection, id) => {
+      const row = statements.get.get(collection, id)
+      return row ? JSON.parse(row.data) : undefined
+    },
+
+    put: (collection, doc) => {
+      statements.put.run(collection, doc.id, JSON.stringify(doc))
+      return JSON.parse(JSON.stringify(doc))
+    },
+
+    remove: (collection, id) => statements.remove.run(collection, id).changes > 0,
+
+    clear: (collection) => {
+      statements.clear.run(collection)
+    },
+
+    close: () => db.close()
+  }
+}
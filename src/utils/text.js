@@ -0,0 +1,2 @@
+// Búsqueda sin distinguir mayúsculas ni tildes ("Núñez" encuentra "nunez")
+export const normalizeText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
@@ -0,0 +1,24 @@
+import fs from 'fs'
+import { CALM_WEATHER } from '../models/weatherModel.js'
+
+// Proveedor local para desarrollo y tests. Lee el fichero JSON en cada
+// consulta, así que basta con editarlo para cambiar el tiempo sin reiniciar.
+// El fichero (o "conditions") puede tener unas condiciones fijas
+// ({ windSpeedKmh, precipitationMmH, visibilityKm }) o una serie de ellas con
+// "from": se usa la última que ya haya empezado según now()
+const pickConditions = (fixture, now) => {
+  if (!Array.isArray(fixture)) return fixture
+
+  const started = fixture.filter((entry) => Date.parse(entry.from) <= now)
+  const { from, ...conditions } = started.at(-1) ?? fixture[0] ?? {}
+  return conditions
+}
+
+export const createFixtureWeatherProvider = ({ file = null, conditions = CALM_WEATHER, now = () => Date.now() } = {}) => ({
+  name: 'fixture',
+
+  fetchConditions: async () => {
+    const fixture = file ? JSON.parse(await fs.promises.readFile(file, 'utf8')) : conditions
+    return pickConditions(fixture, now())
+  }
+})
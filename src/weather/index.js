@@ -0,0 +1,19 @@
+import { createFixtureWeatherProvider } from './fixtureProvider.js'
+import { getWeatherFile, getWeatherProviderName } from '../utils/config.js'
+import { simulation } from '../simulation/index.js'
+
+// Un proveedor del tiempo es un objeto { name, fetchConditions } cuya
+// fetchConditions() resuelve a { windSpeedKmh, precipitationMmH, visibilityKm }
+// (y opcionalmente observedAt). Para usar un servicio meteorológico real basta
+// con añadir aquí su fábrica y elegirlo con WEATHER_PROVIDER
+const providerFactories = {
+  fixture: () => createFixtureWeatherProvider({ file: getWeatherFile(), now: () => simulation.now() })
+}
+
+export const WEATHER_PROVIDERS = Object.keys(providerFactories)
+
+export const createWeatherProvider = (type = getWeatherProviderName()) => {
+  const factory = providerFactories[type]
+  if (!factory) throw new Error(`Proveedor del tiempo desconocido: ${type}. Disponibles: ${WEATHER_PROVIDERS.join(', ')}`)
+  return factory()
+}
@@ -29,21 +29,21 @@ describe('Integration Tests - Business Logic', () => {
     expect(newOrder.customer).toBe(orderData.customer)
     expect(newOrder.flavor).toBe(orderData.flavor)
     expect(newOrder.status).toBe('preparando')
-    expect(newOrder.droneId).toBeDefined()
+    expect(newOrder.droneId).toBeNull()
     
-    // 3. Verify drone was assigned and marked as busy
+    // 3. Update order status to 'en vuelo': the drone is assigned on take-off
+    const updatedOrder = orderService.updateOrderStatus(newOrder.id, 'en vuelo')
+    expect(updatedOrder.status).toBe('en vuelo')
+    
+    // 4. Verify drone was assigned and marked as busy
     const dronesAfterOrder = droneService.getAllDrones()
-    const assignedDrone = dronesAfterOrder.find(d => d.id === newOrder.droneId)
+    const assignedDrone = dronesAfterOrder.find(d => d.id === updatedOrder.droneId)
     expect(assignedDrone).toBeTruthy()
     expect(assignedDrone.available).toBe(false)
     
     const availableAfterOrder = dronesAfterOrder.filter(d => d.available)
     expect(availableAfterOrder.length).toBe(availableDrones.length - 1)
     
-    // 4. Update order status to 'en vuelo'
-    const updatedOrder = orderService.updateOrderStatus(newOrder.id, 'en vuelo')
-    expect(updatedOrder.status).toBe('en vuelo')
-    
     // 5. Complete the order
     const completedOrder = orderService.completeOrder(newOrder.id)
     expect(completedOrder.status).toBe('entregado')
@@ -51,7 +51,7 @@ describe('Integration Tests - Business Logic', () => {
     
     // 6. Verify drone was freed
     const dronesAfterComplete = droneService.getAllDrones()
-    const freedDrone = dronesAfterComplete.find(d => d.id === newOrder.droneId)
+    const freedDrone = dronesAfterComplete.find(d => d.id === updatedOrder.droneId)
     expect(freedDrone.available).toBe(true)
     
     const availableAfterComplete = dronesAfterComplete.filter(d => d.available)
@@ -74,7 +74,7 @@ describe('Integration Tests - Business Logic', () => {
         customer: `Customer ${i + 1}`,
         flavor: ['chocolate', 'vainilla', 'fresa'][i % 3]
       })
-      orders.push(order)
+      orders.push(orderService.finishPreparation(order.id))
     }
     
     // Verify all orders were created
@@ -146,27 +146,22 @@ describe('Integration Tests - Business Logic', () => {
         customer: `Capacity Test Customer ${i + 1}`,
         flavor: 'chocolate'
       })
-      orders.push(order)
+      orders.push(orderService.finishPreparation(order.id))
     }
     
     // All drones should now be busy
     const busyDrones = droneService.getAllDrones().filter(d => !d.available)
     expect(busyDrones.length).toBe(droneCount)
     
-    // Try to create one more order (should fail or queue)
-    try {
-      const extraOrder = orderService.createOrder({
-        customer: 'Extra Customer',
-        flavor: 'vainilla'
-      })
-      
-      // If it succeeds, there should be some queuing mechanism
-      // For now, we expect it to fail since we don't have queuing implemented
-      expect(extraOrder).toBeFalsy()
-    } catch (error) {
-      // This is expected behavior when no drones are available
-      expect(error.message).toContain('drones disponibles')
-    }
+    // One more order is prepared and waits ready for a drone
+    const extraOrder = orderService.createOrder({
+      customer: 'Extra Customer',
+      flavor: 'vainilla'
+    })
+    const readyOrder = orderService.finishPreparation(extraOrder.id)
+    
+    expect(readyOrder.status).toBe('listo')
+    expect(readyOrder.droneId).toBeNull()
   })
   
   test('should maintain data consistency across operations', () => {
@@ -1,4 +1,4 @@
-const { describe, test, expect, beforeEach, afterAll } = require('@jest/globals')
+const { describe, test, expect, beforeEach } = require('@jest/globals')
 
 // Integration tests for DronCakes business logic
 // These tests verify that different modules work together correctly
@@ -7,31 +7,15 @@ describe('Integration Tests - Business Logic', () => {
   const droneService = require('../../src/services/droneService.js')
   const orderService = require('../../src/services/orderService.js')
   const dataStore = require('../../src/utils/dataStore.js')
-  
-  // Clear timeouts after all tests to prevent async issues
-  const activeTimeouts = []
-  const originalSetTimeout = global.setTimeout
+  const { simulation } = require('../../src/simulation/index.js')
   
   beforeEach(() => {
     // Reset data store for clean test
     dataStore.reset()
     
-    // Mock setTimeout to prevent async operations during tests
-    global.setTimeout = (fn, delay) => {
-      const timeoutId = originalSetTimeout(() => {
-        // Don't execute timeouts during tests
-      }, delay)
-      activeTimeouts.push(timeoutId)
-      return timeoutId
-    }
-  })
-  
-  afterAll(() => {
-    // Restore original setTimeout
-    global.setTimeout = originalSetTimeout
-    
-    // Clear any remaining timeouts
-    activeTimeouts.forEach(clearTimeout)
+    // The simulation runs in manual mode under test: nothing advances
+    // unless the clock is stepped explicitly
+    simulation.reset()
   })
   
   test('should verify drone service functionality', () => {
@@ -73,17 +57,18 @@ describe('Integration Tests - Business Logic', () => {
     expect(newOrder.customer).toBe('Integration Test Customer')
     expect(newOrder.flavor).toBe('chocolate')
     expect(newOrder.status).toBe('preparando')
-    expect(newOrder.droneId).toBeDefined()
-    expect(newOrder.drone).toBeDefined()
+    expect(newOrder.kitchen.stationId).toBe(1)
+    expect(newOrder.droneId).toBeNull()
     
     // Verify order was added to the list
     const allOrders = orderService.getAllOrders()
     expect(allOrders.length).toBe(1)
     expect(allOrders[0].id).toBe(newOrder.id)
     
-    // Verify drone was marked as busy
-    const dronesAfterOrder = droneService.getAllDrones()
-    const assignedDrone = dronesAfterOrder.find(d => d.id === newOrder.droneId)
+    // The drone is assigned once the kitchen finishes the cake
+    const dispatchedOrder = orderService.finishPreparation(newOrder.id)
+    expect(dispatchedOrder.status).toBe('en vuelo')
+    const assignedDrone = droneService.getAllDrones().find(d => d.id === dispatchedOrder.droneId)
     expect(assignedDrone.available).toBe(false)
   })
   
@@ -104,7 +89,8 @@ describe('Integration Tests - Business Logic', () => {
   
   test('should complete orders and free drones', () => {
     // Create order
-    const order = orderService.createOrder('Complete Test Customer', 'fresa')
+    const { id } = orderService.createOrder('Complete Test Customer', 'fresa')
+    const order = orderService.finishPreparation(id)
     
     // Verify drone is busy
     const busyDrone = droneService.getAllDrones().find(d => d.id === order.droneId)
@@ -133,7 +119,7 @@ describe('Integration Tests - Business Logic', () => {
         `Customer ${i + 1}`,
         ['chocolate', 'vainilla'][i % 2]
       )
-      orders.push(order)
+      orders.push(orderService.finishPreparation(order.id))
     }
     
     // Verify all orders were created
@@ -172,17 +158,24 @@ describe('Integration Tests - Business Logic', () => {
         `Capacity Test Customer ${i + 1}`,
         'chocolate'
       )
-      orders.push(order)
+      orders.push(orderService.finishPreparation(order.id))
     }
     
     // All drones should now be busy
     const busyDrones = droneService.getAllDrones().filter(d => !d.available)
     expect(busyDrones.length).toBe(droneCount)
     
-    // Try to create one more order (should fail)
-    expect(() => {
-      orderService.createOrder('Extra Customer', 'vainilla')
-    }).toThrow('No hay drones disponibles')
+    // One more cake waits ready in the queue until a drone is freed
+    const extraOrder = orderService.createOrder('Extra Customer', 'vainilla')
+    orderService.finishPreparation(extraOrder.id)
+    const waitingOrder = orderService.getAllOrders().find(o => o.id === extraOrder.id)
+    expect(waitingOrder.status).toBe('listo')
+    expect(waitingOrder.queuePosition).toBe(1)
+
+    orderService.completeOrder(orders[0].id)
+    const dispatchedOrder = orderService.getAllOrders().find(o => o.id === extraOrder.id)
+    expect(dispatchedOrder.status).toBe('en vuelo')
+    expect(dispatchedOrder.droneId).toBe(orders[0].droneId)
   })
   
   test('should maintain data consistency across operations', () => {
@@ -0,0 +1,242 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals'
+import request from 'supertest'
+import { createApp } from '../../src/app.js'
+import { apiRoutes } from '../../src/routes/index.js'
+import { buildOpenApiSpec } from '../../src/openapi/spec.js'
+import { OPERATIONS } from '../../src/openapi/operations.js'
+import { validateValue } from '../../src/utils/schemaValidator.js'
+import * as authService from '../../src/services/authService.js'
+import { reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+// Contrato de la API: cada respuesta de los controladores debe cumplir el
+// esquema que publica /api/openapi.json para su ruta y su código HTTP
+const app = createApp()
+let spec
+let token
+
+const call = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`)
+
+const expectToMatchSpec = (response, method, path) => {
+  const operation = spec.paths[path]?.[method]
+  expect(operation).toBeDefined()
+
+  const documented = operation.responses[response.status]
+  if (!documented) throw new Error(`${method.toUpperCase()} ${path} no documenta la respuesta ${response.status}`)
+
+  const schema = documented.content['application/json'].schema
+  expect(validateValue(schema, response.body, 'response')).toEqual([])
+}
+
+describe('OpenAPI contract', () => {
+  beforeAll(async () => {
+    spec = (await request(app).get('/api/openapi.json')).body
+  })
+
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+    authService.createUser({ email: 'admin@droncakes.local', name: 'Admin', role: 'admin', password: 'admin-secreto' })
+    token = authService.login({ email: 'admin@droncakes.local', password: 'admin-secreto' }).token
+  })
+
+  afterAll(() => {
+    simulation.reset()
+  })
+
+  describe('specification', () => {
+    test('should describe every route with its schemas and permissions', () => {
+      expect(spec.openapi).toBe('3.1.0')
+
+      const operation = spec.paths['/api/drones/{id}'].put
+      expect(operation.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }])
+      expect(operation.requestBody.content['application/json'].schema.required).toEqual(['available'])
+      expect(operation.security).toEqual([{ bearerAuth: [] }])
+      expect(Object.keys(operation.responses)).toEqual(['200', '400', '401', '403', '404', '409', '422'])
+      expect(spec.paths['/api/products'].get.security).toBeUndefined()
+    })
+
+    test('should fail when a route is missing from the documentation', () => {
+      const { 'GET /api/orders': missing, ...operations } = OPERATIONS
+
+      expect(() => buildOpenApiSpec(apiRoutes, operations)).toThrow('GET /api/orders no está documentada')
+      expect(() => buildOpenApiSpec(apiRoutes, { ...OPERATIONS, 'GET /api/nada': missing })).toThrow('GET /api/nada')
+    })
+  })
+
+  describe('orders', () => {
+    test('should match the spec through the order lifecycle', async () => {
+      const quote = await call('post', '/api/orders/quote').send({ flavor: 'fresa', size: 'mediano' })
+      expectToMatchSpec(quote, 'post', '/api/orders/quote')
+
+      const created = await call('post', '/api/orders').send({
+        customer: 'Ana',
+        flavor: 'chocolate',
+        deliveryAddress: { street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 }
+      })
+      expect(created.status).toBe(201)
+      expectToMatchSpec(created, 'post', '/api/orders')
+
+      const path = `/api/orders/${created.body.id}`
+      expectToMatchSpec(await call('get', '/api/orders?scope=active&sort=createdAt&limit=5'), 'get', '/api/orders')
+      expectToMatchSpec(await call('get', `${path}/transitions`), 'get', '/api/orders/{id}/transitions')
+      expectToMatchSpec(await call('put', `${path}/status`).send({ status: 'en vuelo' }), 'put', '/api/orders/{id}/status')
+      expectToMatchSpec(await call('put', `${path}/complete`), 'put', '/api/orders/{id}/complete')
+      expectToMatchSpec(await call('get', `${path}/timeline`), 'get', '/api/orders/{id}/timeline')
+
+      const cancelled = await call('post', `${path}/cancel`).send({ reason: 'Ya no lo quiere' })
+      expect(cancelled.status).toBe(409)
+      expectToMatchSpec(cancelled, 'post', '/api/orders/{id}/cancel')
+    })
+
+    test('should match the spec for cancellations and errors', async () => {
+      const { body: order } = await call('post', '/api/orders').send({ customer: 'Ana', flavor: 'vainilla' })
+
+      expectToMatchSpec(await call('post', `/api/orders/${order.id}/cancel`).send({ reason: 'Cambio de planes' }), 'post', '/api/orders/{id}/cancel')
+      expectToMatchSpec(await call('post', '/api/orders').send({ flavor: 'pistacho' }), 'post', '/api/orders')
+      expectToMatchSpec(await call('post', '/api/orders').send({ flavor: 5 }), 'post', '/api/orders')
+      expectToMatchSpec(await call('get', '/api/orders/99/transitions'), 'get', '/api/orders/{id}/transitions')
+      expectToMatchSpec(await request(app).get('/api/orders'), 'get', '/api/orders')
+    })
+
+    test('should only honour express priority from staff', async () => {
+      const { token: customerToken, user } = authService.register({ name: 'Ana', email: 'ana@example.com', password: 'ana-secreta' })
+      const asCustomer = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${customerToken}`)
+      const customerPath = `/api/customers/${user.customerId}`
+
+      const rushed = await asCustomer('post', '/api/orders').send({ flavor: 'fresa', priority: 'express' })
+      expect(rushed.status).toBe(403)
+      expectToMatchSpec(rushed, 'post', '/api/orders')
+
+      const upgraded = await asCustomer('patch', customerPath).send({ preferences: { express: true } })
+      expect(upgraded.status).toBe(403)
+      expectToMatchSpec(upgraded, 'patch', '/api/customers/{id}')
+      expect((await asCustomer('post', '/api/orders').send({ flavor: 'fresa' })).body.priority).toBe('normal')
+
+      expect((await call('patch', customerPath).send({ preferences: { express: true } })).status).toBe(200)
+      expect((await asCustomer('post', '/api/orders').send({ flavor: 'fresa' })).body.priority).toBe('express')
+    })
+  })
+
+  describe('drones', () => {
+    test('should match the spec for the fleet endpoints', async () => {
+      expectToMatchSpec(await call('get', '/api/drones'), 'get', '/api/drones')
+
+      const created = await call('post', '/api/drones').send({ name: 'Nube', serial: 'dc-0100', model: 'hexa-carga' })
+      expect(created.status).toBe(201)
+      expectToMatchSpec(created, 'post', '/api/drones')
+
+      const path = `/api/drones/${created.body.id}`
+      expectToMatchSpec(await call('get', path), 'get', '/api/drones/{id}')
+      expectToMatchSpec(await call('patch', path).send({ battery: 80 }), 'patch', '/api/drones/{id}')
+      expectToMatchSpec(await call('post', `${path}/telemetry`).send({ lat: 4.61, lng: -74.08, altitude: 40, battery: 90 }), 'post', '/api/drones/{id}/telemetry')
+      expectToMatchSpec(await call('post', `${path}/telemetry`).send({ lat: 95, lng: -74.08 }), 'post', '/api/drones/{id}/telemetry')
+      expectToMatchSpec(await call('get', `${path}/telemetry?limit=5`), 'get', '/api/drones/{id}/telemetry')
+      expectToMatchSpec(await call('get', path), 'get', '/api/drones/{id}')
+      expectToMatchSpec(await call('put', path).send({ available: false }), 'put', '/api/drones/{id}')
+      expectToMatchSpec(await call('put', path).send({ available: 'no' }), 'put', '/api/drones/{id}')
+      expectToMatchSpec(await call('post', '/api/drones').send({ name: 'Otra', serial: 'DC-0100', model: 'hexa-carga' }), 'post', '/api/drones')
+      expectToMatchSpec(await call('delete', path), 'delete', '/api/drones/{id}')
+      expectToMatchSpec(await call('get', path), 'get', '/api/drones/{id}')
+    })
+  })
+
+  describe('airspace', () => {
+    test('should match the spec for the zone endpoints', async () => {
+      const geometry = { type: 'Polygon', coordinates: [[[-74.078, 4.618], [-74.074, 4.618], [-74.074, 4.622], [-74.078, 4.618]]] }
+
+      const created = await call('post', '/api/airspace/zones').send({ name: 'Estadio', category: 'estadio', geometry })
+      expect(created.status).toBe(201)
+      expectToMatchSpec(created, 'post', '/api/airspace/zones')
+      expectToMatchSpec(await call('post', '/api/airspace/zones').send({ name: 'estadio', geometry }), 'post', '/api/airspace/zones')
+
+      const imported = await call('post', '/api/airspace/zones/import?replace=false').send({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { name: 'Parque', maxAltitudeM: 40 }, geometry }]
+      })
+      expect(imported.status).toBe(201)
+      expectToMatchSpec(imported, 'post', '/api/airspace/zones/import')
+
+      const path = `/api/airspace/zones/${created.body.id}`
+      expectToMatchSpec(await call('get', '/api/airspace/zones'), 'get', '/api/airspace/zones')
+      expectToMatchSpec(await call('get', path), 'get', '/api/airspace/zones/{id}')
+      expectToMatchSpec(await call('patch', path).send({ maxAltitudeM: 30 }), 'patch', '/api/airspace/zones/{id}')
+      expectToMatchSpec(await call('post', '/api/drones/1/telemetry').send({ lat: 4.62, lng: -74.075, altitude: 50 }), 'post', '/api/drones/{id}/telemetry')
+      expectToMatchSpec(await call('delete', path), 'delete', '/api/airspace/zones/{id}')
+      expectToMatchSpec(await call('get', path), 'get', '/api/airspace/zones/{id}')
+    })
+  })
+
+  describe('weather', () => {
+    test('should match the spec for the weather status', async () => {
+      expectToMatchSpec(await call('get', '/api/weather'), 'get', '/api/weather')
+
+      const refreshed = await call('post', '/api/weather/refresh')
+      expect(refreshed.status).toBe(200)
+      expectToMatchSpec(refreshed, 'post', '/api/weather/refresh')
+      expectToMatchSpec(await call('get', '/api/weather'), 'get', '/api/weather')
+    })
+  })
+
+  describe('other endpoints', () => {
+    test('should match the spec for the dashboard data', async () => {
+      await call('post', '/api/orders').send({ customer: 'Ana', flavor: 'fresa' })
+
+      const checks = [
+        ['get', '/api/products', '/api/products'],
+        ['get', '/api/inventory', '/api/inventory'],
+        ['get', '/api/kitchen', '/api/kitchen'],
+        ['get', '/api/queue', '/api/queue'],
+        ['get', '/api/simulation', '/api/simulation'],
+        ['get', '/api/dispatch/strategies', '/api/dispatch/strategies'],
+        ['get', '/api/auth/me', '/api/auth/me'],
+        ['get', '/api/auth/users', '/api/auth/users'],
+        ['get', '/api/audit?entity=order&source=api', '/api/audit']
+      ]
+      for (const [method, url, path] of checks) {
+        expectToMatchSpec(await call(method, url), method, path)
+      }
+    })
+
+    test('should reject parameters on the routes that take none', async () => {
+      const checks = [
+        ['get', '/api/drones?status=idle', '/api/drones'],
+        ['get', '/api/queue?limit=5', '/api/queue'],
+        ['get', '/api/weather?refresh=true', '/api/weather'],
+        ['get', '/api/auth/users?role=admin', '/api/auth/users']
+      ]
+      for (const [method, url, path] of checks) {
+        const response = await call(method, url)
+        expect(response.status).toBe(400)
+        expectToMatchSpec(response, method, path)
+      }
+
+      const paused = await call('post', '/api/simulation/pause').send({ minutes: 5 })
+      expect(paused.status).toBe(400)
+      expectToMatchSpec(paused, 'post', '/api/simulation/pause')
+      expect((await call('post', '/api/simulation/pause')).status).toBe(200)
+    })
+
+    test('should only accept the query-string token on the event stream', async () => {
+      const { token: customerToken } = authService.register({ name: 'Ana', email: 'ana@example.com', password: 'ana-secreta' })
+
+      const orders = await request(app).get(`/api/orders?access_token=${token}`)
+      expect(orders.status).toBe(401)
+      expectToMatchSpec(orders, 'get', '/api/orders')
+
+      const events = await request(app).get(`/api/events?access_token=${customerToken}`)
+      expect(events.status).toBe(403)
+      expectToMatchSpec(events, 'get', '/api/events')
+      expect((await request(app).get('/api/events?access_token=caducado')).status).toBe(401)
+    })
+
+    test('should only list orderable products when filtering by availability', async () => {
+      await call('patch', '/api/products/1').send({ available: false })
+
+      const available = await call('get', '/api/products?available=true')
+      expectToMatchSpec(available, 'get', '/api/products')
+      expect(available.body.map((product) => product.flavor)).not.toContain('chocolate')
+      expect((await call('get', '/api/products?available=false')).body.map((product) => product.flavor)).toContain('chocolate')
+    })
+  })
+})
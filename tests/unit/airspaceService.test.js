@@ -0,0 +1,152 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as airspaceService from '../../src/services/airspaceService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { recordTelemetry } from '../../src/services/telemetryService.js'
+import { eventBus } from '../../src/events/index.js'
+import { droneRepository, reset } from '../../src/utils/dataStore.js'
+import { getBakeryBase } from '../../src/utils/config.js'
+import { haversineKm, segmentCrossesPolygon } from '../../src/utils/geo.js'
+import { toRing } from '../../src/models/airspaceModel.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const address = { street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 }
+
+// Rectángulo GeoJSON (anillo cerrado de posiciones [lng, lat])
+const rectangle = ({ south, west, north, east }) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+})
+
+// Cuadrado en mitad de la línea recta entre el obrador y "address"
+const midway = rectangle({ south: 4.618, west: -74.078, north: 4.622, east: -74.074 })
+// Cuadrado alrededor de "address"
+const aroundAddress = rectangle({ south: 4.628, west: -74.072, north: 4.632, east: -74.068 })
+
+describe('Airspace Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.AIRSPACE_POLICY
+  })
+
+  test('should create zones with defaults and validate them', () => {
+    const zone = airspaceService.createZone({
+      name: 'Hospital San Ignacio',
+      category: 'hospital',
+      geometry: { type: 'Polygon', coordinates: [[[-74.07, 4.62], [-74.06, 4.62], [-74.06, 4.63]]] }
+    })
+
+    expect(zone).toMatchObject({ category: 'hospital', maxAltitudeM: null, active: true })
+    expect(zone.geometry.coordinates[0]).toHaveLength(4)
+    expect(() => airspaceService.createZone({ name: 'hospital san ignacio', geometry: midway })).toThrow('Ya existe una zona llamada')
+    expect(() => airspaceService.createZone({ name: 'Línea', geometry: { type: 'Polygon', coordinates: [[[-74, 4], [-74.1, 4.1]]] } }))
+      .toThrow('al menos tres vértices')
+    expect(() => airspaceService.createZone({ name: 'Estadio', category: 'coliseo', geometry: midway })).toThrow('Tipo de zona desconocido')
+    expect(() => airspaceService.updateZone(zone.id, { maxAltitudeM: -5 })).toThrow('La altitud máxima')
+  })
+
+  test('should import a GeoJSON collection as a whole or not at all', () => {
+    const feature = (name, geometry, properties = {}) => ({ type: 'Feature', properties: { name, ...properties }, geometry })
+
+    const zones = airspaceService.importZones({
+      type: 'FeatureCollection',
+      features: [feature('Estadio', midway, { category: 'estadio' }), feature('Parque', aroundAddress, { maxAltitudeM: 40 })]
+    })
+    expect(zones.map((zone) => [zone.name, zone.maxAltitudeM])).toEqual([['Estadio', null], ['Parque', 40]])
+
+    expect(() => airspaceService.importZones({ type: 'FeatureCollection', features: [feature('Otra', midway), feature(null, midway)] }))
+      .toThrow('Zona 2: El nombre de la zona es obligatorio')
+    expect(() => airspaceService.importZones(feature('Estadio', midway))).toThrow('Ya existe una zona llamada "Estadio"')
+    expect(airspaceService.getAllZones()).toHaveLength(2)
+
+    airspaceService.importZones(feature('Estadio', midway), { replace: true })
+    expect(airspaceService.getAllZones().map((zone) => zone.name)).toEqual(['Estadio'])
+  })
+
+  test('should fly straight when no zone is in the way', () => {
+    const route = airspaceService.planRoute(getBakeryBase(), address)
+
+    expect(route.path).toHaveLength(2)
+    expect(route).toMatchObject({ rerouted: false, avoidedZones: [], maxAltitudeM: null })
+    expect(route.distanceKm).toBeCloseTo(haversineKm(getBakeryBase(), address), 2)
+  })
+
+  test('should route around a no-fly zone or reject it depending on the policy', () => {
+    const zone = airspaceService.createZone({ name: 'Estadio', category: 'estadio', geometry: midway })
+    const route = airspaceService.planRoute(getBakeryBase(), address)
+
+    expect(route.rerouted).toBe(true)
+    expect(route.avoidedZones).toEqual([{ id: zone.id, name: 'Estadio' }])
+    expect(route.path.length).toBeGreaterThan(2)
+    expect(route.distanceKm).toBeGreaterThan(haversineKm(getBakeryBase(), address))
+    route.path.slice(1).forEach((point, index) => {
+      expect(segmentCrossesPolygon(route.path[index], point, toRing(midway))).toBe(false)
+    })
+
+    process.env.AIRSPACE_POLICY = 'reject'
+    expect(() => airspaceService.planRoute(getBakeryBase(), address)).toThrow('La ruta directa cruza la zona de exclusión aérea "Estadio"')
+
+    airspaceService.updateZone(zone.id, { active: false })
+    expect(airspaceService.planRoute(getBakeryBase(), address).rerouted).toBe(false)
+  })
+
+  test('should reject destinations inside a no-fly zone and cap the altitude over limited zones', () => {
+    const zone = airspaceService.createZone({ name: 'Hospital', category: 'hospital', geometry: aroundAddress })
+    expect(() => orderService.createOrder({ customer: 'Ana', flavor: 'fresa', deliveryAddress: address }))
+      .toThrow('La dirección de entrega está dentro de la zona de exclusión aérea "Hospital"')
+
+    airspaceService.updateZone(zone.id, { maxAltitudeM: 40 })
+    const order = orderService.createOrder({ customer: 'Ana', flavor: 'fresa', deliveryAddress: address })
+    expect(order.route).toMatchObject({ rerouted: false, maxAltitudeM: 40 })
+  })
+
+  test('should price and time rerouted orders with the longer route', () => {
+    const direct = orderService.quoteOrder({ flavor: 'fresa', deliveryAddress: address })
+    airspaceService.createZone({ name: 'Estadio', geometry: midway })
+    const order = orderService.createOrder({ customer: 'Ana', flavor: 'fresa', deliveryAddress: address })
+
+    expect(order.route.rerouted).toBe(true)
+    expect(order.distanceKm).toBe(order.route.distanceKm)
+    expect(order.distanceKm).toBeGreaterThan(direct.distanceKm)
+    expect(order.pricing.deliveryFee).toBeGreaterThan(direct.pricing.deliveryFee)
+  })
+
+  test('should hold ready orders whose route is closed at take-off until the zone is lifted', () => {
+    const order = orderService.createOrder({ customer: 'Ana', flavor: 'chocolate', deliveryAddress: address })
+    const zone = airspaceService.createZone({ name: 'Hospital', geometry: aroundAddress })
+    simulation.advance(simulation.getDurations().preparing)
+
+    const held = orderService.getOrderById(order.id)
+    expect(held.status).toBe('listo')
+    expect(held.droneId).toBeNull()
+    expect(held.hold).toMatchObject({ reason: 'airspace', message: expect.stringContaining('"Hospital"') })
+    expect(droneRepository.filter((drone) => drone.status !== 'idle')).toEqual([])
+    expect(() => orderService.updateOrderStatus(order.id, 'en vuelo')).toThrow('no puede despegar')
+
+    airspaceService.deleteZone(zone.id)
+    const flying = orderService.getOrderById(order.id)
+    expect(flying.status).toBe('en vuelo')
+    expect(flying.hold).toBeNull()
+  })
+
+  test('should raise a geofence violation when a drone enters a forbidden area', () => {
+    const events = []
+    const unsubscribe = eventBus.subscribe((event) => event.type === 'drone.geofence_violation' && events.push(event.data))
+    const hospital = airspaceService.createZone({ name: 'Hospital', category: 'hospital', geometry: midway })
+    airspaceService.createZone({ name: 'Parque', geometry: aroundAddress, maxAltitudeM: 40 })
+
+    expect(recordTelemetry(1, { lat: 4.61, lng: -74.08 }).violations).toEqual([])
+    expect(recordTelemetry(1, { lat: 4.62, lng: -74.076, altitude: 50 }).violations).toEqual([
+      { id: hospital.id, name: 'Hospital', category: 'hospital', maxAltitudeM: null }
+    ])
+    recordTelemetry(1, { lat: 4.621, lng: -74.075, altitude: 50 })
+    expect(recordTelemetry(1, { lat: 4.63, lng: -74.07, altitude: 30 }).violations).toEqual([])
+    recordTelemetry(1, { lat: 4.63, lng: -74.07, altitude: 55 })
+    unsubscribe()
+
+    expect(events.map((event) => [event.droneId, event.zone.name, event.position.altitude])).toEqual([[1, 'Hospital', 50], [1, 'Parque', 55]])
+  })
+})
@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import { getTimeline, listAuditEvents } from '../../src/services/auditService.js'
+import * as orderService from '../../src/services/orderService.js'
+import * as droneService from '../../src/services/droneService.js'
+import { runWithAuditContext, setAuditActor } from '../../src/utils/auditContext.js'
+import { droneRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const MINUTE_MS = 60 * 1000
+const dispatcher = { id: 7, name: 'Diana', role: 'despachador', email: 'diana@droncakes.local' }
+
+// Ejecuta "fn" como lo haría una petición autenticada
+const asRequest = (source, user, fn) => runWithAuditContext({ source }, () => {
+  setAuditActor(user)
+  return fn()
+})
+
+describe('Audit Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.AUDIT_HISTORY_LIMIT
+  })
+
+  test('should record the order lifecycle with the timer as source of the automatic stages', () => {
+    const order = asRequest('api', dispatcher, () => orderService.createOrder({ customer: 'Ana', flavor: 'chocolate' }))
+    simulation.advance(10 * MINUTE_MS)
+
+    const timeline = getTimeline('order', order.id)
+    const automatic = timeline.filter((event) => ['listo', 'en vuelo', 'entregado'].includes(event.after.status))
+
+    expect(timeline[0]).toMatchObject({ action: 'created', source: 'api', actor: { id: 7, name: 'Diana', role: 'despachador' }, before: null })
+    expect(automatic.map((event) => event.after.status)).toEqual(['listo', 'en vuelo', 'entregado'])
+    expect(automatic.every((event) => event.source === 'timer' && event.actor === null)).toBe(true)
+    expect(timeline.find((event) => event.after.droneId)).toMatchObject({ before: { status: 'listo', droneId: null } })
+  })
+
+  test('should sign manual overrides with their actor and keep the previous state', () => {
+    const order = orderService.createOrder({ customer: 'Ana', flavor: 'fresa' })
+    asRequest('manual', dispatcher, () => orderService.completeOrder(order.id))
+
+    const last = getTimeline('order', order.id).at(-1)
+    expect(last).toMatchObject({
+      action: 'updated',
+      source: 'manual',
+      actor: { id: 7 },
+      after: { status: 'entregado' }
+    })
+    expect(last.before.status).not.toBe('entregado')
+    expect(getTimeline('order', order.id)[0].source).toBe('system')
+  })
+
+  test('should record drone status changes but not battery updates', () => {
+    asRequest('manual', dispatcher, () => droneService.updateDroneStatus(1, false))
+    droneRepository.update(1, { battery: 40 })
+
+    expect(getTimeline('drone', 1)).toEqual([expect.objectContaining({
+      source: 'manual',
+      before: { status: 'idle', available: true },
+      after: { status: 'maintenance', available: false }
+    })])
+  })
+
+  test('should attribute timer events to the timer even when a request advances the clock', () => {
+    orderService.createOrder({ customer: 'Ana', flavor: 'vainilla' })
+    asRequest('api', dispatcher, () => simulation.advance(10 * MINUTE_MS))
+
+    expect(listAuditEvents({ source: 'api' }).total).toBe(0)
+    expect(listAuditEvents({ source: 'timer' }).total).toBeGreaterThan(0)
+  })
+
+  test('should filter and paginate the log from newest to oldest', () => {
+    const first = asRequest('api', dispatcher, () => orderService.createOrder({ customer: 'Ana', flavor: 'chocolate' }))
+    asRequest('api', { ...dispatcher, id: 8 }, () => orderService.createOrder({ customer: 'Bruno', flavor: 'fresa' }))
+    asRequest('manual', dispatcher, () => droneService.deleteDrone(2))
+
+    const drones = listAuditEvents({ entity: 'drone' })
+    expect(drones.events).toEqual([expect.objectContaining({ entityId: 2, action: 'deleted', after: null })])
+    expect(drones.events[0].before).toMatchObject({ status: 'idle' })
+
+    expect(listAuditEvents({ actorId: 7, entity: 'order', action: 'created' }).events.map((event) => event.entityId)).toEqual([first.id])
+    expect(listAuditEvents({ entity: 'order', entityId: first.id, action: 'created' }).total).toBe(1)
+
+    const page = listAuditEvents({ page: 2, limit: 2 })
+    expect(page).toMatchObject({ page: 2, limit: 2, pages: Math.ceil(page.total / 2) })
+    expect(page.events[0].id).toBeLessThan(listAuditEvents({ limit: 2 }).events[1].id)
+    expect(() => listAuditEvents({ from: '2030-01-02', to: '2030-01-01' })).toThrow('"from" debe ser anterior a "to"')
+  })
+
+  test('should only keep the most recent events', () => {
+    process.env.AUDIT_HISTORY_LIMIT = '3'
+    droneService.updateDroneStatus(1, false)
+    droneService.updateDroneStatus(1, true)
+    droneService.updateDroneStatus(2, false)
+    droneService.updateDroneStatus(2, true)
+
+    const { events, total } = listAuditEvents({ entity: 'drone' })
+    expect(total).toBe(3)
+    expect(events.map((event) => [event.entityId, event.after.available])).toEqual([[2, true], [2, false], [1, true]])
+  })
+})
@@ -0,0 +1,189 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import * as authService from '../../src/services/authService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { authorize, authorizeOrder } from '../../src/middleware/authMiddleware.js'
+import { sessionRepository, userRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const PASSWORD = 'pastel-secreto'
+
+const createStaff = (role, email = `${role}@droncakes.local`) =>
+  authService.createUser({ email, name: `Equipo ${role}`, role, password: PASSWORD })
+
+// Ejecuta la cadena de middlewares como lo haría Express: un error lanzado o
+// pasado a next() corta la cadena
+const runMiddleware = (handlers, { token, params = {} } = {}) => {
+  const req = {
+    params,
+    query: {},
+    get: (header) => header === 'Authorization' && token ? `Bearer ${token}` : undefined
+  }
+  const result = { passed: false, error: null, req }
+
+  const next = (index) => (error) => {
+    if (error) {
+      result.error = error
+      return
+    }
+    if (index === handlers.length) {
+      result.passed = true
+      return
+    }
+    try {
+      handlers[index](req, {}, next(index + 1))
+    } catch (thrown) {
+      result.error = thrown
+    }
+  }
+  next(0)()
+
+  return result
+}
+
+describe('Auth Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    delete process.env.ADMIN_PASSWORD
+    delete process.env.ADMIN_PASSWORD_FILE
+    process.env.NODE_ENV = 'test'
+    jest.restoreAllMocks()
+  })
+
+  describe('users', () => {
+    test('should store hashed passwords and never return them', () => {
+      const user = createStaff('despachador')
+
+      expect(user).toMatchObject({ email: 'despachador@droncakes.local', role: 'despachador', customerId: null })
+      expect(user.passwordHash).toBeUndefined()
+
+      const stored = userRepository.findById(user.id)
+      expect(stored.passwordHash).toMatch(/^scrypt\$/)
+      expect(stored.passwordHash).not.toContain(PASSWORD)
+    })
+
+    test('should validate role, password and duplicated emails', () => {
+      createStaff('cocina')
+
+      expect(() => createStaff('repartidor', 'otro@droncakes.local')).toThrow('Rol inválido')
+      expect(() => authService.createUser({ email: 'x@droncakes.local', name: 'X', role: 'cocina', password: 'corta' })).toThrow('al menos 8 caracteres')
+      expect(() => createStaff('cocina')).toThrow(expect.objectContaining({ status: 409 }))
+      expect(() => createStaff('cliente', 'cliente@droncakes.local')).toThrow('necesita customerId')
+    })
+
+    test('should keep at least one admin', () => {
+      const admin = createStaff('admin')
+
+      expect(() => authService.deleteUser(admin.id)).toThrow('único administrador')
+      expect(() => authService.patchUser(admin.id, { role: 'cocina' })).toThrow('único administrador')
+    })
+
+    test('should create the first admin from the configuration', () => {
+      process.env.ADMIN_PASSWORD = 'admin-de-prueba'
+
+      const admin = authService.ensureAdminUser()
+
+      expect(admin).toMatchObject({ email: 'admin@droncakes.local', role: 'admin' })
+      expect(authService.login({ email: 'admin@droncakes.local', password: 'admin-de-prueba' }).user.id).toBe(admin.id)
+      expect(authService.ensureAdminUser()).toBeNull()
+    })
+
+    test('should keep a generated admin password out of the log', () => {
+      process.env.ADMIN_PASSWORD_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'droncakes-')), 'admin-password.txt')
+
+      authService.ensureAdminUser()
+      const password = fs.readFileSync(process.env.ADMIN_PASSWORD_FILE, 'utf8').trim()
+
+      expect(authService.login({ email: 'admin@droncakes.local', password }).user.role).toBe('admin')
+      expect(fs.statSync(process.env.ADMIN_PASSWORD_FILE).mode & 0o777).toBe(0o600)
+      expect(console.log.mock.calls.flat().join(' ')).not.toContain(password)
+    })
+
+    test('should require ADMIN_PASSWORD outside development', () => {
+      process.env.NODE_ENV = 'production'
+
+      expect(() => authService.ensureAdminUser()).toThrow('Falta ADMIN_PASSWORD')
+      expect(userRepository.count()).toBe(0)
+    })
+  })
+
+  describe('sessions', () => {
+    test('should log in with the right password only', () => {
+      const user = createStaff('cocina')
+
+      const session = authService.login({ email: 'COCINA@droncakes.local', password: PASSWORD })
+
+      expect(session.user.id).toBe(user.id)
+      expect(authService.authenticate(session.token)).toMatchObject({ id: user.id, role: 'cocina' })
+      expect(sessionRepository.findAll()[0].tokenHash).not.toBe(session.token)
+      expect(() => authService.login({ email: 'cocina@droncakes.local', password: 'incorrecta' })).toThrow(expect.objectContaining({ status: 401 }))
+    })
+
+    test('should reject expired and closed sessions', () => {
+      createStaff('cocina')
+      const { token, expiresAt } = authService.login({ email: 'cocina@droncakes.local', password: PASSWORD })
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse(expiresAt))
+      expect(() => authService.authenticate(token)).toThrow('ha caducado')
+      jest.spyOn(Date, 'now').mockRestore()
+
+      const other = authService.login({ email: 'cocina@droncakes.local', password: PASSWORD })
+      authService.logout(other.token)
+      expect(() => authService.authenticate(other.token)).toThrow(expect.objectContaining({ status: 401 }))
+    })
+
+    test('should close every session when the password changes', () => {
+      const user = createStaff('cocina')
+      const { token } = authService.login({ email: 'cocina@droncakes.local', password: PASSWORD })
+
+      authService.patchUser(user.id, { password: 'otra-contraseña' })
+
+      expect(() => authService.authenticate(token)).toThrow('ha caducado')
+    })
+
+    test('should register customers with their customer record', () => {
+      const session = authService.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD })
+
+      expect(session.user).toMatchObject({ role: 'cliente', customerId: 1 })
+      expect(() => authService.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD })).toThrow(expect.objectContaining({ status: 409 }))
+    })
+  })
+
+  describe('middleware', () => {
+    test('should require a valid session', () => {
+      const { passed, error } = runMiddleware(authorize())
+
+      expect(passed).toBe(false)
+      expect(error.status).toBe(401)
+    })
+
+    test('should only let the allowed roles through', () => {
+      createStaff('cocina')
+      createStaff('despachador')
+      createStaff('admin')
+      const tokenFor = (email) => authService.login({ email, password: PASSWORD }).token
+
+      expect(runMiddleware(authorize('despachador'), { token: tokenFor('cocina@droncakes.local') }).error.status).toBe(403)
+      expect(runMiddleware(authorize('despachador'), { token: tokenFor('despachador@droncakes.local') }).passed).toBe(true)
+      expect(runMiddleware(authorize('despachador'), { token: tokenFor('admin@droncakes.local') }).passed).toBe(true)
+    })
+
+    test('should only let customers reach their own orders', () => {
+      const ana = authService.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD })
+      const bruno = authService.register({ name: 'Bruno', email: 'bruno@example.com', password: PASSWORD })
+      const order = orderService.createOrder({ customerId: ana.user.customerId, flavor: 'chocolate' })
+      const params = { id: order.id }
+
+      expect(runMiddleware(authorizeOrder('despachador'), { token: ana.token, params }).passed).toBe(true)
+      expect(runMiddleware(authorizeOrder('despachador'), { token: bruno.token, params }).error.status).toBe(403)
+      expect(runMiddleware(authorizeOrder('despachador'), { token: bruno.token, params: { id: 99 } }).error.status).toBe(404)
+    })
+  })
+})
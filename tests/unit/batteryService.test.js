@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as batteryService from '../../src/services/batteryService.js'
+import * as droneService from '../../src/services/droneService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { droneRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+describe('Battery Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.MIN_DISPATCH_BATTERY
+  })
+
+  describe('estimateFlightDrain', () => {
+    test('should grow with distance and payload', () => {
+      const short = batteryService.estimateFlightDrain({ distanceKm: 1, payloadGrams: 1000 })
+      const long = batteryService.estimateFlightDrain({ distanceKm: 3, payloadGrams: 1000 })
+      const heavy = batteryService.estimateFlightDrain({ distanceKm: 1, payloadGrams: 4000 })
+
+      expect(short).toBe(7.2)
+      expect(long).toBeGreaterThan(short)
+      expect(heavy).toBeGreaterThan(short)
+    })
+
+    test('should use defaults when the order has no distance or weight', () => {
+      expect(batteryService.estimateFlightDrain()).toBe(14.9)
+    })
+  })
+
+  describe('flights', () => {
+    test('should drain the battery when the drone takes off', () => {
+      const { id } = orderService.createOrder('Cliente', 'chocolate')
+
+      const order = orderService.updateOrderStatus(id, 'en vuelo')
+
+      expect(droneRepository.findById(order.droneId).battery).toBe(85.1)
+    })
+
+    test('should send a depleted drone to charge after delivering', () => {
+      droneRepository.update(1, { battery: 55 })
+      const order = orderService.createOrder('Cliente', 'chocolate')
+
+      orderService.updateOrderStatus(order.id, 'en vuelo')
+      orderService.updateOrderStatus(order.id, 'entregado')
+
+      const drone = droneRepository.findById(1)
+      expect(drone.status).toBe('charging')
+      expect(drone.available).toBe(false)
+    })
+  })
+
+  describe('charging', () => {
+    test('should recharge over simulated time and return to service', () => {
+      droneRepository.update(1, { battery: 60 })
+
+      droneService.patchDrone(1, { status: 'charging' })
+      simulation.advance(4000)
+      expect(droneRepository.findById(1).battery).toBe(80)
+
+      simulation.advance(4000)
+      const drone = droneRepository.findById(1)
+      expect(drone.battery).toBe(100)
+      expect(drone.status).toBe('idle')
+    })
+
+    test('should stop charging when the status is changed manually', () => {
+      droneRepository.update(1, { battery: 60 })
+      droneService.patchDrone(1, { status: 'charging' })
+
+      droneService.patchDrone(1, { status: 'maintenance' })
+      simulation.advance(20000)
+
+      expect(droneRepository.findById(1).battery).toBe(60)
+      expect(simulation.pendingForDrone(1)).toHaveLength(0)
+    })
+
+    test('should dispatch queued orders once a drone is charged', () => {
+      droneRepository.update(2, { available: false })
+      droneRepository.update(3, { available: false })
+      droneRepository.update(1, { battery: 90 })
+      droneService.patchDrone(1, { status: 'charging' })
+
+      const { id } = orderService.createOrder('En espera', 'fresa')
+      const queued = orderService.finishPreparation(id)
+      expect(queued.status).toBe('listo')
+      expect(Date.parse(orderService.getAllOrders()[0].estimatedStart)).toBe(simulation.now() + 2000)
+
+      simulation.advance(2000)
+
+      expect(orderService.getOrderById(queued.id).droneId).toBe(1)
+    })
+  })
+
+  describe('dispatch threshold', () => {
+    test('should not assign drones below the minimum charge', () => {
+      process.env.MIN_DISPATCH_BATTERY = '30'
+      droneRepository.update(1, { battery: 20 })
+
+      const order = orderService.finishPreparation(orderService.createOrder('Cliente', 'vainilla').id)
+
+      expect(order.droneId).toBe(2)
+    })
+
+    test('should queue the order when every free drone is depleted', () => {
+      droneRepository.findAll().forEach(drone => {
+        droneRepository.update(drone.id, { battery: 10 })
+      })
+
+      const order = orderService.finishPreparation(orderService.createOrder('Cliente', 'vainilla').id)
+
+      expect(order.status).toBe('listo')
+    })
+  })
+})
@@ -0,0 +1,142 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as customerService from '../../src/services/customerService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const HOME = { label: 'Casa', street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 }
+const OFFICE = { street: 'Calle 72 # 7-30', lat: 4.6504, lng: -74.0817 }
+
+describe('Customer Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.MAX_DELIVERY_RADIUS_KM
+  })
+
+  describe('createCustomer', () => {
+    test('should create a customer with contact info and preferences', () => {
+      const customer = customerService.createCustomer({
+        name: ' Ana Núñez ',
+        email: 'Ana@Example.com',
+        phone: '+57 300 123 4567',
+        preferences: { favoriteFlavor: 'fresa', express: true }
+      })
+
+      expect(customer).toMatchObject({
+        id: 1,
+        name: 'Ana Núñez',
+        email: 'ana@example.com',
+        phone: '+57 300 123 4567',
+        addresses: [],
+        preferences: { favoriteFlavor: 'fresa', express: true }
+      })
+      expect(customer.createdAt).toBeDefined()
+    })
+
+    test('should validate the fields', () => {
+      expect(() => customerService.createCustomer({})).toThrow('nombre del cliente es obligatorio')
+      expect(() => customerService.createCustomer({ name: 'Ana', email: 'ana@' })).toThrow('email no es válido')
+      expect(() => customerService.createCustomer({ name: 'Ana', phone: 'llámame' })).toThrow('teléfono no es válido')
+      expect(() => customerService.createCustomer({ name: 'Ana', preferences: { express: 'sí' } })).toThrow('"express" debe ser true o false')
+    })
+
+    test('should reject a duplicated email', () => {
+      customerService.createCustomer({ name: 'Ana', email: 'ana@example.com' })
+
+      expect(() => customerService.createCustomer({ name: 'Otra Ana', email: 'ANA@example.com' })).toThrow(expect.objectContaining({ status: 409 }))
+    })
+  })
+
+  describe('getAllCustomers', () => {
+    test('should search by name, email or phone ignoring accents', () => {
+      customerService.createCustomer({ name: 'Ana Núñez', email: 'ana@example.com' })
+      customerService.createCustomer({ name: 'Bruno Díaz', phone: '3105550000' })
+
+      expect(customerService.getAllCustomers({ search: 'nunez' }).map(c => c.name)).toEqual(['Ana Núñez'])
+      expect(customerService.getAllCustomers({ search: '555' }).map(c => c.name)).toEqual(['Bruno Díaz'])
+      expect(customerService.getAllCustomers()).toHaveLength(2)
+    })
+  })
+
+  describe('patchCustomer', () => {
+    test('should update fields and merge preferences', () => {
+      const customer = customerService.createCustomer({ name: 'Ana', preferences: { favoriteFlavor: 'fresa' } })
+
+      const updated = customerService.patchCustomer(customer.id, { phone: '3001234567', preferences: { express: true } })
+
+      expect(updated).toMatchObject({ name: 'Ana', phone: '3001234567', preferences: { favoriteFlavor: 'fresa', express: true } })
+      expect(() => customerService.patchCustomer(customer.id, { id: 9 })).toThrow('no se puede modificar')
+      expect(() => customerService.patchCustomer(99, { name: 'X' })).toThrow('Cliente no encontrado')
+    })
+  })
+
+  describe('addresses', () => {
+    test('should save and remove delivery addresses', () => {
+      const customer = customerService.createCustomer({ name: 'Ana', addresses: [HOME] })
+
+      const updated = customerService.addCustomerAddress(customer.id, OFFICE)
+      expect(updated.addresses).toEqual([
+        { id: 1, label: 'Casa', street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 },
+        { id: 2, label: 'Dirección 2', street: 'Calle 72 # 7-30', lat: 4.6504, lng: -74.0817 }
+      ])
+
+      expect(customerService.removeCustomerAddress(customer.id, 1).addresses.map(a => a.id)).toEqual([2])
+      expect(() => customerService.removeCustomerAddress(customer.id, 1)).toThrow('Dirección no encontrada')
+    })
+
+    test('should reject addresses outside the delivery radius', () => {
+      process.env.MAX_DELIVERY_RADIUS_KM = '2'
+      const customer = customerService.createCustomer({ name: 'Ana' })
+
+      expect(() => customerService.addCustomerAddress(customer.id, OFFICE)).toThrow('radio máximo de entrega')
+    })
+  })
+
+  describe('orders', () => {
+    test('should link orders and use the saved address and preferences', () => {
+      const customer = customerService.createCustomer({ name: 'Ana', addresses: [HOME], preferences: { express: true } })
+
+      const order = orderService.createOrder({ customerId: customer.id, addressId: 1, flavor: 'chocolate' })
+
+      expect(order).toMatchObject({
+        customer: 'Ana',
+        customerId: customer.id,
+        priority: 'express',
+        deliveryAddress: { street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 }
+      })
+    })
+
+    test('should reject unknown customers and addresses', () => {
+      const customer = customerService.createCustomer({ name: 'Ana' })
+
+      expect(() => orderService.createOrder({ customerId: 99, flavor: 'chocolate' })).toThrow('Cliente no encontrado')
+      expect(() => orderService.createOrder({ customerId: customer.id, addressId: 3, flavor: 'chocolate' })).toThrow('no tiene la dirección 3')
+      expect(() => orderService.createOrder({ customer: 'Ana', addressId: 1, flavor: 'chocolate' })).toThrow('customerId')
+    })
+
+    test('should list the order history newest first', () => {
+      const customer = customerService.createCustomer({ name: 'Ana' })
+      const first = orderService.createOrder({ customerId: customer.id, flavor: 'chocolate' })
+      simulation.advance(60000)
+      const second = orderService.createOrder({ customerId: customer.id, flavor: 'fresa' })
+      orderService.createOrder('Otro cliente', 'vainilla')
+
+      expect(customerService.getCustomerOrders(customer.id).map(o => o.id)).toEqual([second.id, first.id])
+    })
+
+    test('should not delete customers with orders in progress', () => {
+      const customer = customerService.createCustomer({ name: 'Ana' })
+      const order = orderService.createOrder({ customerId: customer.id, flavor: 'chocolate' })
+
+      expect(() => customerService.deleteCustomer(customer.id)).toThrow('1 orden(es) en curso')
+
+      simulation.advance(60000)
+      expect(orderService.getOrderById(order.id).status).toBe('entregado')
+      expect(customerService.deleteCustomer(customer.id).id).toBe(customer.id)
+    })
+  })
+})
@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeEach, afterAll } from '@jest/globals'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  createAdapter,
+  droneRepository,
+  orderRepository,
+  reset,
+  useAdapter
+} from '../../src/utils/dataStore.js'
+import { createMemoryAdapter } from '../../src/utils/storage/memoryAdapter.js'
+import { createJsonFileAdapter } from '../../src/utils/storage/jsonFileAdapter.js'
+import { createSqliteAdapter } from '../../src/utils/storage/sqliteAdapter.js'
+
+describe('Data Store - Unit Tests', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'droncakes-'))
+
+  afterAll(() => {
+    useAdapter(createMemoryAdapter())
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('createAdapter', () => {
+    test('should use the memory adapter by default in tests', () => {
+      expect(createAdapter().type).toBe('memory')
+    })
+
+    test('should reject unknown storage types', () => {
+      expect(() => createAdapter('mongo')).toThrow('Tipo de almacenamiento desconocido')
+    })
+  })
+
+  describe('repositories', () => {
+    beforeEach(() => {
+      useAdapter(createMemoryAdapter())
+      reset()
+    })
+
+    test('should seed the initial fleet', () => {
+      expect(droneRepository.count()).toBe(3)
+      expect(droneRepository.findById(2).name).toBe('PastelExpress')
+    })
+
+    test('should assign incremental ids on insert', () => {
+      const first = orderRepository.insert({ customer: 'A' })
+      const second = orderRepository.insert({ customer: 'B' })
+
+      expect(first.id).toBe(1)
+      expect(second.id).toBe(2)
+    })
+
+    test('should return copies instead of live references', () => {
+      const drone = droneRepository.findById(1)
+      drone.available = false
+
+      expect(droneRepository.findById(1).available).toBe(true)
+    })
+
+    test('should merge changes on update', () => {
+      const updated = droneRepository.update(1, { available: false })
+
+      expect(updated).toMatchObject({ id: 1, name: 'Droncito 1', available: false })
+      expect(droneRepository.update(999, { available: false })).toBeUndefined()
+    })
+
+    test('should remove documents by id', () => {
+      expect(droneRepository.remove(3)).toBe(true)
+      expect(droneRepository.remove(3)).toBe(false)
+      expect(droneRepository.count()).toBe(2)
+    })
+  })
+
+  describe('migrations', () => {
+    test('should move orders saved in the old "en cola" status to "pendiente"', () => {
+      useAdapter(createMemoryAdapter({
+        orders: [
+          { id: 1, customer: 'Ana', flavor: 'fresa', status: 'en cola' },
+          { id: 2, customer: 'Bruno', flavor: 'vainilla', status: 'entregado' }
+        ]
+      }))
+
+      expect(orderRepository.findAll().map((o) => o.status)).toEqual(['pendiente', 'entregado'])
+    })
+  })
+
+  describe('json adapter', () => {
+    test('should persist data across adapter instances', () => {
+      const file = path.join(tmpDir, 'store.json')
+
+      const first = useAdapter(createJsonFileAdapter(file))
+      reset()
+      orderRepository.insert({ customer: 'Persistente', flavor: 'fresa' })
+      first.close()
+
+      useAdapter(createJsonFileAdapter(file))
+      const orders = orderRepository.findAll()
+
+      expect(orders).toHaveLength(1)
+      expect(orders[0].customer).toBe('Persistente')
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).drones).toHaveLength(3)
+    })
+
+    test('should batch writes until the adapter is flushed', () => {
+      const file = path.join(tmpDir, 'batched.json')
+
+      const store = useAdapter(createJsonFileAdapter(file, { flushDelayMs: 60000 }))
+      orderRepository.insert({ customer: 'Ana', flavor: 'fresa' })
+      orderRepository.insert({ customer: 'Bruno', flavor: 'vainilla' })
+      expect(fs.existsSync(file)).toBe(false)
+
+      store.flush()
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).orders.map((o) => o.customer)).toEqual(['Ana', 'Bruno'])
+    })
+  })
+
+  describe('sqlite adapter', () => {
+    test('should persist data across adapter instances', () => {
+      const file = path.join(tmpDir, 'store.sqlite')
+
+      useAdapter(createSqliteAdapter(file))
+      reset()
+      droneRepository.update(2, { available: false })
+
+      useAdapter(createSqliteAdapter(file))
+
+      expect(droneRepository.findById(2).available).toBe(false)
+      expect(droneRepository.count()).toBe(3)
+    })
+
+    test('should support reset on the active adapter', () => {
+      useAdapter(createSqliteAdapter(':memory:'))
+      orderRepository.insert({ customer: 'Temporal' })
+
+      reset()
+
+      expect(orderRepository.count()).toBe(0)
+      expect(droneRepository.filter((d) => d.available)).toHaveLength(3)
+    })
+  })
+})
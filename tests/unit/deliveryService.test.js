@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as deliveryService from '../../src/services/deliveryService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { droneRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+// A ~2.6 km y ~4.5 km al norte del obrador por defecto
+const NEAR = { street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 }
+const FAR = { street: 'Calle 72 # 7-30', lat: 4.6504, lng: -74.0817 }
+
+describe('Delivery Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.MAX_DELIVERY_RADIUS_KM
+    delete process.env.BAKERY_LAT
+  })
+
+  describe('validateDeliveryAddress', () => {
+    test('should require a street', () => {
+      expect(() => deliveryService.validateDeliveryAddress({ lat: 4.63, lng: -74.07 })).toThrow('calle')
+    })
+
+    test('should reject out of range coordinates', () => {
+      expect(() => deliveryService.validateDeliveryAddress({ street: 'X', lat: 95, lng: -74.07 })).toThrow('Coordenadas inválidas')
+      expect(() => deliveryService.validateDeliveryAddress({ street: 'X', lat: '4.6', lng: -74.07 })).toThrow('Coordenadas inválidas')
+    })
+  })
+
+  describe('resolveDeliveryAddress', () => {
+    test('should compute the distance from the bakery', () => {
+      const { deliveryAddress, distanceKm } = deliveryService.resolveDeliveryAddress(NEAR)
+
+      expect(deliveryAddress).toEqual(NEAR)
+      expect(distanceKm).toBe(2.6)
+    })
+
+    test('should use the configured bakery location', () => {
+      process.env.BAKERY_LAT = '4.63'
+
+      expect(deliveryService.resolveDeliveryAddress(NEAR).distanceKm).toBe(1.3)
+    })
+
+    test('should reject addresses outside the delivery radius', () => {
+      process.env.MAX_DELIVERY_RADIUS_KM = '2'
+
+      expect(() => deliveryService.resolveDeliveryAddress(NEAR)).toThrow('el radio máximo de entrega es 2 km')
+    })
+  })
+
+  describe('assertFleetCanDeliver', () => {
+    test('should reject addresses no drone can reach and return from', () => {
+      droneRepository.findAll().forEach(drone => {
+        droneRepository.update(drone.id, { maxRangeKm: 4 })
+      })
+
+      expect(() => deliveryService.assertFleetCanDeliver({ distanceKm: 2.6 })).toThrow('Ningún dron de la flota tiene alcance')
+    })
+
+    test('should reject a payload that only a short range drone could carry', () => {
+      droneRepository.update(3, { maxRangeKm: 4 })
+
+      expect(() => deliveryService.assertFleetCanDeliver({ distanceKm: 2.6, payloadGrams: 6000 })).toThrow('Ningún dron de la flota puede llevar 6000 g a 2.6 km')
+    })
+  })
+
+  describe('planDelivery', () => {
+    test('should derive the ETA from prep time and the drone cruise speed', () => {
+      const drone = droneRepository.findById(1) // quad-ligero, 45 km/h
+      const startAt = simulation.now()
+
+      const plan = deliveryService.planDelivery({ distanceKm: 4.5, drone, startAt })
+
+      expect(plan.flightDurationMs).toBe(6 * 60 * 1000)
+      expect(Date.parse(plan.estimatedDelivery)).toBe(startAt + simulation.getDurations().preparing + plan.flightDurationMs)
+    })
+
+    test('should fall back to the stage duration without an address', () => {
+      expect(deliveryService.estimateFlightMs(undefined)).toBe(simulation.getDurations().flight)
+    })
+  })
+
+  describe('orders with address', () => {
+    test('should store the address, distance and ETA on the order', () => {
+      const order = orderService.createOrder({ customer: 'Cliente', flavor: 'fresa', deliveryAddress: NEAR })
+
+      expect(order.deliveryAddress).toEqual(NEAR)
+      expect(order.distanceKm).toBe(2.6)
+      expect(order.flightDurationMs).toBe(208000)
+      expect(Date.parse(order.estimatedDelivery)).toBe(simulation.now() + 3000 + 208000)
+    })
+
+    test('should deliver after the distance-based flight time', () => {
+      const order = orderService.createOrder({ customer: 'Cliente', flavor: 'fresa', deliveryAddress: NEAR })
+
+      simulation.advance(3000 + 207999)
+      expect(orderService.getOrderById(order.id).status).toBe('en vuelo')
+
+      simulation.advance(1)
+      expect(orderService.getOrderById(order.id).status).toBe('entregado')
+    })
+
+    test('should skip drones without range for the round trip', () => {
+      const { id } = orderService.createOrder({ customer: 'Cliente', flavor: 'fresa', deliveryAddress: FAR })
+      const order = orderService.finishPreparation(id)
+
+      expect(order.droneId).toBe(2)
+    })
+
+    test('should queue the order while only short range drones are free', () => {
+      droneRepository.update(2, { available: false })
+      droneRepository.update(3, { available: false })
+
+      const far = orderService.createOrder({ customer: 'Lejos', flavor: 'fresa', deliveryAddress: FAR })
+      const near = orderService.createOrder({ customer: 'Cerca', flavor: 'fresa', deliveryAddress: NEAR })
+      simulation.advance(3000)
+
+      expect(orderService.getOrderById(far.id).status).toBe('listo')
+      expect(orderService.getOrderById(near.id).droneId).toBe(1)
+    })
+  })
+})
@@ -0,0 +1,143 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as dispatchService from '../../src/services/dispatchService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { DISPATCH_STRATEGIES } from '../../src/dispatch/strategies.js'
+import { droneRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+describe('Dispatch Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+    delete process.env.DISPATCH_STRATEGY
+  })
+
+  afterEach(() => {
+    delete process.env.DISPATCH_STRATEGY
+  })
+
+  describe('strategies', () => {
+    const context = { orders: [], now: Date.now(), pickup: null }
+    const drones = [
+      { id: 1, name: 'A', available: true, battery: 40 },
+      { id: 2, name: 'B', available: true, battery: 90 },
+      { id: 3, name: 'C', available: true }
+    ]
+
+    test('round-robin should continue after the last assigned drone', () => {
+      const orders = [
+        { id: 1, droneId: 1, dispatch: { droneId: 1, sequence: 1 } },
+        { id: 2, droneId: 2, dispatch: { droneId: 2, sequence: 2 } }
+      ]
+
+      const ranking = DISPATCH_STRATEGIES['round-robin'].rank(drones, { ...context, orders })
+
+      expect(ranking.map(r => r.drone.id)).toEqual([3, 1, 2])
+      expect(ranking.map(r => r.score)).toEqual([1, 2, 3])
+    })
+
+    test('round-robin should wrap around when the last drone is no longer a candidate', () => {
+      const orders = [{ id: 1, droneId: 7, dispatch: { droneId: 7, sequence: 1 } }]
+
+      const ranking = DISPATCH_STRATEGIES['round-robin'].rank(drones, { ...context, orders })
+
+      expect(ranking.map(r => [r.drone.id, r.score])).toEqual([[1, 1], [2, 2], [3, 3]])
+    })
+
+    test('least-flights-today should prefer the least used drone', () => {
+      const today = new Date(context.now).toISOString()
+      const orders = [
+        { id: 1, droneId: 1, createdAt: today },
+        { id: 2, droneId: 1, createdAt: today },
+        { id: 3, droneId: 2, createdAt: today },
+        { id: 4, droneId: 3, createdAt: '2000-01-01T00:00:00.000Z' }
+      ]
+
+      const ranking = DISPATCH_STRATEGIES['least-flights-today'].rank(drones, { ...context, orders })
+
+      expect(ranking[0].drone.id).toBe(3)
+      expect(ranking[0].reason).toBe('0 vuelo(s) hoy')
+    })
+
+    test('nearest-to-pickup should prefer the closest drone', () => {
+      const pickup = { lat: 4.6, lng: -74.08 }
+      const positioned = [
+        { id: 1, name: 'A', position: { lat: 4.7, lng: -74.08 } },
+        { id: 2, name: 'B', position: { lat: 4.61, lng: -74.08 } }
+      ]
+
+      const ranking = DISPATCH_STRATEGIES['nearest-to-pickup'].rank(positioned, { ...context, pickup })
+
+      expect(ranking.map(r => r.drone.id)).toEqual([2, 1])
+    })
+
+    test('highest-battery should prefer the most charged drone', () => {
+      const ranking = DISPATCH_STRATEGIES['highest-battery'].rank(drones, context)
+
+      expect(ranking.map(r => r.drone.id)).toEqual([3, 2, 1])
+    })
+  })
+
+  describe('order assignment', () => {
+    test('should rotate drones instead of reusing the first one', () => {
+      const first = orderService.finishPreparation(orderService.createOrder('Cliente 1', 'chocolate').id)
+      orderService.completeOrder(first.id)
+
+      const second = orderService.finishPreparation(orderService.createOrder('Cliente 2', 'vainilla').id)
+
+      expect(first.droneId).toBe(1)
+      expect(second.droneId).toBe(2)
+    })
+
+    test('should record the decision on the order', () => {
+      process.env.DISPATCH_STRATEGY = 'highest-battery'
+
+      const order = orderService.finishPreparation(orderService.createOrder('Cliente', 'fresa').id)
+
+      expect(order.dispatch).toMatchObject({
+        strategy: 'highest-battery',
+        droneId: order.droneId,
+        reason: 'Batería al 100%'
+      })
+      expect(order.dispatch.alternatives).toHaveLength(2)
+      expect(order.dispatch.decidedAt).toBeDefined()
+    })
+
+    test('should reject unknown strategies', () => {
+      process.env.DISPATCH_STRATEGY = 'random'
+
+      const order = orderService.createOrder('Cliente', 'fresa')
+
+      expect(() => orderService.finishPreparation(order.id)).toThrow('Estrategia de despacho desconocida')
+    })
+  })
+
+  describe('previewDispatch', () => {
+    test('should show the drone that would be assigned without reserving it', () => {
+      const preview = dispatchService.previewDispatch('round-robin')
+
+      expect(preview.drone).toEqual({ id: 1, name: 'Droncito 1' })
+      expect(preview.candidates).toHaveLength(3)
+      expect(droneRepository.findById(1).available).toBe(true)
+    })
+
+    test('should explain when the order would be queued', () => {
+      droneRepository.findAll().forEach(drone => {
+        droneRepository.update(drone.id, { available: false })
+      })
+
+      const preview = dispatchService.previewDispatch()
+
+      expect(preview.drone).toBeNull()
+      expect(preview.reason).toContain('cola')
+    })
+
+    test('should list the strategies and mark the active one', () => {
+      process.env.DISPATCH_STRATEGY = 'least-flights-today'
+
+      const active = dispatchService.getStrategies().filter(s => s.active)
+
+      expect(active).toEqual([expect.objectContaining({ name: 'least-flights-today' })])
+    })
+  })
+})
@@ -1,13 +1,13 @@
 import { describe, test, expect, beforeEach } from '@jest/globals'
 import * as droneService from '../../src/services/droneService.js'
-import { drones } from '../../src/utils/dataStore.js'
+import * as orderService from '../../src/services/orderService.js'
+import { droneRepository, reset } from '../../src/utils/dataStore.js'
 
 describe('Drone Service - Unit Tests', () => {
   beforeEach(() => {
     // Reset drone state before each test
-    drones.forEach(drone => {
-      drone.available = drone.id !== 3 // SweetFly starts as unavailable
-    })
+    reset()
+    droneRepository.update(3, { available: false }) // SweetFly starts as unavailable
   })
 
   describe('getAllDrones', () => {
@@ -79,4 +79,83 @@ describe('Drone Service - Unit Tests', () => {
       expect(updatedDrone.id).toBe(droneId)
     })
   })
-})
\ No newline at end of file
+
+  describe('fleet management', () => {
+    const newDrone = {
+      name: 'NubeDulce',
+      serial: 'dc-0100',
+      model: 'quad-estandar',
+      homeBase: { name: 'Sucursal norte', lat: 4.7, lng: -74.05 }
+    }
+
+    test('should create a drone with the model specs as defaults', () => {
+      const drone = droneService.createDrone(newDrone)
+
+      expect(drone).toMatchObject({
+        id: 4,
+        name: 'NubeDulce',
+        serial: 'DC-0100',
+        maxPayloadGrams: 4000,
+        maxRangeKm: 12,
+        status: 'idle',
+        available: true
+      })
+      expect(droneService.getDroneById(4).homeBase.name).toBe('Sucursal norte')
+    })
+
+    test('should reject duplicated names and serials', () => {
+      expect(() => {
+        droneService.createDrone({ ...newDrone, name: 'droncito 1' })
+      }).toThrow('Ya existe un dron llamado')
+
+      expect(() => {
+        droneService.createDrone({ ...newDrone, serial: 'DC-0002' })
+      }).toThrow('número de serie')
+    })
+
+    test('should validate the drone fields', () => {
+      expect(() => droneService.createDrone({ ...newDrone, model: 'avioneta' })).toThrow('Modelo de dron desconocido')
+      expect(() => droneService.createDrone({ ...newDrone, maxPayloadGrams: -5 })).toThrow('carga máxima')
+      expect(() => droneService.createDrone({ name: 'Solo nombre' })).toThrow('número de serie')
+      expect(() => droneService.createDrone({ ...newDrone, status: 'flying' })).toThrow('Estado de dron no permitido')
+    })
+
+    test('should patch fields and keep availability in sync with status', () => {
+      const drone = droneService.patchDrone(1, { status: 'maintenance', maxRangeKm: 10 })
+
+      expect(drone.status).toBe('maintenance')
+      expect(drone.available).toBe(false)
+      expect(drone.maxRangeKm).toBe(10)
+      expect(() => droneService.patchDrone(1, { id: 7 })).toThrow('no se puede modificar')
+    })
+
+    test('should refuse manual status changes and deletion while an order is active', () => {
+      const order = orderService.finishPreparation(orderService.createOrder('Cliente', 'chocolate').id)
+
+      expect(() => droneService.patchDrone(order.droneId, { status: 'maintenance' })).toThrow(expect.objectContaining({ status: 409 }))
+      expect(() => droneService.deleteDrone(order.droneId)).toThrow('no se puede eliminar')
+      expect(() => droneService.updateDroneStatus(order.droneId, false)).toThrow(expect.objectContaining({ status: 409 }))
+      expect(() => droneService.updateDroneStatus(order.droneId, true)).toThrow('no se puede cambiar su disponibilidad')
+      expect(droneService.getDroneById(order.droneId).status).toBe('flying')
+
+      orderService.completeOrder(order.id)
+      expect(droneService.deleteDrone(order.droneId).id).toBe(order.droneId)
+      expect(() => droneService.getDroneById(order.droneId)).toThrow('Dron no encontrado')
+    })
+
+    test('should follow the order lifecycle', () => {
+      const { id } = orderService.createOrder('Cliente', 'fresa')
+      expect(droneService.getAllDrones().every(drone => drone.status !== 'flying')).toBe(true)
+
+      const order = orderService.updateOrderStatus(id, 'en vuelo')
+      expect(droneService.getDroneById(order.droneId).status).toBe('flying')
+
+      orderService.updateOrderStatus(order.id, 'entregado')
+      expect(droneService.getDroneById(order.droneId).status).toBe('idle')
+    })
+
+    test('should reject non boolean availability', () => {
+      expect(() => droneService.updateDroneStatus(1, 'yes')).toThrow('"available" debe ser true o false')
+    })
+  })
+})
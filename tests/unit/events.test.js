@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+import { EventEmitter } from 'events'
+import { createEventBus } from '../../src/events/eventBus.js'
+import { eventBus } from '../../src/events/index.js'
+import { streamEvents } from '../../src/controllers/eventsController.js'
+import * as orderService from '../../src/services/orderService.js'
+import * as droneService from '../../src/services/droneService.js'
+import * as simulationService from '../../src/services/simulationService.js'
+import { reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const collect = () => {
+  const events = []
+  const unsubscribe = eventBus.subscribe((event) => events.push(event))
+  return { events, unsubscribe, types: () => events.map((e) => e.type) }
+}
+
+const createStream = (headers = {}) => {
+  const req = new EventEmitter()
+  req.get = (name) => headers[name]
+  req.query = {}
+  const res = { writeHead: jest.fn(), write: jest.fn() }
+  return { req, res, output: () => res.write.mock.calls.map(([chunk]) => chunk).join('') }
+}
+
+describe('Events - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+    eventBus.reset()
+  })
+
+  describe('createEventBus', () => {
+    test('should deliver events with increasing ids until unsubscribed', () => {
+      const bus = createEventBus()
+      const listener = jest.fn()
+      const unsubscribe = bus.subscribe(listener)
+
+      bus.publish('a', { n: 1 })
+      unsubscribe()
+      bus.publish('b', { n: 2 })
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0]).toMatchObject({ id: 1, type: 'a', data: { n: 1 } })
+      expect(bus.getLastId()).toBe(2)
+    })
+
+    test('should keep a bounded history for replay', () => {
+      const bus = createEventBus({ historySize: 2 })
+
+      bus.publish('a')
+      bus.publish('b')
+      bus.publish('c')
+
+      expect(bus.getEventsSince(0).map((e) => e.type)).toEqual(['b', 'c'])
+      expect(bus.getEventsSince(2).map((e) => e.type)).toEqual(['c'])
+    })
+  })
+
+  describe('domain events', () => {
+    test('should publish order and drone changes', () => {
+      const { types, unsubscribe } = collect()
+
+      const order = orderService.createOrder('Cliente', 'chocolate')
+      orderService.finishPreparation(order.id)
+      unsubscribe()
+
+      expect(types()).toEqual(expect.arrayContaining(['drone.updated', 'order.created']))
+    })
+
+    test('should publish status changes with the previous status', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+      const { events, unsubscribe } = collect()
+
+      simulation.advance(simulation.getDurations().preparing)
+      unsubscribe()
+
+      const change = events.find((e) => e.type === 'order.status_changed')
+      expect(change.data).toMatchObject({ orderId: order.id, from: 'preparando', to: 'listo' })
+      expect(change.at).toBe(simulation.timestamp())
+    })
+
+    test('should publish drone deletions and simulation changes', () => {
+      const { types, unsubscribe } = collect()
+
+      droneService.deleteDrone(3)
+      simulationService.pauseSimulation()
+      unsubscribe()
+
+      expect(types()).toEqual(['drone.deleted', 'simulation.updated'])
+    })
+  })
+
+  describe('streamEvents', () => {
+    test('should stream new events in SSE format', () => {
+      const { req, res, output } = createStream()
+
+      streamEvents(req, res)
+      orderService.createOrder('Cliente', 'chocolate')
+      req.emit('close')
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }))
+      expect(output()).toContain('event: order.created\n')
+      expect(output()).toMatch(/id: \d+\n/)
+    })
+
+    test('should replay missed events after Last-Event-ID', () => {
+      orderService.createOrder('Cliente 1', 'chocolate')
+      const lastId = eventBus.getLastId()
+      droneService.deleteDrone(3)
+      const { req, res, output } = createStream({ 'Last-Event-ID': String(lastId) })
+
+      streamEvents(req, res)
+      req.emit('close')
+
+      expect(output()).toContain('event: drone.deleted\n')
+      expect(output()).not.toContain('event: order.created\n')
+    })
+
+    test('should unsubscribe when the client disconnects', () => {
+      const before = eventBus.listenerCount()
+      const { req, res } = createStream()
+
+      streamEvents(req, res)
+      expect(eventBus.listenerCount()).toBe(before + 1)
+
+      req.emit('close')
+      expect(eventBus.listenerCount()).toBe(before)
+    })
+  })
+})
@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeEach } from '@jest/globals'
+import * as inventoryService from '../../src/services/inventoryService.js'
+import * as orderService from '../../src/services/orderService.js'
+import * as productService from '../../src/services/productService.js'
+import { eventBus } from '../../src/events/index.js'
+import { ingredientRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const CACAO = 6
+const EGGS = 3
+
+describe('Inventory Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  describe('calculateRequirements', () => {
+    test('should scale the recipe by size and quantity', () => {
+      const requirements = inventoryService.calculateRequirements([
+        { productId: 1, size: 'mediano', quantity: 2 }
+      ])
+
+      expect(requirements).toContainEqual({ ingredientId: 1, name: 'Harina de trigo', unit: 'g', quantity: 1000 })
+      // 4 huevos x 2000/1200 = 6,67 -> 7 por pastel
+      expect(requirements).toContainEqual({ ingredientId: EGGS, name: 'Huevos', unit: 'unidad', quantity: 14 })
+    })
+  })
+
+  describe('order lifecycle', () => {
+    test('should reserve ingredients when the order is created', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+
+      const cacao = inventoryService.getIngredientById(CACAO)
+      expect(cacao).toMatchObject({ stock: 3000, reserved: 80, available: 2920 })
+      expect(order.ingredientReservation.status).toBe('reservado')
+    })
+
+    test('should deduct the stock when the order leaves preparando', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+
+      simulation.advance(simulation.getDurations().preparing)
+
+      expect(inventoryService.getIngredientById(CACAO)).toMatchObject({ stock: 2920, reserved: 0 })
+      expect(orderService.getOrderById(order.id).ingredientReservation.status).toBe('descontado')
+    })
+
+    test('should release the reservation when the order is cancelled before preparation', () => {
+      // Las dos estaciones de cocina quedan ocupadas con pasteles sin cacao
+      orderService.createOrder('Cliente 1', 'vainilla')
+      orderService.createOrder('Cliente 2', 'vainilla')
+      const order = orderService.createOrder('Cliente 3', 'chocolate')
+      expect(order.status).toBe('pendiente')
+
+      orderService.cancelOrder(order.id, 'Sin presupuesto')
+
+      expect(inventoryService.getIngredientById(CACAO)).toMatchObject({ stock: 3000, reserved: 0 })
+      expect(orderService.getOrderById(order.id).ingredientReservation.status).toBe('liberado')
+    })
+
+    test('should deduct the stock when the order is cancelled during preparation', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+      expect(order.status).toBe('preparando')
+
+      orderService.cancelOrder(order.id, 'Sin presupuesto')
+
+      expect(inventoryService.getIngredientById(CACAO)).toMatchObject({ stock: 2920, reserved: 0 })
+      expect(orderService.getOrderById(order.id).ingredientReservation.status).toBe('descontado')
+    })
+
+    test('should list every missing ingredient', () => {
+      ingredientRepository.update(CACAO, { stock: 100 })
+      ingredientRepository.update(EGGS, { stock: 5 })
+
+      let error
+      try {
+        orderService.createOrder({ customer: 'Cliente', items: [{ flavor: 'chocolate', quantity: 2 }] })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error.status).toBe(409)
+      expect(error.message).toContain('Cacao en polvo (faltan 60 g)')
+      expect(error.missing).toEqual([
+        { ingredientId: EGGS, name: 'Huevos', unit: 'unidad', required: 8, available: 5, shortBy: 3 },
+        { ingredientId: CACAO, name: 'Cacao en polvo', unit: 'g', required: 160, available: 100, shortBy: 60 }
+      ])
+      expect(orderService.getAllOrders()).toHaveLength(0)
+    })
+
+    test('should reject quotes the kitchen cannot make', () => {
+      ingredientRepository.update(CACAO, { stock: 0 })
+
+      expect(() => orderService.quoteOrder({ flavor: 'chocolate' })).toThrow('No hay ingredientes suficientes')
+    })
+  })
+
+  describe('alerts and restock', () => {
+    test('should alert once when an ingredient drops below its threshold', () => {
+      ingredientRepository.update(CACAO, { stock: 600 })
+      const events = []
+      const unsubscribe = eventBus.subscribe(event => events.push(event))
+
+      orderService.createOrder('Cliente 1', 'chocolate')
+      orderService.createOrder('Cliente 2', 'chocolate')
+      orderService.createOrder('Cliente 3', 'chocolate')
+      unsubscribe()
+
+      const alerts = events.filter(e => e.type === 'inventory.low_stock')
+      expect(alerts).toHaveLength(1)
+      expect(alerts[0].data).toMatchObject({ name: 'Cacao en polvo', available: 440 })
+      expect(inventoryService.getLowStockAlerts().map(i => i.id)).toEqual([CACAO])
+    })
+
+    test('should restock ingredients', () => {
+      const ingredient = inventoryService.restockIngredient(CACAO, 500)
+
+      expect(ingredient.stock).toBe(3500)
+      expect(() => inventoryService.restockIngredient(CACAO, -1)).toThrow('número positivo')
+      expect(() => inventoryService.restockIngredient(99, 1)).toThrow('Ingrediente no encontrado')
+    })
+
+    test('should create new ingredients for recipes', () => {
+      const ingredient = inventoryService.createIngredient({ name: 'Limón', unit: 'unidad', stock: 30, lowStockThreshold: 5 })
+
+      const product = productService.createProduct({
+        flavor: 'limon',
+        name: 'Limón',
+        sizes: [{ size: 'pequeño', price: 38000, weightGrams: 1100 }],
+        recipe: [{ ingredientId: ingredient.id, quantity: 3 }]
+      })
+
+      expect(product.recipe).toEqual([{ ingredientId: 13, quantity: 3 }])
+      expect(() => productService.patchProduct(product.id, { recipe: [{ ingredientId: 99, quantity: 1 }] })).toThrow('Ingredientes desconocidos')
+      expect(() => inventoryService.createIngredient({ name: 'Sal', unit: 'kg' })).toThrow('Unidad inválida')
+      expect(() => inventoryService.createIngredient({ name: 'limón', unit: 'unidad' })).toThrow(expect.objectContaining({ status: 409 }))
+    })
+  })
+})
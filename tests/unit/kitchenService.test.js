@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as kitchenService from '../../src/services/kitchenService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { productRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+describe('Kitchen Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.KITCHEN_MODE
+    delete process.env.KITCHEN_STATIONS
+  })
+
+  describe('calculatePrepTime', () => {
+    test('should add the prep time of every cake', () => {
+      const items = [
+        { productId: 4, quantity: 2 },
+        { productId: 1, quantity: 1 }
+      ]
+
+      expect(kitchenService.calculatePrepTime(items)).toBe(2 * 4000 + 3000)
+    })
+
+    test('should fall back to the simulation duration', () => {
+      productRepository.update(1, { prepTimeMs: null })
+
+      expect(kitchenService.calculatePrepTime([{ productId: 1, quantity: 1 }])).toBe(simulation.getDurations().preparing)
+    })
+  })
+
+  describe('stations', () => {
+    test('should wait for a free station', () => {
+      const first = orderService.createOrder('Cliente 1', 'chocolate')
+      const second = orderService.createOrder('Cliente 2', 'red-velvet')
+      const third = orderService.createOrder('Cliente 3', 'vainilla')
+
+      expect([first, second].map(o => o.kitchen.stationId)).toEqual([1, 2])
+      expect(third).toMatchObject({ status: 'pendiente', queuePosition: 1 })
+      expect(Date.parse(third.estimatedStart)).toBe(simulation.now() + 3000)
+    })
+
+    test('should start the next order when a station frees up', () => {
+      orderService.createOrder('Cliente 1', 'chocolate')
+      orderService.createOrder('Cliente 2', 'red-velvet')
+      const third = orderService.createOrder('Cliente 3', 'vainilla')
+
+      simulation.advance(3000)
+
+      const order = orderService.getOrderById(third.id)
+      expect(order.status).toBe('preparando')
+      expect(order.kitchen).toMatchObject({ stationId: 1, prepTimeMs: 3000 })
+    })
+
+    test('should prepare express orders first', () => {
+      orderService.createOrder('Cliente 1', 'chocolate')
+      orderService.createOrder('Cliente 2', 'chocolate')
+      const normal = orderService.createOrder('Normal', 'vainilla')
+      const express = orderService.createOrder('Express', 'fresa', { priority: 'express' })
+
+      expect(kitchenService.getPrepQueue().map(o => o.id)).toEqual([express.id, normal.id])
+    })
+
+    test('should use the configured number of stations', () => {
+      process.env.KITCHEN_STATIONS = '3'
+
+      expect(kitchenService.getStations()).toHaveLength(3)
+    })
+  })
+
+  describe('manual kitchen', () => {
+    beforeEach(() => {
+      process.env.KITCHEN_MODE = 'manual'
+    })
+
+    test('should leave new orders waiting for the staff', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+
+      expect(order.status).toBe('pendiente')
+      expect(kitchenService.getFreeStations()).toHaveLength(2)
+    })
+
+    test('should start orders at the chosen station', () => {
+      const first = orderService.createOrder('Cliente 1', 'chocolate')
+      const second = orderService.createOrder('Cliente 2', 'fresa')
+
+      expect(orderService.startPreparation(first.id, 2).kitchen.stationId).toBe(2)
+      expect(() => orderService.startPreparation(second.id, 2)).toThrow('La estación 2 está ocupada')
+      expect(() => orderService.startPreparation(second.id, 5)).toThrow('Estación de cocina inválida')
+      expect(orderService.startPreparation(second.id).kitchen.stationId).toBe(1)
+    })
+
+    test('should not finish on its own', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+      orderService.startPreparation(order.id)
+
+      simulation.advance(60000)
+
+      expect(orderService.getOrderById(order.id).status).toBe('preparando')
+    })
+
+    test('should dispatch a drone when the staff finish the order', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+      orderService.startPreparation(order.id)
+
+      const finished = orderService.finishPreparation(order.id)
+
+      expect(finished.status).toBe('en vuelo')
+      expect(finished.droneId).toBe(1)
+      expect(finished.readyAt).toBeDefined()
+      expect(finished.kitchen.finishedAt).toBeDefined()
+    })
+
+    test('should reject kitchen actions out of order', () => {
+      const order = orderService.createOrder('Cliente', 'chocolate')
+
+      expect(() => orderService.finishPreparation(order.id)).toThrow('no se está preparando')
+      orderService.startPreparation(order.id)
+      expect(() => orderService.startPreparation(order.id)).toThrow('no está esperando en cocina')
+    })
+  })
+
+  describe('getKitchenView', () => {
+    test('should show stations, prep queue and ready orders', () => {
+      orderService.createOrder('Cliente 1', 'chocolate')
+      orderService.createOrder('Cliente 2', 'chocolate')
+      orderService.createOrder('Cliente 3', 'chocolate')
+
+      const view = kitchenService.getKitchenView()
+
+      expect(view.mode).toBe('auto')
+      expect(view.stations.map(s => s.status)).toEqual(['ocupada', 'ocupada'])
+      expect(view.stations[0].order.customer).toBe('Cliente 1')
+      expect(view.queue.map(o => o.customer)).toEqual(['Cliente 3'])
+      expect(view.ready).toEqual([])
+    })
+  })
+})
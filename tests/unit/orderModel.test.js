@@ -0,0 +1,47 @@
+import { describe, test, expect } from '@jest/globals'
+import {
+  ORDER_STATUS,
+  ORDER_TRANSITIONS,
+  canTransition,
+  getNextStatuses,
+  isFinalStatus,
+  isValidStatus
+} from '../../src/models/orderModel.js'
+
+describe('Order Model - Unit Tests', () => {
+  test('should define transitions for every status', () => {
+    Object.values(ORDER_STATUS).forEach(status => {
+      expect(Array.isArray(ORDER_TRANSITIONS[status])).toBe(true)
+    })
+  })
+
+  test('should only transition to known statuses', () => {
+    Object.values(ORDER_TRANSITIONS).flat().forEach(status => {
+      expect(isValidStatus(status)).toBe(true)
+    })
+  })
+
+  test('should follow the happy path', () => {
+    expect(canTransition('pendiente', 'preparando')).toBe(true)
+    expect(canTransition('preparando', 'listo')).toBe(true)
+    expect(canTransition('listo', 'en vuelo')).toBe(true)
+    expect(canTransition('en vuelo', 'entregado')).toBe(true)
+  })
+
+  test('should reject backwards transitions', () => {
+    expect(canTransition('entregado', 'preparando')).toBe(false)
+    expect(canTransition('en vuelo', 'listo')).toBe(false)
+  })
+
+  test('should treat delivered, cancelled and failed as final', () => {
+    expect(isFinalStatus('entregado')).toBe(true)
+    expect(isFinalStatus('cancelado')).toBe(true)
+    expect(isFinalStatus('fallido')).toBe(true)
+    expect(isFinalStatus('preparando')).toBe(false)
+    expect(isFinalStatus('banana')).toBe(false)
+  })
+
+  test('should return no transitions for unknown statuses', () => {
+    expect(getNextStatuses('banana')).toEqual([])
+  })
+})
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import { listOrders } from '../../src/services/orderQueryService.js'
+import * as orderService from '../../src/services/orderService.js'
+import * as customerService from '../../src/services/customerService.js'
+import { reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const MINUTE_MS = 60 * 1000
+
+describe('Order Query Service - Unit Tests', () => {
+  let delivered, cancelled, active
+
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+
+    const ana = customerService.createCustomer({ name: 'Ana Núñez' })
+    delivered = orderService.createOrder({ customerId: ana.id, flavor: 'chocolate' })
+    simulation.advance(10 * MINUTE_MS)
+    cancelled = orderService.cancelOrder(orderService.createOrder({ customer: 'Bruno', flavor: 'fresa' }).id, 'Cambio de planes')
+    simulation.advance(10 * MINUTE_MS)
+    active = orderService.createOrder({ customer: 'Carla', flavor: 'vainilla' })
+  })
+
+  afterEach(() => {
+    delete process.env.BAKERY_UTC_OFFSET_MINUTES
+  })
+
+  const ids = (result) => result.orders.map(o => o.id)
+
+  test('should list the newest orders first with the page totals', () => {
+    const result = listOrders()
+
+    expect(ids(result)).toEqual([active.id, cancelled.id, delivered.id])
+    expect(result).toMatchObject({ total: 3, page: 1, limit: 20, pages: 1 })
+  })
+
+  test('should paginate', () => {
+    const second = listOrders({ page: 2, limit: 2 })
+
+    expect(ids(second)).toEqual([delivered.id])
+    expect(second).toMatchObject({ total: 3, page: 2, limit: 2, pages: 2 })
+    expect(listOrders({ page: 5, limit: 2 }).orders).toEqual([])
+  })
+
+  test('should split active orders from the history', () => {
+    expect(ids(listOrders({ scope: 'active' }))).toEqual([active.id])
+    expect(ids(listOrders({ scope: 'history', order: 'asc' }))).toEqual([delivered.id, cancelled.id])
+  })
+
+  test('should filter by status, drone and customer', () => {
+    const deliveredOrder = orderService.getOrderById(delivered.id)
+
+    expect(ids(listOrders({ status: 'entregado, cancelado' }))).toEqual([cancelled.id, delivered.id])
+    expect(ids(listOrders({ droneId: deliveredOrder.droneId }))).toEqual([delivered.id])
+    expect(ids(listOrders({ customerId: delivered.customerId }))).toEqual([delivered.id])
+    expect(() => listOrders({ status: 'perdido' })).toThrow('Estado inválido: perdido')
+  })
+
+  test('should search by customer, flavor or number ignoring accents', () => {
+    expect(ids(listOrders({ search: 'nunez' }))).toEqual([delivered.id])
+    expect(ids(listOrders({ search: 'VAINILLA' }))).toEqual([active.id])
+    expect(ids(listOrders({ search: `#${cancelled.id}` }))).toEqual([cancelled.id])
+  })
+
+  test('should filter by creation date range', () => {
+    const from = new Date(Date.parse(cancelled.createdAt) - MINUTE_MS).toISOString()
+    const to = new Date(Date.parse(active.createdAt)).toISOString()
+
+    expect(ids(listOrders({ from, to }))).toEqual([cancelled.id])
+    expect(() => listOrders({ from: to, to: from })).toThrow('"from" debe ser anterior a "to"')
+  })
+
+  test('should read plain dates as whole days in bakery time', () => {
+    process.env.BAKERY_UTC_OFFSET_MINUTES = '0'
+    const day = active.createdAt.slice(0, 10)
+    const sameDay = [delivered, cancelled, active].filter(o => o.createdAt.startsWith(day))
+
+    expect(listOrders({ from: day, to: day }).total).toBe(sameDay.length)
+    expect(listOrders({ to: '2000-01-01' }).total).toBe(0)
+  })
+
+  test('should sort by delivery time leaving undelivered orders last', () => {
+    expect(ids(listOrders({ sort: 'deliveredAt' }))).toEqual([delivered.id, active.id, cancelled.id])
+  })
+})
@@ -1,17 +1,18 @@
-import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+import { describe, test, expect, beforeEach } from '@jest/globals'
 import * as orderService from '../../src/services/orderService.js'
-import { drones, orders } from '../../src/utils/dataStore.js'
+import * as droneService from '../../src/services/droneService.js'
+import { getQueue } from '../../src/services/queueService.js'
+import { getStations } from '../../src/services/kitchenService.js'
+import { droneRepository, productRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
 
 describe('Order Service - Unit Tests', () => {
   beforeEach(() => {
     // Reset state before each test
-    orders.length = 0
-    drones.forEach(drone => {
-      drone.available = true
-    })
+    reset()
     
-    // Clear any existing timers
-    jest.clearAllTimers()
+    // Discard scheduled events and resync the simulation clock
+    simulation.reset()
   })
 
   describe('createOrder', () => {
@@ -33,24 +34,35 @@ describe('Order Service - Unit Tests', () => {
     })
 
     test('should assign first available drone', () => {
-      drones[0].available = false // Make first drone unavailable
+      droneRepository.update(1, { available: false }) // Make first drone unavailable
       
-      const order = orderService.createOrder('María García', 'vainilla')
+      const { id } = orderService.createOrder('María García', 'vainilla')
+      const order = orderService.finishPreparation(id)
       
       expect(order.droneId).toBe(2) // Should assign second drone
       expect(order.drone).toBe('PastelExpress')
-      expect(drones[1].available).toBe(false) // Drone should be marked as busy
+      expect(droneRepository.findById(2).available).toBe(false) // Drone should be marked as busy
     })
 
-    test('should throw error when no drones available', () => {
+    test('should queue the ready cake when no drones available', () => {
       // Make all drones unavailable
-      drones.forEach(drone => {
-        drone.available = false
+      droneRepository.findAll().forEach(drone => {
+        droneRepository.update(drone.id, { available: false })
       })
       
+      const { id } = orderService.createOrder('Pedro López', 'fresa')
+      orderService.finishPreparation(id)
+
+      const order = orderService.getAllOrders()[0]
+      expect(order.status).toBe('listo')
+      expect(order.droneId).toBeNull()
+      expect(order.queuePosition).toBe(1)
+    })
+
+    test('should reject unknown priorities', () => {
       expect(() => {
-        orderService.createOrder('Pedro López', 'fresa')
-      }).toThrow('No hay drones disponibles')
+        orderService.createOrder('Pedro López', 'fresa', { priority: 'urgente' })
+      }).toThrow('Prioridad inválida')
     })
 
     test('should increment order ID correctly', () => {
@@ -62,9 +74,9 @@ describe('Order Service - Unit Tests', () => {
     })
 
     test('should set estimated delivery time', () => {
-      const beforeCreate = new Date()
+      const beforeCreate = new Date(simulation.now())
       const order = orderService.createOrder('Ana Ruiz', 'tres-leches')
-      const afterCreate = new Date()
+      const afterCreate = new Date(simulation.now())
       
       const estimatedDelivery = new Date(order.estimatedDelivery)
       const createdAt = new Date(order.createdAt)
@@ -115,21 +127,225 @@ describe('Order Service - Unit Tests', () => {
 
     test('should free drone when status is entregado', () => {
       const order = orderService.createOrder('Laura Torres', 'zanahoria')
-      const assignedDroneId = order.droneId
+      const assignedDroneId = orderService.updateOrderStatus(order.id, 'en vuelo').droneId
       
-      // Drone should be busy after order creation
-      const busyDrone = drones.find(d => d.id === assignedDroneId)
-      expect(busyDrone.available).toBe(false)
+      // Drone should be busy once the order takes off
+      expect(droneRepository.findById(assignedDroneId).available).toBe(false)
       
       // Update to delivered
       const deliveredOrder = orderService.updateOrderStatus(order.id, 'entregado')
       
       // Drone should be available again
-      expect(busyDrone.available).toBe(true)
+      expect(droneRepository.findById(assignedDroneId).available).toBe(true)
       expect(deliveredOrder.deliveredAt).toBeDefined()
     })
   })
 
+  describe('order lifecycle', () => {
+    test('should reject unknown statuses', () => {
+      const order = orderService.createOrder('Sofía Reyes', 'fresa')
+
+      expect(() => {
+        orderService.updateOrderStatus(order.id, 'banana')
+      }).toThrow('Estado de orden inválido')
+      expect(orderService.getOrderById(order.id).status).toBe('preparando')
+    })
+
+    test('should reject illegal transitions with a conflict error', () => {
+      const order = orderService.createOrder('Diego Castro', 'chocolate')
+
+      expect(() => {
+        orderService.updateOrderStatus(order.id, 'entregado')
+      }).toThrow(expect.objectContaining({ status: 409 }))
+    })
+
+    test('should not reopen delivered orders', () => {
+      const order = orderService.finishPreparation(orderService.createOrder('Elena Mora', 'vainilla').id)
+      orderService.completeOrder(order.id)
+
+      expect(() => {
+        orderService.updateOrderStatus(order.id, 'preparando')
+      }).toThrow('estado final')
+      expect(droneRepository.findById(order.droneId).available).toBe(true)
+    })
+
+    test('should release the drone when an order fails', () => {
+      const order = orderService.finishPreparation(orderService.createOrder('Mario Paz', 'zanahoria').id)
+
+      const failedOrder = orderService.updateOrderStatus(order.id, 'fallido')
+
+      expect(failedOrder.failedAt).toBeDefined()
+      expect(droneRepository.findById(order.droneId).available).toBe(true)
+    })
+
+    test('should list the next legal statuses', () => {
+      const order = orderService.createOrder('Lucía Vega', 'red-velvet')
+
+      expect(orderService.getOrderTransitions(order.id)).toEqual(['listo', 'en vuelo', 'cancelado', 'fallido'])
+
+      orderService.completeOrder(order.id)
+      expect(orderService.getOrderTransitions(order.id)).toEqual([])
+    })
+
+    test('should throw not found for unknown orders', () => {
+      expect(() => orderService.getOrderTransitions(999)).toThrow('Orden no encontrada')
+    })
+  })
+
+  describe('automatic delivery simulation', () => {
+    test('should advance through the stages as the clock moves', () => {
+      const order = orderService.createOrder('Julia Paz', 'chocolate')
+
+      simulation.advance(2999)
+      expect(orderService.getOrderById(order.id).status).toBe('preparando')
+
+      simulation.advance(1)
+      expect(orderService.getOrderById(order.id).status).toBe('en vuelo')
+
+      simulation.advance(7000)
+      const deliveredOrder = orderService.getOrderById(order.id)
+      expect(deliveredOrder.status).toBe('entregado')
+      expect(deliveredOrder.deliveredAt).toBe(new Date(simulation.now()).toISOString())
+      expect(droneRepository.findById(deliveredOrder.droneId).available).toBe(true)
+    })
+
+    test('should drop pending events when an order is completed manually', () => {
+      const order = orderService.createOrder('Hugo Sanz', 'vainilla')
+      expect(simulation.pending(order.id)).toHaveLength(1)
+
+      orderService.completeOrder(order.id)
+
+      expect(simulation.pending(order.id)).toHaveLength(0)
+    })
+
+    test('should honour configured stage durations', () => {
+      // Products without their own prep time use the configured duration
+      productRepository.update(3, { prepTimeMs: null })
+      simulation.setDurations({ preparing: 500 })
+      const order = orderService.createOrder('Nora Gil', 'fresa')
+
+      simulation.advance(500)
+
+      expect(orderService.getOrderById(order.id).status).toBe('en vuelo')
+      simulation.setDurations({ preparing: 3000 })
+    })
+  })
+
+  describe('drone queue', () => {
+    // Prepares a cake and sends it out straight away
+    const prepare = (customer, flavor, options) =>
+      orderService.finishPreparation(orderService.createOrder(customer, flavor, options).id)
+
+    const fillFleet = () => droneRepository.findAll().map((drone, i) => prepare(`Cliente ${i + 1}`, 'chocolate'))
+
+    test('should assign the freed drone to the next ready order', () => {
+      const [first] = fillFleet()
+      const queued = prepare('En espera', 'vainilla')
+      expect(queued.status).toBe('listo')
+
+      orderService.completeOrder(first.id)
+
+      const dispatched = orderService.getOrderById(queued.id)
+      expect(dispatched.status).toBe('en vuelo')
+      expect(dispatched.droneId).toBe(first.droneId)
+      expect(dispatched.dispatchedAt).toBeDefined()
+    })
+
+    test('should dispatch ready orders when a drone is enabled', () => {
+      droneRepository.findAll().forEach(drone => {
+        droneRepository.update(drone.id, { available: false })
+      })
+      const queued = prepare('En espera', 'fresa')
+
+      droneService.updateDroneStatus(2, true)
+
+      expect(orderService.getOrderById(queued.id).droneId).toBe(2)
+      expect(droneRepository.findById(2).available).toBe(false)
+    })
+
+    test('should serve express orders before normal ones', () => {
+      const [first] = fillFleet()
+      const normal = prepare('Normal', 'vainilla')
+      const express = prepare('Express', 'fresa', { priority: 'express' })
+
+      expect(getQueue().map(entry => entry.id)).toEqual([express.id, normal.id])
+
+      orderService.completeOrder(first.id)
+
+      expect(orderService.getOrderById(express.id).status).toBe('en vuelo')
+      expect(orderService.getOrderById(normal.id).status).toBe('listo')
+    })
+
+    test('should estimate the take-off time from the busy drones', () => {
+      fillFleet()
+      const now = simulation.now()
+      const waiting = ['Primero', 'Segundo', 'Tercero', 'Cuarto'].map(customer => prepare(customer, 'vainilla'))
+
+      const queue = getQueue()
+      expect(queue.map(entry => entry.queuePosition)).toEqual([1, 2, 3, 4])
+      expect(Date.parse(queue[0].estimatedStart)).toBe(now + 7000)
+      expect(queue[1].estimatedStart).toBe(queue[0].estimatedStart)
+      expect(queue[2].estimatedStart).toBe(queue[0].estimatedStart)
+      expect(Date.parse(queue[3].estimatedStart)).toBe(now + 14000)
+      expect(waiting.every(order => order.status === 'listo')).toBe(true)
+    })
+
+    test('should allow cancelling a ready order', () => {
+      fillFleet()
+      const queued = prepare('Impaciente', 'fresa')
+
+      const cancelled = orderService.cancelOrder(queued.id, 'Tardaba demasiado')
+
+      expect(cancelled.status).toBe('cancelado')
+      expect(getQueue()).toHaveLength(0)
+    })
+  })
+
+  describe('cancelOrder', () => {
+    test('should cancel a preparing order and free the kitchen station', () => {
+      const order = orderService.createOrder('Andrés Gil', 'chocolate')
+
+      const cancelledOrder = orderService.cancelOrder(order.id, 'Cliente cambió de opinión')
+
+      expect(cancelledOrder.status).toBe('cancelado')
+      expect(cancelledOrder.cancellationReason).toBe('Cliente cambió de opinión')
+      expect(cancelledOrder.refund).toMatchObject({ rate: 1, amount: order.total, status: 'pendiente' })
+      expect(cancelledOrder.recall).toBeUndefined()
+      expect(getStations()[0].status).toBe('libre')
+    })
+
+    test('should recall the drone when cancelling in flight', () => {
+      const { id } = orderService.createOrder('Paula Rey', 'fresa')
+      const order = orderService.updateOrderStatus(id, 'en vuelo')
+
+      const cancelledOrder = orderService.cancelOrder(order.id, 'Dirección incorrecta')
+
+      expect(cancelledOrder.refund.rate).toBe(0.5)
+      expect(cancelledOrder.recall.status).toBe('regresando')
+      expect(droneRepository.findById(order.droneId).available).toBe(false)
+
+      simulation.advance(5000)
+
+      expect(droneRepository.findById(order.droneId).available).toBe(true)
+      expect(orderService.getOrderById(order.id).recall.status).toBe('en base')
+    })
+
+    test('should require a reason', () => {
+      const order = orderService.createOrder('Tomás León', 'vainilla')
+
+      expect(() => orderService.cancelOrder(order.id, '  ')).toThrow('motivo de cancelación')
+    })
+
+    test('should not cancel delivered orders', () => {
+      const order = orderService.createOrder('Irene Soto', 'fresa')
+      orderService.completeOrder(order.id)
+
+      expect(() => {
+        orderService.cancelOrder(order.id, 'Demasiado tarde')
+      }).toThrow(expect.objectContaining({ status: 409 }))
+    })
+  })
+
   describe('completeOrder', () => {
     test('should complete order successfully', () => {
       const order = orderService.createOrder('Roberto Silva', 'chocolate')
@@ -142,11 +358,11 @@ describe('Order Service - Unit Tests', () => {
 
     test('should free drone when completing order', () => {
       const order = orderService.createOrder('Carmen Vargas', 'vainilla')
-      const droneId = order.droneId
+      const { droneId } = orderService.finishPreparation(order.id)
       
       orderService.completeOrder(order.id)
       
-      const freedDrone = drones.find(d => d.id === droneId)
+      const freedDrone = droneRepository.findById(droneId)
       expect(freedDrone.available).toBe(true)
     })
   })
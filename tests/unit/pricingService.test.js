@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as pricingService from '../../src/services/pricingService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { productRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const ITEMS = [
+  { flavor: 'chocolate', size: 'mediano', quantity: 2, inscription: '¡Feliz cumpleaños!' },
+  { flavor: 'fresa' }
+]
+
+describe('Pricing - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.TAX_RATE
+  })
+
+  describe('priceOrder', () => {
+    const items = [
+      { unitPrice: 67500, quantity: 2 },
+      { unitPrice: 42000, quantity: 1 }
+    ]
+
+    test('should add subtotal, tax and delivery fee', () => {
+      const { items: priced, pricing } = pricingService.priceOrder({ items })
+
+      expect(priced.map(i => i.lineTotal)).toEqual([135000, 42000])
+      expect(pricing).toEqual({
+        subtotal: 177000,
+        discount: null,
+        taxRate: 0.19,
+        tax: 33630,
+        deliveryFee: 3000,
+        total: 213630
+      })
+    })
+
+    test('should charge delivery by distance', () => {
+      expect(pricingService.calculateDeliveryFee(2.6)).toBe(5600)
+    })
+
+    test('should use the configured tax rate', () => {
+      process.env.TAX_RATE = '0'
+
+      expect(pricingService.priceOrder({ items }).pricing.total).toBe(180000)
+    })
+
+    test('should apply percentage discounts before tax', () => {
+      const { pricing } = pricingService.priceOrder({ items, discountCode: 'bienvenida10' })
+
+      expect(pricing.discount).toEqual({ code: 'BIENVENIDA10', type: 'porcentaje', amount: 17700 })
+      expect(pricing.tax).toBe(30267)
+      expect(pricing.total).toBe(192567)
+    })
+
+    test('should waive the delivery fee with a free delivery code', () => {
+      const { pricing } = pricingService.priceOrder({ items, distanceKm: 2.6, discountCode: 'ENVIOGRATIS' })
+
+      expect(pricing.deliveryFee).toBe(0)
+      expect(pricing.discount.amount).toBe(5600)
+      expect(pricing.total).toBe(177000 + 33630)
+    })
+
+    test('should reject unknown discount codes', () => {
+      expect(() => pricingService.priceOrder({ items, discountCode: 'GRATIS' })).toThrow('Código de descuento inválido')
+    })
+  })
+
+  describe('multi-item orders', () => {
+    test('should store line items, weight and total on the order', () => {
+      const order = orderService.createOrder({ customer: 'Cliente', items: ITEMS })
+
+      expect(order.items).toHaveLength(2)
+      expect(order.items[0]).toMatchObject({ name: 'Chocolate', quantity: 2, inscription: '¡Feliz cumpleaños!', lineTotal: 135000 })
+      expect(order.flavor).toBe('chocolate')
+      expect(order.payloadGrams).toBe(2 * 2000 + 1200)
+      expect(order.total).toBe(order.pricing.total)
+    })
+
+    test('should take stock for every unit ordered', () => {
+      orderService.createOrder({ customer: 'Cliente', items: ITEMS })
+
+      expect(productRepository.findById(1).stock).toBe(18)
+      expect(productRepository.findById(3).stock).toBe(19)
+    })
+
+    test('should reject orders that ask for more units than in stock', () => {
+      productRepository.update(1, { stock: 2 })
+      const items = [{ flavor: 'chocolate' }, { flavor: 'chocolate', size: 'grande', quantity: 2 }]
+
+      expect(() => orderService.createOrder({ customer: 'Cliente', items })).toThrow('Sólo quedan 2 unidad(es) de Chocolate')
+    })
+
+    test('should validate quantities and inscriptions', () => {
+      expect(() => orderService.createOrder({ customer: 'C', items: [{ flavor: 'fresa', quantity: 0 }] })).toThrow('cantidad')
+      expect(() => orderService.createOrder({ customer: 'C', items: [{ flavor: 'fresa', inscription: 'x'.repeat(41) }] })).toThrow('dedicatoria')
+      expect(() => orderService.createOrder({ customer: 'C', items: [] })).toThrow('al menos un producto')
+    })
+
+    test('should assign a drone that can carry the whole payload', () => {
+      const { id } = orderService.createOrder({ customer: 'Cliente', items: [{ flavor: 'vainilla', size: 'grande' }] })
+      const order = orderService.finishPreparation(id)
+
+      expect(order.payloadGrams).toBe(3000)
+      expect(order.droneId).toBe(2)
+    })
+
+    test('should reject orders heavier than any drone can carry', () => {
+      const items = [{ flavor: 'vainilla', size: 'grande', quantity: 3 }]
+
+      expect(() => orderService.createOrder({ customer: 'Cliente', items })).toThrow('El pedido pesa 9000 g')
+    })
+
+    test('should quote without creating the order or taking stock', () => {
+      const quote = orderService.quoteOrder({ items: ITEMS, discountCode: 'DULCE5000' })
+
+      expect(quote.pricing.discount.amount).toBe(5000)
+      expect(orderService.getAllOrders()).toHaveLength(0)
+      expect(productRepository.findById(1).stock).toBe(20)
+    })
+  })
+})
@@ -0,0 +1,109 @@
+import { describe, test, expect, beforeEach } from '@jest/globals'
+import * as productService from '../../src/services/productService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { productRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const newProduct = (overrides = {}) => ({
+  flavor: 'limon',
+  name: 'Limón',
+  sizes: [{ size: 'Pequeño', price: 38000, weightGrams: 1100 }],
+  ...overrides
+})
+
+describe('Product Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  describe('catalog management', () => {
+    test('should seed the classic flavors', () => {
+      const flavors = productService.getAllProducts().map(p => p.flavor)
+
+      expect(flavors).toEqual(['chocolate', 'vainilla', 'fresa', 'red-velvet', 'tres-leches', 'zanahoria'])
+    })
+
+    test('should create a product with defaults', () => {
+      const product = productService.createProduct(newProduct())
+
+      expect(product).toMatchObject({
+        id: 7,
+        flavor: 'limon',
+        emoji: '🧁',
+        image: null,
+        available: true,
+        stock: null,
+        sizes: [{ size: 'pequeño', price: 38000, weightGrams: 1100 }]
+      })
+    })
+
+    test('should validate flavor ids and sizes', () => {
+      expect(() => productService.createProduct(newProduct({ flavor: 'Limón Fresco' }))).toThrow('identificador en minúsculas')
+      expect(() => productService.createProduct(newProduct({ sizes: [] }))).toThrow('al menos un tamaño')
+      expect(() => productService.createProduct(newProduct({ sizes: [{ size: 'único', price: -1, weightGrams: 900 }] }))).toThrow('precio')
+    })
+
+    test('should reject duplicated flavors', () => {
+      expect(() => productService.createProduct(newProduct({ flavor: 'fresa' }))).toThrow('Ya existe un producto')
+    })
+
+    test('should toggle availability and list only orderable products', () => {
+      productService.patchProduct(1, { available: false })
+      productService.patchProduct(2, { stock: 0 })
+
+      const orderable = productService.getAllProducts({ available: true }).map(p => p.flavor)
+
+      expect(orderable).not.toContain('chocolate')
+      expect(orderable).not.toContain('vainilla')
+      expect(orderable).toHaveLength(4)
+    })
+
+    test('should not allow changing the id', () => {
+      expect(() => productService.patchProduct(1, { id: 9 })).toThrow('no se puede modificar')
+    })
+
+    test('should delete products', () => {
+      productService.deleteProduct(6)
+
+      expect(() => productService.getProductById(6)).toThrow('Producto no encontrado')
+    })
+  })
+
+  describe('orders', () => {
+    test('should reject unknown flavors', () => {
+      expect(() => orderService.createOrder('Cliente', 'pistacho')).toThrow('Sabor desconocido: pistacho')
+    })
+
+    test('should reject flavors that are out of stock', () => {
+      productRepository.update(1, { stock: 0 })
+
+      expect(() => orderService.createOrder('Cliente', 'chocolate')).toThrow('agotado')
+    })
+
+    test('should reject unknown sizes', () => {
+      expect(() => orderService.createOrder({ customer: 'Cliente', flavor: 'fresa', size: 'gigante' })).toThrow('Tamaño desconocido')
+    })
+
+    test('should copy size, price and weight from the catalog', () => {
+      const order = orderService.createOrder({ customer: 'Cliente', flavor: 'fresa', size: 'Mediano' })
+
+      expect(order.items[0]).toMatchObject({ productId: 3, flavor: 'fresa', size: 'mediano', unitPrice: 63000, weightGrams: 2000 })
+      expect(order.payloadGrams).toBe(2000)
+      expect(productService.getProductById(3).stock).toBe(19)
+    })
+
+    test('should return the stock when a queued order is cancelled', () => {
+      productRepository.update(1, { stock: 1 })
+      orderService.createOrder('Cliente 1', 'vainilla')
+      orderService.createOrder('Cliente 2', 'vainilla')
+      const queued = orderService.createOrder('Cliente 3', 'chocolate')
+      expect(queued.status).toBe('pendiente')
+      expect(productService.getProductById(1).stock).toBe(0)
+
+      orderService.cancelOrder(queued.id, 'Ya no lo necesita')
+
+      expect(productService.getProductById(1).stock).toBe(1)
+    })
+  })
+})
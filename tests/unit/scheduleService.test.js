@@ -0,0 +1,113 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as scheduleService from '../../src/services/scheduleService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { productRepository, reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+import { createManualClock } from '../../src/simulation/clock.js'
+
+// 09:00 en Bogotá (UTC-5), la zona horaria por defecto del obrador
+const NOW = Date.parse('2026-10-19T14:00:00Z')
+const NOON = '2026-10-19T12:00:00-05:00'
+
+describe('Schedule Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+    simulation.useClock(createManualClock(NOW))
+  })
+
+  afterEach(() => {
+    delete process.env.SCHEDULE_SLOT_CAPACITY
+  })
+
+  describe('resolveScheduledFor', () => {
+    test('should accept a time within opening hours', () => {
+      expect(scheduleService.resolveScheduledFor(NOON)).toBe('2026-10-19T17:00:00.000Z')
+    })
+
+    test('should require the minimum lead time', () => {
+      expect(() => scheduleService.resolveScheduledFor('2026-10-19T09:30:00-05:00')).toThrow('60 minutos de antelación')
+    })
+
+    test('should reject times outside opening hours', () => {
+      expect(() => scheduleService.resolveScheduledFor('2026-10-19T20:00:00-05:00')).toThrow('fuera del horario de reparto (08:00 a 20:00)')
+      expect(() => scheduleService.resolveScheduledFor('2026-10-20T07:45:00-05:00')).toThrow('fuera del horario')
+    })
+
+    test('should reject invalid dates and times too far ahead', () => {
+      expect(() => scheduleService.resolveScheduledFor('mañana')).toThrow('ISO 8601')
+      expect(() => scheduleService.resolveScheduledFor('2026-11-20T12:00:00-05:00')).toThrow('14 días')
+    })
+
+    test('should refuse fully booked slots', () => {
+      process.env.SCHEDULE_SLOT_CAPACITY = '1'
+      const booked = orderService.createOrder({ customer: 'Fiesta', flavor: 'chocolate', scheduledFor: NOON })
+
+      expect(() => scheduleService.resolveScheduledFor('2026-10-19T12:15:00-05:00')).toThrow(expect.objectContaining({
+        status: 409,
+        message: 'La franja de 12:00 a 12:30 ya está completa'
+      }))
+
+      orderService.cancelOrder(booked.id, 'Se canceló la fiesta')
+      expect(scheduleService.resolveScheduledFor('2026-10-19T12:15:00-05:00')).toBeDefined()
+    })
+  })
+
+  describe('getAvailableSlots', () => {
+    test('should list the slots of the day with their bookings', () => {
+      orderService.createOrder({ customer: 'Fiesta', flavor: 'chocolate', scheduledFor: NOON })
+
+      const { slots } = scheduleService.getAvailableSlots('2026-10-19')
+
+      expect(slots).toHaveLength(24)
+      expect(slots[0]).toMatchObject({ start: '2026-10-19T13:00:00.000Z', label: '08:00 - 08:30', available: false })
+      expect(slots[4]).toMatchObject({ label: '10:00 - 10:30', available: true })
+      expect(slots[8]).toMatchObject({ label: '12:00 - 12:30', capacity: 3, booked: 1, available: true })
+    })
+
+    test('should validate the date', () => {
+      expect(() => scheduleService.getAvailableSlots('19/10/2026')).toThrow('YYYY-MM-DD')
+      expect(() => scheduleService.getAvailableSlots()).toThrow('YYYY-MM-DD')
+    })
+  })
+
+  describe('scheduled orders', () => {
+    test('should wait until it is time to prepare the order', () => {
+      const order = orderService.createOrder({ customer: 'Fiesta', flavor: 'chocolate', scheduledFor: NOON })
+      const startAt = Date.parse(NOON) - 3000 - 7000
+
+      expect(order).toMatchObject({ status: 'programado', estimatedDelivery: '2026-10-19T17:00:00.000Z' })
+      expect(Date.parse(order.scheduledStartAt)).toBe(startAt)
+
+      simulation.advance(startAt - simulation.now() - 1)
+      expect(orderService.getOrderById(order.id).status).toBe('programado')
+
+      simulation.advance(1)
+      expect(orderService.getOrderById(order.id).status).toBe('preparando')
+
+      simulation.advance(10000)
+      const delivered = orderService.getOrderById(order.id)
+      expect(delivered.status).toBe('entregado')
+      expect(delivered.deliveredAt).toBe('2026-10-19T17:00:00.000Z')
+    })
+
+    test('should return stock and drop the timer when cancelled', () => {
+      const order = orderService.createOrder({ customer: 'Fiesta', flavor: 'chocolate', scheduledFor: NOON })
+      expect(productRepository.findById(1).stock).toBe(19)
+
+      orderService.cancelOrder(order.id, 'Cambio de planes')
+
+      expect(productRepository.findById(1).stock).toBe(20)
+      expect(simulation.pending(order.id)).toHaveLength(0)
+    })
+
+    test('should reschedule the timers after a restart', () => {
+      const order = orderService.createOrder({ customer: 'Fiesta', flavor: 'chocolate', scheduledFor: NOON })
+      simulation.cancel(order.id)
+
+      orderService.resumeScheduledOrders()
+
+      expect(simulation.pending(order.id)).toEqual([expect.objectContaining({ type: 'pendiente' })])
+    })
+  })
+})
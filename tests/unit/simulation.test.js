@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+import { createSimulation } from '../../src/simulation/engine.js'
+import { createManualClock, createRealClock } from '../../src/simulation/clock.js'
+import * as simulationService from '../../src/services/simulationService.js'
+
+describe('Simulation Engine - Unit Tests', () => {
+  describe('manual mode', () => {
+    let simulation
+
+    beforeEach(() => {
+      simulation = createSimulation({ clock: createManualClock(0) })
+    })
+
+    test('should not run events until the clock is advanced', () => {
+      const run = jest.fn()
+      simulation.schedule({ orderId: 1, type: 'test', delay: 1000, run })
+
+      expect(run).not.toHaveBeenCalled()
+      expect(simulation.getState().mode).toBe('manual')
+
+      simulation.advance(1000)
+      expect(run).toHaveBeenCalledTimes(1)
+    })
+
+    test('should run events in due order at their own time', () => {
+      const seen = []
+      simulation.schedule({ orderId: 1, type: 'b', delay: 200, run: () => seen.push(['b', simulation.now()]) })
+      simulation.schedule({ orderId: 2, type: 'a', delay: 100, run: () => seen.push(['a', simulation.now()]) })
+
+      simulation.advance(500)
+
+      expect(seen).toEqual([['a', 100], ['b', 200]])
+      expect(simulation.now()).toBe(500)
+    })
+
+    test('should run events scheduled by other events within the same step', () => {
+      const run = jest.fn()
+      simulation.schedule({
+        orderId: 1,
+        type: 'first',
+        delay: 100,
+        run: () => simulation.schedule({ orderId: 1, type: 'second', delay: 100, run })
+      })
+
+      simulation.advance(200)
+
+      expect(run).toHaveBeenCalledTimes(1)
+    })
+
+    test('should cancel the events of an order', () => {
+      const run = jest.fn()
+      simulation.schedule({ orderId: 1, type: 'test', delay: 100, run })
+      simulation.schedule({ orderId: 2, type: 'test', delay: 100, run })
+
+      simulation.cancel(1)
+      simulation.advance(100)
+
+      expect(run).toHaveBeenCalledTimes(1)
+      expect(simulation.pending()).toHaveLength(0)
+    })
+
+    test('should keep running after an event fails', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      const run = jest.fn()
+      simulation.schedule({ orderId: 1, type: 'boom', delay: 10, run: () => { throw new Error('boom') } })
+      simulation.schedule({ orderId: 2, type: 'ok', delay: 20, run })
+
+      simulation.advance(20)
+
+      expect(run).toHaveBeenCalled()
+      jest.restoreAllMocks()
+    })
+  })
+
+  describe('auto mode', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    test('should fire events in real time scaled by speed', () => {
+      const simulation = createSimulation({ clock: createRealClock() })
+      const run = jest.fn()
+
+      simulation.setSpeed(10)
+      simulation.schedule({ orderId: 1, type: 'test', delay: 1000, run })
+
+      jest.advanceTimersByTime(99)
+      expect(run).not.toHaveBeenCalled()
+
+      jest.advanceTimersByTime(1)
+      expect(run).toHaveBeenCalledTimes(1)
+    })
+
+    test('should stop the clock while paused', () => {
+      const simulation = createSimulation({ clock: createRealClock() })
+      const run = jest.fn()
+      simulation.schedule({ orderId: 1, type: 'test', delay: 1000, run })
+
+      simulation.pause()
+      jest.advanceTimersByTime(5000)
+      expect(run).not.toHaveBeenCalled()
+
+      simulation.resume()
+      jest.advanceTimersByTime(1000)
+      expect(run).toHaveBeenCalledTimes(1)
+    })
+
+    test('should keep the current time when switching modes', () => {
+      const simulation = createSimulation({ clock: createRealClock({ start: 5000 }) })
+
+      simulation.setMode('manual')
+      jest.advanceTimersByTime(1000)
+
+      expect(simulation.now()).toBe(5000)
+      expect(() => simulation.setMode('turbo')).toThrow('Modo de simulación inválido')
+    })
+  })
+
+  describe('simulationService', () => {
+    test('should validate the speed', () => {
+      expect(() => simulationService.setSimulationSpeed(0)).toThrow('La velocidad')
+      expect(() => simulationService.setSimulationSpeed('rápido')).toThrow('La velocidad')
+    })
+
+    test('should validate stage durations', () => {
+      expect(() => simulationService.setStageDurations({ baking: 10 })).toThrow('Etapa de simulación desconocida')
+      expect(() => simulationService.setStageDurations({ flight: -1 })).toThrow('Duración inválida')
+    })
+
+    test('should expose the pending events', () => {
+      const state = simulationService.getSimulationState()
+
+      expect(state.mode).toBe('manual')
+      expect(Array.isArray(state.events)).toBe(true)
+    })
+  })
+})
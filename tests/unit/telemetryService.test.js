@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import { getTelemetry, recordTelemetry } from '../../src/services/telemetryService.js'
+import { simulateSample, startTelemetrySimulator } from '../../src/services/telemetrySimulator.js'
+import * as orderService from '../../src/services/orderService.js'
+import * as droneService from '../../src/services/droneService.js'
+import { droneRepository, reset, telemetryRepository } from '../../src/utils/dataStore.js'
+import { getBakeryBase } from '../../src/utils/config.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const address = { street: 'Calle 45 # 13-20', lat: 4.63, lng: -74.07 }
+
+// Crea una orden con dirección y avanza hasta que el dron despega
+const createFlyingOrder = () => {
+  const order = orderService.createOrder({ customer: 'Ana', flavor: 'chocolate', deliveryAddress: address })
+  simulation.advance(simulation.getDurations().preparing)
+  return orderService.getOrderById(order.id)
+}
+
+describe('Telemetry Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+  })
+
+  afterEach(() => {
+    delete process.env.TELEMETRY_HISTORY_LIMIT
+    delete process.env.TELEMETRY_INTERVAL_MS
+  })
+
+  test('should store samples and update the drone position and battery', () => {
+    const { sample, tracking } = recordTelemetry(1, { lat: 4.61, lng: -74.08, altitude: 50, speedKmh: 40, heading: 90, battery: 87 })
+
+    expect(sample).toMatchObject({ lat: 4.61, altitude: 50, recordedAt: simulation.timestamp() })
+    expect(tracking).toBeNull()
+    expect(droneRepository.findById(1)).toMatchObject({ battery: 87, position: { lat: 4.61, lng: -74.08, heading: 90 } })
+    expect(droneRepository.findById(1).position.battery).toBeUndefined()
+    expect(getTelemetry(1).latest).toEqual(sample)
+  })
+
+  test('should keep a bounded history per drone', () => {
+    process.env.TELEMETRY_HISTORY_LIMIT = '3'
+    ;[1, 2, 3, 4, 5].forEach((n) => recordTelemetry(1, { lat: n, lng: n }))
+    recordTelemetry(2, { lat: 9, lng: 9 })
+
+    expect(getTelemetry(1).samples.map((sample) => sample.lat)).toEqual([3, 4, 5])
+    expect(getTelemetry(1, { limit: 1 }).samples.map((sample) => sample.lat)).toEqual([5])
+    expect(getTelemetry(2).samples).toHaveLength(1)
+  })
+
+  test('should reject invalid samples and unknown drones', () => {
+    expect(() => recordTelemetry(1, { lat: 4.6 })).toThrow('Falta la longitud de la muestra')
+    expect(() => recordTelemetry(1, { lat: 4.6, lng: -74, battery: 120 })).toThrow('la batería (%)')
+    expect(() => recordTelemetry(99, { lat: 4.6, lng: -74 })).toThrow('Dron no encontrado')
+  })
+
+  test('should compute progress and remaining time for the order in flight', () => {
+    const order = createFlyingOrder()
+    const base = getBakeryBase()
+    const halfway = { lat: (base.lat + address.lat) / 2, lng: (base.lng + address.lng) / 2 }
+
+    const { tracking } = recordTelemetry(order.droneId, { ...halfway, speedKmh: 30 })
+
+    expect(tracking).toMatchObject({ orderId: order.id, progressPercent: 50 })
+    expect(tracking.remainingMs / 1000).toBeCloseTo(tracking.remainingKm / 30 * 60 * 60, 0)
+    expect(Date.parse(tracking.estimatedArrival)).toBe(simulation.now() + tracking.remainingMs)
+    expect(orderService.getOrderById(order.id).tracking).toEqual(tracking)
+    expect(getTelemetry(order.droneId).tracking).toEqual(tracking)
+  })
+
+  test('should remove the history with the drone', () => {
+    recordTelemetry(2, { lat: 4.6, lng: -74 })
+    droneService.deleteDrone(2)
+
+    expect(() => getTelemetry(2)).toThrow('Dron no encontrado')
+    expect(telemetryRepository.count()).toBe(0)
+  })
+
+  describe('simulator', () => {
+    let stop
+
+    beforeEach(() => {
+      stop = startTelemetrySimulator()
+    })
+
+    afterEach(() => {
+      stop()
+    })
+
+    test('should place the drone along the route according to the flight time', () => {
+      const order = createFlyingOrder()
+      const drone = droneRepository.findById(order.droneId)
+      const departure = Date.parse(order.departedAt)
+
+      expect(simulateSample(order, drone, departure)).toMatchObject({ lat: getBakeryBase().lat, altitude: 0 })
+      expect(simulateSample(order, drone, departure + order.flightDurationMs / 2)).toMatchObject({ altitude: 60 })
+      expect(simulateSample(order, drone, departure + order.flightDurationMs)).toMatchObject({ lat: address.lat, lng: address.lng })
+    })
+
+    test('should emit samples during the flight and land the drone at its base', () => {
+      process.env.TELEMETRY_INTERVAL_MS = '10000'
+      const order = createFlyingOrder()
+
+      simulation.advance(30000)
+      const flying = getTelemetry(order.droneId)
+      expect(flying.samples).toHaveLength(4)
+      expect(flying.tracking.progressPercent).toBeGreaterThan(0)
+      expect(orderService.getOrderById(order.id).tracking.progressPercent).toBe(flying.tracking.progressPercent)
+
+      simulation.advance(order.flightDurationMs)
+      expect(orderService.getOrderById(order.id).status).toBe('entregado')
+      expect(getTelemetry(order.droneId)).toMatchObject({ latest: { altitude: 0, speedKmh: 0, lat: getBakeryBase().lat }, tracking: null })
+      expect(simulation.pending(order.id)).toEqual([])
+    })
+
+    test('should keep emitting samples on the way back when the order is cancelled in flight', () => {
+      process.env.TELEMETRY_INTERVAL_MS = '500'
+      const order = createFlyingOrder()
+      const { returnToBase } = simulation.getDurations()
+      const base = getBakeryBase()
+
+      simulation.advance(order.flightDurationMs / 2)
+      const lastSample = getTelemetry(order.droneId).latest
+      const turnPoint = simulateSample(order, droneRepository.findById(order.droneId))
+      orderService.cancelOrder(order.id, 'Dirección equivocada')
+      expect(getTelemetry(order.droneId).latest).toEqual(lastSample)
+
+      simulation.advance(returnToBase / 2)
+      const returning = getTelemetry(order.droneId).latest
+      expect(returning).toMatchObject({ altitude: 60, speedKmh: expect.any(Number) })
+      expect(returning.lat).toBeCloseTo((turnPoint.lat + base.lat) / 2, 4)
+      expect(droneRepository.findById(order.droneId).status).not.toBe('idle')
+
+      simulation.advance(returnToBase / 2)
+      expect(orderService.getOrderById(order.id).recall.status).toBe('en base')
+      expect(getTelemetry(order.droneId).latest).toMatchObject({ lat: base.lat, lng: base.lng, altitude: 0, speedKmh: 0 })
+      expect(simulation.pending(order.id)).toEqual([])
+    })
+  })
+})
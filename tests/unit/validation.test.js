@@ -0,0 +1,91 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals'
+import { validateValue } from '../../src/utils/schemaValidator.js'
+import { validate } from '../../src/middleware/validate.js'
+import { errorHandler } from '../../src/middleware/errorHandler.js'
+import { ConflictError, ValidationError } from '../../src/utils/errors.js'
+import { createDroneSchema, updateDroneSchema } from '../../src/schemas/droneSchemas.js'
+
+const mockResponse = () => {
+  const res = { headersSent: false }
+  res.status = jest.fn(() => res)
+  res.json = jest.fn(() => res)
+  return res
+}
+
+const runValidate = (schemas, req) => {
+  let result
+  validate(schemas)(req, {}, (error) => { result = error })
+  return result
+}
+
+describe('Request validation - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('validateValue', () => {
+    test('should report every problem with its field', () => {
+      const details = validateValue(createDroneSchema.body, {
+        name: '',
+        model: 'zeppelin',
+        homeBase: { name: 'Base', lat: 200, lng: -74 },
+        color: 'rojo'
+      }, 'body')
+
+      expect(details).toEqual([
+        { field: 'body.serial', message: 'es obligatorio' },
+        { field: 'body.name', message: 'no puede estar vacío' },
+        { field: 'body.model', message: expect.stringContaining('debe ser uno de') },
+        { field: 'body.homeBase.lat', message: 'debe ser menor o igual que 90' },
+        { field: 'body.color', message: 'no es un campo permitido' }
+      ])
+    })
+
+    test('should accept a valid value', () => {
+      expect(validateValue(updateDroneSchema.body, { available: false })).toEqual([])
+      expect(validateValue(updateDroneSchema.body, { available: 'no' })).toEqual([
+        { field: 'available', message: 'debe ser de tipo boolean' }
+      ])
+    })
+  })
+
+  describe('validate middleware', () => {
+    test('should coerce params and reject invalid ids', () => {
+      const req = { params: { id: '7' }, body: { available: true } }
+
+      expect(runValidate(updateDroneSchema, req)).toBeUndefined()
+      expect(req.params.id).toBe(7)
+
+      const error = runValidate(updateDroneSchema, { params: { id: 'abc' }, body: {} })
+      expect(error).toMatchObject({ status: 400, code: 'INVALID_REQUEST' })
+      expect(error.details.map(d => d.field)).toEqual(['params.id', 'body.available'])
+    })
+  })
+
+  describe('errorHandler', () => {
+    test('should send the error envelope with the status of the error', () => {
+      const res = mockResponse()
+      errorHandler(new ValidationError('La orden ya fue entregada'), {}, res)
+
+      expect(res.status).toHaveBeenCalledWith(422)
+      expect(res.json).toHaveBeenCalledWith({
+        error: { code: 'VALIDATION_FAILED', message: 'La orden ya fue entregada', details: [] }
+      })
+
+      errorHandler(new ConflictError('Ya existe'), {}, res)
+      expect(res.status).toHaveBeenLastCalledWith(409)
+    })
+
+    test('should handle malformed JSON and unexpected errors', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      const res = mockResponse()
+
+      errorHandler(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400, expose: true }), {}, res)
+      expect(res.json).toHaveBeenLastCalledWith({ error: expect.objectContaining({ code: 'INVALID_JSON' }) })
+
+      errorHandler(new TypeError('boom'), {}, res)
+      expect(res.status).toHaveBeenLastCalledWith(500)
+      expect(res.json).toHaveBeenLastCalledWith({ error: { code: 'INTERNAL_ERROR', message: 'Error interno del servidor', details: [] } })
+    })
+  })
+})
@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import * as weatherService from '../../src/services/weatherService.js'
+import * as orderService from '../../src/services/orderService.js'
+import { createFixtureWeatherProvider } from '../../src/weather/fixtureProvider.js'
+import { reset } from '../../src/utils/dataStore.js'
+import { simulation } from '../../src/simulation/index.js'
+
+const calm = { windSpeedKmh: 10, precipitationMmH: 0, visibilityKm: 10 }
+const windy = { windSpeedKmh: 35, precipitationMmH: 0, visibilityKm: 10 }
+const storm = { windSpeedKmh: 60, precipitationMmH: 8, visibilityKm: 0.5 }
+
+// Fija el tiempo que informa el proveedor y lo consulta
+const setWeather = (conditions) => {
+  weatherService.useWeatherProvider(createFixtureWeatherProvider({ conditions }))
+  return weatherService.refreshWeather()
+}
+
+describe('Weather Service - Unit Tests', () => {
+  beforeEach(() => {
+    reset()
+    simulation.reset()
+    weatherService.useWeatherProvider(createFixtureWeatherProvider())
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    delete process.env.WEATHER_LIMITS
+    delete process.env.WEATHER_PROVIDER
+    jest.restoreAllMocks()
+  })
+
+  describe('fixture provider', () => {
+    test('should return fixed conditions or the latest started entry of a series', async () => {
+      const series = [
+        { from: '2026-03-01T08:00:00Z', ...calm },
+        { from: '2026-03-01T12:00:00Z', ...storm }
+      ]
+      const at = (iso) => createFixtureWeatherProvider({ conditions: series, now: () => Date.parse(iso) }).fetchConditions()
+
+      expect(await createFixtureWeatherProvider({ conditions: windy }).fetchConditions()).toEqual(windy)
+      expect(await at('2026-03-01T10:00:00Z')).toEqual(calm)
+      expect(await at('2026-03-01T13:00:00Z')).toEqual(storm)
+      expect(await at('2026-03-01T06:00:00Z')).toEqual(calm)
+    })
+
+    test('should read the fixture file on every request', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'droncakes-')), 'weather.json')
+      const provider = createFixtureWeatherProvider({ file })
+
+      fs.writeFileSync(file, JSON.stringify(calm))
+      expect(await provider.fetchConditions()).toEqual(calm)
+      fs.writeFileSync(file, JSON.stringify(storm))
+      expect(await provider.fetchConditions()).toEqual(storm)
+    })
+  })
+
+  test('should let every drone fly until there is a reading', () => {
+    const status = weatherService.getWeatherStatus()
+
+    expect(status).toMatchObject({ provider: 'fixture', conditions: null, dispatchPaused: false, message: null })
+    expect(status.models.every((model) => model.canFly)).toBe(true)
+  })
+
+  test('should apply per-model limits with the configured overrides', async () => {
+    const status = await setWeather(windy)
+
+    expect(status.models.map((model) => [model.model, model.canFly])).toEqual([
+      ['quad-ligero', false],
+      ['quad-estandar', true],
+      ['hexa-carga', true]
+    ])
+    expect(status.models[0].reasons).toEqual(['viento de 35 km/h (máximo 30 km/h)'])
+    expect(status).toMatchObject({ dispatchPaused: false, message: expect.stringContaining('en tierra: quad-ligero') })
+
+    process.env.WEATHER_LIMITS = JSON.stringify({ 'quad-estandar': { maxWindKmh: 30 }, 'hexa-carga': { maxWindKmh: 'mucho' } })
+    expect(weatherService.getModelLimits()['quad-estandar']).toEqual({ maxWindKmh: 30, maxPrecipitationMmH: 2.5, minVisibilityKm: 1 })
+    expect(weatherService.getModelLimits()['hexa-carga'].maxWindKmh).toBe(50)
+    process.env.WEATHER_LIMITS = '{no es json'
+    expect(weatherService.getModelLimits()['quad-estandar'].maxWindKmh).toBe(40)
+  })
+
+  test('should explain every exceeded limit when the whole fleet is grounded', async () => {
+    const status = await setWeather(storm)
+
+    expect(status.dispatchPaused).toBe(true)
+    expect(status.message).toBe('Despachos en pausa: el tiempo no permite volar a ningún dron de la flota')
+    expect(status.models.find((model) => model.model === 'hexa-carga').reasons).toEqual([
+      'viento de 60 km/h (máximo 50 km/h)',
+      'precipitación de 8 mm/h (máximo 5 mm/h)',
+      'visibilidad de 0.5 km (mínimo 1 km)'
+    ])
+  })
+
+  test('should hold ready orders in the queue until the weather allows flying', async () => {
+    await setWeather(storm)
+    const order = orderService.createOrder({ customer: 'Ana', flavor: 'chocolate' })
+    simulation.advance(simulation.getDurations().preparing)
+
+    const held = orderService.getOrderById(order.id)
+    expect(held.status).toBe('listo')
+    expect(held.droneId).toBeNull()
+    expect(held.hold).toMatchObject({ reason: 'weather', message: expect.stringContaining('El tiempo no permite volar: viento de 60 km/h') })
+    expect(() => orderService.updateOrderStatus(order.id, 'en vuelo')).toThrow('El tiempo no permite volar')
+
+    await setWeather(calm)
+    const flying = orderService.getOrderById(order.id)
+    expect(flying.status).toBe('en vuelo')
+    expect(flying.hold).toBeNull()
+  })
+
+  test('should only dispatch drones that can fly in the current weather', async () => {
+    await setWeather(windy)
+    const order = orderService.createOrder({ customer: 'Ana', flavor: 'fresa' })
+    simulation.advance(simulation.getDurations().preparing)
+
+    expect(orderService.getOrderById(order.id)).toMatchObject({ status: 'en vuelo', droneId: 2 })
+  })
+
+  test('should keep the last reading and report provider failures', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'droncakes-')), 'weather.json')
+    weatherService.useWeatherProvider(createFixtureWeatherProvider({ file }))
+    fs.writeFileSync(file, JSON.stringify(storm))
+    await weatherService.refreshWeather()
+
+    fs.writeFileSync(file, JSON.stringify({ windSpeedKmh: 5 }))
+    let status = await weatherService.refreshWeather()
+    expect(status.error).toBe('Valor inválido para la precipitación (mm/h): debe ser un número entre 0 y 500')
+    expect(status).toMatchObject({ conditions: storm, dispatchPaused: true })
+
+    fs.rmSync(file)
+    status = await weatherService.refreshWeather()
+    expect(status.error).toContain('ENOENT')
+    expect(status.conditions).toEqual(storm)
+
+    fs.writeFileSync(file, JSON.stringify(calm))
+    status = await weatherService.refreshWeather()
+    expect(status).toMatchObject({ conditions: calm, error: null, dispatchPaused: false })
+  })
+
+  test('should report an unknown provider without failing and refuse to start updates with it', async () => {
+    process.env.WEATHER_PROVIDER = 'satelite'
+    weatherService.useWeatherProvider(null)
+
+    const status = await weatherService.refreshWeather()
+    expect(status).toMatchObject({ provider: 'satelite', conditions: null, error: expect.stringContaining('Proveedor del tiempo desconocido: satelite') })
+    expect(() => weatherService.startWeatherUpdates()).toThrow('Proveedor del tiempo desconocido')
+  })
+})